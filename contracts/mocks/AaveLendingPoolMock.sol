@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {IERC20} from '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+
+import {LocalERC20Mock} from './LocalERC20Mock.sol';
+
+/**
+ * Aave V2 lending pool of the local environment. aTokens are minted one to one and do not accrue interest, nothing can
+ * be borrowed. It also answers the calls of the protocol data provider so the same code is set at both addresses.
+ */
+contract AaveLendingPoolMock {
+    // aToken by reserve
+    mapping(address => LocalERC20Mock) public aTokens;
+
+    function initReserve(address _asset, LocalERC20Mock _aToken) external {
+        aTokens[_asset] = _aToken;
+    }
+
+    function deposit(
+        address _asset,
+        uint256 _amount,
+        address _onBehalfOf,
+        uint16 /* _referralCode */
+    ) external {
+        LocalERC20Mock aToken = _getAToken(_asset);
+        require(IERC20(_asset).transferFrom(msg.sender, address(this), _amount), 'Transfer failed');
+        aToken.mint(_onBehalfOf, _amount);
+    }
+
+    function withdraw(
+        address _asset,
+        uint256 _amount,
+        address _to
+    ) external returns (uint256) {
+        LocalERC20Mock aToken = _getAToken(_asset);
+        if (_amount == uint256(-1)) {
+            _amount = aToken.balanceOf(msg.sender);
+        }
+        aToken.burn(msg.sender, _amount);
+        require(IERC20(_asset).transfer(_to, _amount), 'Transfer failed');
+        return _amount;
+    }
+
+    function getUserAccountData(address)
+        external
+        pure
+        returns (
+            uint256 totalCollateralETH,
+            uint256 totalDebtETH,
+            uint256 availableBorrowsETH,
+            uint256 currentLiquidationThreshold,
+            uint256 ltv,
+            uint256 healthFactor
+        )
+    {
+        return (0, 0, 0, 0, 0, uint256(-1));
+    }
+
+    function getReserveTokensAddresses(address _asset)
+        external
+        view
+        returns (
+            address aTokenAddress,
+            address stableDebtTokenAddress,
+            address variableDebtTokenAddress
+        )
+    {
+        return (address(aTokens[_asset]), address(0), address(0));
+    }
+
+    function getReserveConfigurationData(address _asset)
+        external
+        view
+        returns (
+            uint256 decimals,
+            uint256 ltv,
+            uint256 liquidationThreshold,
+            uint256 liquidationBonus,
+            uint256 reserveFactor,
+            bool usageAsCollateralEnabled,
+            bool borrowingEnabled,
+            bool stableBorrowRateEnabled,
+            bool isActive,
+            bool isFrozen
+        )
+    {
+        bool active = address(aTokens[_asset]) != address(0);
+        return (IERC20Decimals(_asset).decimals(), 8000, 8500, 10500, 1000, active, false, false, active, false);
+    }
+
+    function _getAToken(address _asset) private view returns (LocalERC20Mock) {
+        require(address(aTokens[_asset]) != address(0), 'Reserve not initialized');
+        return aTokens[_asset];
+    }
+}
+
+interface IERC20Decimals {
+    function decimals() external view returns (uint8);
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {IGarden} from '../interfaces/IGarden.sol';
+
+/**
+ * Heart of the local environment. It has no heart garden and keeps the protocol fees it receives.
+ */
+contract HeartMock {
+    IGarden public heartGarden;
+}
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {SafeMath} from '@openzeppelin/contracts/math/SafeMath.sol';
+
+/**
+ * ERC20 of the local environment. Its metadata lives in storage so its code can be set at the address of a mainnet
+ * token, e.g., DAI, then initialized. Anyone can mint and burn.
+ */
+contract LocalERC20Mock {
+    using SafeMath for uint256;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+    uint256 public totalSupply;
+    string public name;
+    string public symbol;
+    uint8 public decimals;
+
+    function initialize(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals
+    ) external {
+        require(bytes(symbol).length == 0, 'Already initialized');
+        name = _name;
+        symbol = _symbol;
+        decimals = _decimals;
+    }
+
+    function mint(address _account, uint256 _amount) public {
+        totalSupply = totalSupply.add(_amount);
+        balanceOf[_account] = balanceOf[_account].add(_amount);
+        emit Transfer(address(0), _account, _amount);
+    }
+
+    function burn(address _account, uint256 _amount) public {
+        balanceOf[_account] = balanceOf[_account].sub(_amount, 'ERC20: burn amount exceeds balance');
+        totalSupply = totalSupply.sub(_amount);
+        emit Transfer(_account, address(0), _amount);
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        _transfer(msg.sender, _to, _amount);
+        return true;
+    }
+
+    function transferFrom(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) external returns (bool) {
+        if (_from != msg.sender && allowance[_from][msg.sender] != uint256(-1)) {
+            allowance[_from][msg.sender] = allowance[_from][msg.sender].sub(
+                _amount,
+                'ERC20: transfer amount exceeds allowance'
+            );
+        }
+        _transfer(_from, _to, _amount);
+        return true;
+    }
+
+    function _transfer(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) internal {
+        balanceOf[_from] = balanceOf[_from].sub(_amount, 'ERC20: transfer amount exceeds balance');
+        balanceOf[_to] = balanceOf[_to].add(_amount);
+        emit Transfer(_from, _to, _amount);
+    }
+}
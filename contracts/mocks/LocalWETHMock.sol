@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {LocalERC20Mock} from './LocalERC20Mock.sol';
+
+/**
+ * WETH of the local environment. Minted WETH is not backed by ether, withdrawals need the mock to hold enough of it.
+ */
+contract LocalWETHMock is LocalERC20Mock {
+    receive() external payable {
+        deposit();
+    }
+
+    function deposit() public payable {
+        mint(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 _amount) external {
+        burn(msg.sender, _amount);
+        msg.sender.transfer(_amount);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {ITradeIntegration} from '../interfaces/ITradeIntegration.sol';
+
+/**
+ * Master swapper of the local environment. Every trade goes through the Uniswap V2 integration.
+ */
+contract MasterSwapperMock {
+    ITradeIntegration public immutable univ2;
+
+    constructor(ITradeIntegration _univ2) {
+        univ2 = _univ2;
+    }
+
+    function trade(
+        address _strategy,
+        address _sendToken,
+        uint256 _sendQuantity,
+        address _receiveToken,
+        uint256 _minReceiveQuantity
+    ) external {
+        if (_sendToken == _receiveToken) {
+            return;
+        }
+        univ2.trade(_strategy, _sendToken, _sendQuantity, _receiveToken, _minReceiveQuantity);
+    }
+
+    function isTradeIntegration(address _integration) external view returns (bool) {
+        return _integration == address(univ2);
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {SafeMath} from '@openzeppelin/contracts/math/SafeMath.sol';
+
+import {PriceFeedMock} from './PriceFeedMock.sol';
+
+/**
+ * Price oracle of the local environment. Prices are derived from the USD feed of every asset.
+ */
+contract PriceOracleMock {
+    using SafeMath for uint256;
+
+    // USD feed by asset
+    mapping(address => PriceFeedMock) public feeds;
+
+    function setFeed(address _asset, PriceFeedMock _feed) external {
+        feeds[_asset] = _feed;
+    }
+
+    /**
+     * Returns the amount of `_tokenOut` worth one `_tokenIn` with 18 decimals
+     */
+    function getPrice(address _tokenIn, address _tokenOut) public view returns (uint256) {
+        if (_tokenIn == _tokenOut) {
+            return 1e18;
+        }
+        return _getUSDPrice(_tokenIn).mul(1e18).div(_getUSDPrice(_tokenOut));
+    }
+
+    function getPriceNAV(address _tokenIn, address _tokenOut) external view returns (uint256) {
+        return getPrice(_tokenIn, _tokenOut);
+    }
+
+    function _getUSDPrice(address _asset) private view returns (uint256) {
+        PriceFeedMock feed = feeds[_asset];
+        require(address(feed) != address(0), 'No feed for asset');
+        (, int256 answer, , , ) = feed.latestRoundData();
+        require(answer > 0, 'Invalid feed answer');
+        return uint256(answer).mul(1e18).div(10**uint256(feed.decimals()));
+    }
+}
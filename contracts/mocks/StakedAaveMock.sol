@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {LocalERC20Mock} from './LocalERC20Mock.sol';
+
+/**
+ * stkAAVE of the local environment. The lending pool mock pays no rewards.
+ */
+contract StakedAaveMock is LocalERC20Mock {
+    function stakerRewardsToClaim(address) external pure returns (uint256) {
+        return 0;
+    }
+
+    function claimRewards(address, uint256) external {}
+}
@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {IERC20} from '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import {SafeMath} from '@openzeppelin/contracts/math/SafeMath.sol';
+
+/**
+ * Constant product AMM with the interface of the Uniswap V2 router. The router holds the liquidity of every pool so
+ * its code can be set at the address of the mainnet router. Swaps pay the 0.3% fee of Uniswap V2 and liquidity
+ * providers get no shares.
+ */
+contract UniswapV2RouterMock {
+    using SafeMath for uint256;
+
+    // reserves[tokenA][tokenB] is the balance of tokenA in the tokenA/tokenB pool
+    mapping(address => mapping(address => uint256)) public reserves;
+
+    function addLiquidity(
+        address _tokenA,
+        address _tokenB,
+        uint256 _amountA,
+        uint256 _amountB,
+        uint256, /* _amountAMin */
+        uint256, /* _amountBMin */
+        address, /* _to */
+        uint256 /* _deadline */
+    )
+        external
+        returns (
+            uint256,
+            uint256,
+            uint256
+        )
+    {
+        _pull(_tokenA, _amountA);
+        _pull(_tokenB, _amountB);
+        reserves[_tokenA][_tokenB] = reserves[_tokenA][_tokenB].add(_amountA);
+        reserves[_tokenB][_tokenA] = reserves[_tokenB][_tokenA].add(_amountB);
+        return (_amountA, _amountB, 0);
+    }
+
+    /**
+     * Moves the price of a pool. The router has to hold the new reserves.
+     */
+    function setReserves(
+        address _tokenA,
+        address _tokenB,
+        uint256 _reserveA,
+        uint256 _reserveB
+    ) external {
+        reserves[_tokenA][_tokenB] = _reserveA;
+        reserves[_tokenB][_tokenA] = _reserveB;
+    }
+
+    function getAmountOut(
+        uint256 _amountIn,
+        uint256 _reserveIn,
+        uint256 _reserveOut
+    ) public pure returns (uint256) {
+        require(_amountIn > 0, 'UniswapV2Library: INSUFFICIENT_INPUT_AMOUNT');
+        require(_reserveIn > 0 && _reserveOut > 0, 'UniswapV2Library: INSUFFICIENT_LIQUIDITY');
+        uint256 amountInWithFee = _amountIn.mul(997);
+        return amountInWithFee.mul(_reserveOut).div(_reserveIn.mul(1000).add(amountInWithFee));
+    }
+
+    function getAmountsOut(uint256 _amountIn, address[] memory _path) public view returns (uint256[] memory amounts) {
+        require(_path.length >= 2, 'UniswapV2Library: INVALID_PATH');
+        amounts = new uint256[](_path.length);
+        amounts[0] = _amountIn;
+        for (uint256 i = 0; i < _path.length - 1; i++) {
+            address tokenIn = _path[i];
+            address tokenOut = _path[i + 1];
+            amounts[i + 1] = getAmountOut(amounts[i], reserves[tokenIn][tokenOut], reserves[tokenOut][tokenIn]);
+        }
+    }
+
+    function swapExactTokensForTokens(
+        uint256 _amountIn,
+        uint256 _amountOutMin,
+        address[] calldata _path,
+        address _to,
+        uint256 _deadline
+    ) external returns (uint256[] memory amounts) {
+        require(_deadline >= block.timestamp, 'UniswapV2Router: EXPIRED');
+        amounts = getAmountsOut(_amountIn, _path);
+        uint256 amountOut = amounts[amounts.length - 1];
+        require(amountOut >= _amountOutMin, 'UniswapV2Router: INSUFFICIENT_OUTPUT_AMOUNT');
+        _pull(_path[0], _amountIn);
+        for (uint256 i = 0; i < _path.length - 1; i++) {
+            reserves[_path[i]][_path[i + 1]] = reserves[_path[i]][_path[i + 1]].add(amounts[i]);
+            reserves[_path[i + 1]][_path[i]] = reserves[_path[i + 1]][_path[i]].sub(amounts[i + 1]);
+        }
+        require(IERC20(_path[_path.length - 1]).transfer(_to, amountOut), 'UniswapV2: TRANSFER_FAILED');
+    }
+
+    function _pull(address _token, uint256 _amount) private {
+        require(IERC20(_token).transferFrom(msg.sender, address(this), _amount), 'UniswapV2: TRANSFER_FAILED');
+    }
+}
@@ -0,0 +1,9 @@
+const { isLocal, deployLocalVenues } = require('../../lib/local');
+
+// Mock tokens, price feeds, AMM and lending pool of the local profile, see lib/local.js
+module.exports = async (hre) => {
+  await deployLocalVenues(hre);
+};
+
+module.exports.tags = ['LocalVenues'];
+module.exports.skip = async (hre) => !isLocal(hre);
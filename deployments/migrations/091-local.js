@@ -0,0 +1,11 @@
+const { LOCAL_CORE_TAGS, isLocal, wireLocalProtocol } = require('../../lib/local');
+
+// npx hardhat deploy --tags Local
+// Core protocol on the hardhat network without a fork, wired to the venues of 090-local-venues
+module.exports = async (hre) => {
+  await wireLocalProtocol(hre);
+};
+
+module.exports.tags = ['Local'];
+module.exports.dependencies = ['LocalVenues', ...LOCAL_CORE_TAGS];
+module.exports.skip = async (hre) => !isLocal(hre);
@@ -39,6 +39,19 @@ require('./lib/tasks/strategy-expire');
 require('./lib/tasks/diff');
 require('./lib/tasks/fuse');
 require('./lib/tasks/aave');
+require('./lib/tasks/keeper');
+require('./lib/tasks/votes');
+require('./lib/tasks/relayer');
+require('./lib/tasks/heart');
+require('./lib/tasks/indexer');
+require('./lib/tasks/portfolio');
+require('./lib/tasks/decode');
+require('./lib/tasks/vtable');
+require('./lib/tasks/address-book');
+require('./lib/tasks/bip');
+require('./lib/tasks/audit');
+require('./lib/tasks/rpc-cache');
+require('./lib/tasks/scenario');
 
 const OPTIMIZER = !(process.env.OPTIMIZER === 'false');
 const COVERAGE = !!process.env.COVERAGE;
@@ -46,6 +59,8 @@ const COVERAGE = !!process.env.COVERAGE;
 const FORK = !!process.env.FORK;
 
 const ALCHEMY_KEY = process.env.ALCHEMY_KEY || '';
+// Forks through the proxy of the `rpc-cache` task when set, e.g., http://127.0.0.1:8546
+const RPC_CACHE_URL = process.env.RPC_CACHE_URL;
 const DEPLOYER_PRIVATE_KEY =
   process.env.DEPLOYER_PRIVATE_KEY || '0000000000000000000000000000000000000000000000000000000000000000';
 
@@ -78,12 +93,11 @@ module.exports = {
       chainId: CHAIN_IDS.hardhat,
       blockGasLimit: 0x1fffffffffffff,
       allowUnlimitedContractSize: true,
-      forking: FORK
-        ? {
-            url: `https://eth-mainnet.alchemyapi.io/v2/${ALCHEMY_KEY}`,
-            blockNumber: +BLOCK_NUMBER,
-          }
-        : undefined,
+      forking: {
+        enabled: FORK,
+        url: RPC_CACHE_URL || `https://eth-mainnet.alchemyapi.io/v2/${ALCHEMY_KEY}`,
+        blockNumber: +BLOCK_NUMBER,
+      },
       saveDeployments: false,
       gas: 9e6,
       initialBaseFeePerGas: 0,
@@ -93,6 +107,11 @@ module.exports = {
       url: `https://eth-mainnet.alchemyapi.io/v2/${ALCHEMY_KEY}`,
       accounts: [`0x${DEPLOYER_PRIVATE_KEY}`, `0x${OWNER_PRIVATE_KEY}`],
       saveDeployments: true,
+      gasPricing: {
+        providers: ['blocknative', 'feeHistory', 'cap'],
+        maxFeePerGas: 300,
+        maxPriorityFeePerGas: 2,
+      },
     },
     rinkeby: {
       chainId: CHAIN_IDS.rinkeby,
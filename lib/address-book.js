@@ -0,0 +1,210 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { ADDRESS_ZERO, IMPLEMENTATION_SLOT } = require('./constants.js');
+
+const BOOK_DIR = path.join(__dirname, '..', 'deployments', 'address-book');
+
+/**
+ * Entries of the address book along with where their address comes from:
+ * - `deployments`: the first existing deployment of the network, e.g., the garden VTable is `GardenVTableBeacon`
+ *   on local networks
+ * - `lookup`: a getter of another entry, e.g., the PriceOracle set in the controller
+ * - `proxy` / `beacon`: the entry keeps an implementation, from the EIP-1967 slot or from `implementation()`
+ * Entries of external contracts are in `STATIC`.
+ */
+const ENTRIES = {
+  BabController: { deployments: ['BabControllerProxy'], proxy: true },
+  RewardsDistributor: { deployments: ['RewardsDistributorProxy'], proxy: true },
+  Heart: { deployments: ['HeartProxy'], proxy: true },
+  Assistant: { deployments: ['AssistantProxy'], proxy: true },
+  ProxyAdmin: { deployments: ['ProxyAdmin'] },
+  GardenBeacon: { deployments: ['GardenBeacon'], beacon: true },
+  StrategyBeacon: { deployments: ['StrategyBeacon'], beacon: true },
+  VTableBeacon: { deployments: ['VTableBeacon', 'GardenVTableBeacon'] },
+  Viewer: { deployments: ['Viewer'] },
+  BABLToken: { deployments: ['BABLToken'] },
+  TimeLockRegistry: { deployments: ['TimeLockRegistry'] },
+  Timelock: { deployments: ['TimelockController'] },
+  Governor: { deployments: ['BabylonGovernor'] },
+  StrategyNFT: { deployments: ['StrategyNFT'] },
+  IshtarGate: { deployments: ['IshtarGate'] },
+  PriceOracle: { lookup: ['BabController', 'priceOracle'] },
+  GardenValuer: { lookup: ['BabController', 'gardenValuer'] },
+  MasterSwapper: { lookup: ['BabController', 'masterSwapper'] },
+  HeartGarden: { lookup: ['Heart', 'heartGarden'] },
+};
+
+// Contracts which are not deployed by the protocol
+const STATIC = {
+  mainnet: {
+    MultiSig: '0x97FcC2Ae862D03143b393e9fA73A32b563d57A6e',
+    MultiSend: '0x8D29bE29923b68abfDD21e541b9374737B49cdAD', // Gnosis Multi Send
+    Deployer: '0x040cC3AF8455F3c34D1df1D2a305e047a062BeBf',
+    Keeper: '0x74D206186B84d4c2dAFeBD9Fd230878EC161d5B8',
+    FuseComptroller: '0xC7125E3A2925877C7371d579D29dAe4729Ac9033', // Fuse pool 144
+    FusePriceOracle: '0x28A619b28130A4aaf9236e7294d988A7ecD1A190',
+  },
+};
+
+const books = {};
+
+// Forks of mainnet run on the hardhat network with the mainnet deployments
+const getNetworkName = ({ network }) => process.env.HARDHAT_DEPLOY_FORK || network.name;
+
+const getBookPath = (network) => path.join(BOOK_DIR, `${network}.json`);
+
+/**
+ * Generated address book of a network or `undefined` when it was not generated
+ */
+function readAddressBook(network) {
+  if (!(network in books)) {
+    const file = getBookPath(network);
+    books[network] = fs.existsSync(file) ? fs.readJsonSync(file) : undefined;
+  }
+  return books[network];
+}
+
+async function writeAddressBook(book) {
+  await fs.outputJson(getBookPath(book.network), book, { spaces: 2 });
+  books[book.network] = book;
+}
+
+async function getDeployment(hre, network, name) {
+  if (network === hre.network.name) {
+    return await hre.deployments.getOrNull(name);
+  }
+  const file = path.join(hre.config.paths.deployments, network, `${name}.json`);
+  return (await fs.pathExists(file)) ? await fs.readJson(file) : undefined;
+}
+
+async function callGetter({ ethers }, address, getter, blockTag) {
+  const contract = new ethers.Contract(address, [`function ${getter}() view returns (address)`], ethers.provider);
+  return await contract[getter]({ blockTag });
+}
+
+/**
+ * Resolves an entry from the deployments, the chain and the static addresses without the generated book.
+ * Returns `{address, source}` or `undefined` when the network has no such entry.
+ */
+async function lookupEntry(hre, name, { network = getNetworkName(hre), blockTag } = {}) {
+  const entry = ENTRIES[name] || {};
+  for (const deploymentName of entry.deployments || []) {
+    const deployment = await getDeployment(hre, network, deploymentName);
+    if (deployment) {
+      return { address: ethers.utils.getAddress(deployment.address), source: `deployment ${deploymentName}` };
+    }
+  }
+  if (entry.lookup) {
+    const [parent, getter] = entry.lookup;
+    const owner = await lookupEntry(hre, parent, { network, blockTag });
+    if (owner) {
+      return { address: await callGetter(hre, owner.address, getter, blockTag), source: `${parent}.${getter}()` };
+    }
+  }
+  const address = (STATIC[network] || {})[name];
+  return address ? { address: ethers.utils.getAddress(address), source: 'static' } : undefined;
+}
+
+/**
+ * Address of an entry of the address book, e.g., `resolveAddress(hre, 'PriceOracle')`.
+ * The generated book of the network is used when it exists, the entry is looked up otherwise.
+ * The network defaults to the forked one or to the current one.
+ */
+async function resolveAddress(hre, name, { network = getNetworkName(hre) } = {}) {
+  const book = readAddressBook(network);
+  if (book && book.entries[name]) {
+    return book.entries[name].address;
+  }
+  const entry = await lookupEntry(hre, name, { network });
+  if (!entry) {
+    throw new Error(`Address book of ${network} has no ${name}`);
+  }
+  return entry.address;
+}
+
+/**
+ * Implementation behind a proxy or a beacon entry
+ */
+async function getImplementation({ ethers }, name, address, blockTag) {
+  if (ENTRIES[name].proxy) {
+    const slot = await ethers.provider.getStorageAt(address, IMPLEMENTATION_SLOT, blockTag);
+    return ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+  }
+  return await callGetter({ ethers }, address, 'implementation', blockTag);
+}
+
+/**
+ * Builds the address book of the network at `block` along with the implementations behind proxies and beacons.
+ * Entries missing on the network are skipped.
+ */
+async function buildAddressBook(hre, { network = getNetworkName(hre), block } = {}) {
+  block = block !== undefined ? block : await hre.ethers.provider.getBlockNumber();
+  const names = [...Object.keys(ENTRIES), ...Object.keys(STATIC[network] || {})];
+  const entries = {};
+  for (const name of names) {
+    const entry = await lookupEntry(hre, name, { network, blockTag: block });
+    if (!entry) {
+      continue;
+    }
+    if (ENTRIES[name] && (ENTRIES[name].proxy || ENTRIES[name].beacon)) {
+      entry.implementation = await getImplementation(hre, name, entry.address, block);
+    }
+    entries[name] = entry;
+  }
+  return { network, block, entries };
+}
+
+/**
+ * Checks every entry of a generated book has code at the block of the book and that the recorded lookups and
+ * implementations are still the ones at `blockTag`.
+ * Returns the list of checks, each with its `name`, whether it `passed` and its `details`.
+ */
+async function validateAddressBook(hre, book, { blockTag = 'latest' } = {}) {
+  const { provider } = hre.ethers;
+  const checks = [];
+  const check = (name, passed, details) => checks.push({ name, passed, details });
+
+  for (const [name, { address, source, implementation }] of Object.entries(book.entries)) {
+    const code = await provider.getCode(address, book.block);
+    check(`Code of ${name}`, code !== '0x', address);
+
+    if (ENTRIES[name] && ENTRIES[name].lookup) {
+      const current = await lookupEntry(hre, name, { network: book.network, blockTag });
+      const currentAddress = current ? current.address : ADDRESS_ZERO;
+      check(`${name} is ${source}`, currentAddress === address, currentAddress);
+    }
+    if (implementation) {
+      const current = await getImplementation(hre, name, address, blockTag);
+      check(`Implementation of ${name}`, current === implementation, current);
+    }
+  }
+  return checks;
+}
+
+function printAddressBookValidation({ network, block }, checks) {
+  console.log(`Address book of ${network} generated at block ${block}`);
+  for (const { name, passed, details } of checks) {
+    console.log(`  ${passed ? chalk.green('✔ PASS') : chalk.red('✘ FAIL')} ${name}${details ? ` (${details})` : ''}`);
+  }
+  const failed = checks.filter(({ passed }) => !passed).length;
+  console.log(
+    failed ? chalk.red(`${failed} of ${checks.length} checks failed`) : chalk.green(`${checks.length} checks passed`),
+  );
+}
+
+module.exports = {
+  ENTRIES,
+  STATIC,
+  getNetworkName,
+  getBookPath,
+  readAddressBook,
+  writeAddressBook,
+  lookupEntry,
+  resolveAddress,
+  getImplementation,
+  buildAddressBook,
+  validateAddressBook,
+  printAddressBookValidation,
+};
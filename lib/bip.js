@@ -0,0 +1,275 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { eth } = require('./helpers');
+const { impersonateAddress, mineBlocks, resetFork } = require('./rpc');
+const { resolveAddress } = require('./address-book');
+
+// BABL holders voting for the simulated proposals, 76K votes once self delegated
+const VOTERS = [
+  '0x3E7c4E57A1dc4dD4bBE81bEFBe3E437f69619DaB', // 20K
+  '0x06601571AA9D3E8f5f7CDd5b993192618964bAB5', // 15K
+  '0x83f4622A18e38bE297e089fB055Dd5123bb0b279', // Team 24K
+  '0x232775eAD28F0C0c750A097bA77302E7d84efd3B', // Team 17K
+];
+
+const PROPOSAL_STATES = ['Pending', 'Active', 'Canceled', 'Defeated', 'Succeeded', 'Queued', 'Expired', 'Executed'];
+const VOTE_FOR = 1;
+
+// The Bravo compatibility of the governor overloads these functions
+const GOVERNOR = {
+  propose: 'propose(address[],uint256[],bytes[],string)',
+  queue: 'queue(address[],uint256[],bytes[],bytes32)',
+  execute: 'execute(address[],uint256[],bytes[],bytes32)',
+};
+
+const CALL_OPCODES = ['CALL', 'STATICCALL'];
+const DELEGATE_OPCODES = ['DELEGATECALL', 'CALLCODE'];
+
+/**
+ * Reads a BIP file. BIPs are `{title, description, calls}` where every call is a `{target, value, calldata}`.
+ * Older BIPs are a list of calls and are described by their file name.
+ */
+async function loadBip(file) {
+  const content = await fs.readJson(file);
+  const bip = Array.isArray(content) ? { title: path.basename(file, '.json'), calls: content } : content;
+  if (!Array.isArray(bip.calls) || bip.calls.length === 0) {
+    throw new Error(`BIP ${file} has no calls`);
+  }
+  for (const call of bip.calls) {
+    if (!ethers.utils.isAddress(call.target) || !ethers.utils.isHexString(call.calldata)) {
+      throw new Error(`BIP ${file} has a call without a valid target and calldata`);
+    }
+  }
+  return { ...bip, description: bip.description || bip.title };
+}
+
+/**
+ * Arguments of the governor for a BIP. The description is hashed into the proposal id so it has to stay the same
+ * between the simulation and the proposal.
+ */
+function getProposal({ calls, description }) {
+  const targets = calls.map(({ target }) => ethers.utils.getAddress(target));
+  const values = calls.map(({ value }) => ethers.BigNumber.from(value || 0));
+  const calldatas = calls.map(({ calldata }) => calldata);
+  const descriptionHash = ethers.utils.id(description);
+  const id = ethers.BigNumber.from(
+    ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(
+        ['address[]', 'uint256[]', 'bytes[]', 'bytes32'],
+        [targets, values, calldatas, descriptionHash],
+      ),
+    ),
+  );
+  return { id, targets, values, calldatas, description, descriptionHash };
+}
+
+async function resolveTarget(hre, name) {
+  if (ethers.utils.isAddress(name)) {
+    return ethers.utils.getAddress(name);
+  }
+  try {
+    return await resolveAddress(hre, name);
+  } catch (e) {
+    return (await hre.deployments.get(name)).address;
+  }
+}
+
+/**
+ * Encodes a high level action, e.g., `{contract: 'BabController', method: 'editPriceOracle', args: ['0x...']}`.
+ * The ABI is the one of the `contract` artifact. The target is `address`, an address book entry or a deployment,
+ * and defaults to `contract`.
+ */
+async function encodeAction(hre, { contract, method, args = [], value = '0', address }) {
+  const { abi } = await hre.artifacts.readArtifact(contract);
+  const iface = new ethers.utils.Interface(abi);
+  const fragment = iface.getFunction(method);
+  return {
+    target: await resolveTarget(hre, address || contract),
+    value: ethers.BigNumber.from(value).toString(),
+    calldata: iface.encodeFunctionData(fragment, args),
+    action: `${contract}.${fragment.format()}`,
+  };
+}
+
+/**
+ * Builds a BIP out of a spec with its `title`, `description` and `actions`
+ */
+async function buildBip(hre, { title, description, actions }) {
+  if (!title || !Array.isArray(actions) || actions.length === 0) {
+    throw new Error('A BIP needs a title and at least one action');
+  }
+  const calls = [];
+  for (const action of actions) {
+    calls.push(await encodeAction(hre, action));
+  }
+  return { title, description: description ? `# ${title}\n\n${description}` : title, calls };
+}
+
+const toWord = (value) => ethers.utils.hexZeroPad(`0x${value.replace(/^0x/, '')}`, 32);
+
+/**
+ * Storage slots written by a transaction from the struct logs of its trace. Calls switch the storage to the called
+ * contract, delegate calls keep the one of the caller and contracts created on the way are skipped.
+ * Returns the written slots by lower-cased address.
+ */
+function getStorageWrites(to, structLogs) {
+  const writes = {};
+  const contexts = [to.toLowerCase()];
+  const base = structLogs.length > 0 ? structLogs[0].depth - 1 : 0;
+  let next;
+  for (const { depth, op, stack = [] } of structLogs) {
+    while (contexts.length > depth - base) {
+      contexts.pop();
+    }
+    if (contexts.length < depth - base) {
+      contexts.push(next);
+    }
+    const current = contexts[contexts.length - 1];
+    if (op === 'SSTORE' && current) {
+      writes[current] = writes[current] || new Set();
+      writes[current].add(toWord(stack[stack.length - 1]));
+    }
+    if (CALL_OPCODES.includes(op)) {
+      next = ethers.utils.hexDataSlice(toWord(stack[stack.length - 2]), 12);
+    } else if (DELEGATE_OPCODES.includes(op)) {
+      next = current;
+    } else {
+      next = undefined;
+    }
+  }
+  return Object.fromEntries(Object.entries(writes).map(([address, slots]) => [address, [...slots]]));
+}
+
+/**
+ * Storage changed by a mined transaction along with the value of every slot before and after it
+ */
+async function getStateDiffs({ network, ethers }, receipt) {
+  const { structLogs } = await network.provider.send('debug_traceTransaction', [
+    receipt.transactionHash,
+    { disableMemory: true, disableStorage: true },
+  ]);
+  const diffs = [];
+  for (const [address, slots] of Object.entries(getStorageWrites(receipt.to, structLogs))) {
+    for (const slot of slots) {
+      const before = await ethers.provider.getStorageAt(address, slot, receipt.blockNumber - 1);
+      const after = await ethers.provider.getStorageAt(address, slot, receipt.blockNumber);
+      if (before !== after) {
+        diffs.push({ address: ethers.utils.getAddress(address), slot, before, after });
+      }
+    }
+  }
+  return diffs;
+}
+
+/**
+ * Decodes the logs of a transaction with the events of every compiled artifact
+ */
+async function decodeEvents({ artifacts }, logs) {
+  const events = {};
+  for (const name of await artifacts.getAllFullyQualifiedNames()) {
+    const iface = new ethers.utils.Interface((await artifacts.readArtifact(name)).abi);
+    for (const fragment of Object.values(iface.events)) {
+      const topic = iface.getEventTopic(fragment);
+      events[topic] = events[topic] || [];
+      if (!events[topic].some((o) => o.format('full') === fragment.format('full'))) {
+        events[topic].push(fragment);
+      }
+    }
+  }
+  return logs.map((log) => {
+    for (const fragment of events[log.topics[0]] || []) {
+      try {
+        const { args } = new ethers.utils.Interface([fragment]).parseLog(log);
+        return {
+          address: log.address,
+          name: fragment.name,
+          args: fragment.inputs.map((input, i) => `${input.name || i}: ${args[i].toString()}`),
+        };
+      } catch (e) {
+        // Same topic with other indexed arguments
+      }
+    }
+    return { address: log.address, name: undefined, args: [log.topics[0]] };
+  });
+}
+
+/**
+ * Runs a BIP through the whole lifecycle of the governor on a mainnet fork: the voters self delegate, the first one
+ * proposes, all of them vote for it, then it is queued and executed once the timelock delay is over.
+ * Returns the proposal `id`, the `state` it ends in, the `events` emitted by the execution and the `diffs` of the
+ * storage it changed.
+ */
+async function simulateBip(hre, bip, { voters = VOTERS, forkBlock } = {}) {
+  const { ethers, network, config } = hre;
+  if (network.name !== 'hardhat') {
+    throw new Error('Simulations run on the hardhat network. Use --network hardhat with HARDHAT_DEPLOY_FORK=mainnet');
+  }
+  await resetFork(config.networks.mainnet.url, forkBlock);
+
+  const governor = await ethers.getContractAt('BabylonGovernor', await resolveAddress(hre, 'Governor'));
+  const timelock = await ethers.getContractAt('TimelockController', await resolveAddress(hre, 'Timelock'));
+  const bablToken = await ethers.getContractAt('BABLToken', await resolveAddress(hre, 'BABLToken'));
+  const proposal = getProposal(bip);
+  const args = [proposal.targets, proposal.values, proposal.calldatas];
+
+  const signers = [];
+  for (const voter of voters) {
+    const signer = await impersonateAddress(voter);
+    await network.provider.send('hardhat_setBalance', [voter, ethers.utils.hexStripZeros(eth(10).toHexString())]);
+    await (await bablToken.connect(signer).delegate(voter)).wait();
+    signers.push(signer);
+  }
+  await mineBlocks(1);
+
+  await (await governor.connect(signers[0])[GOVERNOR.propose](...args, proposal.description)).wait();
+  await mineBlocks((await governor.votingDelay()).toNumber() + 1);
+  for (const signer of signers) {
+    await (await governor.connect(signer).castVote(proposal.id, VOTE_FOR)).wait();
+  }
+  await mineBlocks((await governor.votingPeriod()).toNumber());
+
+  await (await governor.connect(signers[0])[GOVERNOR.queue](...args, proposal.descriptionHash)).wait();
+  await network.provider.send('evm_increaseTime', [(await timelock.getMinDelay()).toNumber()]);
+  await mineBlocks(1);
+
+  const receipt = await (
+    await governor.connect(signers[0])[GOVERNOR.execute](...args, proposal.descriptionHash)
+  ).wait();
+  return {
+    id: proposal.id,
+    state: PROPOSAL_STATES[await governor.state(proposal.id)],
+    events: await decodeEvents(hre, receipt.logs),
+    diffs: await getStateDiffs(hre, receipt),
+  };
+}
+
+function printBipSimulation({ id, state, events, diffs }, names = {}) {
+  const label = (address) => names[address.toLowerCase()] || address;
+  console.log(`Proposal ${id.toString()} ${state === 'Executed' ? chalk.green(state) : chalk.red(state)}`);
+  console.log('Events');
+  for (const { address, name, args } of events) {
+    console.log(`  ${label(address)} ${name || chalk.gray('unknown')}(${args.join(', ')})`);
+  }
+  console.log('State diffs');
+  for (const { address, slot, before, after } of diffs) {
+    console.log(`  ${label(address)} ${slot}`);
+    console.log(chalk.red(`    - ${before}`));
+    console.log(chalk.green(`    + ${after}`));
+  }
+}
+
+module.exports = {
+  VOTERS,
+  PROPOSAL_STATES,
+  GOVERNOR,
+  loadBip,
+  getProposal,
+  encodeAction,
+  buildBip,
+  getStorageWrites,
+  decodeEvents,
+  simulateBip,
+  printBipSimulation,
+};
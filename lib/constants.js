@@ -26,6 +26,10 @@ const THREE = from(3);
 const ZERO = Zero;
 const MAX_INT_256 = '0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff';
 const MIN_INT_256 = '-0x8000000000000000000000000000000000000000000000000000000000000000';
+// EIP-1967 storage slot of the proxy implementation
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+// EIP-1967 storage slot of the proxy admin
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
 const ONE_DAY_IN_SECONDS = from(60 * 60 * 24);
 const ONE_HOUR_IN_SECONDS = from(60 * 60);
 const ONE_YEAR_IN_SECONDS = from(31557600);
@@ -185,7 +189,9 @@ const PROFIT_LP_SHARE = eth('0.80'); // 80%
 
 module.exports = {
   ADDRESS_ZERO,
+  ADMIN_SLOT,
   EMPTY_BYTES,
+  IMPLEMENTATION_SLOT,
   MAX_INT_256,
   MAX_UINT_256,
   MIN_INT_256,
@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+const addresses = require('./addresses');
+
+const MULTI_SEND_FRAGMENT = 'function multiSend(bytes transactions)';
+const MULTI_SEND_SELECTOR = new ethers.utils.Interface([MULTI_SEND_FRAGMENT]).getSighash('multiSend');
+
+// Calls whose bytes argument is run by the target itself or by one of its other arguments
+const NESTED_CALLS = {
+  'multiSend(bytes)': (args) => parseMultiSend(args[0]),
+  'upgradeAndCall(address,address,bytes)': (args) => [{ operation: 0, to: args[0], value: '0', data: args[2] }],
+  'upgradeToAndCall(address,bytes)': (args, call) => [{ operation: 0, to: call.to, value: '0', data: args[1] }],
+};
+
+/**
+ * Splits the packed MultiSend bytes produced by `encodeMultiSend` into its transactions
+ */
+function parseMultiSend(data) {
+  const bytes = ethers.utils.arrayify(data);
+  const txs = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const length = ethers.BigNumber.from(bytes.slice(i + 53, i + 85)).toNumber();
+    if (i + 85 + length > bytes.length) {
+      throw new Error(`MultiSend data is truncated at byte ${i}`);
+    }
+    txs.push({
+      operation: bytes[i],
+      to: ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(i + 1, i + 21))),
+      value: ethers.BigNumber.from(bytes.slice(i + 21, i + 53)).toString(),
+      data: ethers.utils.hexlify(bytes.slice(i + 85, i + 85 + length)),
+    });
+    i += 85 + length;
+  }
+  return txs;
+}
+
+/**
+ * Turns the input of the `decode` task into a list of calls. It is either MultiSend bytes, with or without the
+ * `multiSend` selector, or a list of `{target, calldata}` like the `calls` of BIP files.
+ */
+function parseCalls(input) {
+  if (input && Array.isArray(input.calls)) {
+    return parseCalls(input.calls);
+  }
+  if (typeof input === 'string') {
+    const data = input.trim();
+    if (!ethers.utils.isHexString(data)) {
+      throw new Error('Calldata has to be a hex string');
+    }
+    if (data.startsWith(MULTI_SEND_SELECTOR)) {
+      return [{ operation: 0, to: undefined, value: '0', data }];
+    }
+    return parseMultiSend(data);
+  }
+  return [].concat(input).map(({ target, calldata, value }) => {
+    if (!target || !calldata) {
+      throw new Error('Every call needs a target and a calldata');
+    }
+    return { operation: 0, to: ethers.utils.getAddress(target), value: value || '0', data: calldata };
+  });
+}
+
+/**
+ * Reads the input of the `decode` task from a file if it exists
+ */
+async function loadCalls(input) {
+  if (await fs.pathExists(input)) {
+    const content = (await fs.readFile(input, 'utf8')).trim();
+    return parseCalls(content.startsWith('0x') ? content : JSON.parse(content));
+  }
+  return parseCalls(input);
+}
+
+/**
+ * Flattens `lib/addresses.js` into labels by lower-cased address, e.g., `tokens.DAI`
+ */
+function getAddressBook(book = addresses, prefix = '', labels = {}) {
+  for (const [key, value] of Object.entries(book)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string' && ethers.utils.isAddress(value) && value !== addresses.zero) {
+      labels[value.toLowerCase()] = labels[value.toLowerCase()] || name;
+    } else if (value && typeof value === 'object') {
+      getAddressBook(value, name, labels);
+    }
+  }
+  return labels;
+}
+
+/**
+ * Builds a decoder out of ABIs and address labels. Functions are looked up by selector among all the ABIs.
+ */
+function createDecoder({ abis = [], labels = {} }) {
+  const functions = {};
+  for (const abi of [[MULTI_SEND_FRAGMENT], ...abis]) {
+    for (const fragment of new ethers.utils.Interface(abi).fragments) {
+      if (fragment.type === 'function') {
+        const selector = ethers.utils.Interface.getSighash(fragment);
+        functions[selector] = functions[selector] || fragment;
+      }
+    }
+  }
+
+  const label = (address) => labels[address.toLowerCase()];
+
+  function formatValue(value, param) {
+    if (param.baseType === 'array') {
+      return `[${value.map((item) => formatValue(item, param.arrayChildren)).join(', ')}]`;
+    }
+    if (param.baseType === 'tuple') {
+      return `{ ${param.components
+        .map((component, i) => `${component.name || i}: ${formatValue(value[i], component)}`)
+        .join(', ')} }`;
+    }
+    if (param.type === 'address') {
+      return label(value) ? `${value} (${label(value)})` : value;
+    }
+    if (param.type === 'bytes4' && functions[value]) {
+      return `${value} (${functions[value].name})`;
+    }
+    if (param.type === 'bytes' && value.length > 2 + 64) {
+      return `${value.slice(0, 66)}… (${(value.length - 2) / 2} bytes)`;
+    }
+    return value.toString();
+  }
+
+  function decodeCall(call) {
+    const selector = call.data.slice(0, 10);
+    const fragment = functions[selector];
+    const action = {
+      operation: call.operation,
+      to: call.to,
+      label: call.to && label(call.to),
+      value: call.value.toString(),
+      selector,
+      calls: [],
+    };
+    if (!fragment) {
+      return { ...action, signature: undefined, args: [] };
+    }
+    const signature = fragment.format();
+    const values = new ethers.utils.Interface([fragment]).decodeFunctionData(fragment, call.data);
+    const nested = NESTED_CALLS[signature];
+    return {
+      ...action,
+      signature,
+      name: fragment.name,
+      args: fragment.inputs.map((param, i) => ({
+        name: param.name || String(i),
+        type: param.type,
+        value: formatValue(values[i], param),
+      })),
+      calls: nested ? nested(values, call).map(decodeCall) : [],
+    };
+  }
+
+  return { functions, label, decodeCall };
+}
+
+/**
+ * Decoder with the ABIs of every compiled artifact and deployment, labelling addresses with the deployment names
+ * of the network and the address book
+ */
+async function getDecoder({ artifacts, deployments }) {
+  const abis = [];
+  for (const name of await artifacts.getAllFullyQualifiedNames()) {
+    abis.push((await artifacts.readArtifact(name)).abi);
+  }
+  const labels = getAddressBook();
+  for (const [name, deployment] of Object.entries(await deployments.all())) {
+    abis.push(deployment.abi);
+    labels[deployment.address.toLowerCase()] = name;
+  }
+  return createDecoder({ abis, labels });
+}
+
+/**
+ * Renders the decoded calls as a numbered list of actions. Nested calls are numbered after their parent, e.g., `1.2.`
+ */
+function formatActions(actions, prefix = '', margin = '') {
+  return actions.flatMap((action, i) => {
+    const number = `${prefix}${i + 1}.`;
+    const indent = margin + ' '.repeat(number.length + 1);
+    const target = action.to ? `${action.label || 'unknown'} ${action.to}` : 'MultiSend';
+    const call = action.signature
+      ? `${action.name}(${action.args.map(({ name, value }) => `${name}: ${value}`).join(', ')})`
+      : `unknown function ${action.selector}`;
+    return [
+      `${margin}${number} ${action.operation === 1 ? 'delegatecall ' : ''}${target}`,
+      `${indent}${call}`,
+      ...(action.value !== '0' ? [`${indent}value: ${ethers.utils.formatEther(action.value)} ETH`] : []),
+      ...formatActions(action.calls, number, indent),
+    ];
+  });
+}
+
+module.exports = {
+  MULTI_SEND_SELECTOR,
+  parseMultiSend,
+  parseCalls,
+  loadCalls,
+  getAddressBook,
+  createDecoder,
+  getDecoder,
+  formatActions,
+};
@@ -2,34 +2,37 @@ const { expect } = require('chai');
 const { deployments } = require('hardhat');
 const { impersonateAddress } = require('lib/rpc');
 const addresses = require('lib/addresses');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const { getSigs } = require('lib/web3');
 const { eth } = require('lib/helpers');
+const { validateGardenModule } = require('lib/storage-layout');
+const { resolveAddress } = require('lib/address-book');
 const { deploy } = deployments;
 
-const TIMELOCK_ADDRESS = '0xe6Ed0eAcB79a6e457416E4df38ed778fd6C6D193';
+// Deployments of the fork are resolved from the mainnet address book
+const resolveMainnet = (hre, name) => resolveAddress(hre, name, { network: 'mainnet' });
 
 const TEST_NAV = !!process.env.TEST_NAV;
 
 export async function getContracts() {
   const { ethers } = hre;
 
-  const owner = await impersonateAddress('0x97FcC2Ae862D03143b393e9fA73A32b563d57A6e');
-  const deployer = await impersonateAddress('0x040cC3AF8455F3c34D1df1D2a305e047a062BeBf');
-  const keeper = await impersonateAddress('0x74D206186B84d4c2dAFeBD9Fd230878EC161d5B8');
-  const gov = await impersonateAddress(TIMELOCK_ADDRESS);
-  const gnosis = await impersonateAddress('0x97FcC2Ae862D03143b393e9fA73A32b563d57A6e');
+  const owner = await impersonateAddress(await resolveMainnet(hre, 'MultiSig'));
+  const deployer = await impersonateAddress(await resolveMainnet(hre, 'Deployer'));
+  const keeper = await impersonateAddress(await resolveMainnet(hre, 'Keeper'));
+  const gov = await impersonateAddress(await resolveMainnet(hre, 'Timelock'));
+  const gnosis = await impersonateAddress(await resolveMainnet(hre, 'MultiSig'));
 
-  const controller = await ethers.getContractAt('BabController', '0xd4a5b5fcb561daf3adf86f8477555b92fba43b5f', gov);
+  const controller = await ethers.getContractAt('BabController', await resolveMainnet(hre, 'BabController'), gov);
   const distributor = await ethers.getContractAt(
     'RewardsDistributor',
-    '0x40154ad8014df019a53440a60ed351dfba47574e',
+    await resolveMainnet(hre, 'RewardsDistributor'),
     owner,
   );
-  const strategyNft = await ethers.getContractAt('StrategyNFT', '0xdE7A3F8CcCcddbcB773e1656b41a9C2d4AC5454d', owner);
+  const strategyNft = await ethers.getContractAt('StrategyNFT', await resolveMainnet(hre, 'StrategyNFT'), owner);
   const valuer = await ethers.getContractAt('IGardenValuer', await controller.gardenValuer(), owner);
   const priceOracle = await ethers.getContractAt('PriceOracle', await controller.priceOracle(), owner);
-  const ishtarGate = await ethers.getContractAt('IshtarGate', '0x77d200eca7fd0a3db27e96d7b24cf7613b0a2a12', owner);
+  const ishtarGate = await ethers.getContractAt('IshtarGate', await resolveMainnet(hre, 'IshtarGate'), owner);
   const gardens = await controller.getGardens();
 
   return {
@@ -65,7 +68,7 @@ const deployFixture = deployments.createFixture(async (hre, options) => {
     gnosis,
   } = await getContracts();
 
-  await fund([owner.address, deployer.address, TIMELOCK_ADDRESS, gnosis.address], {
+  await fund([owner.address, deployer.address, gov.address, gnosis.address], {
     tokens: [addresses.tokens.ETH],
   });
 
@@ -87,7 +90,7 @@ const deployFixture = deployments.createFixture(async (hre, options) => {
   // upgrade controller
   const proxyAdmin = await ethers.getContractAt(
     '@openzeppelin/contracts/proxy/ProxyAdmin.sol:ProxyAdmin',
-    '0x0C085fd8bbFD78db0107bF17047E8fa906D871DC',
+    await resolveMainnet(hre, 'ProxyAdmin'),
     gnosis,
   );
 
@@ -154,7 +157,7 @@ const deployFixture = deployments.createFixture(async (hre, options) => {
     {
       contract: 'FuseLendIntegration',
       type: 'integration',
-      args: [controller.address, '0xC7125E3A2925877C7371d579D29dAe4729Ac9033'],
+      args: [controller.address, await resolveMainnet(hre, 'FuseComptroller')],
     },
     //
     { contract: 'BuyOperation', type: 'operation', operation: 0, args: ['swap', controller.address] },
@@ -200,7 +203,7 @@ const deployFixture = deployments.createFixture(async (hre, options) => {
   // upgrade strategy
   const strategyBeacon = await ethers.getContractAt(
     'UpgradeableBeacon',
-    '0x31946680978CEFB010e5f5Fa8b8134c058cba7dC',
+    await resolveMainnet(hre, 'StrategyBeacon'),
     gnosis,
   );
 
@@ -215,20 +218,24 @@ const deployFixture = deployments.createFixture(async (hre, options) => {
   // upgrade garden
   const gardenBeacon = await ethers.getContractAt(
     'UpgradeableBeacon',
-    '0xc8f44C560efe396a6e57e48fF07205bD28AF5E75',
+    await resolveMainnet(hre, 'GardenBeacon'),
     gnosis,
   );
 
   const gardenNewImpl = await deploy('Garden', {
     from: signer.address,
-    args: ['0xaaacb63ab80969af93b811deb81ddeb4c8710591', '0xF4Dc48D260C93ad6a96c5Ce563E70CA578987c74'],
+    args: [await resolveMainnet(hre, 'VTableBeacon'), await resolveMainnet(hre, 'BABLToken')],
     log: true,
   });
 
   await gardenBeacon.connect(gnosis).upgradeTo(gardenNewImpl.address);
 
   // update garden module
-  const vTableBeacon = await ethers.getContractAt('VTableBeacon', '0xaaacb63ab80969af93b811deb81ddeb4c8710591', gnosis);
+  const vTableBeacon = await ethers.getContractAt('VTableBeacon', await resolveMainnet(hre, 'VTableBeacon'), gnosis);
+
+  for (const name of ['StrategyGardenModule', 'AdminGardenModule']) {
+    await validateGardenModule(hre, name);
+  }
 
   const strategyGardenModule = await deploy('StrategyGardenModule', {
     from: signer.address,
@@ -0,0 +1,245 @@
+const { ethers } = require('ethers');
+const { ADDRESS_ZERO } = require('./constants.js');
+const { eth, from } = require('./helpers');
+const { impersonateAddress } = require('./rpc');
+const { TOKEN_WHALE_MAP } = require('./whale');
+const addresses = require('./addresses');
+
+const ETH = addresses.tokens.ETH;
+const MAX_SLOT = 100;
+// Any value a token would not hold by itself
+const PROBE = ethers.BigNumber.from(ethers.utils.id('balance probe')).shr(128);
+const PROBE_ACCOUNT = '0x000000000000000000000000000000000000ba1a';
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function transfer(address,uint256) returns (bool)',
+  'function approve(address,uint256) returns (bool)',
+];
+const erc20 = new ethers.utils.Interface(ERC20_ABI);
+const LIDO_ABI = ['function submit(address) payable returns (uint256)'];
+const ATOKEN_ABI = [
+  'function UNDERLYING_ASSET_ADDRESS() view returns (address)',
+  'function POOL() view returns (address)',
+];
+const LENDING_POOL_ABI = ['function deposit(address,uint256,address,uint16)'];
+
+const DEFAULT_TOKENS = [
+  ETH,
+  addresses.tokens.WETH,
+  addresses.tokens.DAI,
+  addresses.tokens.USDC,
+  addresses.tokens.WBTC,
+  addresses.tokens.BABL,
+  addresses.tokens.FEI,
+  addresses.tokens.FRAX,
+  addresses.tokens.AAVE,
+];
+
+const TOKEN_AMOUNT_MAP = {
+  [ETH]: eth(100),
+  [addresses.tokens.WETH]: eth(100),
+  [addresses.tokens.BABL]: eth(20000),
+  [addresses.tokens.AAVE]: eth(100),
+  [addresses.tokens.DAI]: eth(1e6),
+  [addresses.tokens.FEI]: eth(1e6),
+  [addresses.tokens.FRAX]: eth(1e5),
+  [addresses.tokens.USDC]: from(1e6 * 1e6),
+  [addresses.tokens.WBTC]: from(10e8),
+};
+
+// Units of the tokens without a default amount
+const DEFAULT_UNITS = 1000;
+
+// Slot of the balance mapping by lower-cased token, `null` when none was found
+const slots = {};
+
+const isEth = (token) =>
+  !token || [ADDRESS_ZERO, addresses.tokens.ETH2].some((address) => address.toLowerCase() === token.toLowerCase());
+
+/**
+ * Storage key of the balance of `account` in a mapping at `slot`. Solidity hashes the key then the slot and Vyper
+ * hashes the slot then the key, e.g., Curve LP tokens.
+ */
+function getBalanceKey(account, { slot, vyper = false }) {
+  const types = vyper ? ['uint256', 'address'] : ['address', 'uint256'];
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(types, vyper ? [slot, account] : [account, slot]));
+}
+
+async function balanceOf(provider, token, account) {
+  const result = await provider.call({ to: token, data: erc20.encodeFunctionData('balanceOf', [account]) });
+  return erc20.decodeFunctionResult('balanceOf', result)[0];
+}
+
+async function setStorageAt({ network }, address, key, value) {
+  await network.provider.send('hardhat_setStorageAt', [
+    address,
+    ethers.utils.hexValue(key),
+    ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32),
+  ]);
+}
+
+/**
+ * Finds the balance mapping of a token by writing a probe balance at every candidate slot until `balanceOf` returns
+ * it. Storage is restored after every probe. Proxies work as the mapping lives in the storage of the proxy.
+ * The slot is cached per token. Returns `{slot, vyper}` or `undefined` for tokens whose balances are computed, e.g.,
+ * rebasing tokens.
+ */
+async function findBalanceSlot(hre, token) {
+  const { provider } = hre.ethers;
+  const cacheKey = token.toLowerCase();
+  if (cacheKey in slots) {
+    return slots[cacheKey] || undefined;
+  }
+  slots[cacheKey] = null;
+  for (let slot = 0; slot < MAX_SLOT && !slots[cacheKey]; slot++) {
+    for (const vyper of [false, true]) {
+      const key = getBalanceKey(PROBE_ACCOUNT, { slot, vyper });
+      const previous = await provider.getStorageAt(token, key);
+      await setStorageAt(hre, token, key, PROBE);
+      const balance = await balanceOf(provider, token, PROBE_ACCOUNT).catch(() => undefined);
+      await setStorageAt(hre, token, key, previous);
+      if (balance && balance.eq(PROBE)) {
+        slots[cacheKey] = { slot, vyper };
+        break;
+      }
+    }
+  }
+  return slots[cacheKey] || undefined;
+}
+
+async function addEth({ ethers, network }, account, amount) {
+  const balance = await ethers.provider.getBalance(account);
+  await network.provider.send('hardhat_setBalance', [account, ethers.utils.hexValue(balance.add(amount))]);
+}
+
+/**
+ * Ways to fund an account with a token. Tokens use `storage` unless `TOKEN_STRATEGIES` says otherwise and fall back
+ * to a `whale` of `TOKEN_WHALE_MAP` when their balance slot is not found.
+ */
+const STRATEGIES = {
+  // The balance is written in the mapping. The total supply is left as is.
+  async storage(hre, token, account, amount) {
+    const location = await findBalanceSlot(hre, token);
+    if (!location) {
+      return false;
+    }
+    const key = getBalanceKey(account, location);
+    const balance = ethers.BigNumber.from(await hre.ethers.provider.getStorageAt(token, key));
+    await setStorageAt(hre, token, key, balance.add(amount));
+    return true;
+  },
+
+  // stETH balances are shares of the pooled ether, so the account stakes ether. Shares round down by a wei.
+  async lido(hre, token, account, amount) {
+    await addEth(hre, account, amount);
+    const lido = new ethers.Contract(token, LIDO_ABI, await impersonateAddress(account));
+    await (await lido.submit(ADDRESS_ZERO, { value: amount, gasPrice: 0 })).wait();
+    return true;
+  },
+
+  // aToken balances grow with the liquidity index, so the account deposits the underlying in the lending pool
+  async aave(hre, token, account, amount) {
+    const aToken = new ethers.Contract(token, ATOKEN_ABI, hre.ethers.provider);
+    const underlying = await aToken.UNDERLYING_ASSET_ADDRESS();
+    await fundToken(hre, underlying, account, amount);
+    const signer = await impersonateAddress(account);
+    const pool = new ethers.Contract(await aToken.POOL(), LENDING_POOL_ABI, signer);
+    await (
+      await new ethers.Contract(underlying, ERC20_ABI, signer).approve(pool.address, amount, { gasPrice: 0 })
+    ).wait();
+    await (await pool.deposit(underlying, amount, account, 0, { gasPrice: 0 })).wait();
+    return true;
+  },
+
+  async whale(hre, token, account, amount) {
+    const whale = Object.keys(TOKEN_WHALE_MAP).find((address) => address.toLowerCase() === token.toLowerCase());
+    if (!whale) {
+      return false;
+    }
+    const signer = await impersonateAddress(TOKEN_WHALE_MAP[whale]);
+    await (await new ethers.Contract(token, ERC20_ABI, signer).transfer(account, amount, { gasPrice: 0 })).wait();
+    return true;
+  },
+};
+
+// Tokens whose balance is not a plain mapping
+const TOKEN_STRATEGIES = {
+  [addresses.lido.steth.toLowerCase()]: 'lido',
+  ...Object.fromEntries(addresses.aave.atokens.map(({ atoken }) => [atoken.toLowerCase(), 'aave'])),
+};
+
+/**
+ * Adds `amount` of `token` to the balance of `account`. ETH is set with `hardhat_setBalance`.
+ */
+async function fundToken(hre, token, account, amount) {
+  if (isEth(token)) {
+    await addEth(hre, account, amount);
+    return;
+  }
+  const strategy = TOKEN_STRATEGIES[token.toLowerCase()] || 'storage';
+  if (await STRATEGIES[strategy](hre, token, account, amount)) {
+    return;
+  }
+  if (!(await STRATEGIES.whale(hre, token, account, amount))) {
+    throw new Error(`Cannot fund ${token}: no balance slot found and no whale`);
+  }
+}
+
+async function getDefaultAmount({ ethers }, token) {
+  if (isEth(token)) {
+    return TOKEN_AMOUNT_MAP[ETH];
+  }
+  if (TOKEN_AMOUNT_MAP[token]) {
+    return TOKEN_AMOUNT_MAP[token];
+  }
+  const decimals = await new ethers.Contract(token, ERC20_ABI, ethers.provider).decimals();
+  return ethers.utils.parseUnits(String(DEFAULT_UNITS), decimals);
+}
+
+/**
+ * Funds every account with every token on a fork. `amounts` are by token index and default to `TOKEN_AMOUNT_MAP` or
+ * to a thousand units of the token.
+ */
+async function fund(accounts, { tokens, amounts } = {}) {
+  const hre = require('hardhat');
+  tokens = tokens || DEFAULT_TOKENS;
+  amounts = amounts || {};
+
+  for (let i = 0; i < tokens.length; i++) {
+    const amount = amounts[i] ? amounts[i] : await getDefaultAmount(hre, tokens[i]);
+    for (const account of accounts) {
+      await fundToken(hre, tokens[i], account, amount);
+    }
+  }
+}
+
+/**
+ * Random wallets connected to the provider, funded with `fundOpts` of `fund` when given
+ */
+async function createWallets(number, fundOpts) {
+  const { ethers } = require('hardhat');
+  const wallets = [];
+  for (let i = 0; i < number; i++) {
+    wallets.push(ethers.Wallet.createRandom().connect(ethers.provider));
+  }
+  if (fundOpts) {
+    await fund(
+      wallets.map((o) => o.address),
+      fundOpts,
+    );
+  }
+  return wallets;
+}
+
+module.exports = {
+  STRATEGIES,
+  TOKEN_STRATEGIES,
+  TOKEN_AMOUNT_MAP,
+  getBalanceKey,
+  findBalanceSlot,
+  fundToken,
+  fund,
+  createWallets,
+};
@@ -0,0 +1,97 @@
+const { ethers } = require('ethers');
+const { getGasPrice: getBlocknativeGasPrice } = require('./gasnow');
+
+const DEFAULT_GAS_PRICING = {
+  providers: ['feeHistory', 'cap'],
+  // Gwei
+  maxFeePerGas: 500,
+  maxPriorityFeePerGas: 1,
+  // Blocks and reward percentile of the `eth_feeHistory` estimation
+  blocks: 20,
+  percentile: 60,
+};
+
+const toGwei = (value) => ethers.utils.parseUnits(String(value), 'gwei');
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : ethers.constants.Zero;
+}
+
+/**
+ * Sources of EIP-1559 fees in wei. Every provider returns `{maxFeePerGas, maxPriorityFeePerGas}` or throws.
+ */
+const PROVIDERS = {
+  async blocknative() {
+    if (!process.env.BLOCKNATIVE_API_KEY) {
+      throw new Error('BLOCKNATIVE_API_KEY is not set');
+    }
+    const { maxFeePerGas, maxPriorityFeePerGas } = await getBlocknativeGasPrice();
+    return {
+      maxFeePerGas: ethers.BigNumber.from(maxFeePerGas),
+      maxPriorityFeePerGas: ethers.BigNumber.from(maxPriorityFeePerGas),
+    };
+  },
+
+  // The priority fee is the median of the reward percentile of the last blocks. The max fee covers twice the next
+  // base fee like ethers does.
+  async feeHistory({ provider }, { blocks, percentile }) {
+    const { baseFeePerGas, reward } = await provider.send('eth_feeHistory', [
+      ethers.utils.hexValue(blocks),
+      'latest',
+      [percentile],
+    ]);
+    if (!baseFeePerGas || baseFeePerGas.length === 0) {
+      throw new Error('eth_feeHistory returned no base fee');
+    }
+    const nextBaseFee = ethers.BigNumber.from(baseFeePerGas[baseFeePerGas.length - 1]);
+    const maxPriorityFeePerGas = median((reward || []).map(([fee]) => ethers.BigNumber.from(fee)));
+    return { maxFeePerGas: nextBaseFee.mul(2).add(maxPriorityFeePerGas), maxPriorityFeePerGas };
+  },
+
+  async cap(network, { maxFeePerGas, maxPriorityFeePerGas }) {
+    return { maxFeePerGas: toGwei(maxFeePerGas), maxPriorityFeePerGas: toGwei(maxPriorityFeePerGas) };
+  },
+};
+
+/**
+ * Fees of the first provider of the network which answers, with the max fee capped at the `maxFeePerGas` of the
+ * network. Logs the provider used whenever it changes and the providers failing.
+ * @param {object} provider - Ethers provider of the network
+ * @param {object} gasPricing - Gas pricing of the network: `providers`, `maxFeePerGas` and `maxPriorityFeePerGas` in
+ * gwei, `blocks` and `percentile` of the fee history
+ * @param {object} state - Keeps the last `source` between calls
+ */
+async function getFees({ provider }, gasPricing, state = {}) {
+  const options = { ...DEFAULT_GAS_PRICING, ...gasPricing };
+  const ceiling = toGwei(options.maxFeePerGas);
+  for (const name of options.providers) {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown gas price provider ${name}. Use one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    let fees;
+    try {
+      fees = await PROVIDERS[name]({ provider }, options);
+    } catch (e) {
+      console.warn(`Gas price provider ${name} failed: ${e.message}`);
+      continue;
+    }
+    const maxFeePerGas = fees.maxFeePerGas.gt(ceiling) ? ceiling : fees.maxFeePerGas;
+    const maxPriorityFeePerGas = fees.maxPriorityFeePerGas.gt(maxFeePerGas) ? maxFeePerGas : fees.maxPriorityFeePerGas;
+    if (state.source !== name) {
+      state.source = name;
+      const [maxFee, priorityFee] = [maxFeePerGas, maxPriorityFeePerGas].map((fee) =>
+        ethers.utils.formatUnits(fee, 'gwei'),
+      );
+      console.log(`Gas price from ${name}: max fee ${maxFee} gwei, priority fee ${priorityFee} gwei`);
+    }
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+  throw new Error(`No gas price provider answered among ${options.providers.join(', ')}`);
+}
+
+module.exports = {
+  DEFAULT_GAS_PRICING,
+  PROVIDERS,
+  getFees,
+};
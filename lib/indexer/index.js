@@ -0,0 +1,264 @@
+const { ethers } = require('ethers');
+const { createJsonLinesStore } = require('./store');
+
+// Artifacts whose events are decoded for every kind of source. Garden modules emit from the garden address.
+const SOURCE_ARTIFACTS = {
+  BabController: ['BabController'],
+  Garden: ['Garden', 'StrategyGardenModule'],
+  Strategy: ['Strategy'],
+  Heart: ['Heart'],
+  RewardsDistributor: ['RewardsDistributor'],
+};
+
+const STRATEGY_LIFECYCLE_EVENTS = [
+  'AddStrategy',
+  'StrategyVoted',
+  'StrategyExecuted',
+  'StrategyReduced',
+  'StrategyFinalized',
+  'StrategyExpired',
+  'StrategyDeleted',
+];
+
+const DEFAULT_STEP = 2000;
+
+async function getInterface(hre, names) {
+  const abi = [];
+  for (const name of names) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    // Keep the first declaration of an event shared by several artifacts
+    abi.push(...artifact.abi.filter((o) => o.type === 'event' && !abi.some((e) => e.name === o.name)));
+  }
+  return new ethers.utils.Interface(abi);
+}
+
+/**
+ * Strategies created by the gardens from `fromBlock` to `toBlock`, read from their `AddStrategy` logs in chunks of
+ * `step` blocks. Returns `{address, garden}` of each.
+ */
+async function getCreatedStrategies(hre, gardens, { fromBlock, toBlock, step = DEFAULT_STEP }) {
+  const { provider } = hre.ethers;
+  const topic = (await getInterface(hre, SOURCE_ARTIFACTS.Garden)).getEventTopic('AddStrategy');
+  const strategies = [];
+  for (let chunkStart = fromBlock; gardens.length > 0 && chunkStart <= toBlock; chunkStart += step) {
+    const logs = await provider.send('eth_getLogs', [
+      {
+        address: gardens,
+        topics: [topic],
+        fromBlock: ethers.utils.hexValue(chunkStart),
+        toBlock: ethers.utils.hexValue(Math.min(chunkStart + step - 1, toBlock)),
+      },
+    ]);
+    strategies.push(
+      ...logs.map((log) => ({
+        address: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)),
+        garden: ethers.utils.getAddress(log.address),
+      })),
+    );
+  }
+  return strategies;
+}
+
+/**
+ * Lists the contracts to index: the controller, the Heart, the rewards distributor and every garden
+ * and strategy, active or finalized, known by the controller. Expired and deleted candidates are in none of the
+ * lists of their garden, so the strategies created from `fromBlock` to `toBlock` are added when a range is given.
+ */
+async function getSources(hre, { fromBlock, toBlock, step } = {}) {
+  const { ethers, getContract } = hre;
+  const [deployer] = await ethers.getSigners();
+  const babController = await getContract('BabController', 'BabControllerProxy', deployer);
+
+  const sources = [
+    { kind: 'BabController', address: babController.address },
+    { kind: 'Heart', address: await babController.heart() },
+    { kind: 'RewardsDistributor', address: await babController.rewardsDistributor() },
+  ];
+  for (const garden of await babController.getGardens()) {
+    const gardenContract = await ethers.getContractAt('IGarden', garden);
+    sources.push({ kind: 'Garden', address: garden });
+    for (const strategy of [
+      ...(await gardenContract.getStrategies()),
+      ...(await gardenContract.getFinalizedStrategies()),
+    ]) {
+      sources.push({ kind: 'Strategy', address: strategy, garden });
+    }
+  }
+  if (fromBlock !== undefined && toBlock !== undefined) {
+    const gardens = sources.filter(({ kind }) => kind === 'Garden').map(({ address }) => address);
+    const known = sources.map(({ address }) => address.toLowerCase());
+    for (const { address, garden } of await getCreatedStrategies(hre, gardens, { fromBlock, toBlock, step })) {
+      if (!known.includes(address.toLowerCase())) {
+        known.push(address.toLowerCase());
+        sources.push({ kind: 'Strategy', address, garden });
+      }
+    }
+  }
+
+  const interfaces = {};
+  for (const kind of Object.keys(SOURCE_ARTIFACTS)) {
+    interfaces[kind] = await getInterface(hre, SOURCE_ARTIFACTS[kind]);
+  }
+
+  return sources
+    .filter((source) => source.address !== ethers.constants.AddressZero)
+    .map((source) => ({ ...source, address: ethers.utils.getAddress(source.address), iface: interfaces[source.kind] }));
+}
+
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, index) => {
+    const value = args[index];
+    result[input.name || index] = ethers.BigNumber.isBigNumber(value)
+      ? value.toString()
+      : value && value._isIndexed
+      ? value.hash
+      : value;
+  });
+  return result;
+}
+
+/**
+ * Decodes a raw log emitted by one of the sources. Logs with unknown topics are skipped.
+ */
+function decodeLog(sourcesByAddress, log) {
+  const source = sourcesByAddress[ethers.utils.getAddress(log.address)];
+  let parsed;
+  try {
+    parsed = source.iface.parseLog(log);
+  } catch (e) {
+    return undefined;
+  }
+  return {
+    blockNumber: ethers.BigNumber.from(log.blockNumber).toNumber(),
+    transactionHash: log.transactionHash,
+    logIndex: ethers.BigNumber.from(log.logIndex).toNumber(),
+    address: source.address,
+    contract: source.kind,
+    garden: source.garden,
+    event: parsed.name,
+    args: serializeArgs(parsed.eventFragment, parsed.args),
+  };
+}
+
+/**
+ * Block where the controller was deployed, or the genesis if the deployment is unknown
+ */
+async function getDefaultFromBlock(hre) {
+  const deployment = await hre.deployments.getOrNull('BabControllerProxy');
+  return deployment && deployment.receipt ? deployment.receipt.blockNumber : 0;
+}
+
+/**
+ * Scans the logs of every source from `fromBlock` to `toBlock` in chunks of `step` blocks and appends the
+ * decoded events to the store. Scans resume after the last block indexed by the store. The state is saved
+ * after every chunk so an interrupted scan loses at most one chunk.
+ */
+async function indexEvents(hre, { store, fromBlock, toBlock, step = DEFAULT_STEP, log = true }) {
+  const { provider } = hre.ethers;
+  const lastBlock = await store.getLastBlock();
+  const start =
+    lastBlock !== undefined ? lastBlock + 1 : fromBlock !== undefined ? fromBlock : await getDefaultFromBlock(hre);
+  const end = toBlock !== undefined ? toBlock : await provider.getBlockNumber();
+
+  if (start > end) {
+    log && console.log(`Already indexed up to block ${lastBlock}`);
+    return { fromBlock: start, toBlock: end, count: 0 };
+  }
+
+  const sources = await getSources(hre, { fromBlock: start, toBlock: end, step });
+  const sourcesByAddress = Object.fromEntries(sources.map((source) => [source.address, source]));
+  const addresses = sources.map((source) => source.address);
+  log && console.log(`Indexing ${sources.length} contracts from block ${start} to ${end}`);
+
+  let count = 0;
+  for (let chunkStart = start; chunkStart <= end; chunkStart += step) {
+    const chunkEnd = Math.min(chunkStart + step - 1, end);
+    // eth_getLogs filters by several addresses at once which the ethers provider filter does not support
+    const logs = await provider.send('eth_getLogs', [
+      { address: addresses, fromBlock: ethers.utils.hexValue(chunkStart), toBlock: ethers.utils.hexValue(chunkEnd) },
+    ]);
+    const events = logs.map((o) => decodeLog(sourcesByAddress, o)).filter((event) => !!event);
+    await store.append(events, chunkEnd);
+    count += events.length;
+    log && console.log(`  blocks ${chunkStart}-${chunkEnd}: ${events.length} events`);
+  }
+
+  return { fromBlock: start, toBlock: end, count };
+}
+
+/**
+ * Filters indexed events. Every criterion is optional and addresses are case insensitive.
+ */
+function queryEvents(events, { contract, event, address, garden, fromBlock, toBlock } = {}) {
+  const names = [].concat(event || []);
+  const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  return events.filter(
+    (o) =>
+      (!contract || o.contract === contract) &&
+      (names.length === 0 || names.includes(o.event)) &&
+      (!address || sameAddress(o.address, address)) &&
+      (!garden || sameAddress(o.contract === 'Garden' ? o.address : o.garden, garden)) &&
+      (fromBlock === undefined || o.blockNumber >= fromBlock) &&
+      (toBlock === undefined || o.blockNumber <= toBlock),
+  );
+}
+
+function getDeposits(events, filter) {
+  return queryEvents(events, { ...filter, contract: 'Garden', event: 'GardenDeposit' });
+}
+
+function getWithdrawals(events, filter) {
+  return queryEvents(events, { ...filter, contract: 'Garden', event: 'GardenWithdrawal' });
+}
+
+/**
+ * Lifecycle transitions of strategies, from creation by the garden to finalization.
+ */
+function getStrategyLifecycle(events, { strategy, ...filter } = {}) {
+  const address = strategy && ethers.utils.getAddress(strategy);
+  return queryEvents(events, { ...filter, event: STRATEGY_LIFECYCLE_EVENTS }).filter(
+    (o) => !address || (o.contract === 'Strategy' ? o.address : o.args._strategy) === address,
+  );
+}
+
+/**
+ * Keeper fees paid by strategies on execution and finalization, in the garden reserve asset.
+ */
+function getKeeperFees(events, filter) {
+  return queryEvents(events, {
+    ...filter,
+    contract: 'Strategy',
+    event: ['StrategyExecuted', 'StrategyFinalized'],
+  }).filter((o) => o.args._fee !== '0');
+}
+
+/**
+ * Groups the Heart events emitted by every pump, which starts by collecting the fees.
+ */
+function getHeartPumps(events, filter) {
+  const heartEvents = queryEvents(events, { ...filter, contract: 'Heart' });
+  return heartEvents
+    .filter((o) => o.event === 'FeesCollected')
+    .map((pump) => ({
+      ...pump,
+      events: heartEvents.filter((o) => o.transactionHash === pump.transactionHash && o !== pump),
+    }));
+}
+
+module.exports = {
+  SOURCE_ARTIFACTS,
+  STRATEGY_LIFECYCLE_EVENTS,
+  createJsonLinesStore,
+  getSources,
+  getCreatedStrategies,
+  getDefaultFromBlock,
+  decodeLog,
+  indexEvents,
+  queryEvents,
+  getDeposits,
+  getWithdrawals,
+  getStrategyLifecycle,
+  getKeeperFees,
+  getHeartPumps,
+};
@@ -0,0 +1,58 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const EVENTS_FILE = 'events.jsonl';
+const STATE_FILE = 'state.json';
+
+/**
+ * JSON-lines store of decoded events. Every event is appended as a line to `events.jsonl` and the last indexed
+ * block is kept in `state.json` so an interrupted scan resumes where it stopped.
+ */
+function createJsonLinesStore(dir) {
+  const eventsPath = path.join(dir, EVENTS_FILE);
+  const statePath = path.join(dir, STATE_FILE);
+
+  async function getLastBlock() {
+    if (!(await fs.pathExists(statePath))) {
+      return undefined;
+    }
+    const { lastBlock } = await fs.readJson(statePath);
+    return lastBlock;
+  }
+
+  // Events are written before the state so a crash in between re-indexes the range instead of skipping it
+  async function append(events, lastBlock) {
+    await fs.ensureDir(dir);
+    if (events.length > 0) {
+      await fs.appendFile(eventsPath, events.map((event) => JSON.stringify(event) + '\n').join(''));
+    }
+    await fs.outputJson(statePath, { lastBlock }, { spaces: 2 });
+  }
+
+  async function getEvents() {
+    if (!(await fs.pathExists(eventsPath))) {
+      return [];
+    }
+    const lastBlock = await getLastBlock();
+    const seen = new Set();
+    return (await fs.readFile(eventsPath, 'utf8'))
+      .split('\n')
+      .filter((line) => !!line)
+      .map((line) => JSON.parse(line))
+      .filter((event) => {
+        // Drop events of a range indexed twice after a crash
+        const id = `${event.transactionHash}:${event.logIndex}`;
+        if (seen.has(id) || event.blockNumber > lastBlock) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      });
+  }
+
+  return { dir, getLastBlock, append, getEvents };
+}
+
+module.exports = {
+  createJsonLinesStore,
+};
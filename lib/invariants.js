@@ -0,0 +1,212 @@
+const { ethers } = require('ethers');
+
+// Invariants every garden of the protocol holds between transactions.
+// `valuation` recomputes GardenValuer.calculateGardenValuation from the same reads, so it only guards the decimal
+// normalization of the valuer. `principal` compares the deposits tracked per contributor with the balances read by the
+// viewer.
+const INVARIANTS = {
+  valuation: 'reserve balance + strategy NAVs - rewards set aside - keeper debt = GardenValuer valuation x supply',
+  principal: 'sum of contributor principals = Viewer.getGardenPrincipal',
+  rewardsSetAside: 'reserveAssetRewardsSetAside <= reserve balance',
+  finalizedCapital: 'finalized strategies hold no capital',
+  readable: 'the state of the garden reads without reverts',
+};
+
+// `valuation` and `principal` are relative, `dust` is in units of the reserve asset
+const DEFAULT_TOLERANCES = {
+  valuation: '0.000001',
+  principal: '0.01',
+  dust: '0.0001',
+};
+
+// Wei lost by the roundings of preciseMul and preciseDiv
+const ROUNDING = 1000;
+
+const sum = (values) => values.reduce((total, value) => total.add(value), ethers.BigNumber.from(0));
+
+/**
+ * Whether `a` and `b` differ by at most `tolerance`, a fraction of the largest
+ */
+function isClose(a, b, tolerance) {
+  const max = a.gt(b) ? a : b;
+  const allowed = max.mul(ethers.utils.parseEther(tolerance)).div(ethers.constants.WeiPerEther);
+  return a.sub(b).abs().lte(allowed.add(ROUNDING));
+}
+
+/**
+ * Reads what the invariants of a garden need, amounts in its reserve asset. `fromBlock` is the first block to search
+ * for deposits, so a fork does not query the history of mainnet.
+ */
+async function getGardenState(hre, address, { fromBlock = 0 } = {}) {
+  const { ethers: hreEthers, deployments } = hre;
+  const garden = await hreEthers.getContractAt('IGarden', address);
+  const reserveAsset = await hreEthers.getContractAt(
+    '@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20',
+    await garden.reserveAsset(),
+  );
+  const getStrategy = (strategy) => hreEthers.getContractAt('Strategy', strategy);
+
+  const strategies = [];
+  for (const strategy of await garden.getStrategies()) {
+    strategies.push({ address: strategy, nav: await (await getStrategy(strategy)).getNAV() });
+  }
+  const finalizedStrategies = [];
+  for (const strategy of await garden.getFinalizedStrategies()) {
+    finalizedStrategies.push({
+      address: strategy,
+      nav: await (await getStrategy(strategy)).getNAV(),
+      reserveBalance: await reserveAsset.balanceOf(strategy),
+    });
+  }
+
+  const deposits = await garden.queryFilter(garden.filters.GardenDeposit(), fromBlock);
+  const contributors = [...new Set(deposits.map(({ args }) => args._to))];
+  const principals = [];
+  for (const contributor of contributors) {
+    const { withdrawnSince, totalDeposits } = await garden.getContributor(contributor);
+    principals.push(totalDeposits.sub(withdrawnSince));
+  }
+
+  // The valuer reverts when the rewards set aside exceed the reserve balance and the NAVs, which the other
+  // invariants still check
+  const gardenValuer = await deployments.getOrNull('GardenValuer');
+  let valuation;
+  let valuationError;
+  if (gardenValuer) {
+    const valuer = await hreEthers.getContractAt('GardenValuer', gardenValuer.address);
+    try {
+      valuation = await valuer.calculateGardenValuation(address, reserveAsset.address);
+    } catch (e) {
+      valuationError = e.message;
+    }
+  }
+  const viewer = await deployments.getOrNull('Viewer');
+  return {
+    address,
+    name: await garden.name(),
+    decimals: await reserveAsset.decimals(),
+    reserveBalance: await reserveAsset.balanceOf(address),
+    rewardsSetAside: await garden.reserveAssetRewardsSetAside(),
+    keeperDebt: await garden.keeperDebt(),
+    supply: await garden.totalSupply(),
+    strategies,
+    finalizedStrategies,
+    contributorPrincipal: sum(principals),
+    valuation,
+    valuationError,
+    viewerPrincipal:
+      viewer && (await (await hreEthers.getContractAt('IViewer', viewer.address)).getGardenPrincipal(address)),
+  };
+}
+
+/**
+ * Checks the `INVARIANTS` of the state of a garden and returns its failures, `{invariant, garden, message}` each.
+ * Invariants in `skip`, and those whose contract is not deployed, are not checked.
+ */
+function checkGardenInvariants(state, { tolerances = {}, skip = [] } = {}) {
+  const allTolerances = { ...DEFAULT_TOLERANCES, ...tolerances };
+  const { valuation: valuationTolerance, principal: principalTolerance, dust } = allTolerances;
+  const format = (value) => ethers.utils.formatUnits(value, state.decimals);
+  const failures = [];
+  const fail = (invariant, message) => failures.push({ invariant, garden: `${state.name} ${state.address}`, message });
+  const shouldCheck = (invariant) => !skip.includes(invariant);
+
+  if (shouldCheck('valuation') && state.valuationError) {
+    fail('valuation', `GardenValuer.calculateGardenValuation reverts: ${state.valuationError}`);
+  }
+
+  if (shouldCheck('valuation') && state.valuation) {
+    const navs = sum(state.strategies.map(({ nav }) => nav));
+    const value = state.reserveBalance.add(navs).sub(state.rewardsSetAside).sub(state.keeperDebt);
+    // Valuations are normalized to 18 decimals
+    const valued = state.valuation
+      .mul(state.supply)
+      .div(ethers.constants.WeiPerEther)
+      .div(ethers.BigNumber.from(10).pow(18 - state.decimals));
+    if (!isClose(value, valued, valuationTolerance)) {
+      fail(
+        'valuation',
+        `reserve balance ${format(state.reserveBalance)} + strategy NAVs ${format(navs)} - rewards set aside ` +
+          `${format(state.rewardsSetAside)} - keeper debt ${format(state.keeperDebt)} = ${format(value)} but ` +
+          `GardenValuer valuation ${ethers.utils.formatEther(state.valuation)} x supply ` +
+          `${ethers.utils.formatEther(state.supply)} = ${format(valued)}`,
+      );
+    }
+  }
+
+  if (shouldCheck('principal') && state.viewerPrincipal) {
+    if (!isClose(state.contributorPrincipal, state.viewerPrincipal, principalTolerance)) {
+      fail(
+        'principal',
+        `sum of contributor principals ${format(state.contributorPrincipal)} but Viewer.getGardenPrincipal ` +
+          `${format(state.viewerPrincipal)}`,
+      );
+    }
+  }
+
+  if (shouldCheck('rewardsSetAside') && state.rewardsSetAside.gt(state.reserveBalance)) {
+    fail(
+      'rewardsSetAside',
+      `reserveAssetRewardsSetAside ${format(state.rewardsSetAside)} above reserve balance ` +
+        `${format(state.reserveBalance)}`,
+    );
+  }
+
+  if (shouldCheck('finalizedCapital')) {
+    const maxDust = ethers.utils.parseUnits(dust, state.decimals);
+    for (const { address, nav, reserveBalance } of state.finalizedStrategies) {
+      if (nav.gt(maxDust) || reserveBalance.gt(maxDust)) {
+        fail(
+          'finalizedCapital',
+          `finalized strategy ${address} holds a NAV of ${format(nav)} and a reserve balance of ` +
+            `${format(reserveBalance)}`,
+        );
+      }
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Checks the invariants of every garden of the controller. A garden whose state cannot be read, e.g., a strategy
+ * reverting on `getNAV`, fails `readable` and the other gardens are still checked.
+ */
+async function checkInvariants(hre, controller, options = {}) {
+  const { forking = {} } = hre.network.config;
+  const fromBlock = forking.enabled && Number.isFinite(forking.blockNumber) ? forking.blockNumber + 1 : 0;
+  const { skip = [] } = options;
+  const failures = [];
+  for (const garden of await controller.getGardens()) {
+    let state;
+    try {
+      state = await getGardenState(hre, garden, { fromBlock });
+    } catch (e) {
+      if (!skip.includes('readable')) {
+        failures.push({ invariant: 'readable', garden, message: e.message });
+      }
+      continue;
+    }
+    failures.push(...checkGardenInvariants(state, options));
+  }
+  return failures;
+}
+
+function formatInvariantFailures(failures) {
+  return [
+    `${failures.length} protocol invariants broken:`,
+    ...failures.map(
+      ({ invariant, garden, message }) => `  ${invariant} (${INVARIANTS[invariant]}) of garden ${garden}: ${message}`,
+    ),
+  ].join('\n');
+}
+
+module.exports = {
+  INVARIANTS,
+  DEFAULT_TOLERANCES,
+  isClose,
+  getGardenState,
+  checkGardenInvariants,
+  checkInvariants,
+  formatInvariantFailures,
+};
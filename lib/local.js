@@ -0,0 +1,230 @@
+const { ethers } = require('ethers');
+const { setCode } = require('./rpc');
+const addresses = require('./addresses');
+
+const FEED_DECIMALS = 8;
+const MAX_UINT_256 = ethers.constants.MaxUint256;
+
+// Tokens of the local environment at their mainnet address as the core contracts hardcode them. Prices in USD.
+const LOCAL_TOKENS = {
+  WETH: { address: addresses.tokens.WETH, name: 'Wrapped Ether', decimals: 18, price: 2000, contract: 'LocalWETHMock' },
+  DAI: { address: addresses.tokens.DAI, name: 'Dai Stablecoin', decimals: 18, price: 1 },
+  USDC: { address: addresses.tokens.USDC, name: 'USD Coin', decimals: 6, price: 1 },
+  WBTC: { address: addresses.tokens.WBTC, name: 'Wrapped BTC', decimals: 8, price: 30000 },
+  BABL: { address: addresses.tokens.BABL, name: 'Babylon.Finance', decimals: 18, price: 10 },
+  AAVE: { address: addresses.tokens.AAVE, name: 'Aave Token', decimals: 18, price: 100 },
+};
+
+// Reserves of the lending pool
+const LOCAL_LEND_ASSETS = ['WETH', 'DAI', 'USDC', 'WBTC'];
+
+// Value of both sides of every TOKEN/WETH pool, deep enough for the default trade slippage of the strategies
+const LOCAL_LIQUIDITY_USD = 100e6;
+
+const LOCAL_VENUES = {
+  univ2Router: addresses.uniswap.router,
+  lendingPool: addresses.aave.lendingPool,
+  dataProvider: addresses.aave.dataProvider,
+  stkAAVE: '0x4da27a545c0c5B758a6BA100e3a049001de870f5',
+};
+
+// Core tags the local profile deploys, in the order of their migrations
+const LOCAL_CORE_TAGS = [
+  'Controller',
+  'Token',
+  'Registry',
+  'Distributor',
+  'Treasury',
+  'Valuer',
+  'Gate',
+  'GardenFactory',
+  'StrategyFactory',
+  'AaveLend',
+  'BuyOp',
+  'LendOp',
+  'GardenNFT',
+  'StrategyNFT',
+  'MardukGate',
+  'UniV2Trade',
+];
+
+/**
+ * The local profile runs on the hardhat network without a fork
+ */
+const isLocal = ({ network }) => network.name === 'hardhat' && !(network.config.forking || {}).enabled;
+
+const toUnits = (amount, decimals) => ethers.utils.parseUnits(amount.toFixed(decimals), decimals);
+
+async function deployMock({ deployments, getNamedAccounts }, name, { contract, args = [] } = {}) {
+  const { deployer } = await getNamedAccounts();
+  return await deployments.deploy(name, { from: deployer, contract, args, log: true });
+}
+
+/**
+ * Sets the code of a mock at a mainnet address. Storage starts empty, so etched mocks keep no constructor state.
+ */
+async function etch(hre, address, contract) {
+  const mock = await deployMock(hre, contract);
+  await setCode(address, await hre.ethers.provider.getCode(mock.address));
+  const { deployer } = await hre.getNamedAccounts();
+  return await hre.ethers.getContractAt(contract, address, await hre.ethers.getSigner(deployer));
+}
+
+// Etched mocks keep their storage when the profile runs again
+async function initialize(token, name, symbol, decimals) {
+  if ((await token.symbol()) === '') {
+    await (await token.initialize(name, symbol, decimals)).wait();
+  }
+}
+
+/**
+ * Stands up the venues of the local environment:
+ * - mock ERC20s at the mainnet address of `LOCAL_TOKENS` with a `<SYMBOL>PriceFeed` in USD each
+ * - a constant product AMM at the Uniswap V2 router
+ * - an Aave V2 lending pool, data provider and stkAAVE with an `a<SYMBOL>` token by reserve
+ */
+async function deployLocalVenues(hre) {
+  for (const [symbol, { address, name, decimals, price, contract }] of Object.entries(LOCAL_TOKENS)) {
+    const token = await etch(hre, address, contract || 'LocalERC20Mock');
+    await initialize(token, name, symbol, decimals);
+    await deployMock(hre, `${symbol}PriceFeed`, {
+      contract: 'PriceFeedMock',
+      args: [toUnits(price, FEED_DECIMALS), FEED_DECIMALS],
+    });
+  }
+
+  await etch(hre, LOCAL_VENUES.univ2Router, 'UniswapV2RouterMock');
+
+  const stkAAVE = await etch(hre, LOCAL_VENUES.stkAAVE, 'StakedAaveMock');
+  await initialize(stkAAVE, 'Staked Aave', 'stkAAVE', 18);
+  const pools = [
+    await etch(hre, LOCAL_VENUES.lendingPool, 'AaveLendingPoolMock'),
+    await etch(hre, LOCAL_VENUES.dataProvider, 'AaveLendingPoolMock'),
+  ];
+  for (const symbol of LOCAL_LEND_ASSETS) {
+    const { address, decimals } = LOCAL_TOKENS[symbol];
+    const aToken = await deployMock(hre, `a${symbol}`, { contract: 'LocalERC20Mock' });
+    await initialize(
+      await hre.ethers.getContractAt('LocalERC20Mock', aToken.address),
+      `Aave interest bearing ${symbol}`,
+      `a${symbol}`,
+      decimals,
+    );
+    for (const pool of pools) {
+      await (await pool.initReserve(address, aToken.address)).wait();
+    }
+  }
+}
+
+/**
+ * Wires the deployed protocol to the local venues: a price oracle reading the feeds, a master swapper trading through
+ * the Uniswap V2 integration, a heart without garden and `LOCAL_LIQUIDITY_USD` of liquidity in every TOKEN/WETH pool.
+ */
+async function wireLocalProtocol(hre) {
+  const { deployments, ethers, network, getNamedAccounts } = hre;
+  const { deployer } = await getNamedAccounts();
+  const signer = await ethers.getSigner(deployer);
+  const controller = await hre.getController();
+
+  await deployMock(hre, 'PriceOracleMock');
+  const oracle = await hre.getContract('PriceOracleMock', undefined, signer);
+  const feeds = {};
+  for (const [symbol, { address }] of Object.entries(LOCAL_TOKENS)) {
+    feeds[symbol] = (await deployments.get(`${symbol}PriceFeed`)).address;
+    await (await oracle.setFeed(address, feeds[symbol])).wait();
+  }
+  for (const symbol of LOCAL_LEND_ASSETS) {
+    await (await oracle.setFeed((await deployments.get(`a${symbol}`)).address, feeds[symbol])).wait();
+  }
+  await (await oracle.setFeed((await deployments.get('BABLToken')).address, feeds.BABL)).wait();
+  if ((await controller.priceOracle()) !== oracle.address) {
+    await (await controller.editPriceOracle(oracle.address)).wait();
+  }
+
+  const univ2 = await deployments.get('UniswapV2TradeIntegration');
+  const swapper = await deployMock(hre, 'MasterSwapperMock', { args: [univ2.address] });
+  if ((await controller.masterSwapper()) !== swapper.address) {
+    await (await controller.setMasterSwapper(swapper.address)).wait();
+  }
+
+  const heart = await deployMock(hre, 'HeartMock');
+  if ((await controller.heart()) !== heart.address) {
+    await (await controller.editHeart(heart.address)).wait();
+  }
+
+  const router = await ethers.getContractAt('UniswapV2RouterMock', LOCAL_VENUES.univ2Router, signer);
+  const weth = await ethers.getContractAt('LocalWETHMock', LOCAL_TOKENS.WETH.address, signer);
+  const wethAmount = toUnits(LOCAL_LIQUIDITY_USD / LOCAL_TOKENS.WETH.price, 18);
+  for (const [symbol, { address, decimals, price }] of Object.entries(LOCAL_TOKENS)) {
+    if (symbol === 'WETH' || !(await router.reserves(address, weth.address)).isZero()) {
+      continue;
+    }
+    const token = await ethers.getContractAt('LocalERC20Mock', address, signer);
+    const amount = toUnits(LOCAL_LIQUIDITY_USD / price, decimals);
+    await (await token.mint(deployer, amount)).wait();
+    await (await weth.mint(deployer, wethAmount)).wait();
+    await (await token.approve(router.address, MAX_UINT_256)).wait();
+    await (await weth.approve(router.address, MAX_UINT_256)).wait();
+    await (await router.addLiquidity(address, weth.address, amount, wethAmount, 0, 0, deployer, MAX_UINT_256)).wait();
+  }
+  // Back the minted WETH so it can be withdrawn
+  await network.provider.send('hardhat_setBalance', [
+    weth.address,
+    ethers.utils.hexStripZeros((await weth.totalSupply()).toHexString()),
+  ]);
+}
+
+/**
+ * USD price of a local token read from its feed
+ */
+async function getLocalPrice(hre, symbol) {
+  const feed = await hre.getContract('PriceFeedMock', `${symbol}PriceFeed`);
+  return +ethers.utils.formatUnits(await feed.latestAnswer(), FEED_DECIMALS);
+}
+
+/**
+ * Moves the USD price of a local token: its feed answers `price` and the reserves of its TOKEN/WETH pools are set to
+ * the new price, keeping their WETH side. Tokens missing in the router are minted to it.
+ */
+async function setLocalPrice(hre, symbol, price) {
+  if (!LOCAL_TOKENS[symbol]) {
+    throw new Error(`Unknown local token ${symbol}. Use one of ${Object.keys(LOCAL_TOKENS).join(', ')}`);
+  }
+  const { deployer } = await hre.getNamedAccounts();
+  const signer = await hre.ethers.getSigner(deployer);
+  const feed = await hre.getContract('PriceFeedMock', `${symbol}PriceFeed`, signer);
+  await (await feed.setAnswer(toUnits(price, FEED_DECIMALS))).wait();
+
+  const { WETH } = LOCAL_TOKENS;
+  const wethPrice = await getLocalPrice(hre, 'WETH');
+  const router = await hre.ethers.getContractAt('UniswapV2RouterMock', LOCAL_VENUES.univ2Router, signer);
+  // A WETH shock moves every pool
+  const symbols = symbol === 'WETH' ? Object.keys(LOCAL_TOKENS).filter((name) => name !== 'WETH') : [symbol];
+  for (const name of symbols) {
+    const { address, decimals } = LOCAL_TOKENS[name];
+    const wethReserve = await router.reserves(WETH.address, address);
+    if (wethReserve.isZero()) {
+      continue;
+    }
+    const tokenPrice = await getLocalPrice(hre, name);
+    const reserve = toUnits((+ethers.utils.formatUnits(wethReserve, WETH.decimals) * wethPrice) / tokenPrice, decimals);
+    const current = await router.reserves(address, WETH.address);
+    if (reserve.gt(current)) {
+      const token = await hre.ethers.getContractAt('LocalERC20Mock', address, signer);
+      await (await token.mint(router.address, reserve.sub(current))).wait();
+    }
+    await (await router.setReserves(address, WETH.address, reserve, wethReserve)).wait();
+  }
+}
+
+module.exports = {
+  LOCAL_TOKENS,
+  LOCAL_LEND_ASSETS,
+  LOCAL_VENUES,
+  LOCAL_CORE_TAGS,
+  isLocal,
+  deployLocalVenues,
+  wireLocalProtocol,
+  getLocalPrice,
+  setLocalPrice,
+};
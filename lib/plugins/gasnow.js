@@ -1,12 +1,15 @@
-const { extendEnvironment } = require('hardhat/config');
-const { getGasPrice } = require('../../lib/gasnow');
-const { from } = require('../helpers');
+const { extendConfig, extendEnvironment } = require('hardhat/config');
+const { DEFAULT_GAS_PRICING, getFees } = require('../../lib/gas-price');
+
+// Networks take a `gasPricing` with the providers to query in order and the fee caps, see lib/gas-price.js
+extendConfig((config, userConfig) => {
+  for (const [name, network] of Object.entries(config.networks)) {
+    const userNetwork = (userConfig.networks || {})[name] || {};
+    network.gasPricing = { ...DEFAULT_GAS_PRICING, ...userNetwork.gasPricing };
+  }
+});
 
 extendEnvironment((hre) => {
-  hre.getGasPrice = async () => {
-    const chainId = await hre.getChainId();
-    if (chainId === '1') {
-      return await getGasPrice();
-    } else return { maxPriorityFeePerGas: 1000000000 };
-  };
+  const state = {};
+  hre.getGasPrice = async () => await getFees(hre.ethers, hre.network.config.gasPricing, state);
 });
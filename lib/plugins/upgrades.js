@@ -4,6 +4,7 @@ const AdminUpgradeabilityProxy = require('@openzeppelin/upgrades-core/artifacts/
 const ProxyAdmin = require('@openzeppelin/upgrades-core/artifacts/contracts/proxy/ProxyAdmin.sol/ProxyAdmin.json');
 const { assertUpgradeSafe, getVersion, getUnlinkedBytecode } = require('@openzeppelin/upgrades-core');
 const { readValidations } = require('@openzeppelin/hardhat-upgrades/dist/validations');
+const { validateUpgrade } = require('../storage-layout');
 
 const DEPLOY_ONLY = process.env.DEPLOY_ONLY;
 const UPGRADE_ONLY = process.env.UPGRADE_ONLY;
@@ -77,7 +78,8 @@ const upgradeAdmin = async (proxyName, previousImplName, newImplName, postUpgrad
   if (previousImplName === newImplName) throw new Error("Same implementation, can't upgrade.");
 
   // validations
-  console.log('TODO: Implement upgrade validations');
+  await validateUpgrade(hreLocal, proxyName.replace(/Proxy$/, ''), previousImplName, newImplName);
+  console.log(`Storage layout of ${newImplName} is compatible with ${previousImplName}`);
 
   const newImplFactory = await ethers.getContractFactory(newImplName);
   const validations = await readValidations(hreLocal);
@@ -135,7 +137,8 @@ const upgradeBeacon = async (beaconName, previousImplName, newImplName, postUpgr
   if (previousImplName === newImplName) throw new Error("Same implementation, can't upgrade.");
 
   // validations
-  console.log('TODO: Implement upgrade validations');
+  await validateUpgrade(hreLocal, beaconName.replace(/Beacon$/, ''), previousImplName, newImplName);
+  console.log(`Storage layout of ${newImplName} is compatible with ${previousImplName}`);
 
   const signer = await getSigner(opts.from);
   const beaconContract = await ethers.getContractAt(beacon.abi, beacon.address, signer);
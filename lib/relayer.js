@@ -0,0 +1,428 @@
+const http = require('http');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { from, formatUnit } = require('./helpers');
+const { ADDRESS_ZERO } = require('./constants.js');
+const {
+  isValidSignatureNow,
+  getDepositSigHash,
+  getWithdrawSigHash,
+  getRewardsSigHash,
+  getStakeRewardsSigHash,
+} = require('./signatures');
+const { getCostInReserve } = require('./scripts/keeper');
+
+const RELAY_TYPES = {
+  DEPOSIT: 'deposit',
+  WITHDRAW: 'withdraw',
+  CLAIM: 'claim',
+  CLAIM_AND_STAKE: 'claimAndStake',
+};
+
+const RELAY_STATUS = {
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+const ERC20 = '@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20';
+
+/**
+ * Normalizes a payload received over HTTP. Amounts may be sent as decimal or hex strings.
+ */
+function parsePayload(body) {
+  const { type, garden, signer, signature } = body;
+  if (!Object.values(RELAY_TYPES).includes(type)) {
+    throw new Error(`Relay type: "${type}" not supported`);
+  }
+  if (!ethers.utils.isAddress(garden || '') || !ethers.utils.isAddress(signer || '')) {
+    throw new Error('Invalid garden or signer address');
+  }
+  if (!ethers.utils.isHexString(signature || '')) {
+    throw new Error('Invalid signature');
+  }
+  const payload = {
+    type,
+    garden: ethers.utils.getAddress(garden),
+    signer: ethers.utils.getAddress(signer),
+    signature,
+    nonce: from(body.nonce),
+    maxFee: from(body.maxFee),
+  };
+  switch (type) {
+    case RELAY_TYPES.DEPOSIT:
+      return {
+        ...payload,
+        amountIn: from(body.amountIn),
+        minAmountOut: from(body.minAmountOut),
+        to: ethers.utils.getAddress(body.to || signer),
+        referrer: ethers.utils.getAddress(body.referrer || ADDRESS_ZERO),
+      };
+    case RELAY_TYPES.WITHDRAW:
+      return {
+        ...payload,
+        amountIn: from(body.amountIn),
+        minAmountOut: from(body.minAmountOut),
+        withPenalty: !!body.withPenalty,
+        unwindStrategy: ethers.utils.getAddress(body.unwindStrategy || ADDRESS_ZERO),
+      };
+    case RELAY_TYPES.CLAIM:
+      return { ...payload, babl: from(body.babl), profits: from(body.profits) };
+    default:
+      return {
+        ...payload,
+        babl: from(body.babl),
+        profits: from(body.profits),
+        minAmountOut: from(body.minAmountOut),
+        nonceHeart: from(body.nonceHeart),
+      };
+  }
+}
+
+// Deposits check the nonce of the receiver, every other action the nonce of the signer
+function getNonceOwner({ type, signer, to }) {
+  return type === RELAY_TYPES.DEPOSIT ? to : signer;
+}
+
+function getPayloadHash(payload, heartGarden) {
+  const { type, garden, nonce, maxFee } = payload;
+  switch (type) {
+    case RELAY_TYPES.DEPOSIT:
+      return getDepositSigHash(
+        garden,
+        payload.amountIn,
+        payload.minAmountOut,
+        nonce,
+        maxFee,
+        payload.to,
+        payload.referrer,
+      );
+    case RELAY_TYPES.WITHDRAW:
+      return getWithdrawSigHash(garden, payload.amountIn, payload.minAmountOut, nonce, maxFee, payload.withPenalty);
+    case RELAY_TYPES.CLAIM:
+      return getRewardsSigHash(garden, payload.babl, payload.profits, nonce, maxFee);
+    default:
+      return getStakeRewardsSigHash(
+        heartGarden,
+        payload.babl,
+        payload.profits,
+        payload.minAmountOut,
+        nonce,
+        payload.nonceHeart,
+        maxFee,
+        payload.signer,
+      );
+  }
+}
+
+function populateRelay(garden, payload, { pricePerShare, strategyNAV, fee }) {
+  const { type, nonce, maxFee, signer, signature } = payload;
+  switch (type) {
+    case RELAY_TYPES.DEPOSIT:
+      return garden.populateTransaction.depositBySig(
+        payload.amountIn,
+        payload.minAmountOut,
+        nonce,
+        maxFee,
+        payload.to,
+        pricePerShare,
+        fee,
+        signer,
+        payload.referrer,
+        signature,
+      );
+    case RELAY_TYPES.WITHDRAW:
+      return garden.populateTransaction.withdrawBySig(
+        payload.amountIn,
+        payload.minAmountOut,
+        nonce,
+        maxFee,
+        payload.withPenalty,
+        payload.unwindStrategy,
+        pricePerShare,
+        strategyNAV,
+        fee,
+        signer,
+        signature,
+      );
+    case RELAY_TYPES.CLAIM:
+      return garden.populateTransaction.claimRewardsBySig(
+        payload.babl,
+        payload.profits,
+        nonce,
+        maxFee,
+        fee,
+        signer,
+        signature,
+      );
+    default:
+      return garden.populateTransaction.claimAndStakeRewardsBySig(
+        payload.babl,
+        payload.profits,
+        payload.minAmountOut,
+        nonce,
+        payload.nonceHeart,
+        maxFee,
+        pricePerShare,
+        fee,
+        signer,
+        signature,
+      );
+  }
+}
+
+/**
+ * Creates a relayer that validates signed garden actions, queues them and submits them in batches
+ * from the `keeper` account, which has to be a valid keeper of the controller.
+ * The relayer charges the estimated gas cost in the garden reserve asset and rejects payloads whose
+ * `maxFee` does not cover it.
+ * @param {object} hre - Hardhat runtime environment
+ * @param {object} keeper - Signer submitting the transactions
+ * @param {number} maxBatch - Max number of requests submitted per batch
+ */
+function createRelayer(hre, { keeper, maxBatch = 20 } = {}) {
+  const requests = new Map();
+
+  async function getContext() {
+    const controller = await hre.getContract('BabController', 'BabControllerProxy');
+    const heart = await hre.ethers.getContractAt('IHeart', await controller.heart());
+    const { maxFeePerGas } = await hre.getGasPrice();
+    return {
+      controller,
+      heartGarden: await heart.heartGarden(),
+      priceOracle: await hre.ethers.getContractAt('IPriceOracle', await controller.priceOracle()),
+      gardenValuer: await hre.ethers.getContractAt('IGardenValuer', await controller.gardenValuer()),
+      gasPrice: maxFeePerGas ? from(maxFeePerGas) : await hre.ethers.provider.getGasPrice(),
+    };
+  }
+
+  async function checkAllowance(token, owner, spender, amount, what) {
+    if ((await token.balanceOf(owner)).lt(amount)) {
+      throw new Error(`Insufficient ${what} balance`);
+    }
+    if ((await token.allowance(owner, spender)).lt(amount)) {
+      throw new Error(`Insufficient ${what} allowance`);
+    }
+  }
+
+  /**
+   * Checks a payload against the current chain state and returns the transaction to relay it.
+   * Throws with the reason when the payload cannot be relayed.
+   */
+  async function validate(ctx, payload) {
+    const { ethers } = hre;
+    const { controller, heartGarden, priceOracle, gardenValuer, gasPrice } = ctx;
+    const { type, signer, nonce, maxFee } = payload;
+
+    if (!(await controller.isGarden(payload.garden))) {
+      throw new Error(`${payload.garden} is not a garden`);
+    }
+    const garden = await ethers.getContractAt('IGarden', payload.garden, keeper);
+    const reserveAsset = await garden.reserveAsset();
+    const reserve = await ethers.getContractAt(ERC20, reserveAsset);
+
+    if (
+      !(await isValidSignatureNow(ethers.provider, signer, getPayloadHash(payload, heartGarden), payload.signature))
+    ) {
+      throw new Error('Invalid signature');
+    }
+
+    const [, , , , , , , contributorNonce] = await garden.getContributor(getNonceOwner(payload));
+    if (!contributorNonce.eq(nonce)) {
+      throw new Error(`Invalid nonce ${nonce.toString()}, expected ${contributorNonce.toString()}`);
+    }
+
+    let pricePerShare = from(0);
+    let strategyNAV = from(0);
+    switch (type) {
+      case RELAY_TYPES.DEPOSIT:
+        await checkAllowance(reserve, signer, garden.address, payload.amountIn, 'reserve asset');
+        pricePerShare = await gardenValuer.calculateGardenValuation(garden.address, reserveAsset);
+        break;
+      case RELAY_TYPES.WITHDRAW:
+        if ((await garden.balanceOf(signer)).lt(payload.amountIn)) {
+          throw new Error('Insufficient garden token balance');
+        }
+        pricePerShare = await gardenValuer.calculateGardenValuation(garden.address, reserveAsset);
+        if (payload.unwindStrategy !== ADDRESS_ZERO) {
+          strategyNAV = await (await ethers.getContractAt('IStrategy', payload.unwindStrategy)).getNAV();
+        }
+        break;
+      case RELAY_TYPES.CLAIM:
+        await checkAllowance(reserve, signer, garden.address, maxFee, 'reserve asset');
+        break;
+      default: {
+        await checkAllowance(reserve, signer, garden.address, maxFee, 'reserve asset');
+        const heart = await ethers.getContractAt('IGarden', heartGarden);
+        const [, , , , , , , heartNonce] = await heart.getContributor(signer);
+        if (!heartNonce.eq(payload.nonceHeart)) {
+          throw new Error(`Invalid heart nonce ${payload.nonceHeart.toString()}, expected ${heartNonce.toString()}`);
+        }
+        pricePerShare = await gardenValuer.calculateGardenValuation(heartGarden, await heart.reserveAsset());
+      }
+    }
+
+    // Estimating with the max fee doubles as a dry run of the whole call
+    const gas = await keeper.estimateGas(
+      await populateRelay(garden, payload, { pricePerShare, strategyNAV, fee: maxFee }),
+    );
+    const fee = await getCostInReserve(hre, { priceOracle, reserveAsset }, gas.mul(gasPrice));
+    if (fee.gt(maxFee)) {
+      throw new Error(`Max fee ${maxFee.toString()} below relay cost ${fee.toString()}`);
+    }
+
+    return { garden, fee, gas, tx: await populateRelay(garden, payload, { pricePerShare, strategyNAV, fee }) };
+  }
+
+  function isPending({ status }) {
+    return status === RELAY_STATUS.QUEUED || status === RELAY_STATUS.SUBMITTED;
+  }
+
+  function update(request, fields) {
+    Object.assign(request, fields, { updatedAt: Date.now() });
+    return request;
+  }
+
+  /**
+   * Validates a signed payload and queues it. Returns the queued request or throws with the reason.
+   * Requests are identified by the hash of their signature so resubmitting a payload is idempotent.
+   */
+  async function submit(body) {
+    const payload = parsePayload(body);
+    const id = ethers.utils.keccak256(payload.signature);
+    if (requests.has(id) && requests.get(id).status !== RELAY_STATUS.FAILED) {
+      return requests.get(id);
+    }
+    const conflict = [...requests.values()].find(
+      (o) =>
+        isPending(o) &&
+        o.payload.garden === payload.garden &&
+        getNonceOwner(o.payload) === getNonceOwner(payload) &&
+        o.payload.nonce.eq(payload.nonce),
+    );
+    if (conflict) {
+      throw new Error(`Nonce ${payload.nonce.toString()} already used by request ${conflict.id}`);
+    }
+
+    const { fee } = await validate(await getContext(), payload);
+    const request = { id, payload, status: RELAY_STATUS.QUEUED, fee, createdAt: Date.now(), updatedAt: Date.now() };
+    requests.set(id, request);
+    console.log(`Queued ${chalk.cyan(payload.type)} of ${payload.signer} in ${payload.garden} fee ${formatUnit(fee)}`);
+    return request;
+  }
+
+  function getRequest(id) {
+    return requests.get(id);
+  }
+
+  /**
+   * Submits the next batch of queued requests. Payloads are validated again since the chain may have
+   * moved since they were queued. Transactions are sent back to back and awaited together.
+   */
+  async function processBatch() {
+    const batch = [...requests.values()].filter((o) => o.status === RELAY_STATUS.QUEUED).slice(0, maxBatch);
+    if (!batch.length) {
+      return [];
+    }
+    const ctx = await getContext();
+    if (!(await ctx.controller.isValidKeeper(keeper.address))) {
+      throw new Error(`${keeper.address} is not a valid keeper`);
+    }
+
+    const gasPrice = await hre.getGasPrice();
+    let nonce = await keeper.getTransactionCount('pending');
+    const sent = [];
+    for (const request of batch) {
+      try {
+        const { tx, fee, gas } = await validate(ctx, request.payload);
+        const response = await keeper.sendTransaction({ ...tx, ...gasPrice, gasLimit: gas.mul(12).div(10), nonce });
+        nonce++;
+        sent.push({ request, response });
+        update(request, { status: RELAY_STATUS.SUBMITTED, fee, hash: response.hash });
+        console.log(`Submitted ${chalk.cyan(request.payload.type)} ${request.id} Tx hash ${response.hash}`);
+      } catch (e) {
+        update(request, { status: RELAY_STATUS.FAILED, error: e.reason || e.message });
+        console.log(`${chalk.red('Failed')} ${request.id}: ${request.error}`);
+      }
+    }
+
+    for (const { request, response } of sent) {
+      try {
+        const receipt = await response.wait();
+        update(request, { status: RELAY_STATUS.CONFIRMED, blockNumber: receipt.blockNumber });
+      } catch (e) {
+        update(request, { status: RELAY_STATUS.FAILED, error: e.reason || e.message });
+        console.log(`${chalk.red('Reverted')} ${request.id}: ${request.error}`);
+      }
+    }
+    return batch;
+  }
+
+  return { submit, getRequest, processBatch };
+}
+
+function serializeRequest({ id, payload, status, fee, hash, blockNumber, error, createdAt, updatedAt }) {
+  return {
+    id,
+    type: payload.type,
+    garden: payload.garden,
+    signer: payload.signer,
+    nonce: payload.nonce.toString(),
+    status,
+    fee: fee && fee.toString(),
+    hash,
+    blockNumber,
+    error,
+    createdAt,
+    updatedAt,
+  };
+}
+
+function send(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * HTTP front of a relayer:
+ *   POST /relay      queues a signed payload, returns the request or a 400 with the reason
+ *   GET  /relay/:id  returns the status of a request
+ */
+function createServer(relayer) {
+  return http.createServer((req, res) => {
+    const [, resource, id] = req.url.split('?')[0].split('/');
+    if (resource !== 'relay') {
+      return send(res, 404, { error: 'Not found' });
+    }
+
+    if (req.method === 'GET' && id) {
+      const request = relayer.getRequest(id);
+      return request ? send(res, 200, serializeRequest(request)) : send(res, 404, { error: 'Unknown request' });
+    }
+
+    if (req.method === 'POST' && !id) {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', async () => {
+        try {
+          const request = await relayer.submit(JSON.parse(body));
+          send(res, 202, serializeRequest(request));
+        } catch (e) {
+          send(res, 400, { error: e.reason || e.message });
+        }
+      });
+      return;
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+  });
+}
+
+module.exports = {
+  RELAY_TYPES,
+  RELAY_STATUS,
+  parsePayload,
+  createRelayer,
+  createServer,
+};
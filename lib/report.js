@@ -0,0 +1,89 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+
+const REPORT_FORMATS = ['json', 'csv', 'table'];
+
+/**
+ * Adds the `--format` and `--out` params shared by the reporting tasks
+ */
+function addReportParams(taskDefinition) {
+  return taskDefinition
+    .addOptionalParam('format', `Output format: ${REPORT_FORMATS.join(', ')}. Prints the text report if not set`)
+    .addOptionalParam('out', 'File to write the report to. Format is taken from the extension if not set');
+}
+
+// BigNumbers are serialized as integers in the token decimals to keep full precision
+function toJson(data) {
+  return JSON.stringify(
+    data,
+    (key, value) =>
+      value && value.type === 'BigNumber' && value.hex ? ethers.BigNumber.from(value.hex).toString() : value,
+    2,
+  );
+}
+
+function toCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return String(value);
+}
+
+function toCsv({ columns, rows }) {
+  const escape = (cell) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+  return [columns, ...rows.map((row) => columns.map((column) => toCell(row[column])))]
+    .map((line) => line.map(escape).join(','))
+    .join('\n');
+}
+
+function toTable({ columns, rows }) {
+  const lines = [columns, ...rows.map((row) => columns.map((column) => toCell(row[column])))];
+  const widths = columns.map((column, i) => Math.max(...lines.map((line) => line[i].length)));
+  const format = (line) =>
+    line
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd();
+  return [format(lines[0]), widths.map((width) => '-'.repeat(width)).join('  '), ...lines.slice(1).map(format)].join(
+    '\n',
+  );
+}
+
+/**
+ * Renders the result of a reporting task.
+ * `json` renders the whole `data` tree while `csv` and `table` render the flat `rows` of `columns`.
+ * Without a format nor an output file the text report is printed with `print`.
+ * @param {string} format - One of REPORT_FORMATS
+ * @param {string} out - File to write the report to instead of stdout
+ * @param {object} report - `{ data, columns, rows, print }`
+ */
+async function renderReport({ format, out }, { data, columns, rows, print }) {
+  if (!format && !out) {
+    return print(data);
+  }
+  format = format || path.extname(out).slice(1);
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Report format: "${format}" not supported`);
+  }
+  const content =
+    format === 'json' ? toJson(data) : format === 'csv' ? toCsv({ columns, rows }) : toTable({ columns, rows });
+  if (out) {
+    await fs.outputFile(out, `${content}\n`);
+    console.log(`Report written to ${out}`);
+  } else {
+    console.log(content);
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  addReportParams,
+  renderReport,
+  toJson,
+  toCsv,
+  toTable,
+};
@@ -0,0 +1,170 @@
+const http = require('http');
+const path = require('path');
+const axios = require('axios');
+const chalk = require('chalk');
+const fs = require('fs-extra');
+
+const MODES = ['record', 'replay'];
+const DEFAULT_PORT = 8546;
+const MISS_CODE = -32001;
+const SAVE_DELAY = 1000;
+
+const getCachePath = (root, block) => path.join(root, 'rpc-cache', `${block}.json`);
+
+// Params differ by the case of their hex strings only between clients
+function normalize(value) {
+  if (typeof value === 'string') {
+    return value.toLowerCase();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, normalize(value[key])]),
+    );
+  }
+  return value;
+}
+
+const getCacheKey = ({ method, params = [] }) => `${method} ${JSON.stringify(normalize(params))}`;
+
+function readCache(file, block) {
+  if (!fs.existsSync(file)) {
+    return { block, entries: {} };
+  }
+  const cache = fs.readJsonSync(file);
+  if (cache.block !== block) {
+    throw new Error(`RPC cache ${file} was recorded at block ${cache.block}, not ${block}`);
+  }
+  return cache;
+}
+
+/**
+ * Cache of the JSON-RPC calls of a fork pinned at `block`. Calls are keyed by their method and params, so the file
+ * has no upstream url, nor key, and can be shared between machines.
+ * - `record`: misses are forwarded to `url` and their results saved in `file`. Errors are not saved.
+ * - `replay`: only cached calls are served, misses are answered with an error naming the call.
+ */
+function createRpcCache({ url, file, block, mode = 'replay' }) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown RPC cache mode ${mode}. Use one of ${MODES.join(', ')}`);
+  }
+  if (mode === 'record' && !url) {
+    throw new Error('Recording the RPC cache needs the url of an archive node');
+  }
+  const cache = readCache(file, block);
+  const misses = {};
+  let recorded = 0;
+  let timer;
+
+  function save() {
+    clearTimeout(timer);
+    timer = undefined;
+    const entries = Object.fromEntries(
+      Object.keys(cache.entries)
+        .sort()
+        .map((key) => [key, cache.entries[key]]),
+    );
+    fs.outputJsonSync(file, { block, entries }, { spaces: 2 });
+  }
+
+  async function forward({ method, params = [] }) {
+    const { data } = await axios.post(url, { jsonrpc: '2.0', id: 1, method, params });
+    return data;
+  }
+
+  async function handle(request) {
+    const key = getCacheKey(request);
+    const reply = (body) => ({ jsonrpc: '2.0', id: request.id, ...body });
+    if (key in cache.entries) {
+      return reply({ result: cache.entries[key] });
+    }
+    if (mode === 'replay') {
+      if (!misses[key]) {
+        console.log(chalk.red(`RPC cache miss ${key}`));
+      }
+      misses[key] = (misses[key] || 0) + 1;
+      return reply({ error: { code: MISS_CODE, message: `RPC cache of block ${block} has no ${key}` } });
+    }
+    const { result, error } = await forward(request);
+    if (error) {
+      return reply({ error });
+    }
+    cache.entries[key] = result;
+    recorded++;
+    timer = timer || setTimeout(save, SAVE_DELAY);
+    return reply({ result });
+  }
+
+  return {
+    mode,
+    block,
+    file,
+    handle,
+    save,
+    getStats: () => ({ entries: Object.keys(cache.entries).length, recorded, misses }),
+  };
+}
+
+/**
+ * Serves a cache over HTTP so the `forking.url` of hardhat can point at it. Batches are answered call by call.
+ */
+async function startRpcCacheServer(cache, { port = DEFAULT_PORT, host = '127.0.0.1' } = {}) {
+  const respond = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', async () => {
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (e) {
+        return respond(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      }
+      try {
+        const response = Array.isArray(request)
+          ? await Promise.all(request.map(cache.handle))
+          : await cache.handle(request);
+        respond(res, 200, response);
+      } catch (e) {
+        respond(res, 502, { jsonrpc: '2.0', id: request.id, error: { code: -32603, message: e.message } });
+      }
+    });
+  });
+  await new Promise((resolve, reject) => server.once('error', reject).listen(port, host, resolve));
+  return server;
+}
+
+function printRpcCacheStats({ mode, block, file, getStats }) {
+  const { entries, recorded, misses } = getStats();
+  console.log(`RPC cache of block ${block} at ${file}: ${entries} calls`);
+  if (mode === 'record') {
+    console.log(chalk.green(`${recorded} calls recorded`));
+    return;
+  }
+  const missed = Object.keys(misses);
+  if (missed.length === 0) {
+    console.log(chalk.green('No cache miss'));
+    return;
+  }
+  console.log(chalk.red(`${missed.length} calls missed the cache, record them with --mode record`));
+  for (const key of missed) {
+    console.log(chalk.red(`  ${key} (${misses[key]}x)`));
+  }
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_PORT,
+  getCachePath,
+  getCacheKey,
+  createRpcCache,
+  startRpcCacheServer,
+  printRpcCacheStats,
+};
@@ -32,8 +32,34 @@ const restoreSnapshot = async (id) => {
   });
 };
 
+const resetFork = async (jsonRpcUrl, blockNumber) => {
+  const hre = require('hardhat');
+  await hre.network.provider.request({
+    method: 'hardhat_reset',
+    params: [{ forking: { jsonRpcUrl, blockNumber } }],
+  });
+};
+
+// `hardhat_mine` skips blocks at once, e.g., the voting period of the governor. Older nodes mine them one by one.
+const mineBlocks = async (blocks, interval = 13) => {
+  const hre = require('hardhat');
+  try {
+    await hre.network.provider.send('hardhat_mine', [
+      hre.ethers.utils.hexValue(blocks),
+      hre.ethers.utils.hexValue(interval),
+    ]);
+  } catch (e) {
+    for (let i = 0; i < blocks; i++) {
+      await hre.network.provider.send('evm_increaseTime', [interval]);
+      await hre.network.provider.send('evm_mine');
+    }
+  }
+};
+
 module.exports = {
   impersonateAddress,
+  mineBlocks,
+  resetFork,
   takeSnapshot,
   restoreSnapshot,
   setCode,
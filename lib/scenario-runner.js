@@ -0,0 +1,290 @@
+const { ethers } = require('ethers');
+const addresses = require('./addresses');
+const { ADDRESS_ZERO, ONE_DAY_IN_SECONDS, STRATEGY_PARAMS_MAP, getGardenParams } = require('./constants.js');
+const { fundToken } = require('./funding');
+const { isLocal, getLocalPrice, setLocalPrice } = require('./local');
+const { ACCOUNTS, OPERATIONS, METRICS, checkExpectation, describeExpectation } = require('./scenario');
+
+// Units of the params of a scenario: `reserve` amounts, `shares` of the garden, `fraction`s and `days`
+const GARDEN_PARAM_UNITS = {
+  maxDepositLimit: 'reserve',
+  minLiquidityAsset: 'reserve',
+  minContribution: 'reserve',
+  depositHardlock: 'days',
+  strategyCooldownPeriod: 'days',
+  minVotesQuorum: 'fraction',
+  minStrategyDuration: 'days',
+  maxStrategyDuration: 'days',
+  pricePerShareDecayRate: 'fraction',
+  pricePerShareDelta: 'fraction',
+};
+
+const STRATEGY_PARAM_UNITS = {
+  maxCapitalRequested: 'reserve',
+  stake: 'shares',
+  strategyDuration: 'days',
+  expectedReturn: 'fraction',
+  maxAllocationPercentage: 'fraction',
+  maxGasFeePercentage: 'fraction',
+  maxTradeSlippagePercentage: 'fraction',
+};
+
+const resolveToken = (token) => {
+  if (ethers.utils.isAddress(token)) {
+    return ethers.utils.getAddress(token);
+  }
+  if (!addresses.tokens[token]) {
+    throw new Error(`Unknown token ${token}`);
+  }
+  return addresses.tokens[token];
+};
+
+const getERC20 = ({ ethers }, address) =>
+  ethers.getContractAt('@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20', address);
+
+async function getDecimals(hre, token) {
+  return await (await getERC20(hre, token)).decimals();
+}
+
+function convertParams(params = {}, units, decimals) {
+  const convert = (unit, value) => {
+    switch (unit) {
+      case 'reserve':
+        return ethers.utils.parseUnits(String(value), decimals);
+      case 'shares':
+      case 'fraction':
+        return ethers.utils.parseEther(String(value));
+      case 'days':
+        return ethers.BigNumber.from(Math.round(value * ONE_DAY_IN_SECONDS.toNumber()));
+      default:
+        return value;
+    }
+  };
+  return Object.fromEntries(Object.entries(params).map(([key, value]) => [key, convert(units[key], value)]));
+}
+
+/**
+ * Runs a scenario of lib/scenario.js on the fixture of its network and returns its report. Steps run in order until
+ * one throws, the steps left are skipped. Failed expectations are reported and do not stop the scenario.
+ * The `fixtures` come from the tests, see test/fixtures/ScenarioRunner.js: `setupTests` and `setupLocalTests` for
+ * the fork and local networks, `createGarden` with the `CONTRIBUTORS_MAP` of every reserve asset, `createStrategy`,
+ * `executeStrategy`, `finalizeStrategy` and `strategyParamsToArray`.
+ */
+async function runScenario(hre, scenario, fixtures) {
+  const { ethers } = hre;
+  const {
+    setupTests,
+    setupLocalTests,
+    CONTRIBUTORS_MAP,
+    createGarden,
+    createStrategy,
+    executeStrategy,
+    finalizeStrategy,
+    strategyParamsToArray,
+  } = fixtures;
+  if (isLocal(hre) !== (scenario.network === 'local')) {
+    throw new Error(
+      `Scenario ${scenario.name} runs on the ${scenario.network} network. ${
+        scenario.network === 'local' ? 'Unset FORK' : 'Set FORK=true'
+      }`,
+    );
+  }
+  await (scenario.network === 'local' ? setupLocalTests() : setupTests())();
+
+  const signers = await ethers.getSigners();
+  const accounts = Object.fromEntries(ACCOUNTS.map((name, i) => [name, signers[i]]));
+  const [, keeper, , creator] = signers;
+  const gardenValuer = await ethers.getContractAt('GardenValuer', (await hre.deployments.get('GardenValuer')).address);
+  const gardens = {};
+  const strategies = {};
+  const reserves = {};
+
+  async function deposit(gardenId, from, amount) {
+    const garden = gardens[gardenId];
+    const { address, decimals } = reserves[gardenId];
+    const signer = accounts[from];
+    const value = ethers.utils.parseUnits(String(amount), decimals);
+    const isWeth = address === addresses.tokens.WETH;
+    await fundToken(hre, isWeth ? ADDRESS_ZERO : address, signer.address, value);
+    if (!isWeth) {
+      await (await getERC20(hre, address)).connect(signer).approve(garden.address, value, { gasPrice: 0 });
+    }
+    await garden
+      .connect(signer)
+      .deposit(value, 1, signer.address, ADDRESS_ZERO, { gasPrice: 0, ...(isWeth ? { value } : {}) });
+  }
+
+  for (const [id, { reserveAsset, params, depositors = [], ...options }] of Object.entries(scenario.gardens)) {
+    const address = resolveToken(reserveAsset);
+    reserves[id] = { address, decimals: await getDecimals(hre, address) };
+    const contribution = CONTRIBUTORS_MAP[address];
+    await fundToken(hre, address === addresses.tokens.WETH ? ADDRESS_ZERO : address, creator.address, contribution);
+    gardens[id] = await createGarden({
+      reserveAsset: address,
+      name: id,
+      symbol: id.slice(0, 4).toUpperCase(),
+      signer: creator,
+      params: params && getGardenParams(convertParams(params, GARDEN_PARAM_UNITS, reserves[id].decimals)),
+      publicGardenStrategistsStewards: options.public === false ? [false, false, false] : [true, true, true],
+    });
+    for (const { from, amount } of depositors) {
+      await deposit(id, from, amount);
+    }
+  }
+
+  const getGardenId = (strategyId) => strategies[strategyId].garden;
+
+  const ACTIONS = {
+    async deposit({ garden, from, amount }) {
+      await deposit(garden, from, amount);
+    },
+
+    async createStrategy({ id, garden, strategist = 'signer1', operations, params }) {
+      const integrations = [];
+      const data = [];
+      for (const { integration, asset, param = 0 } of operations) {
+        integrations.push((await hre.deployments.get(integration)).address);
+        data.push(resolveToken(asset), param);
+      }
+      const reserve = reserves[garden];
+      const strategyParams = {
+        ...STRATEGY_PARAMS_MAP[reserve.address],
+        ...convertParams(params, STRATEGY_PARAM_UNITS, reserve.decimals),
+      };
+      const single = operations.length === 1;
+      const strategy = await createStrategy(
+        single ? operations[0].kind : 'complex',
+        'dataset',
+        [accounts[strategist]],
+        single ? integrations[0] : integrations,
+        gardens[garden],
+        strategyParamsToArray(strategyParams),
+        data,
+        operations.map(({ kind }) => OPERATIONS[kind]),
+      );
+      strategies[id] = { contract: strategy, garden };
+    },
+
+    async vote({ strategy, voters, fee = '0' }) {
+      const gardenId = getGardenId(strategy);
+      const voterAddresses = voters.map((voter) => accounts[voter].address);
+      const votes = await Promise.all(voterAddresses.map((voter) => gardens[gardenId].balanceOf(voter)));
+      await strategies[strategy].contract
+        .connect(keeper)
+        .resolveVoting(voterAddresses, votes, ethers.utils.parseUnits(String(fee), reserves[gardenId].decimals), {
+          gasPrice: 0,
+        });
+    },
+
+    async execute({ strategy, amount, fee = '0' }) {
+      const { decimals } = reserves[getGardenId(strategy)];
+      await executeStrategy(strategies[strategy].contract, {
+        amount: ethers.utils.parseUnits(String(amount), decimals),
+        fee: ethers.utils.parseUnits(String(fee), decimals),
+        time: 0,
+      });
+    },
+
+    async finalize({ strategy, fee = '0' }) {
+      const { decimals } = reserves[getGardenId(strategy)];
+      await finalizeStrategy(strategies[strategy].contract, {
+        fee: ethers.utils.parseUnits(String(fee), decimals),
+        time: 0,
+      });
+    },
+
+    async increaseTime({ days = 0, hours = 0, seconds = 0 }) {
+      await ethers.provider.send('evm_increaseTime', [
+        Math.round((days + hours / 24) * ONE_DAY_IN_SECONDS.toNumber() + seconds),
+      ]);
+      await ethers.provider.send('evm_mine');
+    },
+
+    async priceShock({ asset, change }) {
+      await setLocalPrice(hre, asset, (await getLocalPrice(hre, asset)) * (1 + change));
+    },
+
+    async injectProfits({ strategy, asset, amount }) {
+      const token = resolveToken(asset);
+      const value = ethers.utils.parseUnits(String(amount), await getDecimals(hre, token));
+      await fundToken(hre, token, strategies[strategy].contract.address, value);
+    },
+  };
+
+  // Metrics with their decimals
+  const METRIC_VALUES = {
+    async nav({ strategy }) {
+      return [await strategies[strategy].contract.getNAV(), reserves[getGardenId(strategy)].decimals];
+    },
+
+    async returns({ strategy }) {
+      const { contract } = strategies[strategy];
+      const returns = (await contract.capitalReturned()).sub(await contract.capitalAllocated());
+      return [returns, reserves[getGardenId(strategy)].decimals];
+    },
+
+    async bablRewards({ strategy }) {
+      return [await strategies[strategy].contract.strategyRewards(), 18];
+    },
+
+    // Valuations are normalized to 18 decimals
+    async pricePerShare({ garden }) {
+      return [await gardenValuer.calculateGardenValuation(gardens[garden].address, reserves[garden].address), 18];
+    },
+
+    async keeperFees({ garden }) {
+      return [await gardens[garden].totalKeeperFees(), reserves[garden].decimals];
+    },
+  };
+
+  const steps = [];
+  let failed = false;
+  for (const [i, step] of scenario.steps.entries()) {
+    const [action] = Object.keys(step);
+    const args = step[action];
+    const entry = { step: i + 1, action: action === 'expect' ? args.metric : action };
+    entry.target =
+      action === 'expect' ? args[METRICS[args.metric]] : args.id || args.strategy || args.garden || args.asset;
+    steps.push(entry);
+    if (failed) {
+      entry.status = 'skipped';
+      continue;
+    }
+    if (action === 'expect') {
+      let actual, decimals;
+      try {
+        [actual, decimals] = await METRIC_VALUES[args.metric](args);
+      } catch (e) {
+        entry.status = 'failed';
+        entry.error = e.message;
+        failed = true;
+        continue;
+      }
+      const failures = checkExpectation(actual, args, decimals);
+      entry.actual = ethers.utils.formatUnits(actual, decimals);
+      entry.expected = describeExpectation(args);
+      entry.status = failures.length > 0 ? 'failed' : 'ok';
+      entry.error = failures.length > 0 ? `${entry.actual} is ${failures.join(' and ')}` : undefined;
+      continue;
+    }
+    try {
+      await ACTIONS[action](args);
+      entry.status = 'ok';
+    } catch (e) {
+      entry.status = 'failed';
+      entry.error = e.message;
+      failed = true;
+    }
+  }
+
+  return {
+    name: scenario.name,
+    network: scenario.network,
+    passed: steps.every(({ status }) => status === 'ok'),
+    steps,
+  };
+}
+
+module.exports = {
+  runScenario,
+};
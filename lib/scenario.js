@@ -0,0 +1,195 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+
+const NETWORKS = ['local', 'fork'];
+
+// Accounts of a scenario by index of the hardhat signers, as the fixtures use them
+const ACCOUNTS = ['deployer', 'keeper', 'owner', 'signer1', 'signer2', 'signer3', 'signer4'];
+
+// Operation kinds of the strategies
+const OPERATIONS = { buy: 0, lp: 1, vault: 2, lend: 3, borrow: 4, custom: 5 };
+
+// Fields required by every step, by action
+const ACTIONS = {
+  deposit: ['garden', 'from', 'amount'],
+  createStrategy: ['id', 'garden', 'operations'],
+  vote: ['strategy', 'voters'],
+  execute: ['strategy', 'amount'],
+  finalize: ['strategy'],
+  increaseTime: [],
+  priceShock: ['asset', 'change'],
+  injectProfits: ['strategy', 'asset', 'amount'],
+  expect: ['metric'],
+};
+
+// Target of every metric. Values are in the reserve asset of the garden, BABL rewards aside.
+const METRICS = {
+  nav: 'strategy',
+  returns: 'strategy',
+  bablRewards: 'strategy',
+  pricePerShare: 'garden',
+  keeperFees: 'garden',
+};
+
+const getScenarioFiles = (dir = path.join(__dirname, '..', 'test', 'scenarios')) =>
+  fs
+    .readdirSync(dir)
+    .filter((file) => ['.json', '.yml', '.yaml'].includes(path.extname(file)))
+    .sort()
+    .map((file) => path.join(dir, file));
+
+/**
+ * Checks the shape of a scenario so that mistakes are reported before anything runs.
+ * A scenario is `{name, description, network, gardens, steps}`:
+ * - `network`: `local` (mock venues, see lib/local.js) or `fork` (mainnet fork)
+ * - `gardens`: gardens by id, `{reserveAsset, params, public, depositors: [{from, amount}]}`, created by signer1
+ * - `steps`: one action each, e.g., `{"execute": {"strategy": "long", "amount": "1"}}`, see `ACTIONS`
+ */
+function validateScenario(scenario, name = scenario.name) {
+  const errors = [];
+  if (!scenario.name) {
+    errors.push('missing name');
+  }
+  if (!NETWORKS.includes(scenario.network)) {
+    errors.push(`network must be one of ${NETWORKS.join(', ')}`);
+  }
+  const gardens = scenario.gardens || {};
+  if (Object.keys(gardens).length === 0) {
+    errors.push('no gardens');
+  }
+  for (const [id, garden] of Object.entries(gardens)) {
+    if (!garden.reserveAsset) {
+      errors.push(`garden ${id} has no reserveAsset`);
+    }
+    for (const { from } of garden.depositors || []) {
+      if (!ACCOUNTS.includes(from)) {
+        errors.push(`garden ${id} has an unknown depositor ${from}`);
+      }
+    }
+  }
+  const strategies = [];
+  (scenario.steps || []).forEach((step, i) => {
+    const actions = Object.keys(step);
+    if (actions.length !== 1 || !ACTIONS[actions[0]]) {
+      errors.push(`step ${i} must have one action among ${Object.keys(ACTIONS).join(', ')}`);
+      return;
+    }
+    const [action] = actions;
+    const args = step[action];
+    const missing = ACTIONS[action].filter((field) => args[field] === undefined);
+    if (missing.length > 0) {
+      errors.push(`step ${i} (${action}) misses ${missing.join(', ')}`);
+    }
+    for (const account of [args.from, ...(args.voters || [])].filter(Boolean)) {
+      if (!ACCOUNTS.includes(account)) {
+        errors.push(`step ${i} (${action}) has an unknown account ${account}`);
+      }
+    }
+    if (args.garden && !gardens[args.garden]) {
+      errors.push(`step ${i} (${action}) uses an unknown garden ${args.garden}`);
+    }
+    if (action === 'createStrategy') {
+      strategies.push(args.id);
+      for (const { kind } of args.operations || []) {
+        if (OPERATIONS[kind] === undefined) {
+          errors.push(`step ${i} (${action}) has an unknown operation ${kind}`);
+        }
+      }
+    } else if (args.strategy && !strategies.includes(args.strategy)) {
+      errors.push(`step ${i} (${action}) uses strategy ${args.strategy} before its creation`);
+    }
+    if (action === 'priceShock' && scenario.network !== 'local') {
+      errors.push(`step ${i} (${action}) needs the local network`);
+    }
+    if (action === 'expect') {
+      const target = METRICS[args.metric];
+      if (!target) {
+        errors.push(`step ${i} has an unknown metric ${args.metric}. Use one of ${Object.keys(METRICS).join(', ')}`);
+      } else if (!args[target]) {
+        errors.push(`step ${i} (${args.metric}) needs a ${target}`);
+      }
+      if (['min', 'max', 'equals'].every((bound) => args[bound] === undefined)) {
+        errors.push(`step ${i} (${args.metric}) needs min, max or equals`);
+      }
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario ${name}: ${errors.join('; ')}`);
+  }
+  return scenario;
+}
+
+async function loadScenario(file) {
+  const scenario = ['.yml', '.yaml'].includes(path.extname(file))
+    ? yaml.safeLoad(await fs.readFile(file, 'utf8'))
+    : await fs.readJson(file);
+  return validateScenario(scenario, file);
+}
+
+/**
+ * Checks a metric against the `min`, `max` or `equals` of an expectation, all in units of `decimals`.
+ * `equals` is within `tolerance`, 0 by default.
+ */
+function checkExpectation(actual, { min, max, equals, tolerance = '0' }, decimals = 18) {
+  const parse = (value) => ethers.utils.parseUnits(String(value), decimals);
+  const failures = [];
+  if (min !== undefined && actual.lt(parse(min))) {
+    failures.push(`below ${min}`);
+  }
+  if (max !== undefined && actual.gt(parse(max))) {
+    failures.push(`above ${max}`);
+  }
+  if (equals !== undefined && actual.sub(parse(equals)).abs().gt(parse(tolerance))) {
+    failures.push(`not ${equals} ± ${tolerance}`);
+  }
+  return failures;
+}
+
+function describeExpectation({ min, max, equals, tolerance }) {
+  if (equals !== undefined) {
+    return tolerance ? `${equals} ± ${tolerance}` : `${equals}`;
+  }
+  return [min !== undefined ? `>= ${min}` : undefined, max !== undefined ? `<= ${max}` : undefined]
+    .filter(Boolean)
+    .join(' and ');
+}
+
+function getScenarioRows({ steps }) {
+  return {
+    columns: ['step', 'action', 'target', 'status', 'actual', 'expected', 'error'],
+    rows: steps,
+  };
+}
+
+function printScenarioReport({ name, network, passed, steps }) {
+  console.log(`Scenario ${name} on ${network}`);
+  for (const { step, action, target, status, actual, expected, error } of steps) {
+    const line = `  ${step}. ${action}${target ? ` ${target}` : ''}`;
+    if (status === 'failed') {
+      console.log(chalk.red(`${line}: ${error}`));
+    } else if (action === 'expect') {
+      console.log(chalk.green(`${line}: ${actual} (${expected})`));
+    } else {
+      console.log(status === 'skipped' ? chalk.gray(`${line} skipped`) : line);
+    }
+  }
+  console.log(passed ? chalk.green('Scenario passed') : chalk.red('Scenario failed'));
+}
+
+module.exports = {
+  NETWORKS,
+  ACCOUNTS,
+  OPERATIONS,
+  ACTIONS,
+  METRICS,
+  getScenarioFiles,
+  validateScenario,
+  loadScenario,
+  checkExpectation,
+  describeExpectation,
+  getScenarioRows,
+  printScenarioReport,
+};
@@ -0,0 +1,77 @@
+const { ethers } = require('ethers');
+const { formatUnit } = require('../helpers');
+
+const AAVE_LENDING_POOL = '0x7d2768dE32b0b80b7a3454c06BdAc94A69DDc7A9';
+
+/**
+ * Fetches the Aave V2 account data of every account
+ */
+async function getAaveAccounts({ ethers }, accounts) {
+  const [deployer] = await ethers.getSigners();
+  const pool = new ethers.Contract(
+    AAVE_LENDING_POOL,
+    [
+      'function getUserAccountData(address user) external view returns ( uint256 totalCollateralETH, uint256 totalDebtETH, uint256 availableBorrowsETH, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+    ],
+    deployer,
+  );
+
+  const result = [];
+  for (const account of accounts) {
+    const data = await pool.getUserAccountData(account);
+    result.push({
+      account,
+      totalCollateralETH: data.totalCollateralETH,
+      totalDebtETH: data.totalDebtETH,
+      availableBorrowsETH: data.availableBorrowsETH,
+      currentLiquidationThreshold: data.currentLiquidationThreshold,
+      ltv: data.ltv,
+      healthFactor: data.healthFactor,
+    });
+  }
+  return { accounts: result };
+}
+
+function getAaveRows({ accounts }) {
+  const { formatUnits } = ethers.utils;
+  return {
+    columns: [
+      'account',
+      'totalCollateralETH',
+      'totalDebtETH',
+      'availableBorrowsETH',
+      'currentLiquidationThreshold',
+      'ltv',
+      'healthFactor',
+    ],
+    rows: accounts.map((account) => ({
+      ...account,
+      totalCollateralETH: formatUnits(account.totalCollateralETH),
+      totalDebtETH: formatUnits(account.totalDebtETH),
+      availableBorrowsETH: formatUnits(account.availableBorrowsETH),
+      // Liquidation threshold and ltv are in basis points
+      currentLiquidationThreshold: formatUnits(account.currentLiquidationThreshold, 4),
+      ltv: formatUnits(account.ltv, 4),
+      healthFactor: formatUnits(account.healthFactor),
+    })),
+  };
+}
+
+function printAave({ accounts }) {
+  for (const account of accounts) {
+    console.log(`Stats for account ${account.account}`);
+    console.log(`  totalCollateralETH: ${formatUnit(account.totalCollateralETH)} ETH`);
+    console.log(`  totalDebtETH: ${formatUnit(account.totalDebtETH)} ETH`);
+    console.log(`  availableBorrowsETH: ${formatUnit(account.availableBorrowsETH)} ETH`);
+    console.log(`  currentLiquidationThreshold: ${account.currentLiquidationThreshold}`);
+    console.log(`  ltv: ${account.ltv.div(100)}%`);
+    console.log(`  healthFactor: ${formatUnit(account.healthFactor)}`);
+    console.log('');
+  }
+}
+
+module.exports = {
+  getAaveAccounts,
+  getAaveRows,
+  printAave,
+};
@@ -0,0 +1,202 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { ADDRESS_ZERO, IMPLEMENTATION_SLOT } = require('../constants.js');
+const { getContractNames } = require('../vtable');
+
+const STATUS = {
+  identical: 'identical',
+  metadata: 'metadata-only',
+  logic: 'logic change',
+  missing: 'not deployed',
+  unknown: 'no source',
+};
+
+/**
+ * Splits the runtime code from the CBOR encoded metadata solc appends to it. The last 2 bytes are the length of the
+ * metadata which starts with a CBOR map header.
+ */
+function stripMetadata(code) {
+  const bytes = ethers.utils.arrayify(code);
+  if (bytes.length < 2) {
+    return { code: ethers.utils.hexlify(bytes), metadata: '0x' };
+  }
+  const length = (bytes[bytes.length - 2] << 8) + bytes[bytes.length - 1];
+  const start = bytes.length - 2 - length;
+  if (start < 0 || (bytes[start] & 0xf0) !== 0xa0) {
+    return { code: ethers.utils.hexlify(bytes), metadata: '0x' };
+  }
+  return { code: ethers.utils.hexlify(bytes.slice(0, start)), metadata: ethers.utils.hexlify(bytes.slice(start)) };
+}
+
+/**
+ * Zeroes the given byte ranges of the code, i.e., immutables set by the constructor and linked libraries
+ * @param {string} code - Hex runtime code
+ * @param {object[]} references - List of `{start, length}` in bytes
+ */
+function maskReferences(code, references) {
+  const bytes = ethers.utils.arrayify(code);
+  for (const { start, length } of references) {
+    bytes.fill(0, start, start + length);
+  }
+  return ethers.utils.hexlify(bytes);
+}
+
+/**
+ * Flattens `immutableReferences` of the solc output and `deployedLinkReferences` of the artifacts into byte ranges
+ */
+function getReferences({ immutableReferences = {}, linkReferences = {} }) {
+  return [
+    ...Object.values(immutableReferences).flat(),
+    ...Object.values(linkReferences).flatMap((libraries) => Object.values(libraries).flat()),
+  ];
+}
+
+/**
+ * Compares the deployed code with the compiled one once immutables and linked libraries are masked.
+ * Returns whether they are `identical`, differ by their `metadata` only or have a `logic` change.
+ */
+function compareBytecode(deployed, compiled, references = []) {
+  if (!deployed || deployed === '0x') {
+    return STATUS.missing;
+  }
+  const [a, b] = [deployed, compiled].map((code) => maskReferences(code, references).toLowerCase());
+  if (a === b) {
+    return STATUS.identical;
+  }
+  return stripMetadata(a).code === stripMetadata(b).code ? STATUS.metadata : STATUS.logic;
+}
+
+/**
+ * Lists the functions added, removed or changed, i.e., with other outputs or state mutability, from `before` to
+ * `after`
+ */
+function diffAbi(before = [], after = []) {
+  const functions = (abi) =>
+    Object.fromEntries(
+      Object.values(new ethers.utils.Interface(abi).functions).map((fragment) => [fragment.format(), fragment]),
+    );
+  const [previous, next] = [functions(before), functions(after)];
+  const describe = (fragment) => `${fragment.stateMutability} ${fragment.format('full')}`;
+  return {
+    added: Object.keys(next).filter((signature) => !previous[signature]),
+    removed: Object.keys(previous).filter((signature) => !next[signature]),
+    changed: Object.keys(next).filter(
+      (signature) => previous[signature] && describe(previous[signature]) !== describe(next[signature]),
+    ),
+  };
+}
+
+/**
+ * Compiled runtime code of a contract along with the byte ranges filled at deployment
+ */
+async function getCompiledCode({ artifacts }, name) {
+  if (!(await artifacts.artifactExists(name))) {
+    return undefined;
+  }
+  const { sourceName, contractName, deployedBytecode, deployedLinkReferences, abi } = await artifacts.readArtifact(
+    name,
+  );
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const { immutableReferences } = buildInfo.output.contracts[sourceName][contractName].evm.deployedBytecode;
+  return {
+    code: deployedBytecode,
+    abi,
+    references: getReferences({ immutableReferences, linkReferences: deployedLinkReferences }),
+  };
+}
+
+// Proxies keep their implementation in the EIP-1967 slot and beacons expose it
+async function getImplementation({ ethers }, deployment) {
+  const slot = await ethers.provider.getStorageAt(deployment.address, IMPLEMENTATION_SLOT);
+  const implementation = ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+  if (implementation !== ADDRESS_ZERO) {
+    return implementation;
+  }
+  const getter = deployment.abi.find(({ type, name, inputs }) => type === 'function' && name === 'implementation');
+  if (getter && getter.inputs.length === 0) {
+    const beacon = new ethers.Contract(deployment.address, [getter], ethers.provider);
+    return await beacon.implementation();
+  }
+  return undefined;
+}
+
+/**
+ * Compares the code of every deployment of the network and of the implementations behind proxies and beacons with the
+ * local sources. Contracts are matched by their contract name, e.g., `GardenV33`.
+ */
+async function getBytecodeDiff(hre) {
+  const { deployments, ethers } = hre;
+  const names = await getContractNames(hre);
+  const all = await deployments.all();
+  const byAddress = Object.fromEntries(
+    Object.values(all).map((deployment) => [deployment.address.toLowerCase(), deployment]),
+  );
+
+  const compare = async (name, address, deployment) => {
+    const contract = names[address.toLowerCase()];
+    const deployed = await ethers.provider.getCode(address);
+    const compiled = contract && (await getCompiledCode(hre, contract));
+    if (!compiled) {
+      return { name, address, contract, status: deployed === '0x' ? STATUS.missing : STATUS.unknown };
+    }
+    return {
+      name,
+      address,
+      contract,
+      status: compareBytecode(deployed, compiled.code, compiled.references),
+      // The ABI of the deployment is the one of the deployed code
+      ...(deployment ? diffAbi(deployment.abi, compiled.abi) : {}),
+    };
+  };
+
+  const contracts = [];
+  for (const [name, deployment] of Object.entries(all)) {
+    contracts.push(await compare(name, deployment.address, deployment));
+    const implementation = await getImplementation(hre, deployment).catch(() => undefined);
+    if (implementation) {
+      contracts.push(await compare(`${name} implementation`, implementation, byAddress[implementation.toLowerCase()]));
+    }
+  }
+  return { network: hre.network.name, contracts };
+}
+
+function getBytecodeDiffRows({ contracts }) {
+  return {
+    columns: ['name', 'address', 'contract', 'status', 'added', 'removed', 'changed'],
+    rows: contracts.map((contract) => ({
+      ...contract,
+      ...Object.fromEntries(['added', 'removed', 'changed'].map((key) => [key, (contract[key] || []).join(' ')])),
+    })),
+  };
+}
+
+function printBytecodeDiff({ network, contracts }) {
+  const colors = {
+    [STATUS.identical]: chalk.green,
+    [STATUS.metadata]: chalk.yellow,
+    [STATUS.logic]: chalk.red,
+    [STATUS.missing]: chalk.red,
+    [STATUS.unknown]: chalk.gray,
+  };
+  console.log(`Deployed code on ${network}`);
+  for (const { name, address, contract, status, added = [], removed = [], changed = [] } of contracts) {
+    console.log(
+      `  ${name} ${address}${contract && contract !== name ? ` (${contract})` : ''} ${colors[status](status)}`,
+    );
+    added.forEach((signature) => console.log(chalk.green(`    + ${signature}`)));
+    removed.forEach((signature) => console.log(chalk.red(`    - ${signature}`)));
+    changed.forEach((signature) => console.log(chalk.yellow(`    ~ ${signature}`)));
+  }
+}
+
+module.exports = {
+  STATUS,
+  stripMetadata,
+  maskReferences,
+  getReferences,
+  compareBytecode,
+  diffAbi,
+  getBytecodeDiff,
+  getBytecodeDiffRows,
+  printBytecodeDiff,
+};
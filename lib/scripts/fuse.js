@@ -0,0 +1,303 @@
+const { ethers } = require('ethers');
+const { from, eth, formatUnit } = require('../helpers');
+const addresses = require('../addresses');
+const { resolveAddress } = require('../address-book');
+
+const { BABL, DAI, WETH } = addresses.tokens;
+const fBABLMarket = '0x812EeDC9Eba9C428434fD3ce56156b4E23012Ebc';
+const fDAIMarket = '0xA6C25548dF506d84Afd237225B5B34F2Feb1aa07';
+const fETHMarket = '0x7DBC3aF9251756561Ce755fcC11c754184Af71F7';
+const fFEIMarket = '0x3a2804ec0Ff521374aF654D8D0daA1d1aE1ee900';
+const fFRAXMarket = '0xA54c548d11792b3d26aD74F5f899e12CDfD64Fd6';
+const AFFECTED_GARDENS = [
+  '0xB5bD20248cfe9480487CC0de0d72D0e19eE0AcB6', // Fountain of ETH
+  '0x1D50c4F18D7af4fCe2Ea93c7942aae6260788596', // Stable Garden
+  '0x3eeC6Ac8675ab1B4768f6032F0598e36Ac64f415', // Stable Peeble
+  '0x99acDD18eb788E199be6Bf64d14142329316687a', // Waterfall2
+  '0xa7D88c885209e953Eb66B238914a639cbbad94a8', // Amplify Stables
+];
+
+const POOL_MARKETS = {
+  [fBABLMarket]: 'BABL',
+  [fDAIMarket]: 'DAI',
+  [fETHMarket]: 'ETH',
+  [fFRAXMarket]: 'FRAX',
+  [fFEIMarket]: 'FEI',
+};
+
+const MIN_COLLATERAL = eth(1000);
+const HEART_PREFIX = 'HEART';
+const ACTIVE_STR_PREFIX = 'Strategy';
+const FINALIZED_STR_PREFIX = 'Finalized Stuck Strategy';
+
+/**
+ * Fuse pool 144 position of an account. Amounts are in DAI.
+ * Market names are only fetched when `log` is set.
+ */
+async function getFuseStatsForAddress(hre, { address, comptroller, priceOracle, log, prefix, name }) {
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  let totalDebt = from(0);
+  let totalCollateral = from(0);
+  let totalBorrow = from(0);
+  const ethPriceInDAI = await priceOracle.getPrice(WETH, DAI);
+  const bablPrice = await priceOracle.getPrice(BABL, DAI);
+  let collateralInBABL = false;
+  let usesFuse = false;
+
+  const markets = [];
+  for (const market of await comptroller.getAssetsIn(address)) {
+    const [, collateralFactor] = await comptroller.markets(market);
+    const fPool = await ethers.getContractAt('ICToken', market);
+
+    const [, balance, borrow, exchangeRate] = await fPool.getAccountSnapshot(address);
+
+    if (balance.gt(0)) {
+      usesFuse = true;
+    }
+
+    const collateral = balance.mul(exchangeRate).div(eth());
+
+    const collateralInDAI =
+      market === fBABLMarket
+        ? collateral.mul(bablPrice).div(eth())
+        : market === fETHMarket
+        ? collateral.mul(ethPriceInDAI).div(eth())
+        : collateral;
+
+    if (market === fBABLMarket) {
+      collateralInBABL = true;
+    }
+
+    const maxBorrow = collateral.mul(collateralFactor).div(eth());
+
+    const maxBorrowInDAI = collateralInDAI.mul(collateralFactor).div(eth());
+
+    totalDebt = totalDebt.add(borrow);
+    totalCollateral = totalCollateral.add(collateralInDAI);
+    totalBorrow = totalBorrow.add(maxBorrowInDAI);
+
+    markets.push({
+      market,
+      name:
+        log && usesFuse
+          ? await new ethers.Contract(
+              market,
+              ['function name() external view returns (string memory)'],
+              deployer,
+            ).name()
+          : undefined,
+      balance,
+      borrow,
+      exchangeRate,
+      collateralFactor,
+      collateral,
+      collateralInDAI,
+      maxBorrow,
+      maxBorrowInDAI,
+    });
+  }
+
+  const borrowLimit = totalBorrow.gt(0) ? totalDebt.mul(eth()).div(totalBorrow).mul(100) : from(0);
+  const liquidationBablPrice =
+    totalDebt.gt(0) && collateralInBABL && totalBorrow.gt(0)
+      ? bablPrice.mul(eth()).div(eth().mul(eth()).div(totalDebt.mul(eth()).div(totalBorrow)))
+      : undefined;
+
+  return {
+    address,
+    name,
+    prefix,
+    usesFuse,
+    collateralInBABL,
+    totalDebt,
+    totalCollateral,
+    totalBorrow,
+    borrowLimit,
+    liquidationBablPrice,
+    markets,
+  };
+}
+
+async function getStrategiesStats(hre, { strategies, prefix, strategyNft, ...args }) {
+  const stats = [];
+  for (const strategy of strategies) {
+    const name = await strategyNft.getStrategyName(strategy);
+    stats.push(await getFuseStatsForAddress(hre, { address: strategy, prefix, name, ...args }));
+  }
+  return stats;
+}
+
+/**
+ * Collects the Fuse pool 144 positions of the Heart, the Heart garden strategies and the strategies of the
+ * gardens affected by the Rari exploit, along with the cash of every pool market.
+ */
+async function getFuse(hre, { log } = {}) {
+  const { ethers, getContract } = hre;
+  const [deployer] = await ethers.getSigners();
+
+  const priceOracle = await ethers.getContractAt('IPriceOracle', await resolveAddress(hre, 'FusePriceOracle'));
+  const comptroller = await ethers.getContractAt('IComptroller', await resolveAddress(hre, 'FuseComptroller'));
+  const strategyNft = await getContract('StrategyNFT', 'StrategyNFT', deployer);
+  const args = { comptroller, priceOracle, log, strategyNft };
+
+  const heartAddress = await resolveAddress(hre, 'Heart');
+  const heart = await getFuseStatsForAddress(hre, { address: heartAddress, prefix: HEART_PREFIX, name: '', ...args });
+
+  const heartGardenAddress = await resolveAddress(hre, 'HeartGarden');
+  const heartGarden = await ethers.getContractAt('IGarden', heartGardenAddress);
+  const heartGardenStats = {
+    address: heartGardenAddress,
+    strategies: [
+      ...(await getStrategiesStats(hre, {
+        strategies: await heartGarden.getStrategies(),
+        prefix: ACTIVE_STR_PREFIX,
+        ...args,
+      })),
+      ...(await getStrategiesStats(hre, {
+        strategies: await heartGarden.getFinalizedStrategies(),
+        prefix: FINALIZED_STR_PREFIX,
+        ...args,
+      })),
+    ],
+  };
+
+  // Check only affected gardens
+  const gardens = [];
+  for (const garden of AFFECTED_GARDENS) {
+    const gardenContract = await ethers.getContractAt('IGarden', garden);
+    gardens.push({
+      address: garden,
+      name: await gardenContract.name(),
+      strategies: await getStrategiesStats(hre, {
+        strategies: await gardenContract.getStrategies(),
+        prefix: ACTIVE_STR_PREFIX,
+        ...args,
+      }),
+    });
+  }
+
+  // Calculate total supply of underlying
+  const pool = [];
+  for (const market of await comptroller.getAllMarkets()) {
+    const symbol = POOL_MARKETS[market];
+    if (symbol) {
+      const fPool = await ethers.getContractAt('ICToken', market);
+      pool.push({ market, symbol, cash: await fPool.getCash() });
+    }
+  }
+
+  return {
+    bablPrice: await priceOracle.getPrice(BABL, DAI),
+    heart,
+    heartGarden: heartGardenStats,
+    gardens,
+    pool,
+  };
+}
+
+function getFuseRows({ heart, heartGarden, gardens }) {
+  const { formatUnits } = ethers.utils;
+  const toRow = (garden, stats) => ({
+    garden,
+    prefix: stats.prefix,
+    name: stats.name,
+    address: stats.address,
+    usesFuse: stats.usesFuse,
+    totalDebt: formatUnits(stats.totalDebt),
+    totalCollateral: formatUnits(stats.totalCollateral),
+    totalBorrow: formatUnits(stats.totalBorrow),
+    borrowLimit: formatUnits(stats.borrowLimit),
+    liquidationBablPrice: stats.liquidationBablPrice && formatUnits(stats.liquidationBablPrice),
+  });
+  return {
+    columns: [
+      'garden',
+      'prefix',
+      'name',
+      'address',
+      'usesFuse',
+      'totalDebt',
+      'totalCollateral',
+      'totalBorrow',
+      'borrowLimit',
+      'liquidationBablPrice',
+    ],
+    rows: [
+      toRow('', heart),
+      ...heartGarden.strategies.map((stats) => toRow(heartGarden.address, stats)),
+      ...gardens.flatMap((garden) => garden.strategies.map((stats) => toRow(garden.address, stats))),
+    ],
+  };
+}
+
+function printFuseStats(stats, log) {
+  const { address, name, prefix, usesFuse, totalDebt, totalCollateral, totalBorrow } = stats;
+  if (log) {
+    // Markets are logged from the first one the account has a balance in
+    const firstUsed = stats.markets.findIndex((market) => market.balance.gt(0));
+    for (const market of firstUsed >= 0 ? stats.markets.slice(firstUsed) : []) {
+      console.log('');
+      console.log(market.name);
+      console.log(`balance ${formatUnit(market.balance)} fTokens`);
+      console.log(`borrow ${formatUnit(market.borrow)}`);
+      console.log('exchangeRate', formatUnit(market.exchangeRate));
+      console.log('collateralFactor', formatUnit(market.collateralFactor));
+      console.log('collateral', formatUnit(market.collateral));
+      console.log(`collateralInDAI $${formatUnit(market.collateralInDAI)}`);
+      console.log('maxBorrow', formatUnit(market.maxBorrow));
+      console.log(`maxBorrowInDAI $${formatUnit(market.maxBorrowInDAI)}`);
+      console.log('');
+    }
+  }
+  if (usesFuse && (totalCollateral.gt(MIN_COLLATERAL) || log)) {
+    console.log('');
+    console.log(`  ${prefix} ${name} at ${address}`);
+    console.log(`  Total Debt: $${formatUnit(totalDebt)}`);
+    console.log(`  Total Collateral: $${formatUnit(totalCollateral)}`);
+    console.log(`  Max Borrow: $${formatUnit(totalBorrow)}`);
+    console.log(`  Borrow Limit: ${totalBorrow.gt(0) ? formatUnit(stats.borrowLimit) : 0}%`);
+    if (totalDebt.gt(0) && stats.collateralInBABL) {
+      console.log(
+        `  Liquidation BABL Price: $${stats.liquidationBablPrice ? formatUnit(stats.liquidationBablPrice) : '--'}`,
+      );
+    }
+  }
+}
+
+function printFuse({ bablPrice, heart, heartGarden, gardens, pool }, { log } = {}) {
+  console.log(`BABL Price: $${formatUnit(bablPrice)}`);
+
+  console.log(``);
+  console.log(`Stats for HEART`);
+  printFuseStats(heart, log);
+  console.log(``);
+
+  console.log(`Stats for Heart Garden`);
+  for (const stats of heartGarden.strategies) {
+    printFuseStats(stats, log);
+  }
+
+  for (const garden of gardens) {
+    console.log('');
+    console.log(`Stats for garden`, garden.name);
+    for (const stats of garden.strategies) {
+      printFuseStats(stats, log);
+    }
+  }
+
+  console.log(``);
+  console.log(`Stats for Fuse Pool 144 Underlying Collateral`);
+  console.log('');
+  for (const { symbol, cash } of pool) {
+    console.log(`Balance ${formatUnit(cash)} ${symbol}`);
+  }
+  console.log('');
+}
+
+module.exports = {
+  getFuseStatsForAddress,
+  getFuse,
+  getFuseRows,
+  printFuse,
+};
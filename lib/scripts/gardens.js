@@ -0,0 +1,145 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { from, eth, formatNumber } = require('../helpers');
+
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+
+/**
+ * Lists every garden with its NAV in DAI and the state of its strategies
+ */
+async function getGardens({ getContract, ethers }) {
+  const [deployer] = await ethers.getSigners();
+
+  const babController = await getContract('BabController', 'BabControllerProxy', deployer);
+  const strategyNft = await getContract('StrategyNFT', 'StrategyNFT', deployer);
+  const strategyViewer = await getContract('StrategyViewer', 'StrategyViewer', deployer);
+  const valuer = await getContract('GardenValuer', undefined, deployer);
+
+  const gardens = [];
+  let tvl = from(0);
+  for (const garden of await babController.getGardens()) {
+    const gardenContract = await ethers.getContractAt('IGarden', garden);
+    const nav = (await valuer.calculateGardenValuation(garden, DAI)).mul(await gardenContract.totalSupply()).div(eth());
+    tvl = tvl.add(nav);
+
+    const strategies = [];
+    for (const strategy of await gardenContract.getStrategies()) {
+      const strategyContract = await ethers.getContractAt('Strategy', strategy);
+
+      const [, active, , finalized, executedAt, ,] = await strategyContract.getStrategyState();
+
+      // Fetch from StrategyViewer
+      const completeStrategy = await strategyViewer.getCompleteStrategy(strategyContract.address);
+      const [strategist, , [, , , , capitalAllocated, , duration, , maxCapitalRequested, enteredAt]] = completeStrategy;
+
+      strategies.push({
+        address: strategy,
+        name: await strategyNft.getStrategyName(strategy),
+        strategist,
+        capitalAllocated,
+        maxCapitalRequested,
+        maxAllocationPercentage: await strategyContract.maxAllocationPercentage(),
+        finalized,
+        active,
+        isExecuting: await strategyContract.isStrategyActive(),
+        enteredAt,
+        enteredCooldownAt: await strategyContract.enteredCooldownAt(),
+        executedAt,
+        duration,
+      });
+    }
+
+    gardens.push({
+      address: garden,
+      name: await gardenContract.name(),
+      creator: await gardenContract.creator(),
+      reserveAsset: await gardenContract.reserveAsset(),
+      nav,
+      strategies,
+    });
+  }
+
+  return { gardens, tvl };
+}
+
+function getGardensRows({ gardens }) {
+  const { formatUnits } = ethers.utils;
+  return {
+    columns: [
+      'garden',
+      'gardenName',
+      'creator',
+      'reserveAsset',
+      'nav',
+      'strategy',
+      'name',
+      'strategist',
+      'capitalAllocated',
+      'maxCapitalRequested',
+      'maxAllocationPercentage',
+      'finalized',
+      'active',
+      'isExecuting',
+      'enteredAt',
+      'enteredCooldownAt',
+      'executedAt',
+      'duration',
+    ],
+    rows: gardens.flatMap((garden) => {
+      const gardenColumns = {
+        garden: garden.address,
+        gardenName: garden.name,
+        creator: garden.creator,
+        reserveAsset: garden.reserveAsset,
+        nav: formatUnits(garden.nav),
+      };
+      // Gardens without strategies keep a row with empty strategy columns
+      if (garden.strategies.length === 0) {
+        return [gardenColumns];
+      }
+      return garden.strategies.map((strategy) => ({
+        ...strategy,
+        ...gardenColumns,
+        strategy: strategy.address,
+        capitalAllocated: formatUnits(strategy.capitalAllocated),
+        maxCapitalRequested: formatUnits(strategy.maxCapitalRequested),
+        maxAllocationPercentage: formatUnits(strategy.maxAllocationPercentage.mul(100)),
+      }));
+    }),
+  };
+}
+
+function printGardens({ gardens }) {
+  for (const garden of gardens) {
+    console.log(`Garden ${chalk.green(garden.name)}`);
+    console.log(`  Address ${garden.address}`);
+    console.log(`  Gardener ${garden.creator}`);
+    console.log(`  ReserveAsset $${garden.reserveAsset}`);
+    console.log(`  NAV $${chalk.green(formatNumber(ethers.utils.formatUnits(garden.nav)))}`);
+
+    console.log('  Strategies');
+    for (const strategy of garden.strategies) {
+      console.log(`    Strategy ${strategy.name} at ${strategy.address}`);
+      console.log('      capitalAllocated', formatNumber(ethers.utils.formatUnits(strategy.capitalAllocated)));
+      console.log('      maxCapitalRequested', formatNumber(ethers.utils.formatUnits(strategy.maxCapitalRequested)));
+      console.log(`      maxAllocationPercentage ${strategy.maxAllocationPercentage.div(eth(0.01)).toString()}%`);
+      console.log('      finalized', strategy.finalized);
+      console.log('      active', strategy.active);
+      console.log('      isExecuting', strategy.isExecuting);
+      console.log('      enteredAt ', strategy.enteredAt.toString());
+      console.log('      enteredCooldownAt', strategy.enteredCooldownAt.toNumber());
+      console.log('      executedAt', strategy.executedAt.toString());
+      console.log('      duration ', strategy.duration.toString());
+      console.log('      strategist', strategy.strategist);
+      console.log();
+    }
+
+    console.log();
+  }
+}
+
+module.exports = {
+  getGardens,
+  getGardensRows,
+  printGardens,
+};
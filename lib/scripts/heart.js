@@ -0,0 +1,241 @@
+const chalk = require('chalk');
+const { from, eth, formatUnit } = require('../helpers');
+const { ONE_DAY_IN_SECONDS } = require('../constants.js');
+const addresses = require('../addresses.js');
+const { getGardenVoteHash, getGardenVoteSig, recoverSigner } = require('../signatures');
+const { loadVotes } = require('./votes');
+
+const PUMP_PERIOD = ONE_DAY_IN_SECONDS.mul(7);
+
+// Destinations of Heart.getFeeDistributionWeights() in the order Heart.pump uses them
+const FEE_DESTINATIONS = [
+  'Treasury',
+  'BABL buyback',
+  'BABL-ETH liquidity',
+  'Garden investments',
+  'Fuse lending',
+  'Shield',
+];
+
+/**
+ * Signs a vote for the gardens the Heart invests in. Amounts are in voting power of the Heart garden.
+ */
+async function signGardenVote(signer, garden, amount) {
+  const signature = await getGardenVoteSig(garden, signer, amount);
+  return {
+    garden,
+    voter: await signer.getAddress(),
+    amount: from(amount).toString(),
+    signature,
+  };
+}
+
+/**
+ * Validates garden votes against the current Heart garden voting power and returns the weights to resolve.
+ * Voters spreading more votes than their voting power have all of their votes dropped.
+ * Weights are normalized to 1e18 with the rounding dust assigned to the most voted garden.
+ */
+async function tallyGardenVotes(hre, { controller, heartGarden, votes }) {
+  const byVoter = {};
+  const rejected = [];
+  for (const vote of votes) {
+    let signer;
+    try {
+      signer = recoverSigner(getGardenVoteHash(vote.garden, vote.amount), vote.signature);
+    } catch (e) {
+      rejected.push({ vote, reason: 'malformed signature' });
+      continue;
+    }
+    if (signer.toLowerCase() !== vote.voter.toLowerCase()) {
+      rejected.push({ vote, reason: 'invalid signature' });
+      continue;
+    }
+    if (!(await controller.isGarden(vote.garden))) {
+      rejected.push({ vote, reason: 'not a garden' });
+      continue;
+    }
+    byVoter[signer] = [...(byVoter[signer] || []), vote];
+  }
+
+  const totals = {};
+  for (const [voter, voterVotes] of Object.entries(byVoter)) {
+    const power = await heartGarden.getVotingPower(voter);
+    const spent = voterVotes.reduce((total, vote) => total.add(vote.amount), from(0));
+    if (spent.gt(power)) {
+      rejected.push(...voterVotes.map((vote) => ({ vote, reason: `voting power ${formatUnit(power)} below votes` })));
+      continue;
+    }
+    for (const vote of voterVotes) {
+      const garden = vote.garden.toLowerCase();
+      totals[garden] = (totals[garden] || from(0)).add(vote.amount);
+    }
+  }
+
+  const total = Object.values(totals).reduce((acc, amount) => acc.add(amount), from(0));
+  const gardens = Object.keys(totals)
+    .filter((garden) => totals[garden].gt(0))
+    .sort((a, b) => (totals[b].gt(totals[a]) ? 1 : -1));
+  const weights = gardens.map((garden) => totals[garden].mul(eth()).div(total));
+  if (weights.length) {
+    weights[0] = weights[0].add(eth().sub(weights.reduce((acc, weight) => acc.add(weight), from(0))));
+  }
+
+  return { gardens: gardens.map((garden) => hre.ethers.utils.getAddress(garden)), weights, total, rejected };
+}
+
+/**
+ * Estimates the WETH the Heart will hold once `pump` consolidates its fees.
+ * Reserve assets above `minAmounts` are valued with the price oracle minus the Heart trade slippage.
+ */
+async function getPumpWeth(hre, { heart, controller, priceOracle }) {
+  const { ethers } = hre;
+  const tradeSlippage = await heart.tradeSlippage();
+  let wethBalance = from(0);
+  for (const reserveAsset of await controller.getReserveAssets()) {
+    const erc20 = await ethers.getContractAt('@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20', reserveAsset);
+    const balance = await erc20.balanceOf(heart.address);
+    if (reserveAsset.toLowerCase() === addresses.tokens.WETH.toLowerCase()) {
+      wethBalance = wethBalance.add(balance);
+      continue;
+    }
+    if (reserveAsset.toLowerCase() === addresses.tokens.BABL.toLowerCase()) {
+      continue;
+    }
+    if (balance.gt(await heart.minAmounts(reserveAsset))) {
+      const price = await priceOracle.getPrice(reserveAsset, addresses.tokens.WETH);
+      const value = balance
+        .mul(from(10).pow(18 - (await erc20.decimals())))
+        .mul(price)
+        .div(eth());
+      wethBalance = wethBalance.add(value.sub(value.mul(tradeSlippage).div(eth())));
+    }
+  }
+  return wethBalance;
+}
+
+/**
+ * Min BABL to receive on the buyback, quoted by the price oracle minus `slippage` (1e18 = 100%)
+ */
+async function getBablMinAmountOut({ priceOracle }, buybackWeth, slippage) {
+  const bablPerWeth = await priceOracle.getPrice(addresses.tokens.WETH, addresses.tokens.BABL);
+  const quote = buybackWeth.mul(bablPerWeth).div(eth());
+  return quote.sub(quote.mul(slippage).div(eth()));
+}
+
+/**
+ * Plans the next pump: garden votes to resolve, fee split and min BABL out of the buyback.
+ * Gardens and weights already voted are kept when no valid vote is found.
+ */
+async function getPumpPlan(hre, { source, slippage }) {
+  const { ethers } = hre;
+  const controller = await hre.getContract('BabController', 'BabControllerProxy');
+  const viewer = await hre.getContract('IViewer', 'Viewer');
+  const heart = await ethers.getContractAt('IHeart', await controller.heart());
+  const priceOracle = await ethers.getContractAt('IPriceOracle', await controller.priceOracle());
+
+  const [
+    [heartGardenAddress],
+    ,
+    feeWeights,
+    votedGardens,
+    gardenWeights,
+    [bablRewardLeft, weeklyRewardAmount],
+    [lastPumpAt, lastVotesAt],
+  ] = await viewer.getAllHeartDetails();
+  const heartGarden = await ethers.getContractAt('IGarden', heartGardenAddress);
+
+  const tally = await tallyGardenVotes(hre, { controller, heartGarden, votes: await loadVotes(source) });
+  const gardens = tally.gardens.length ? tally.gardens : votedGardens;
+  const weights = tally.gardens.length ? tally.weights : gardenWeights;
+
+  const wethBalance = await getPumpWeth(hre, { heart, controller, priceOracle });
+  const split = FEE_DESTINATIONS.map((name, i) => ({
+    name,
+    weight: feeWeights[i],
+    amount: wethBalance.mul(feeWeights[i]).div(eth()),
+  }));
+  const investments = gardens.map((garden, i) => ({
+    garden,
+    weight: weights[i],
+    amount: split[3].amount.mul(weights[i]).div(eth()),
+  }));
+
+  return {
+    heart,
+    tally,
+    gardens,
+    weights,
+    wethBalance,
+    split,
+    investments,
+    bablMinAmountOut: await getBablMinAmountOut({ priceOracle }, split[1].amount, slippage),
+    weeklyReward: bablRewardLeft.lt(weeklyRewardAmount) ? bablRewardLeft : weeklyRewardAmount,
+    lastPumpAt,
+    lastVotesAt,
+  };
+}
+
+function printPumpPlan(plan) {
+  const { tally, investments, split, wethBalance, bablMinAmountOut, weeklyReward, lastPumpAt } = plan;
+  console.log(`Last pump ${new Date(lastPumpAt.toNumber() * 1000).toISOString()}`);
+  console.log(`Votes for ${formatUnit(tally.total)} from ${tally.gardens.length} gardens`);
+  for (const { vote, reason } of tally.rejected) {
+    console.log(`  ${chalk.yellow('rejected')} vote of ${vote.voter} on ${vote.garden}: ${reason}`);
+  }
+  if (!tally.gardens.length) {
+    console.log(`  ${chalk.yellow('no valid votes')}, keeping the current garden weights`);
+  }
+  console.log(`Fees to distribute ${formatUnit(wethBalance)} WETH`);
+  for (const { name, weight, amount } of split) {
+    console.log(`  ${name.padEnd(20)} ${formatUnit(weight.mul(100)).padStart(8)}% ${formatUnit(amount)} WETH`);
+  }
+  for (const { garden, weight, amount } of investments) {
+    console.log(`    ${garden} ${formatUnit(weight.mul(100)).padStart(8)}% ${formatUnit(amount)} WETH`);
+  }
+  console.log(`BABL min amount out ${formatUnit(bablMinAmountOut)}`);
+  console.log(`Weekly reward ${formatUnit(weeklyReward)} BABL`);
+}
+
+/**
+ * Resolves the garden votes and pumps the Heart unless `dryRun` is set.
+ * @param {string} source - JSON file or HTTP endpoint with the signed garden votes
+ * @param {BigNumber} slippage - Max slippage of the BABL buyback, 1e18 = 100%
+ */
+async function pumpHeart(hre, { keeper, source, slippage, dryRun = false } = {}) {
+  const { ethers } = hre;
+  const controller = await hre.getContract('BabController', 'BabControllerProxy');
+  if (!dryRun && !(await controller.isValidKeeper(keeper.address))) {
+    throw new Error(`${keeper.address} is not a valid keeper`);
+  }
+
+  const plan = await getPumpPlan(hre, { source, slippage });
+  printPumpPlan(plan);
+
+  const { timestamp: now } = await ethers.provider.getBlock('latest');
+  const nextPumpAt = plan.lastPumpAt.add(PUMP_PERIOD);
+  if (nextPumpAt.gt(now)) {
+    console.log(
+      `${chalk.yellow('Too early')} to pump, next pump at ${new Date(nextPumpAt.toNumber() * 1000).toISOString()}`,
+    );
+    return { ...plan, pumped: false };
+  }
+  if (dryRun) {
+    return { ...plan, pumped: false };
+  }
+
+  const tx = await plan.heart
+    .connect(keeper)
+    .resolveGardenVotesAndPump(plan.gardens, plan.weights, plan.bablMinAmountOut, { ...(await hre.getGasPrice()) });
+  console.log(`${chalk.green('Pumped')} Tx hash ${tx.hash}`);
+  await tx.wait();
+  return { ...plan, pumped: true, hash: tx.hash };
+}
+
+module.exports = {
+  FEE_DESTINATIONS,
+  signGardenVote,
+  tallyGardenVotes,
+  getBablMinAmountOut,
+  getPumpPlan,
+  pumpHeart,
+};
@@ -0,0 +1,253 @@
+const chalk = require('chalk');
+const { from, eth, formatUnit } = require('../helpers');
+const { ONE_DAY_IN_SECONDS } = require('../constants.js');
+const addresses = require('../addresses.js');
+const { lookupEntry } = require('../address-book');
+
+// Mirrors Strategy.MAX_CANDIDATE_PERIOD
+const MAX_CANDIDATE_PERIOD = ONE_DAY_IN_SECONDS.mul(7);
+const NFT_URI = 'https://babylon.mypinata.cloud/ipfs/Qmc7MfvuCkhA8AA2z6aBzmb5G4MaRfPeKgCVTWcKqU2tjB';
+
+const KEEPER_ACTIONS = {
+  EXECUTE: 'execute',
+  FINALIZE: 'finalize',
+  EXPIRE: 'expire',
+};
+
+/**
+ * Decides which keeper action is due for a strategy, if any.
+ * Follows the same checks Strategy.sol runs on executeStrategy, finalizeStrategy and expireStrategy.
+ */
+function getDueAction({ now, active, finalized, executedAt, enteredAt, enteredCooldownAt, duration, cooldownPeriod }) {
+  if (finalized) {
+    return undefined;
+  }
+  if (active && executedAt.gt(0)) {
+    return executedAt.add(duration).lt(now) ? KEEPER_ACTIONS.FINALIZE : undefined;
+  }
+  if (active && enteredCooldownAt.gt(0) && enteredCooldownAt.add(cooldownPeriod).lte(now)) {
+    return KEEPER_ACTIONS.EXECUTE;
+  }
+  if (!active && from(now).sub(enteredAt).gt(MAX_CANDIDATE_PERIOD)) {
+    return KEEPER_ACTIONS.EXPIRE;
+  }
+  return undefined;
+}
+
+/**
+ * Returns the capital that can be allocated to a strategy on execution.
+ * Bounded by what the strategy still requests and by the garden liquid reserve net of the protocol fee.
+ */
+async function getCapitalToExecute(hre, { controller, garden, strategy, reserveAsset }) {
+  const { ethers } = hre;
+  const erc20 = await ethers.getContractAt('@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20', reserveAsset);
+  const balance = await erc20.balanceOf(garden.address);
+  const reserve = balance.sub(await garden.reserveAssetRewardsSetAside());
+  const keeperDebt = await garden.keeperDebt();
+  const liquidReserve = reserve.gt(keeperDebt) ? reserve.sub(keeperDebt) : from(0);
+  const available = liquidReserve.mul(eth()).div(eth().add(await controller.protocolManagementFee()));
+  const requested = (await strategy.maxCapitalRequested()).sub(await strategy.capitalAllocated());
+  return available.lt(requested) ? available : requested;
+}
+
+/**
+ * Walks every garden of the controller and returns the keeper actions due at `now`.
+ */
+async function getKeeperActions(hre, { controller, now }) {
+  const { ethers } = hre;
+  const strategyNft = await hre.getContract('StrategyNFT', 'StrategyNFT');
+
+  const actions = [];
+  for (const gardenAddress of await controller.getGardens()) {
+    const garden = await ethers.getContractAt('IGarden', gardenAddress);
+    const cooldownPeriod = await garden.strategyCooldownPeriod();
+    const reserveAsset = await garden.reserveAsset();
+
+    for (const strategyAddress of await garden.getStrategies()) {
+      const strategy = await ethers.getContractAt('Strategy', strategyAddress);
+      const [, active, , finalized, executedAt] = await strategy.getStrategyState();
+
+      const action = getDueAction({
+        now,
+        active,
+        finalized,
+        executedAt,
+        enteredAt: await strategy.enteredAt(),
+        enteredCooldownAt: await strategy.enteredCooldownAt(),
+        duration: await strategy.duration(),
+        cooldownPeriod,
+      });
+      if (!action) {
+        continue;
+      }
+
+      const capital =
+        action === KEEPER_ACTIONS.EXECUTE
+          ? await getCapitalToExecute(hre, { controller, garden, strategy, reserveAsset })
+          : await strategy.capitalAllocated();
+      if (action === KEEPER_ACTIONS.EXECUTE && capital.eq(0)) {
+        console.log(`  Skipping execution of ${strategyAddress}: no liquid capital in garden`);
+        continue;
+      }
+
+      actions.push({
+        action,
+        garden,
+        strategy,
+        reserveAsset,
+        capital,
+        name: await strategyNft.getStrategyName(strategyAddress),
+        gardenName: await garden.name(),
+      });
+    }
+  }
+  return actions;
+}
+
+function populateAction(strategy, { action, capital }, fee) {
+  switch (action) {
+    case KEEPER_ACTIONS.EXECUTE:
+      return strategy.populateTransaction.executeStrategy(capital, fee);
+    case KEEPER_ACTIONS.FINALIZE:
+      return strategy.populateTransaction.finalizeStrategy(fee, NFT_URI, 0);
+    case KEEPER_ACTIONS.EXPIRE:
+      return strategy.populateTransaction.expireStrategy(fee);
+    default:
+      throw new Error(`Keeper action: "${action}" not supported`);
+  }
+}
+
+/**
+ * Converts a cost in wei into the reserve asset using the protocol price oracle.
+ */
+async function getCostInReserve(hre, { priceOracle, reserveAsset }, costInWei) {
+  const { ethers } = hre;
+  const erc20 = await ethers.getContractAt('@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20', reserveAsset);
+  const decimals = await erc20.decimals();
+  const wethPrice =
+    reserveAsset.toLowerCase() === addresses.tokens.WETH.toLowerCase()
+      ? eth()
+      : await priceOracle.getPrice(addresses.tokens.WETH, reserveAsset);
+  return costInWei
+    .mul(wethPrice)
+    .div(eth())
+    .div(from(10).pow(18 - decimals));
+}
+
+/**
+ * Fee cap of an action, the strategy maxGasFeePercentage applied to the capital at stake
+ */
+async function getMaxKeeperFee({ strategy, capital }) {
+  return (await strategy.maxGasFeePercentage()).mul(capital).div(eth());
+}
+
+/**
+ * Estimates the gas cost of an action and converts it into the garden reserve asset.
+ * The fee is capped by the strategy maxGasFeePercentage applied to the capital at stake,
+ * so candidates with nothing allocated are expired without a fee.
+ * Actions are only open to keepers, `estimateAs` estimates them as another registered keeper than the signer.
+ */
+async function getKeeperFee(hre, { priceOracle, keeper, gasPrice, estimateAs }, planned) {
+  const { reserveAsset } = planned;
+
+  const tx = await populateAction(planned.strategy, planned, 0);
+  const gas = estimateAs
+    ? await hre.ethers.provider.estimateGas({ ...tx, from: estimateAs })
+    : await keeper.estimateGas(tx);
+  const cost = await getCostInReserve(hre, { priceOracle, reserveAsset }, gas.mul(gasPrice));
+
+  const maxFee = await getMaxKeeperFee(planned);
+  return { gas, fee: cost.lt(maxFee) ? cost : maxFee, cost, maxFee };
+}
+
+/**
+ * Registered keeper a dry run of another account estimates the actions as: `estimateAs` or the `Keeper` of the
+ * address book. Returns `undefined` when none of them is a keeper of the controller.
+ */
+async function getEstimatingKeeper(hre, controller, estimateAs) {
+  const entry = estimateAs ? { address: estimateAs } : await lookupEntry(hre, 'Keeper');
+  return entry && (await controller.isValidKeeper(entry.address)) ? entry.address : undefined;
+}
+
+/**
+ * Runs a keeper round: plans the due actions and submits them unless `dryRun` is set.
+ * Returns the list of planned actions with their fees.
+ */
+async function runKeeper(hre, { keeper, dryRun = false, estimateAs } = {}) {
+  const { ethers } = hre;
+
+  const controller = await hre.getContract('BabController', 'BabControllerProxy');
+  const priceOracle = await ethers.getContractAt('IPriceOracle', await controller.priceOracle());
+
+  const isKeeper = await controller.isValidKeeper(keeper.address);
+  if (!dryRun && !isKeeper) {
+    throw new Error(`${keeper.address} is not a valid keeper`);
+  }
+  const estimatingKeeper = isKeeper ? undefined : await getEstimatingKeeper(hre, controller, estimateAs);
+  if (!isKeeper) {
+    console.log(
+      estimatingKeeper
+        ? `${keeper.address} is not a keeper, estimating as keeper ${estimatingKeeper}`
+        : `${keeper.address} is not a keeper and no keeper to estimate as, fees are their cap`,
+    );
+  }
+
+  const { timestamp: now } = await ethers.provider.getBlock('latest');
+  const { maxFeePerGas } = await hre.getGasPrice();
+  const gasPrice = maxFeePerGas ? from(maxFeePerGas) : await ethers.provider.getGasPrice();
+
+  const actions = await getKeeperActions(hre, { controller, now });
+  console.log(`Found ${actions.length} strategies due at ${now}`);
+
+  const results = [];
+  for (const planned of actions) {
+    const { action, strategy, name, gardenName, capital } = planned;
+    const label = `${chalk.cyan(action)} ${name} at ${strategy.address} (${gardenName})`;
+
+    let estimate;
+    try {
+      estimate =
+        isKeeper || estimatingKeeper
+          ? await getKeeperFee(hre, { priceOracle, keeper, gasPrice, estimateAs: estimatingKeeper }, planned)
+          : { fee: await getMaxKeeperFee(planned) };
+    } catch (e) {
+      console.log(`  ${chalk.red('Cannot')} ${label}: ${e.reason || e.message}`);
+      results.push({ ...planned, error: e.reason || e.message });
+      continue;
+    }
+    const { gas, fee, cost } = estimate;
+
+    console.log(`  ${dryRun ? 'Would' : 'Will'} ${label}`);
+    console.log(`    capital ${formatUnit(capital)}`);
+    console.log(
+      gas
+        ? `    gas ${gas.toString()} cost ${formatUnit(cost)} fee ${formatUnit(fee)}`
+        : `    gas not estimated, fee cap ${formatUnit(fee)}`,
+    );
+
+    if (dryRun) {
+      results.push({ ...planned, fee });
+      continue;
+    }
+
+    const tx = await keeper.sendTransaction({
+      ...(await populateAction(strategy, planned, fee)),
+      ...(await hre.getGasPrice()),
+    });
+    console.log(`    Tx hash ${tx.hash}`);
+    await tx.wait();
+    results.push({ ...planned, fee, hash: tx.hash });
+  }
+  return results;
+}
+
+module.exports = {
+  KEEPER_ACTIONS,
+  MAX_CANDIDATE_PERIOD,
+  getDueAction,
+  getKeeperActions,
+  getCostInReserve,
+  getMaxKeeperFee,
+  getKeeperFee,
+  runKeeper,
+};
@@ -0,0 +1,275 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { from, eth, formatUnit } = require('../helpers');
+const { ONE_DAY_IN_SECONDS } = require('../constants.js');
+const { resolveAddress } = require('../address-book');
+
+function getEstimateBaselineRewards(now, returned, allocated, executedAt, updatedAt, benchmark, distributor, rewards) {
+  let ratio;
+  const timeDiff = now - executedAt;
+  const timedAPY = from(ONE_DAY_IN_SECONDS * 365).div(from(timeDiff > 0 ? timeDiff : 1));
+
+  let returnedAPY;
+  if (returned >= allocated) {
+    // profit
+    returnedAPY = from(allocated).add(from(returned).sub(from(allocated)).mul(from(timedAPY)));
+  } else {
+    // loses
+    returnedAPY = from(allocated).sub(from(returned)).mul(from(timedAPY));
+    returnedAPY = returnedAPY.lt(allocated) ? from(allocated).sub(from(returnedAPY)) : 0;
+  }
+  const profit = from(returnedAPY).mul(eth()).mul(eth()).div(from(allocated)).div(eth());
+  const realProfit = from(returned).mul(eth()).mul(eth()).div(from(allocated)).div(eth());
+
+  if (profit.lt(benchmark[12])) {
+    // Segment 1 : very bad strategies
+    ratio = from(benchmark[14]);
+  } else if (profit.lt(benchmark[13])) {
+    // Segment 2: not cool strategies
+    ratio = from(benchmark[15]);
+  } else {
+    // Segment 3: cool strategies
+    ratio = from(benchmark[16]);
+  }
+  const numerator = from(rewards);
+  const denominator = from(benchmark[11]).add(
+    from(benchmark[12]).mul(from(ratio)).mul(eth()).mul(from(realProfit)).div(eth()).div(eth()).div(eth()),
+  );
+  const result = numerator.mul(eth()).mul(eth()).div(denominator).div(eth());
+  return result;
+}
+
+/**
+ * Rewards actually delivered by a strategy. Strategist rewards are not delivered on losses and
+ * steward rewards are only delivered if some stewards voted against the strategy.
+ */
+function getRealRewards(rewards, returned, allocated, totalNegativeVotes) {
+  if (returned.gte(allocated)) {
+    return rewards;
+  }
+  return totalNegativeVotes.gt(0) ? rewards.mul(90).div(100) : rewards.mul(80).div(100);
+}
+
+/**
+ * Computes the BABL mining performance of every garden and of the protocol.
+ * `real` values exclude the rewards not delivered due to strategies with losses.
+ */
+async function getMining(hre) {
+  const { getContract, ethers } = hre;
+  const [deployer, owner] = await ethers.getSigners();
+
+  const block = await ethers.provider.getBlock();
+  const now = block.timestamp;
+
+  const babController = await getContract('BabController', 'BabControllerProxy', deployer);
+  const distributor = await getContract('RewardsDistributor', 'RewardsDistributorProxy', owner);
+  const token = await ethers.getContractAt('BABLToken', await resolveAddress(hre, 'BABLToken'), deployer);
+  const heartGarden = await ethers.getContractAt('IGarden', await resolveAddress(hre, 'HeartGarden'), deployer);
+
+  const totals = {
+    rewards: from(0),
+    unclaimedRewards: from(0),
+    estimateRewards: from(0),
+    realRewards: from(0),
+    realUnclaimedRewards: from(0),
+    realEstimateRewards: from(0),
+    baselineRewards: from(0),
+  };
+  let totalHeartRewardsFinalized = from(0);
+  let totalHeartRewardsPending = from(0);
+  let capitalAllocatedHeartStrategies = from(0);
+
+  const gardens = [];
+  for (const garden of await babController.getGardens()) {
+    const gardenContract = await ethers.getContractAt('IGarden', garden);
+    const strategies = [];
+    let unclaimedRewards = from(0);
+    let estimateRewards = from(0);
+    let realUnclaimedRewards = from(0);
+    let realEstimateRewards = from(0);
+    let baselineRewards = from(0);
+    for (const strategy of await gardenContract.getFinalizedStrategies()) {
+      // Finalized strategies
+      const strategyContract = await ethers.getContractAt('Strategy', strategy);
+      const capitalAllocated = await strategyContract.capitalAllocated();
+      const strategyReturned = await strategyContract.capitalReturned();
+      const [, , , finalized, , ,] = await strategyContract.getStrategyState();
+      const totalNegativeVotes = await strategyContract.totalNegativeVotes();
+
+      if (finalized) {
+        // Just check that we only get finalized strategies
+        const rewards = await strategyContract.strategyRewards();
+        // As there were different weight changes by bip 1 and 7 we assume baseline to become real one here
+        const realRewards = getRealRewards(rewards, strategyReturned, capitalAllocated, totalNegativeVotes);
+        unclaimedRewards = unclaimedRewards.add(rewards);
+        realUnclaimedRewards = realUnclaimedRewards.add(realRewards);
+        baselineRewards = baselineRewards.add(rewards);
+        if (garden === heartGarden.address) {
+          totalHeartRewardsFinalized = totalHeartRewardsFinalized.add(rewards);
+        }
+        strategies.push({ address: strategy, finalized, rewards, realRewards, baselineRewards: rewards });
+      }
+    }
+    for (const strategy of await gardenContract.getStrategies()) {
+      // Ongoing (live) strategies
+      const strategyContract = await ethers.getContractAt('Strategy', strategy);
+      const capitalAllocated = await strategyContract.capitalAllocated();
+      const strategyNAV = await strategyContract.getNAV();
+      const [, , , finalized, executedAt, , updatedAt] = await strategyContract.getStrategyState();
+      const totalNegativeVotes = await strategyContract.totalNegativeVotes();
+      if (executedAt.gt(0) && !finalized) {
+        // Just check that we only get live strategies that started already
+        const rewards = await distributor.estimateStrategyRewards(strategy);
+        const benchmark = await distributor.connect(deployer)['checkMining(uint256,address)'](1, strategy);
+
+        const strategyBaselineRewards = await getEstimateBaselineRewards(
+          now,
+          strategyNAV,
+          capitalAllocated,
+          executedAt,
+          updatedAt,
+          benchmark,
+          distributor,
+          rewards,
+        );
+        const realRewards = getRealRewards(rewards, strategyNAV, capitalAllocated, totalNegativeVotes);
+        estimateRewards = estimateRewards.add(rewards);
+        realEstimateRewards = realEstimateRewards.add(realRewards);
+        baselineRewards = baselineRewards.add(strategyBaselineRewards);
+        if (garden === heartGarden.address) {
+          totalHeartRewardsPending = totalHeartRewardsPending.add(rewards);
+          capitalAllocatedHeartStrategies = capitalAllocatedHeartStrategies.add(capitalAllocated);
+        }
+        strategies.push({
+          address: strategy,
+          finalized,
+          rewards,
+          realRewards,
+          baselineRewards: strategyBaselineRewards,
+        });
+      }
+    }
+
+    const gardenTotals = {
+      rewards: unclaimedRewards.add(estimateRewards),
+      unclaimedRewards,
+      estimateRewards,
+      realRewards: realUnclaimedRewards.add(realEstimateRewards),
+      realUnclaimedRewards,
+      realEstimateRewards,
+      baselineRewards,
+    };
+    for (const key of Object.keys(totals)) {
+      totals[key] = totals[key].add(gardenTotals[key]);
+    }
+    gardens.push({ address: garden, name: await gardenContract.name(), ...gardenTotals, strategies });
+  }
+
+  const totalBABL = eth(500000);
+  const remainingBABL = await token.balanceOf(distributor.address);
+  const heartBalance = await token.balanceOf(heartGarden.address);
+  const claimedBABL = totalBABL.sub(remainingBABL);
+
+  return {
+    gardens,
+    ...totals,
+    supply: {
+      remaining: remainingBABL,
+      claimed: claimedBABL,
+      heartStake: heartBalance.add(capitalAllocatedHeartStrategies),
+      heartRewardsFinalized: totalHeartRewardsFinalized,
+      heartRewardsPending: totalHeartRewardsPending,
+      available: remainingBABL.add(claimedBABL).sub(totals.realRewards),
+      exposed: totals.baselineRewards,
+    },
+  };
+}
+
+function getMiningRows({ gardens }) {
+  const { formatUnits } = ethers.utils;
+  const columns = [
+    'unclaimedRewards',
+    'realUnclaimedRewards',
+    'estimateRewards',
+    'realEstimateRewards',
+    'rewards',
+    'realRewards',
+    'baselineRewards',
+  ];
+  return {
+    columns: ['garden', 'name', ...columns],
+    rows: gardens.map((garden) => ({
+      garden: garden.address,
+      name: garden.name,
+      ...Object.fromEntries(columns.map((column) => [column, formatUnits(garden[column])])),
+    })),
+  };
+}
+
+function printMining(data) {
+  const { gardens, supply } = data;
+  for (const garden of gardens) {
+    console.log('');
+    console.log(`${garden.name} garden `);
+    console.log('  Garden rewards');
+    console.log(
+      `    Garden BABL unclaimed Rewards (real): ${chalk.green(
+        formatUnit(garden.realUnclaimedRewards),
+      )} BABL (${chalk.green(formatUnit(garden.unclaimedRewards))})`,
+    );
+    console.log(
+      `    Garden BABL estimated Rewards (real): ${chalk.cyan(
+        formatUnit(garden.realEstimateRewards),
+      )} BABL (${chalk.cyan(formatUnit(garden.estimateRewards))})`,
+    );
+    console.log(`    Garden Total BABL Rewards (real): ${chalk.blue(formatUnit(garden.realRewards))} BABL`);
+    console.log(`    Garden Estimated baseline supply: ${chalk.red(formatUnit(garden.baselineRewards))} BABL`);
+  }
+  console.log('');
+  console.log('');
+  console.log('Babylon Protocol Mining Performance');
+  console.log('');
+  console.log(` Supply performance:`);
+  console.log(`  Rewards Distributor BABL balance: ${chalk.green(formatUnit(supply.remaining))} BABL 💰`);
+  console.log(`  BABL Claimed: ${chalk.red(formatUnit(supply.claimed))} BABL 💰`);
+  console.log(`  BABL Stake in Heart Garden: ${chalk.cyan(formatUnit(supply.heartStake))} BABL 💰`);
+  console.log(
+    `     Heart Garden BABL Rewards (auto-compounded): ${chalk.cyan(formatUnit(supply.heartRewardsFinalized))} BABL 💰`,
+  );
+  console.log(
+    `     Heart Garden BABL Rewards (pending): ${chalk.cyan(formatUnit(supply.heartRewardsPending))} BABL 💰`,
+  );
+  console.log(`  BABL Available supply: ${chalk.green(formatUnit(supply.available))} BABL 💰`);
+  console.log(`  BABL Exposed supply (baseline): ${chalk.blueBright(formatUnit(supply.exposed))} BABL 💰`);
+  console.log('');
+  console.log(' Real delivery performance:');
+  console.log(
+    `  Total BABL unclaimed (real): ${chalk.green(formatUnit(data.realUnclaimedRewards))} BABL (${chalk.green(
+      formatUnit(data.unclaimedRewards),
+    )})`,
+  );
+  console.log(
+    `  Total BABL pending (real): ${chalk.cyan(formatUnit(data.realEstimateRewards))} BABL (${chalk.cyan(
+      formatUnit(data.estimateRewards),
+    )})`,
+  );
+  console.log(
+    `  Grand Total BABL (real): ${chalk.blue(formatUnit(data.realRewards))} BABL 💰 (${chalk.blue(
+      formatUnit(data.rewards),
+    )})`,
+  );
+  console.log('');
+  console.log(' Lost by strategist and stewards due to bad strategies:');
+  console.log(
+    `  Unclaimed (real): -${chalk.red(formatUnit(data.unclaimedRewards.sub(data.realUnclaimedRewards)))} BABL`,
+  );
+  console.log(`  Pending (real): -${chalk.red(formatUnit(data.estimateRewards.sub(data.realEstimateRewards)))} BABL`);
+  console.log('');
+}
+
+module.exports = {
+  getEstimateBaselineRewards,
+  getMining,
+  getMiningRows,
+  printMining,
+};
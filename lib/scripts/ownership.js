@@ -0,0 +1,219 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { ADDRESS_ZERO, ADMIN_SLOT } = require('../constants.js');
+const { ENTRIES, getNetworkName, resolveAddress } = require('../address-book');
+
+const DEFAULT_STEP = 2000;
+const TIMELOCK_ROLES = ['TIMELOCK_ADMIN_ROLE', 'PROPOSER_ROLE', 'EXECUTOR_ROLE'];
+const ROLE_GRANTED_TOPIC = ethers.utils.id('RoleGranted(bytes32,address,address)');
+const ROLE_REVOKED_TOPIC = ethers.utils.id('RoleRevoked(bytes32,address,address)');
+
+const BEACONS = ['GardenBeacon', 'StrategyBeacon', 'VTableBeacon'];
+const GATES = ['IshtarGate', 'MardukGate'];
+
+const getPolicyPath = (network) => path.join(__dirname, '..', '..', 'deployments', 'ownership', `${network}.json`);
+
+/**
+ * Expected holders of the privileged access of a network, by address book entry or address:
+ * - `owners`: owner by deployment name
+ * - `proxyAdmins`: admin by proxy entry of the address book
+ * - `roles`: holders by role of the TimelockController
+ * - `keepers` and `guardians` of the BabController
+ */
+async function loadPolicy(network, file = getPolicyPath(network)) {
+  if (!(await fs.pathExists(file))) {
+    return undefined;
+  }
+  return await fs.readJson(file);
+}
+
+const toAddress = (word) => ethers.utils.getAddress(ethers.utils.hexDataSlice(word, 12));
+
+/**
+ * Current holders of the roles of an AccessControl contract rebuilt from its `RoleGranted` and `RoleRevoked` events
+ */
+async function getRoleHolders({ ethers }, deployment, { step = DEFAULT_STEP } = {}) {
+  const { provider } = ethers;
+  const block = await provider.getBlockNumber();
+  const holders = {};
+  for (let start = deployment.receipt ? deployment.receipt.blockNumber : 0; start <= block; start += step) {
+    const logs = await provider.getLogs({
+      address: deployment.address,
+      topics: [[ROLE_GRANTED_TOPIC, ROLE_REVOKED_TOPIC]],
+      fromBlock: start,
+      toBlock: Math.min(start + step - 1, block),
+    });
+    for (const { topics } of logs) {
+      const [topic, role, account] = topics;
+      holders[role] = holders[role] || new Set();
+      if (topic === ROLE_GRANTED_TOPIC) {
+        holders[role].add(toAddress(account));
+      } else {
+        holders[role].delete(toAddress(account));
+      }
+    }
+  }
+  return Object.fromEntries(Object.entries(holders).map(([role, accounts]) => [role, [...accounts]]));
+}
+
+/**
+ * Lists who holds the privileged access of the protocol: owners of the deployments, beacons and gates, admins of the
+ * proxies, roles of the TimelockController, keepers and guardians of the BabController.
+ * Every access is checked against the expected `policy`. EOAs holding privileged access are flagged, keepers aside.
+ * The keeper list of the controller is a mapping so only the keepers of the policy and `keepers` are checked.
+ */
+async function getOwnership(hre, { policy = {}, keepers = [], step } = {}) {
+  const { deployments, ethers } = hre;
+  const { provider } = ethers;
+  const codes = {};
+  const isEOA = async (address) => {
+    codes[address] = codes[address] || (await provider.getCode(address));
+    return codes[address] === '0x';
+  };
+  const resolve = async (holder) =>
+    ethers.utils.isAddress(holder) ? ethers.utils.getAddress(holder) : await resolveAddress(hre, holder);
+
+  const accesses = [];
+  // `allowed` lists the holders of the policy, if any
+  const add = async ({ category, contract, address, role, holder, allowed, eoaAllowed = false, issues = [] }) => {
+    if (holder !== ADDRESS_ZERO && !eoaAllowed && (await isEOA(holder))) {
+      issues.push('EOA');
+    }
+    if (allowed && !allowed.includes(holder)) {
+      issues.push(allowed.length ? `expected ${allowed.join(' or ')}` : 'not in the policy');
+    }
+    accesses.push({ category, contract, address, role, holder, issues });
+  };
+  const resolveAll = async (holders) => holders && (await Promise.all([].concat(holders).map(resolve)));
+
+  const owners = policy.owners || {};
+  const ownable = new ethers.utils.Interface(['function owner() view returns (address)']);
+  for (const [name, deployment] of Object.entries(await deployments.all())) {
+    const owner = await provider
+      .call({ to: deployment.address, data: ownable.encodeFunctionData('owner') })
+      .then((result) => ownable.decodeFunctionResult('owner', result)[0])
+      .catch(() => ADDRESS_ZERO);
+    if (owner === ADDRESS_ZERO && !owners[name]) {
+      continue;
+    }
+    await add({
+      category: BEACONS.includes(name) ? 'beacon' : GATES.includes(name) ? 'gate' : 'owner',
+      contract: name,
+      address: deployment.address,
+      role: 'owner',
+      holder: owner,
+      allowed: await resolveAll(owners[name]),
+    });
+  }
+
+  const proxyAdmins = policy.proxyAdmins || {};
+  for (const name of Object.keys(ENTRIES).filter((entry) => ENTRIES[entry].proxy)) {
+    const address = await resolveAddress(hre, name).catch(() => undefined);
+    if (address) {
+      await add({
+        category: 'proxy',
+        contract: name,
+        address,
+        role: 'admin',
+        holder: toAddress(await provider.getStorageAt(address, ADMIN_SLOT)),
+        allowed: await resolveAll(proxyAdmins[name]),
+      });
+    }
+  }
+
+  const timelockDeployment = await deployments.getOrNull('TimelockController');
+  if (timelockDeployment) {
+    const timelock = await ethers.getContractAt('TimelockController', timelockDeployment.address);
+    const holders = await getRoleHolders(hre, timelockDeployment, { step });
+    for (const roleName of TIMELOCK_ROLES) {
+      const role = await timelock[roleName]();
+      const allowed = policy.roles && ((await resolveAll(policy.roles[roleName])) || []);
+      const current = [];
+      for (const holder of holders[role] || []) {
+        if (await timelock.hasRole(role, holder)) {
+          current.push(holder);
+        }
+      }
+      for (const holder of new Set([...current, ...(allowed || [])])) {
+        await add({
+          category: 'timelock',
+          contract: 'TimelockController',
+          address: timelock.address,
+          role: roleName,
+          holder,
+          allowed,
+          issues: current.includes(holder) ? [] : ['missing role'],
+        });
+      }
+    }
+  }
+
+  const controller = await ethers.getContractAt('BabController', await resolveAddress(hre, 'BabController'));
+  const allowedKeepers = await resolveAll(policy.keepers);
+  for (const holder of new Set([...(allowedKeepers || []), ...(await resolveAll(keepers))])) {
+    const valid = await controller.keeperList(holder);
+    await add({
+      category: 'keeper',
+      contract: 'BabController',
+      address: controller.address,
+      role: 'keeper',
+      holder,
+      allowed: allowedKeepers,
+      eoaAllowed: true,
+      issues: valid ? [] : ['not a keeper'],
+    });
+  }
+
+  const allowedGuardians = await resolveAll(policy.guardians);
+  for (const [role, holder] of [
+    ['guardian', await controller.guardian()],
+    ['EMERGENCY_OWNER', await controller.EMERGENCY_OWNER()],
+  ]) {
+    if (holder !== ADDRESS_ZERO) {
+      await add({
+        category: 'guardian',
+        contract: 'BabController',
+        address: controller.address,
+        role,
+        holder,
+        allowed: allowedGuardians,
+      });
+    }
+  }
+
+  return { network: getNetworkName(hre), accesses };
+}
+
+function getOwnershipRows({ accesses }) {
+  return {
+    columns: ['category', 'contract', 'address', 'role', 'holder', 'issues'],
+    rows: accesses.map((access) => ({ ...access, issues: access.issues.join('; ') })),
+  };
+}
+
+function printOwnership({ network, accesses }) {
+  console.log(`Privileged access on ${network}`);
+  let category;
+  for (const access of accesses) {
+    if (access.category !== category) {
+      category = access.category;
+      console.log(chalk.bold(`  ${category}`));
+    }
+    const line = `    ${access.contract} ${access.role}: ${access.holder}`;
+    console.log(access.issues.length ? chalk.red(`${line} (${access.issues.join(', ')})`) : line);
+  }
+  const flagged = accesses.filter(({ issues }) => issues.length > 0).length;
+  console.log(flagged ? chalk.red(`${flagged} accesses flagged`) : chalk.green('No access flagged'));
+}
+
+module.exports = {
+  TIMELOCK_ROLES,
+  getPolicyPath,
+  loadPolicy,
+  getRoleHolders,
+  getOwnership,
+  getOwnershipRows,
+  printOwnership,
+};
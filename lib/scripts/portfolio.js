@@ -0,0 +1,134 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { from, eth } = require('../helpers');
+const { ADDRESS_ZERO } = require('../constants.js');
+
+const ERC20 = '@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20';
+// Max number of gardens returned by a GardenViewer.getGardensUser page
+const GARDENS_PAGE = 50;
+
+/**
+ * Lists the gardens the user holds tokens in going through every page of `getGardensUser`
+ */
+async function getUserGardens(viewer, address, totalGardens) {
+  const gardens = [];
+  for (let offset = 0; offset < totalGardens; offset += GARDENS_PAGE) {
+    const [userGardens, hasUserDeposited] = await viewer.getGardensUser(address, offset);
+    gardens.push(...userGardens.filter((garden, i) => garden !== ADDRESS_ZERO && hasUserDeposited[i]));
+  }
+  return gardens;
+}
+
+/**
+ * Computes the position of an address in every garden it holds tokens in. Amounts are in the garden reserve asset
+ * except BABL rewards. The cost basis is the net amount deposited, i.e., deposits minus withdrawals.
+ * Claimable rewards come from finalized strategies and pending ones are estimated for active strategies.
+ */
+async function getPortfolio({ getContract, ethers }, address) {
+  const [deployer] = await ethers.getSigners();
+  address = ethers.utils.getAddress(address);
+
+  const babController = await getContract('BabController', 'BabControllerProxy', deployer);
+  const viewer = await getContract('IViewer', 'Viewer', deployer);
+  const valuer = await getContract('GardenValuer', undefined, deployer);
+  const { timestamp: now } = await ethers.provider.getBlock();
+
+  const gardens = [];
+  for (const garden of await getUserGardens(viewer, address, (await babController.getGardens()).length)) {
+    const gardenContract = await ethers.getContractAt('IGarden', garden);
+    const reserveAsset = await ethers.getContractAt(ERC20, await gardenContract.reserveAsset());
+
+    const [contribution, rewards, pendingRewards] = await viewer.getContributionAndRewards(garden, address);
+    const [lastDepositAt, , , claimedBABL, claimedProfits, costBasis, shares, lockedBalance] = contribution;
+    const [avgPricePerShare, lock] = contribution.slice(9);
+    const decimals = await reserveAsset.decimals();
+    // Price per share is normalized to 18 decimals
+    const pricePerShare = await valuer.calculateGardenValuation(garden, reserveAsset.address);
+    const value = shares.mul(pricePerShare).div(eth()).mul(from(10).pow(decimals)).div(eth());
+
+    // Deposits are locked since the last deposit or the last hardlock reset of the garden
+    const hardlockStartsAt = await gardenContract.hardlockStartsAt();
+    const unlocksAt = (hardlockStartsAt.gt(lastDepositAt) ? hardlockStartsAt : lastDepositAt).add(lock);
+
+    const [strategiesCreated, totalVotes] = await viewer.getUserStrategyActions(
+      [...(await gardenContract.getStrategies()), ...(await gardenContract.getFinalizedStrategies())],
+      address,
+    );
+
+    gardens.push({
+      address: garden,
+      name: await gardenContract.name(),
+      reserveAsset: reserveAsset.address,
+      symbol: await reserveAsset.symbol(),
+      decimals,
+      shares,
+      lockedBalance,
+      avgPricePerShare,
+      pricePerShare,
+      costBasis,
+      value,
+      pnl: value.sub(costBasis),
+      claimableBABL: rewards[5] || from(0),
+      claimableProfits: rewards[6] || from(0),
+      pendingBABL: pendingRewards[5] || from(0),
+      pendingProfits: pendingRewards[6] || from(0),
+      claimedBABL,
+      claimedProfits,
+      unlocksAt: unlocksAt.toNumber(),
+      locked: unlocksAt.gt(now),
+      strategiesCreated,
+      totalVotes,
+    });
+  }
+
+  return { address, now, gardens };
+}
+
+function getPortfolioRows({ gardens }) {
+  const { formatUnits } = ethers.utils;
+  const amounts = ['costBasis', 'value', 'pnl', 'claimableProfits', 'pendingProfits', 'claimedProfits'];
+  const tokens = ['shares', 'lockedBalance', 'claimableBABL', 'pendingBABL', 'claimedBABL', 'totalVotes'];
+  return {
+    columns: ['garden', 'name', 'symbol', ...tokens, ...amounts, 'locked', 'unlocksAt', 'strategiesCreated'],
+    rows: gardens.map((garden) => ({
+      ...garden,
+      garden: garden.address,
+      ...Object.fromEntries(amounts.map((column) => [column, formatUnits(garden[column], garden.decimals)])),
+      ...Object.fromEntries(tokens.map((column) => [column, formatUnits(garden[column])])),
+      unlocksAt: new Date(garden.unlocksAt * 1000).toISOString(),
+      strategiesCreated: garden.strategiesCreated.toString(),
+    })),
+  };
+}
+
+function printPortfolio({ address, gardens }) {
+  const { formatUnits } = ethers.utils;
+  console.log(`Portfolio of ${address}`);
+  if (gardens.length === 0) {
+    console.log('  No garden tokens');
+  }
+  for (const garden of gardens) {
+    const amount = (value) => `${formatUnits(value, garden.decimals)} ${garden.symbol}`;
+    console.log('');
+    console.log(`${chalk.green(garden.name)} ${garden.address}`);
+    console.log(`  Shares ${formatUnits(garden.shares)} (${formatUnits(garden.lockedBalance)} locked for voting)`);
+    console.log(`  Cost basis ${amount(garden.costBasis)}`);
+    console.log(`  Value ${amount(garden.value)}`);
+    console.log(`  Unrealized P&L ${(garden.pnl.gte(0) ? chalk.green : chalk.red)(amount(garden.pnl))}`);
+    console.log(`  Claimable ${formatUnits(garden.claimableBABL)} BABL and ${amount(garden.claimableProfits)}`);
+    console.log(`  Pending ${formatUnits(garden.pendingBABL)} BABL and ${amount(garden.pendingProfits)}`);
+    console.log(`  Claimed ${formatUnits(garden.claimedBABL)} BABL and ${amount(garden.claimedProfits)}`);
+    const unlocksAt = new Date(garden.unlocksAt * 1000).toISOString();
+    console.log(
+      `  ${garden.locked ? chalk.red(`Locked until ${unlocksAt}`) : chalk.green(`Unlocked since ${unlocksAt}`)}`,
+    );
+    console.log(`  Strategies created ${garden.strategiesCreated.toString()}, votes ${formatUnits(garden.totalVotes)}`);
+  }
+}
+
+module.exports = {
+  getUserGardens,
+  getPortfolio,
+  getPortfolioRows,
+  printPortfolio,
+};
@@ -8,7 +8,7 @@ const {
 const addresses = require('../addresses.js');
 
 async function setup(hre) {
-  const { fund } = require('../whale');
+  const { fund } = require('../funding');
   const { impersonateAddress } = require('../rpc');
   const { getERC20, eth } = require('utils/test-helpers');
   const { ethers, deployments } = hre;
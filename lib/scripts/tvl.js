@@ -0,0 +1,250 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { from, eth, formatUnit } = require('../helpers');
+const { ONE_DAY_IN_SECONDS } = require('../constants.js');
+const { getBlockByTimestamp } = require('../web3');
+
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+
+/**
+ * Computes the TVL and the wealth created by every garden. Garden metrics are in DAI, strategy metrics in the
+ * garden reserve asset.
+ * @param {number} blockTag - Block to compute the metrics at. Defaults to the latest block
+ */
+async function getTvl({ getContract, ethers }, { blockTag } = {}) {
+  const [deployer, owner] = await ethers.getSigners();
+  const overrides = { blockTag };
+
+  const babController = await getContract('BabController', 'BabControllerProxy', deployer);
+  // The oracle and the valuer wired in the controller at the block, older blocks are priced by older contracts
+  const priceOracle = await ethers.getContractAt('PriceOracle', await babController.priceOracle(overrides), deployer);
+  const viewer = await getContract('IViewer', 'Viewer', deployer);
+  const valuer = await ethers.getContractAt('GardenValuer', await babController.gardenValuer(overrides), deployer);
+  const hasViewer = (await ethers.provider.getCode(viewer.address, blockTag)) !== '0x';
+
+  const gardens = [];
+  let tvl = from(0);
+  let totalWealth = from(0);
+  for (const garden of await babController.getGardens(overrides)) {
+    const gardenContract = await ethers.getContractAt('IGarden', garden);
+    const priceOfReserveAsset = await priceOracle
+      .connect(owner)
+      .getPrice(await gardenContract.reserveAsset(overrides), DAI, overrides);
+    const reserveAsset = await ethers.getContractAt(
+      '@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20',
+      await gardenContract.reserveAsset(overrides),
+    );
+
+    const decimals = await reserveAsset.decimals(overrides);
+    const decimalsDiff = 18 - decimals;
+    const strategies = [];
+    let expectedReturns = from(0);
+    for (const strategy of await gardenContract.getStrategies(overrides)) {
+      const strategyContract = await ethers.getContractAt('Strategy', strategy);
+      const capitalAllocated = await strategyContract.capitalAllocated(overrides);
+      const nav = await strategyContract.getNAV(overrides);
+      strategies.push({ address: strategy, capitalAllocated, nav, expectedReturns: nav.sub(capitalAllocated) });
+      expectedReturns = expectedReturns.add(nav.sub(capitalAllocated));
+    }
+    expectedReturns = expectedReturns
+      .mul(priceOfReserveAsset)
+      .mul(10 ** decimalsDiff)
+      .div(eth());
+    const gardenNAV = (await valuer.calculateGardenValuation(garden, DAI, overrides))
+      .mul(await gardenContract.totalSupply(overrides))
+      .mul(10 ** decimalsDiff)
+      .div(eth());
+    // The viewer was deployed after the first gardens so the principal is unknown before
+    const principal = hasViewer
+      ? (await viewer.getGardenPrincipal(garden, overrides))
+          .mul(priceOfReserveAsset)
+          .mul(10 ** decimalsDiff)
+          .div(eth())
+      : undefined;
+    tvl = tvl.add(gardenNAV);
+    const absoluteReturns = (await gardenContract.absoluteReturns(overrides))
+      .mul(priceOfReserveAsset)
+      .mul(10 ** decimalsDiff)
+      .div(eth());
+    const reserveAssetRewardsSetAside = (await gardenContract.reserveAssetRewardsSetAside(overrides))
+      .mul(priceOfReserveAsset)
+      .mul(10 ** decimalsDiff)
+      .div(eth());
+    const totalKeeperFees = (await gardenContract.totalKeeperFees(overrides))
+      .mul(priceOfReserveAsset)
+      .mul(10 ** decimalsDiff)
+      .div(eth());
+    const wealthCreated = absoluteReturns.add(reserveAssetRewardsSetAside).sub(totalKeeperFees).add(expectedReturns);
+    totalWealth = totalWealth.add(wealthCreated);
+
+    gardens.push({
+      address: garden,
+      name: await gardenContract.name(overrides),
+      reserveAsset: reserveAsset.address,
+      principal,
+      rewards: reserveAssetRewardsSetAside,
+      absoluteReturns,
+      expectedReturns,
+      totalKeeperFees,
+      wealthCreated,
+      tvl: gardenNAV,
+      strategies,
+    });
+  }
+
+  return { gardens, wealthCreated: totalWealth, tvl };
+}
+
+function getTvlRows({ gardens }) {
+  const { formatUnits } = ethers.utils;
+  return {
+    columns: [
+      'garden',
+      'name',
+      'rewards',
+      'absoluteReturns',
+      'expectedReturns',
+      'totalKeeperFees',
+      'wealthCreated',
+      'tvl',
+    ],
+    rows: gardens.map((garden) => ({
+      garden: garden.address,
+      name: garden.name,
+      rewards: formatUnits(garden.rewards),
+      absoluteReturns: formatUnits(garden.absoluteReturns),
+      expectedReturns: formatUnits(garden.expectedReturns),
+      totalKeeperFees: formatUnits(garden.totalKeeperFees),
+      wealthCreated: formatUnits(garden.wealthCreated),
+      tvl: formatUnits(garden.tvl),
+    })),
+  };
+}
+
+function printTvl({ gardens, wealthCreated, tvl }) {
+  for (const garden of gardens) {
+    console.log(`${garden.name}`);
+    console.log(`  Rewards: $${chalk.green(formatUnit(garden.rewards))}`);
+    console.log(`  Absolute Returns: $${chalk.green(formatUnit(garden.absoluteReturns))}`);
+    console.log(`  Expected Returns: $${chalk.green(formatUnit(garden.expectedReturns))}`);
+    console.log(`  Total Keeper Fees: $${chalk.red(formatUnit(garden.totalKeeperFees))}`);
+    console.log(`  Wealth Created: $${chalk.green(formatUnit(garden.wealthCreated))}`);
+    console.log(`  TVL: $${chalk.cyan(formatUnit(garden.tvl))}`);
+  }
+  console.log('Babylon Protocol');
+  console.log(`  Wealth Created: $${chalk.green(formatUnit(wealthCreated))} 💰`);
+  console.log(`  TVL: $${chalk.cyan(formatUnit(tvl))} 🤑`);
+}
+
+async function toBlockNumber(provider, value) {
+  if (value === undefined) {
+    return await provider.getBlockNumber();
+  }
+  if (/^\d+$/.test(value)) {
+    return +value;
+  }
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid block or date: "${value}"`);
+  }
+  return await getBlockByTimestamp(provider, Math.floor(time / 1000));
+}
+
+/**
+ * Lists the blocks of a time series. Bounds are block numbers or dates, e.g. `2021-12-01`, and `step` is
+ * a number of blocks or of days with a `d` suffix, e.g. `30d`. The last block is always included.
+ */
+async function getHistoryBlocks(provider, { start, end, step }) {
+  const match = /^(\d+)(d?)$/.exec(step || '');
+  if (!match || +match[1] === 0) {
+    throw new Error(`Invalid step: "${step}"`);
+  }
+  const startBlock = await toBlockNumber(provider, start);
+  const endBlock = await toBlockNumber(provider, end);
+
+  const blocks = [];
+  if (match[2]) {
+    const endTimestamp = (await provider.getBlock(endBlock)).timestamp;
+    const stepInSeconds = ONE_DAY_IN_SECONDS.toNumber() * +match[1];
+    const startTimestamp = (await provider.getBlock(startBlock)).timestamp;
+    for (let timestamp = startTimestamp; timestamp < endTimestamp; timestamp += stepInSeconds) {
+      blocks.push(await getBlockByTimestamp(provider, timestamp));
+    }
+  } else {
+    for (let block = startBlock; block < endBlock; block += +match[1]) {
+      blocks.push(block);
+    }
+  }
+  return [...new Set([...blocks, endBlock])];
+}
+
+/**
+ * Computes the TVL and the wealth created by every garden at every block of the `start` to `end` range
+ */
+async function getTvlHistory(hre, { start, end, step }) {
+  const { provider } = hre.ethers;
+  const points = [];
+  for (const block of await getHistoryBlocks(provider, { start, end, step })) {
+    const { timestamp } = await provider.getBlock(block);
+    points.push({ block, timestamp, ...(await getTvl(hre, { blockTag: block })) });
+  }
+  return { points };
+}
+
+function getTvlHistoryRows({ points }) {
+  const { formatUnits } = ethers.utils;
+  const format = (value) => (value ? formatUnits(value) : undefined);
+  return {
+    columns: [
+      'block',
+      'timestamp',
+      'date',
+      'garden',
+      'name',
+      'tvl',
+      'principal',
+      'absoluteReturns',
+      'totalKeeperFees',
+      'wealthCreated',
+    ],
+    rows: points.flatMap(({ block, timestamp, gardens, tvl, wealthCreated }) => {
+      const date = new Date(timestamp * 1000).toISOString();
+      return [
+        // Protocol totals are the rows without garden
+        { block, timestamp, date, name: 'Babylon Protocol', tvl: format(tvl), wealthCreated: format(wealthCreated) },
+        ...gardens.map((garden) => ({
+          block,
+          timestamp,
+          date,
+          garden: garden.address,
+          name: garden.name,
+          tvl: format(garden.tvl),
+          principal: format(garden.principal),
+          absoluteReturns: format(garden.absoluteReturns),
+          totalKeeperFees: format(garden.totalKeeperFees),
+          wealthCreated: format(garden.wealthCreated),
+        })),
+      ];
+    }),
+  };
+}
+
+function printTvlHistory({ points }) {
+  for (const { block, timestamp, tvl, wealthCreated } of points) {
+    console.log(
+      `${new Date(timestamp * 1000).toISOString()} block ${block} TVL: $${chalk.cyan(
+        formatUnit(tvl),
+      )} Wealth Created: $${chalk.green(formatUnit(wealthCreated))}`,
+    );
+  }
+}
+
+module.exports = {
+  getTvl,
+  getTvlRows,
+  printTvl,
+  getHistoryBlocks,
+  getTvlHistory,
+  getTvlHistoryRows,
+  printTvlHistory,
+};
@@ -0,0 +1,140 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { from, formatUnit } = require('../helpers');
+const { ONE_DAY_IN_SECONDS, ADDRESS_ZERO } = require('../constants.js');
+const { getBlockByTimestamp } = require('../web3');
+const { getDefaultFromBlock } = require('../indexer');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const DEFAULT_NEW_PERIOD = ONE_DAY_IN_SECONDS.toNumber() * 30;
+const DEFAULT_STEP = 2000;
+
+/**
+ * Rebuilds the holders of every garden token from its `Transfer` events up to `block`.
+ * Returns the block where every holder first received garden tokens.
+ */
+async function getHolders(hre, { gardens, fromBlock, block, step = DEFAULT_STEP }) {
+  const { provider } = hre.ethers;
+  const holders = Object.fromEntries(gardens.map((garden) => [ethers.utils.getAddress(garden), {}]));
+  for (let chunkStart = fromBlock; chunkStart <= block; chunkStart += step) {
+    const chunkEnd = Math.min(chunkStart + step - 1, block);
+    // eth_getLogs filters by several addresses at once which the ethers provider filter does not support
+    const logs = await provider.send('eth_getLogs', [
+      {
+        address: Object.keys(holders),
+        topics: [TRANSFER_TOPIC],
+        fromBlock: ethers.utils.hexValue(chunkStart),
+        toBlock: ethers.utils.hexValue(chunkEnd),
+      },
+    ]);
+    for (const log of logs) {
+      const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
+      const gardenHolders = holders[ethers.utils.getAddress(log.address)];
+      if (to !== ADDRESS_ZERO && gardenHolders[to] === undefined) {
+        gardenHolders[to] = from(log.blockNumber).toNumber();
+      }
+    }
+  }
+  return holders;
+}
+
+/**
+ * Lists the new, active and exited depositors of every garden at `block`, the latest by default.
+ * Depositors are new if they first received garden tokens after `since`, 30 days before `block` by default.
+ * Active depositors hold garden tokens at `block` while exited ones do not anymore.
+ */
+async function getUsers(hre, { block, since, fromBlock, step } = {}) {
+  const { ethers, getContract } = hre;
+  const [deployer] = await ethers.getSigners();
+  const { provider } = ethers;
+
+  block = block !== undefined ? block : await provider.getBlockNumber();
+  if (since === undefined) {
+    const { timestamp } = await provider.getBlock(block);
+    since = await getBlockByTimestamp(provider, timestamp - DEFAULT_NEW_PERIOD);
+  }
+  fromBlock = fromBlock !== undefined ? fromBlock : await getDefaultFromBlock(hre);
+
+  const babController = await getContract('BabController', 'BabControllerProxy', deployer);
+  const addresses = await babController.getGardens({ blockTag: block });
+  const holders = await getHolders(hre, { gardens: addresses, fromBlock, block, step });
+
+  const gardens = [];
+  const unique = new Set();
+  const uniqueActive = new Set();
+  for (const garden of addresses) {
+    const gardenContract = await ethers.getContractAt('IGarden', garden);
+    const users = [];
+    for (const [address, firstBlock] of Object.entries(holders[ethers.utils.getAddress(garden)])) {
+      const balance = await gardenContract.balanceOf(address, { blockTag: block });
+      users.push({ address, firstBlock, balance, isNew: firstBlock >= since, active: balance.gt(0) });
+      unique.add(address);
+      if (balance.gt(0)) {
+        uniqueActive.add(address);
+      }
+    }
+    gardens.push({
+      address: garden,
+      name: await gardenContract.name({ blockTag: block }),
+      users,
+      newUsers: users.filter((user) => user.isNew).length,
+      activeUsers: users.filter((user) => user.active).length,
+      exitedUsers: users.filter((user) => !user.active).length,
+    });
+  }
+
+  return {
+    block,
+    since,
+    gardens,
+    totalUsers: gardens.reduce((total, garden) => total + garden.users.length, 0),
+    uniqueUsers: unique.size,
+    uniqueActiveUsers: uniqueActive.size,
+  };
+}
+
+function getUsersRows({ gardens }) {
+  return {
+    columns: ['garden', 'name', 'user', 'firstBlock', 'balance', 'new', 'active'],
+    rows: gardens.flatMap((garden) =>
+      garden.users.map((user) => ({
+        garden: garden.address,
+        name: garden.name,
+        user: user.address,
+        firstBlock: user.firstBlock,
+        balance: ethers.utils.formatUnits(user.balance),
+        new: user.isNew,
+        active: user.active,
+      })),
+    ),
+  };
+}
+
+function printUsers(data) {
+  console.log(`Users at block ${data.block}, new since block ${data.since}`);
+  for (const garden of data.gardens) {
+    console.log(`${chalk.green(garden.name)} ${garden.address}`);
+    console.log(
+      `  new ${chalk.cyan(garden.newUsers)} active ${chalk.green(garden.activeUsers)} exited ${chalk.red(
+        garden.exitedUsers,
+      )}`,
+    );
+    for (const user of garden.users) {
+      console.log(
+        `    ${user.address} ${formatUnit(user.balance)}${user.isNew ? chalk.cyan(' new') : ''}${
+          user.active ? '' : chalk.red(' exited')
+        }`,
+      );
+    }
+  }
+  console.log('Total Users', data.totalUsers);
+  console.log('Total Unique Users', data.uniqueUsers);
+  console.log('Total Unique Active Users', data.uniqueActiveUsers);
+}
+
+module.exports = {
+  getHolders,
+  getUsers,
+  getUsersRows,
+  printUsers,
+};
@@ -0,0 +1,172 @@
+const fs = require('fs-extra');
+const axios = require('axios');
+const chalk = require('chalk');
+const { from, eth, formatUnit } = require('../helpers');
+const { getBlockByTimestamp } = require('../web3');
+const { getStrategyVoteHash, getStrategyVoteSig, recoverSigner } = require('../signatures');
+const { MAX_CANDIDATE_PERIOD } = require('./keeper');
+
+/**
+ * Signs a steward vote. Positive amounts vote for the strategy, negative against.
+ */
+async function signVote(signer, strategy, amount) {
+  const signature = await getStrategyVoteSig(strategy, signer, amount);
+  return {
+    strategy,
+    voter: await signer.getAddress(),
+    amount: from(amount).toString(),
+    signature,
+  };
+}
+
+function recoverVoter({ strategy, amount, signature }) {
+  return recoverSigner(getStrategyVoteHash(strategy, amount), signature);
+}
+
+/**
+ * Loads signed votes from a local JSON file or an HTTP endpoint.
+ * Both must hold an array of votes or an object with a `votes` array.
+ */
+async function loadVotes(source) {
+  let data;
+  if (/^https?:\/\//.test(source)) {
+    ({ data } = await axios.get(source));
+  } else {
+    data = (await fs.pathExists(source)) ? await fs.readJson(source) : [];
+  }
+  return Array.isArray(data) ? data : data.votes || [];
+}
+
+/**
+ * Stores a signed vote replacing any previous vote of the same voter on the same `key`, i.e., strategy or garden.
+ */
+async function saveVote(store, vote, key = 'strategy') {
+  const votes = (await loadVotes(store)).filter(
+    (o) => !(o[key].toLowerCase() === vote[key].toLowerCase() && o.voter.toLowerCase() === vote.voter.toLowerCase()),
+  );
+  await fs.outputJson(store, [...votes, vote], { spaces: 2 });
+}
+
+/**
+ * Validates the votes of a candidate strategy against the garden state at the block the strategy was created.
+ * Invalid votes are dropped and reported. The last vote of a voter wins.
+ */
+async function tallyVotes(hre, strategy, votes) {
+  const { ethers } = hre;
+  const garden = await ethers.getContractAt('IGarden', await strategy.garden());
+  const enteredAt = await strategy.enteredAt();
+  const blockTag = await getBlockByTimestamp(ethers.provider, enteredAt.toNumber());
+
+  const byVoter = {};
+  const rejected = [];
+  for (const vote of votes.filter((o) => o.strategy.toLowerCase() === strategy.address.toLowerCase())) {
+    let signer;
+    try {
+      signer = recoverVoter(vote);
+    } catch (e) {
+      rejected.push({ vote, reason: 'malformed signature' });
+      continue;
+    }
+    if (signer.toLowerCase() !== vote.voter.toLowerCase()) {
+      rejected.push({ vote, reason: 'invalid signature' });
+      continue;
+    }
+    byVoter[signer] = vote;
+  }
+
+  const voters = [];
+  const amounts = [];
+  let totalPositiveVotes = from(0);
+  let totalNegativeVotes = from(0);
+  for (const [voter, vote] of Object.entries(byVoter)) {
+    const amount = from(vote.amount);
+    const power = await garden.getVotingPower(voter, { blockTag });
+    if (amount.eq(0) || amount.abs().gt(power)) {
+      rejected.push({ vote, reason: `voting power ${formatUnit(power)} below vote` });
+      continue;
+    }
+    voters.push(voter);
+    amounts.push(amount);
+    if (amount.gt(0)) {
+      totalPositiveVotes = totalPositiveVotes.add(amount);
+    } else {
+      totalNegativeVotes = totalNegativeVotes.add(amount.abs());
+    }
+  }
+
+  const totalSupply = await garden.totalSupply({ blockTag });
+  const quorum = (await garden.minVotesQuorum()).mul(totalSupply).div(eth());
+  const minVoters = await garden.minVoters();
+  const passed =
+    voters.length >= minVoters.toNumber() &&
+    totalPositiveVotes.gte(quorum) &&
+    totalPositiveVotes.gt(totalNegativeVotes);
+
+  return { blockTag, voters, amounts, totalPositiveVotes, totalNegativeVotes, quorum, minVoters, passed, rejected };
+}
+
+/**
+ * Tallies the votes of every candidate strategy in the protocol and submits `resolveVoting`
+ * for the ones that reached quorum. Nothing is sent when `dryRun` is set.
+ */
+async function resolveVotes(hre, { keeper, source, fee = 0, dryRun = false } = {}) {
+  const { ethers } = hre;
+  const controller = await hre.getContract('BabController', 'BabControllerProxy');
+  const votes = await loadVotes(source);
+  const { timestamp: now } = await ethers.provider.getBlock('latest');
+
+  if (!dryRun && !(await controller.isValidKeeper(keeper.address))) {
+    throw new Error(`${keeper.address} is not a valid keeper`);
+  }
+
+  const results = [];
+  for (const gardenAddress of await controller.getGardens()) {
+    const garden = await ethers.getContractAt('IGarden', gardenAddress);
+    for (const strategyAddress of await garden.getStrategies()) {
+      const strategy = await ethers.getContractAt('Strategy', strategyAddress, keeper);
+      const [, active, , finalized] = await strategy.getStrategyState();
+      const enteredAt = await strategy.enteredAt();
+      if (active || finalized || from(now).sub(enteredAt).gt(MAX_CANDIDATE_PERIOD)) {
+        continue;
+      }
+
+      const tally = await tallyVotes(hre, strategy, votes);
+      console.log(`Strategy ${strategyAddress} of ${await garden.name()}`);
+      console.log(`  voters ${tally.voters.length}/${tally.minVoters.toString()}`);
+      console.log(
+        `  for ${formatUnit(tally.totalPositiveVotes)} against ${formatUnit(
+          tally.totalNegativeVotes,
+        )} quorum ${formatUnit(tally.quorum)}`,
+      );
+      for (const { vote, reason } of tally.rejected) {
+        console.log(`  ${chalk.yellow('rejected')} vote of ${vote.voter}: ${reason}`);
+      }
+
+      if (!tally.passed) {
+        console.log(`  ${chalk.yellow('quorum not reached')}`);
+        results.push({ strategy: strategyAddress, ...tally });
+        continue;
+      }
+      if (dryRun) {
+        console.log(`  ${chalk.green('would resolve voting')}`);
+        results.push({ strategy: strategyAddress, ...tally });
+        continue;
+      }
+
+      const tx = await strategy.resolveVoting(tally.voters, tally.amounts, fee, { ...(await hre.getGasPrice()) });
+      console.log(`  ${chalk.green('resolved voting')} Tx hash ${tx.hash}`);
+      await tx.wait();
+      results.push({ strategy: strategyAddress, ...tally, hash: tx.hash });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  signVote,
+  recoverVoter,
+  loadVotes,
+  saveVote,
+  tallyVotes,
+  resolveVotes,
+};
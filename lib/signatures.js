@@ -0,0 +1,177 @@
+const { ethers } = require('ethers');
+
+// Type strings have to match the ones hashed in Garden.sol byte by byte,
+// including the `uint256,_nonce` typo of WithdrawBySig.
+const TYPES = {
+  DepositBySig:
+    'DepositBySig(uint256 _amountIn,uint256 _minAmountOut,uint256 _nonce,uint256 _maxFee,address _to,address _referrer)',
+  WithdrawBySig:
+    'WithdrawBySig(uint256 _amountIn,uint256 _minAmountOut,uint256,_nonce,uint256 _maxFee,uint256 _withPenalty)',
+  RewardsBySig: 'RewardsBySig(uint256 _babl,uint256 _profits,uint256 _nonce,uint256 _maxFee)',
+  StakeRewardsBySig:
+    'StakeRewardsBySig(uint256 _babl,uint256 _profits,uint256 _minAmountOut,uint256 _nonce,uint256 _nonceHeart,uint256 _maxFee,address _to)',
+  StrategyVote: 'StrategyVote(address _strategy,int256 _amount)',
+  // Heart.VOTE_GARDEN_TYPEHASH
+  GardenVote: 'GardenVote(address _garden,uint256 _amount)',
+};
+
+const TYPEHASHES = Object.fromEntries(
+  Object.entries(TYPES).map(([name, type]) => [name, ethers.utils.keccak256(ethers.utils.toUtf8Bytes(type))]),
+);
+
+// bytes4(keccak256('isValidSignature(bytes32,bytes)'))
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+function hashStruct(types, values) {
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(types, values));
+}
+
+/**
+ * Returns the digest the contracts verify, i.e., the `toEthSignedMessageHash` of the payload hash
+ * @param {string} payloadHash - Hash returned by any of the `get*SigHash` functions
+ */
+function getDigest(payloadHash) {
+  return ethers.utils.hashMessage(ethers.utils.arrayify(payloadHash));
+}
+
+/**
+ * Signs a payload hash the way the contracts expect it (EIP-191 personal message)
+ * @param {object} signer - ethers Signer of an EOA or of the owner of an ERC-1271 wallet
+ * @param {string} payloadHash - Hash returned by any of the `get*SigHash` functions
+ */
+async function signHash(signer, payloadHash) {
+  return await signer.signMessage(ethers.utils.arrayify(payloadHash));
+}
+
+function getDepositSigHash(garden, amountIn, minAmountOut, nonce, maxFee, to, referrer) {
+  return hashStruct(
+    ['bytes32', 'address', 'uint256', 'uint256', 'uint256', 'uint256', 'address', 'address'],
+    [TYPEHASHES.DepositBySig, garden, amountIn, minAmountOut, nonce, maxFee, to, referrer],
+  );
+}
+
+async function getDepositSig(garden, signer, amountIn, minAmountOut, nonce, maxFee, to, referrer) {
+  return await signHash(signer, getDepositSigHash(garden, amountIn, minAmountOut, nonce, maxFee, to, referrer));
+}
+
+function getWithdrawSigHash(garden, amountIn, minAmountOut, nonce, maxFee, withPenalty) {
+  return hashStruct(
+    ['bytes32', 'address', 'uint256', 'uint256', 'uint256', 'uint256', 'bool'],
+    [TYPEHASHES.WithdrawBySig, garden, amountIn, minAmountOut, nonce, maxFee, withPenalty],
+  );
+}
+
+async function getWithdrawSig(garden, signer, amountIn, minAmountOut, nonce, maxFee, withPenalty) {
+  return await signHash(signer, getWithdrawSigHash(garden, amountIn, minAmountOut, nonce, maxFee, withPenalty));
+}
+
+function getRewardsSigHash(garden, babl, profits, nonce, maxFee) {
+  return hashStruct(
+    ['bytes32', 'address', 'uint256', 'uint256', 'uint256', 'uint256'],
+    [TYPEHASHES.RewardsBySig, garden, babl, profits, nonce, maxFee],
+  );
+}
+
+async function getRewardsSig(garden, signer, babl, profits, nonce, maxFee) {
+  return await signHash(signer, getRewardsSigHash(garden, babl, profits, nonce, maxFee));
+}
+
+/**
+ * Hash verified by `claimAndStakeRewardsBySig` and `stakeBySig`.
+ * Both use the Heart garden address as `garden` no matter which garden rewards are claimed from.
+ */
+function getStakeRewardsSigHash(garden, babl, profits, minAmountOut, nonce, nonceHeart, maxFee, to) {
+  return hashStruct(
+    ['bytes32', 'address', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256', 'address'],
+    [TYPEHASHES.StakeRewardsBySig, garden, babl, profits, minAmountOut, nonce, nonceHeart, maxFee, to],
+  );
+}
+
+async function getStakeRewardsSig(garden, signer, babl, profits, minAmountOut, nonce, nonceHeart, maxFee, to) {
+  return await signHash(
+    signer,
+    getStakeRewardsSigHash(garden, babl, profits, minAmountOut, nonce, nonceHeart, maxFee, to),
+  );
+}
+
+/**
+ * `Heart.bondAssetBySig` forwards the signature to `depositBySig` of the Heart garden
+ */
+async function getBondAssetSig(heartGarden, signer, amountIn, minAmountOut, nonce, maxFee, contributor, referrer) {
+  return await getDepositSig(heartGarden, signer, amountIn, minAmountOut, nonce, maxFee, contributor, referrer);
+}
+
+function getStrategyVoteHash(strategy, amount) {
+  return hashStruct(['bytes32', 'address', 'int256'], [TYPEHASHES.StrategyVote, strategy, amount]);
+}
+
+async function getStrategyVoteSig(strategy, signer, amount) {
+  return await signHash(signer, getStrategyVoteHash(strategy, amount));
+}
+
+function getGardenVoteHash(garden, amount) {
+  return hashStruct(['bytes32', 'address', 'uint256'], [TYPEHASHES.GardenVote, garden, amount]);
+}
+
+async function getGardenVoteSig(garden, signer, amount) {
+  return await signHash(signer, getGardenVoteHash(garden, amount));
+}
+
+/**
+ * Recovers the EOA that signed a payload hash
+ */
+function recoverSigner(payloadHash, signature) {
+  return ethers.utils.recoverAddress(getDigest(payloadHash), signature);
+}
+
+/**
+ * Checks a signature the same way SignatureChecker.isValidSignatureNow does:
+ * ERC-1271 `isValidSignature` for contracts, ECDSA recovery for EOAs.
+ * @param {object} provider - ethers provider
+ * @param {string} signer - Address of the EOA or the ERC-1271 wallet
+ * @param {string} payloadHash - Hash returned by any of the `get*SigHash` functions
+ * @param {string} signature - Signature to check
+ */
+async function isValidSignatureNow(provider, signer, payloadHash, signature) {
+  const code = await provider.getCode(signer);
+  if (code === '0x') {
+    try {
+      return recoverSigner(payloadHash, signature).toLowerCase() === signer.toLowerCase();
+    } catch (e) {
+      return false;
+    }
+  }
+  const wallet = new ethers.Contract(
+    signer,
+    ['function isValidSignature(bytes32 _hash, bytes memory _signature) view returns (bytes4 magicValue)'],
+    provider,
+  );
+  try {
+    return (await wallet.isValidSignature(getDigest(payloadHash), signature)) === ERC1271_MAGIC_VALUE;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  TYPES,
+  TYPEHASHES,
+  ERC1271_MAGIC_VALUE,
+  getDigest,
+  signHash,
+  recoverSigner,
+  isValidSignatureNow,
+  getDepositSigHash,
+  getDepositSig,
+  getWithdrawSigHash,
+  getWithdrawSig,
+  getRewardsSigHash,
+  getRewardsSig,
+  getStakeRewardsSigHash,
+  getStakeRewardsSig,
+  getBondAssetSig,
+  getStrategyVoteHash,
+  getStrategyVoteSig,
+  getGardenVoteHash,
+  getGardenVoteSig,
+};
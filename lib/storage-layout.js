@@ -0,0 +1,196 @@
+// Contracts whose storage is checked before an upgrade
+const UPGRADEABLE = ['Garden', 'Strategy', 'Heart', 'BabController', 'RewardsDistributor', 'Assistant'];
+
+// VTable modules of the garden share the storage of `BaseGardenModule`
+const GARDEN_MODULES = ['AdminGardenModule', 'StrategyGardenModule', 'EmergencyGardenModule'];
+const GARDEN_MODULE_BASE = 'BaseGardenModule';
+
+const isGap = ({ label }) => label === '__gap';
+
+// Contract types are stored as addresses
+const normalizeLabel = (label) =>
+  label.replace(/\bcontract \w+/g, 'address').replace(/\b(struct|enum) (\w+\.)*(\w+)/g, '$1 $3');
+
+/**
+ * Describes a storage type without the AST ids and the contract names solc puts in type ids and labels, e.g.,
+ * `t_struct(Contributor)46510_storage` of `GardenV33` and `Garden` both become `struct Contributor { ... }`
+ */
+function describeType(types, id) {
+  const type = types[id];
+  if (!type) {
+    return id;
+  }
+  const label = normalizeLabel(type.label);
+  if (type.members) {
+    return `${label} { ${type.members
+      .map((member) => `${describeType(types, member.type)} ${member.label}`)
+      .join('; ')} }`;
+  }
+  if (type.encoding === 'mapping') {
+    return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`;
+  }
+  if (type.base) {
+    return label.replace(/^[^[]+/, describeType(types, type.base));
+  }
+  return label;
+}
+
+/**
+ * Whether a value of the original type can be read as the updated type. Structs stored in a mapping or a dynamic
+ * array can get new members at the end since they do not shift the following slots.
+ */
+function isCompatibleType(original, originalId, updated, updatedId, growable = false) {
+  const from = original.types[originalId];
+  const to = updated.types[updatedId];
+  if (!from || !to || from.encoding !== to.encoding) {
+    return describeType(original.types, originalId) === describeType(updated.types, updatedId);
+  }
+  if (from.members && to.members) {
+    if (to.members.length < from.members.length || (!growable && to.members.length !== from.members.length)) {
+      return false;
+    }
+    return from.members.every(
+      (member, i) =>
+        member.slot === to.members[i].slot &&
+        member.offset === to.members[i].offset &&
+        isCompatibleType(original, member.type, updated, to.members[i].type),
+    );
+  }
+  if (from.encoding === 'mapping') {
+    return (
+      describeType(original.types, from.key) === describeType(updated.types, to.key) &&
+      isCompatibleType(original, from.value, updated, to.value, true)
+    );
+  }
+  if (from.base && to.base) {
+    return (
+      from.numberOfBytes === to.numberOfBytes &&
+      isCompatibleType(original, from.base, updated, to.base, from.encoding === 'dynamic_array')
+    );
+  }
+  return describeType(original.types, originalId) === describeType(updated.types, updatedId);
+}
+
+/**
+ * Compares the solc storage layouts of two implementations sharing the same storage. Every variable of `original`
+ * has to stay at the same slot and offset with a compatible type. Variables can be renamed, appended or take the
+ * place of a `__gap`. With `allowAppend` off, `updated` cannot declare variables of its own.
+ * Returns the list of errors.
+ */
+function compareStorageLayouts(original, updated, { allowAppend = true } = {}) {
+  const errors = [];
+  const position = ({ slot, offset }) => `slot ${slot} offset ${offset}`;
+  const at = (layout, variable) =>
+    layout.storage.find(({ slot, offset }) => slot === variable.slot && offset === variable.offset);
+  const find = (layout, { label }) => layout.storage.find((variable) => !isGap(variable) && variable.label === label);
+
+  for (const variable of original.storage.filter((o) => !isGap(o))) {
+    const match = at(updated, variable);
+    if (!match || match.label !== variable.label) {
+      const moved = find(updated, variable);
+      if (moved) {
+        errors.push(`${variable.label} moved from ${position(variable)} to ${position(moved)}`);
+        continue;
+      }
+      if (!match || isGap(match)) {
+        errors.push(`${variable.label} at ${position(variable)} was removed`);
+        continue;
+      }
+      if (find(original, match)) {
+        errors.push(`${variable.label} at ${position(variable)} was replaced by ${match.label}`);
+        continue;
+      }
+    }
+    if (!isCompatibleType(original, variable.type, updated, match.type)) {
+      errors.push(
+        `${variable.label} at ${position(variable)} changed from ${describeType(
+          original.types,
+          variable.type,
+        )} to ${describeType(updated.types, match.type)}`,
+      );
+    }
+  }
+
+  if (!allowAppend) {
+    for (const variable of updated.storage.filter((variable) => !at(original, variable))) {
+      errors.push(`${variable.label} at ${position(variable)} is not part of the shared storage`);
+    }
+  }
+
+  return errors;
+}
+
+function assertStorageLayout(name, original, updated, options) {
+  const errors = compareStorageLayouts(original, updated, options);
+  if (errors.length > 0) {
+    throw new Error(
+      `Storage layout of ${name} is not compatible:\n${errors.map((error) => `  - ${error}`).join('\n')}`,
+    );
+  }
+}
+
+/**
+ * Storage layout of a deployment, e.g., the implementation currently used by a proxy
+ */
+async function getDeployedStorageLayout({ deployments }, name) {
+  const { storageLayout } = await deployments.get(name);
+  if (!storageLayout) {
+    throw new Error(`Deployment ${name} has no storage layout`);
+  }
+  return storageLayout;
+}
+
+/**
+ * Storage layout of a compiled contract
+ */
+async function getCompiledStorageLayout({ artifacts }, name) {
+  const { sourceName, contractName } = await artifacts.readArtifact(name);
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const { storageLayout } = buildInfo.output.contracts[sourceName][contractName];
+  if (!storageLayout) {
+    throw new Error(`Contract ${name} was compiled without its storage layout`);
+  }
+  return storageLayout;
+}
+
+/**
+ * Checks a new implementation against the deployed one. Throws for contracts out of `UPGRADEABLE`, e.g., a misspelled
+ * beacon, so they are not upgraded unchecked.
+ */
+async function validateUpgrade(hre, contract, previousImplName, newImplName) {
+  if (!UPGRADEABLE.includes(contract)) {
+    throw new Error(
+      `Storage layout of ${contract} cannot be checked before an upgrade. Use one of ${UPGRADEABLE.join(', ')}`,
+    );
+  }
+  assertStorageLayout(
+    `${newImplName} upgrading ${previousImplName}`,
+    await getDeployedStorageLayout(hre, previousImplName),
+    await getCompiledStorageLayout(hre, newImplName),
+  );
+}
+
+/**
+ * Checks a garden VTable module keeps the storage of `BaseGardenModule` without adding variables of its own
+ */
+async function validateGardenModule(hre, name) {
+  assertStorageLayout(
+    `${name} against ${GARDEN_MODULE_BASE}`,
+    await getCompiledStorageLayout(hre, GARDEN_MODULE_BASE),
+    await getCompiledStorageLayout(hre, name),
+    { allowAppend: false },
+  );
+}
+
+module.exports = {
+  UPGRADEABLE,
+  GARDEN_MODULES,
+  GARDEN_MODULE_BASE,
+  describeType,
+  compareStorageLayouts,
+  assertStorageLayout,
+  getDeployedStorageLayout,
+  getCompiledStorageLayout,
+  validateUpgrade,
+  validateGardenModule,
+};
@@ -0,0 +1,40 @@
+const { task } = require('hardhat/config');
+const {
+  getNetworkName,
+  getBookPath,
+  readAddressBook,
+  writeAddressBook,
+  buildAddressBook,
+  validateAddressBook,
+  printAddressBookValidation,
+} = require('../address-book');
+
+// npx hardhat address-book --network mainnet
+task('address-book')
+  .addOptionalParam('block', 'Block the addresses are read at. Defaults to the latest one')
+  .setAction(async (args, hre, runSuper) => {
+    const book = await buildAddressBook(hre, { block: args.block !== undefined ? +args.block : undefined });
+    await writeAddressBook(book);
+    for (const [name, { address, source, implementation }] of Object.entries(book.entries)) {
+      console.log(`${name} ${address} (${source})${implementation ? ` implementation ${implementation}` : ''}`);
+    }
+    console.log(`Address book of ${book.network} at block ${book.block} written to ${getBookPath(book.network)}`);
+  });
+
+// npx hardhat address-book:validate --network mainnet
+task('address-book:validate')
+  .addOptionalParam('block', 'Block the implementations are checked at. Defaults to the latest one')
+  .setAction(async (args, hre, runSuper) => {
+    const network = getNetworkName(hre);
+    const book = readAddressBook(network);
+    if (!book) {
+      throw new Error(`No address book for ${network}. Run npx hardhat address-book --network ${network}`);
+    }
+    const checks = await validateAddressBook(hre, book, {
+      blockTag: args.block !== undefined ? +args.block : 'latest',
+    });
+    printAddressBookValidation(book, checks);
+    if (checks.some(({ passed }) => !passed)) {
+      throw new Error(`Address book of ${network} is out of date`);
+    }
+  });
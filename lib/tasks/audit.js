@@ -0,0 +1,28 @@
+const { task } = require('hardhat/config');
+const { addReportParams, renderReport } = require('../report');
+const { getNetworkName } = require('../address-book');
+const { getPolicyPath, loadPolicy, getOwnership, getOwnershipRows, printOwnership } = require('../scripts/ownership');
+
+// npx hardhat audit:ownership --network mainnet
+// npx hardhat audit:ownership --network mainnet --keepers 0x...,0x... --format csv --out ownership.csv
+addReportParams(task('audit:ownership'))
+  .addOptionalParam('policy', 'JSON file with the expected holders. Defaults to deployments/ownership/<network>.json')
+  .addOptionalParam('keepers', 'Comma separated addresses to check in the keeper list besides the ones of the policy')
+  .addOptionalParam('step', 'Number of blocks scanned per request for the timelock roles', '2000')
+  .setAction(async (args, hre, runSuper) => {
+    const network = getNetworkName(hre);
+    const policy = await loadPolicy(network, args.policy || getPolicyPath(network));
+    if (!policy) {
+      console.log(`No ownership policy for ${network}. Only EOAs are flagged`);
+    }
+    const data = await getOwnership(hre, {
+      policy,
+      keepers: args.keepers ? args.keepers.split(',') : [],
+      step: +args.step,
+    });
+    await renderReport(args, { data, ...getOwnershipRows(data), print: printOwnership });
+    const flagged = data.accesses.filter(({ issues }) => issues.length > 0).length;
+    if (flagged > 0) {
+      throw new Error(`${flagged} privileged accesses flagged on ${network}`);
+    }
+  });
@@ -0,0 +1,55 @@
+const fs = require('fs-extra');
+const { task } = require('hardhat/config');
+const { VOTERS, GOVERNOR, loadBip, getProposal, buildBip, simulateBip, printBipSimulation } = require('../bip');
+const { resolveAddress } = require('../address-book');
+const { getContractNames } = require('../vtable');
+
+// npx hardhat bip:build --network mainnet --spec bips/BIP4.spec.json --out bips/BIP4.json
+task('bip:build')
+  .addParam('spec', 'JSON file with the title, the description and the actions {contract, method, args} of the BIP')
+  .addParam('out', 'BIP file to write')
+  .setAction(async (args, hre, runSuper) => {
+    const bip = await buildBip(hre, await fs.readJson(args.spec));
+    await fs.outputJson(args.out, bip, { spaces: 2 });
+    bip.calls.forEach(({ target, action }, i) => console.log(`${i + 1}. ${action} on ${target}`));
+    console.log(`BIP written to ${args.out}`);
+  });
+
+// HARDHAT_DEPLOY_FORK=mainnet npx hardhat bip:simulate --network hardhat bips/BIP4.json
+task('bip:simulate')
+  .addPositionalParam('bip', 'BIP file')
+  .addOptionalParam('voters', 'Comma separated BABL holders voting for the BIP', VOTERS.join(','))
+  .addOptionalParam('forkBlock', 'Block to fork mainnet at. Defaults to the latest block')
+  .setAction(async (args, hre, runSuper) => {
+    await hre.run('compile');
+    const bip = await loadBip(args.bip);
+    const report = await simulateBip(hre, bip, {
+      voters: args.voters.split(','),
+      forkBlock: args.forkBlock !== undefined ? +args.forkBlock : undefined,
+    });
+    printBipSimulation(report, await getContractNames(hre));
+    if (report.state !== 'Executed') {
+      throw new Error(`BIP ${args.bip} ended ${report.state}`);
+    }
+  });
+
+// npx hardhat bip:propose --network mainnet bips/BIP4.json
+task('bip:propose')
+  .addPositionalParam('bip', 'BIP file')
+  .setAction(async (args, hre, runSuper) => {
+    const { ethers } = hre;
+    const [signer] = await ethers.getSigners();
+    const bip = await loadBip(args.bip);
+    const { id, targets, values, calldatas, description } = getProposal(bip);
+    const governor = await ethers.getContractAt('BabylonGovernor', await resolveAddress(hre, 'Governor'), signer);
+
+    const votes = await governor.getVotes(signer.address, (await ethers.provider.getBlockNumber()) - 1);
+    if (votes.lt(await governor.proposalThreshold())) {
+      throw new Error(`${signer.address} has ${ethers.utils.formatEther(votes)} votes, below the proposal threshold`);
+    }
+
+    const tx = await governor[GOVERNOR.propose](targets, values, calldatas, description);
+    console.log(`Proposing BIP ${args.bip} in ${tx.hash}`);
+    await tx.wait();
+    console.log(`Proposal ${id.toString()} created ✅`);
+  });
@@ -0,0 +1,13 @@
+const { task } = require('hardhat/config');
+const { loadCalls, getDecoder, formatActions } = require('../decoder');
+
+// npx hardhat decode --network mainnet bips/BIP3.json
+// npx hardhat decode --network mainnet 0x00d4a5b5fcb561daf3adf86f8477555b92fba43b5f...
+task('decode')
+  .addPositionalParam('input', 'MultiSend data, or a JSON file listing {target, calldata} calls like the BIPs')
+  .setAction(async (args, hre, runSuper) => {
+    await hre.run('compile');
+    const calls = await loadCalls(args.input);
+    const { decodeCall } = await getDecoder(hre);
+    console.log(formatActions(calls.map(decodeCall)).join('\n'));
+  });
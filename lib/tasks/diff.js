@@ -2,6 +2,8 @@ const { task } = require('hardhat/config');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const { addReportParams, renderReport } = require('../report');
+const { getBytecodeDiff, getBytecodeDiffRows, printBytecodeDiff } = require('../scripts/bytecode');
 
 function* walkSync(dir) {
   const files = fs.readdirSync(dir, { withFileTypes: true });
@@ -14,25 +16,34 @@ function* walkSync(dir) {
   }
 }
 
-task('diff').setAction(async (args, { getContract, ethers, getGasPrice }, runSuper) => {
-  await hre.run('compile');
-  const arts = Array.from(walkSync('./artifacts/contracts/')).filter(
-    (path) => path.includes('.json') && !path.includes('.dbg.json'),
-  );
-  const deployments = Array.from(walkSync('./deployments/artifacts/mainnet/')).filter(
-    (path) => path.includes('.json') && !path.includes('.dbg.json'),
-  );
+// npx hardhat diff
+// npx hardhat diff --network mainnet --onchain --format csv --out diff.csv
+addReportParams(task('diff'))
+  .addFlag('onchain', 'Compare the code deployed on the network, and behind proxies and beacons, with the sources')
+  .setAction(async (args, hre, runSuper) => {
+    await hre.run('compile');
+    if (args.onchain) {
+      const data = await getBytecodeDiff(hre);
+      await renderReport(args, { data, ...getBytecodeDiffRows(data), print: printBytecodeDiff });
+      return;
+    }
+    const arts = Array.from(walkSync('./artifacts/contracts/')).filter(
+      (path) => path.includes('.json') && !path.includes('.dbg.json'),
+    );
+    const deployments = Array.from(walkSync('./deployments/artifacts/mainnet/')).filter(
+      (path) => path.includes('.json') && !path.includes('.dbg.json'),
+    );
 
-  for (const art of arts) {
-    const dep = deployments.filter((dep) => dep.split('/').pop() === art.split('/').pop()).pop();
-    if (!!dep && !!art) {
-      const depObj = JSON.parse(fs.readFileSync(dep));
-      const artObj = JSON.parse(fs.readFileSync(art));
-      console.log(
-        `${dep.split('/').pop()} is ${
-          depObj.bytecode === artObj.bytecode ? chalk.green('up to date') : chalk.red('different')
-        }`,
-      );
+    for (const art of arts) {
+      const dep = deployments.filter((dep) => dep.split('/').pop() === art.split('/').pop()).pop();
+      if (!!dep && !!art) {
+        const depObj = JSON.parse(fs.readFileSync(dep));
+        const artObj = JSON.parse(fs.readFileSync(art));
+        console.log(
+          `${dep.split('/').pop()} is ${
+            depObj.bytecode === artObj.bytecode ? chalk.green('up to date') : chalk.red('different')
+          }`,
+        );
+      }
     }
-  }
-});
+  });
@@ -0,0 +1,36 @@
+const { task } = require('hardhat/config');
+const { eth } = require('../helpers');
+const { saveVote } = require('../scripts/votes');
+const { signGardenVote, pumpHeart } = require('../scripts/heart');
+
+// npx hardhat heart:vote --network localhost --account 3 --garden 0x... --amount 1000000000000000000
+task('heart:vote')
+  .addParam('garden', 'Garden the Heart should invest in')
+  .addParam('amount', 'Votes in Heart garden voting power')
+  .addOptionalParam('account', 'Index of the signer voting', '0')
+  .addOptionalParam('store', 'JSON file storing the signed votes', 'heart-votes.json')
+  .setAction(async (args, { ethers }, runSuper) => {
+    const { garden, amount, account, store } = args;
+    const signers = await ethers.getSigners();
+
+    const vote = await signGardenVote(signers[account], garden, amount);
+    await saveVote(store, vote, 'garden');
+
+    console.log(`Vote of ${vote.voter} for ${garden} saved to ${store}`);
+  });
+
+// npx hardhat heart:pump --network mainnet --source heart-votes.json --slippage 2.5 --dry-run
+task('heart:pump')
+  .addOptionalParam('source', 'JSON file or HTTP endpoint with the signed garden votes', 'heart-votes.json')
+  .addOptionalParam('account', 'Index of the signer acting as keeper', '0')
+  .addOptionalParam('slippage', 'Max slippage of the BABL buyback in percent', '2.5')
+  .addFlag('dryRun', 'Only print the votes and how the fees would be split')
+  .setAction(async (args, hre, runSuper) => {
+    const { source, account, slippage, dryRun } = args;
+    const signers = await hre.ethers.getSigners();
+    const keeper = signers[account];
+
+    console.log('keeper', keeper.address);
+
+    await pumpHeart(hre, { keeper, source, slippage: eth(slippage).div(100), dryRun });
+  });
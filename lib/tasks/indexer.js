@@ -0,0 +1,82 @@
+const { task } = require('hardhat/config');
+const { addReportParams, renderReport } = require('../report');
+const {
+  createJsonLinesStore,
+  indexEvents,
+  queryEvents,
+  getDeposits,
+  getWithdrawals,
+  getStrategyLifecycle,
+  getKeeperFees,
+  getHeartPumps,
+} = require('../indexer');
+
+const QUERIES = {
+  events: queryEvents,
+  deposits: getDeposits,
+  withdrawals: getWithdrawals,
+  strategies: getStrategyLifecycle,
+  fees: getKeeperFees,
+  pumps: getHeartPumps,
+};
+
+function getStore(hre, dir) {
+  return createJsonLinesStore(dir || `indexer/${hre.network.name}`);
+}
+
+// npx hardhat indexer:sync --network mainnet --from 12451131 --step 2000
+task('indexer:sync')
+  .addOptionalParam('dir', 'Directory of the event store. Defaults to indexer/<network>')
+  .addOptionalParam('from', 'First block to index if the store is empty. Defaults to the controller deployment')
+  .addOptionalParam('to', 'Last block to index. Defaults to the latest block')
+  .addOptionalParam('step', 'Number of blocks scanned per request', '2000')
+  .setAction(async (args, hre, runSuper) => {
+    const { dir, from, to, step } = args;
+    const store = getStore(hre, dir);
+    const { toBlock, count } = await indexEvents(hre, {
+      store,
+      fromBlock: from !== undefined ? +from : undefined,
+      toBlock: to !== undefined ? +to : undefined,
+      step: +step,
+    });
+    console.log(`Indexed ${count} events up to block ${toBlock} in ${store.dir}`);
+  });
+
+// npx hardhat indexer:query --network mainnet --query deposits --garden 0x... --format csv --out deposits.csv
+addReportParams(task('indexer:query'))
+  .addOptionalParam('dir', 'Directory of the event store. Defaults to indexer/<network>')
+  .addOptionalParam('query', `One of: ${Object.keys(QUERIES).join(', ')}`, 'events')
+  .addOptionalParam('contract', 'Kind of contract: BabController, Garden, Strategy, Heart or RewardsDistributor')
+  .addOptionalParam('event', 'Event name')
+  .addOptionalParam('address', 'Address of the emitting contract')
+  .addOptionalParam('garden', 'Garden of the emitting contract')
+  .addOptionalParam('strategy', 'Strategy, only used by the strategies query')
+  .addOptionalParam('from', 'First block')
+  .addOptionalParam('to', 'Last block')
+  .setAction(async (args, hre, runSuper) => {
+    const { dir, query, contract, event, address, garden, strategy, from, to } = args;
+    if (!QUERIES[query]) {
+      throw new Error(`Query: "${query}" not supported`);
+    }
+    const events = await getStore(hre, dir).getEvents();
+    const data = QUERIES[query](events, {
+      contract,
+      event,
+      address,
+      garden,
+      strategy,
+      fromBlock: from !== undefined ? +from : undefined,
+      toBlock: to !== undefined ? +to : undefined,
+    });
+    await renderReport(args, {
+      data,
+      columns: ['blockNumber', 'transactionHash', 'contract', 'address', 'event', 'args'],
+      rows: data.map((o) => ({ ...o, args: JSON.stringify(o.args) })),
+      print: (events) => {
+        for (const o of events) {
+          console.log(`${o.blockNumber} ${o.contract} ${o.address} ${o.event} ${JSON.stringify(o.args)}`);
+        }
+        console.log(`${events.length} events`);
+      },
+    });
+  });
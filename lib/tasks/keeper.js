@@ -0,0 +1,35 @@
+const { task } = require('hardhat/config');
+const { sleep } = require('../helpers');
+const { runKeeper } = require('../scripts/keeper');
+
+// npx hardhat keeper --network mainnet --account 0 --interval 300
+// npx hardhat keeper --network localhost --dry-run --once
+task('keeper')
+  .addOptionalParam('account', 'Index of the signer acting as keeper', '0')
+  .addOptionalParam('interval', 'Seconds to wait between keeper rounds', '300')
+  .addFlag('once', 'Run a single keeper round and exit')
+  .addFlag('dryRun', 'Only print the planned actions')
+  .addOptionalParam('estimateAs', 'Registered keeper a dry run of another account estimates the gas as')
+  .setAction(async (args, hre, runSuper) => {
+    const { account, interval, once, dryRun, estimateAs } = args;
+    const { ethers } = hre;
+    const signers = await ethers.getSigners();
+    const keeper = signers[account];
+
+    console.log('keeper', keeper.address);
+
+    while (true) {
+      try {
+        await runKeeper(hre, { keeper, dryRun, estimateAs });
+      } catch (e) {
+        if (once) {
+          throw e;
+        }
+        console.log('Keeper round failed', e.message);
+      }
+      if (once) {
+        break;
+      }
+      await sleep(+interval * 1000);
+    }
+  });
@@ -0,0 +1,11 @@
+const { task } = require('hardhat/config');
+const { addReportParams, renderReport } = require('../report');
+const { getPortfolio, getPortfolioRows, printPortfolio } = require('../scripts/portfolio');
+
+// npx hardhat user:portfolio --network mainnet 0x... --format table
+addReportParams(task('user:portfolio'))
+  .addPositionalParam('address', 'Address of the user')
+  .setAction(async (args, hre, runSuper) => {
+    const data = await getPortfolio(hre, args.address);
+    await renderReport(args, { data, ...getPortfolioRows(data), print: printPortfolio });
+  });
@@ -0,0 +1,30 @@
+const { task } = require('hardhat/config');
+const { sleep } = require('../helpers');
+const { createRelayer, createServer } = require('../relayer');
+
+// npx hardhat relayer --network localhost --account 1 --port 8000 --interval 15
+task('relayer')
+  .addOptionalParam('account', 'Index of the signer acting as keeper', '0')
+  .addOptionalParam('port', 'Port of the HTTP server', '8000')
+  .addOptionalParam('interval', 'Seconds to wait between batches', '15')
+  .addOptionalParam('maxBatch', 'Max number of requests submitted per batch', '20')
+  .setAction(async (args, hre, runSuper) => {
+    const { account, port, interval, maxBatch } = args;
+    const signers = await hre.ethers.getSigners();
+    const keeper = signers[account];
+
+    const relayer = createRelayer(hre, { keeper, maxBatch: +maxBatch });
+    createServer(relayer).listen(+port);
+
+    console.log('keeper', keeper.address);
+    console.log(`Relayer listening on http://localhost:${port}/relay`);
+
+    while (true) {
+      try {
+        await relayer.processBatch();
+      } catch (e) {
+        console.log('Relayer batch failed', e.message);
+      }
+      await sleep(+interval * 1000);
+    }
+  });
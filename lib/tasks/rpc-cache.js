@@ -0,0 +1,32 @@
+const { task } = require('hardhat/config');
+const { DEFAULT_PORT, getCachePath, createRpcCache, startRpcCacheServer, printRpcCacheStats } = require('../rpc-cache');
+
+// npx hardhat rpc-cache --mode record
+// RPC_CACHE_URL=http://127.0.0.1:8546 yarn test:integration
+task('rpc-cache')
+  .addOptionalParam(
+    'mode',
+    'record forwards misses to the mainnet node and saves them, replay serves the cache only',
+    'replay',
+  )
+  .addOptionalParam('block', 'Pinned block of the fork. Defaults to the one of the hardhat network')
+  .addOptionalParam('file', 'Cache file. Defaults to rpc-cache/<block>.json')
+  .addOptionalParam('port', 'Port of the proxy', String(DEFAULT_PORT))
+  .setAction(async (args, hre, runSuper) => {
+    const { config } = hre;
+    const block = args.block !== undefined ? +args.block : config.networks.hardhat.forking.blockNumber;
+    const cache = createRpcCache({
+      url: config.networks.mainnet.url,
+      file: args.file || getCachePath(config.paths.root, block),
+      block,
+      mode: args.mode,
+    });
+    const server = await startRpcCacheServer(cache, { port: +args.port });
+    console.log(`RPC cache ${args.mode === 'record' ? 'recording' : 'replaying'} block ${block} on port ${args.port}`);
+    await new Promise((resolve) => process.once('SIGINT', resolve));
+    server.close();
+    if (args.mode === 'record') {
+      cache.save();
+    }
+    printRpcCacheStats(cache);
+  });
@@ -0,0 +1,19 @@
+const { task } = require('hardhat/config');
+const { addReportParams, renderReport } = require('../report');
+const { loadScenario, getScenarioRows, printScenarioReport } = require('../scenario');
+const { runScenario } = require('../scenario-runner');
+
+// npx hardhat scenario --file test/scenarios/local-buy-dai.json
+// FORK=true npx hardhat scenario --file test/scenarios/fork-buy-dai.json --format csv --out scenario.csv
+addReportParams(task('scenario'))
+  .addParam('file', 'JSON or YAML file of the scenario, see lib/scenario.js')
+  .setAction(async (args, hre, runSuper) => {
+    const scenario = await loadScenario(args.file);
+    // The fixtures load hardhat, so they cannot be required along with the config
+    const { SCENARIO_FIXTURES } = require('../../test/fixtures/ScenarioRunner');
+    const data = await runScenario(hre, scenario, SCENARIO_FIXTURES);
+    await renderReport(args, { data, ...getScenarioRows(data), print: printScenarioReport });
+    if (!data.passed) {
+      throw new Error(`Scenario ${scenario.name} failed`);
+    }
+  });
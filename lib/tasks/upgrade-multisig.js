@@ -1,515 +1,85 @@
 require('dotenv/config');
+const fs = require('fs-extra');
 const { task } = require('hardhat/config');
 const { AdminClient } = require('defender-admin-client');
+const { encodeMultiSend, loadManifest, compileManifest, renderPlan } = require('../upgrade-manifest');
+const { resolveAddress } = require('../address-book');
+const { simulateUpgrade, printSimulation } = require('../upgrade-simulation');
+const { checkVTableUpgrade, hasVTableErrors, printVTableReport } = require('../vtable');
 
 const API_KEY = process.env.DEFENDER_API_KEY;
 const API_SECRET = process.env.DEFENDER_API_SECRET;
-const MULTI_SEND = '0x8D29bE29923b68abfDD21e541b9374737B49cdAD';
-const MULTI_SIG_FOUNDATION = '0x97FcC2Ae862D03143b393e9fA73A32b563d57A6e';
 
-const GARDEN_BEACON = '0xc8f44C560efe396a6e57e48fF07205bD28AF5E75';
-const STRATEGY_BEACON = '0x31946680978CEFB010e5f5Fa8b8134c058cba7dC';
-const PROXY_ADMIN = '0x0C085fd8bbFD78db0107bF17047E8fa906D871DC';
-const VTABLE_BEACON = '0xaAaCb63Ab80969af93b811DEB81dDEB4C8710591';
-
-const CONTROLLER_PROXY = '0xD4a5b5fcB561dAF3aDF86F8477555B92FBa43b5F';
-const DISTRIBUTOR_PROXY = '0x40154ad8014Df019a53440A60eD351dfbA47574e';
-const ASSISTANT_PROXY = '0x90F3923427768d6dC7970417B0F413B7DD059011';
-const HEART_PROXY = '0x51e6775b7bE2eA1d20cA02cFEeB04453366e72C8';
-
-const VIEWER = '0xcdEBBDa854dC44780281FE7Fa3c49D72e069990A';
-
-// get it dynamically because it can change
-const MASTER_SWAPPER = '0x6021FEb20Da9235b46880f8f40cD21C9907Fa5FB';
-
-// get it dynamically because it can change
-const PRICE_ORACLE = '0x319a45eC18e2052b943d1F42bF0153A3d843090B';
-
-/// Encodes the transaction as packed bytes of:
-/// - `operation` as a `uint8` with `0` for a `call` or `1` for a `delegatecall` (=> 1 byte),
-/// - `to` as an `address` (=> 20 bytes),
-/// - `value` as a `uint256` (=> 32 bytes),
-/// -  length of `data` as a `uint256` (=> 32 bytes),
-/// - `data` as `bytes`.
-const encodeMetaTransaction = (tx) => {
-  const data = ethers.utils.arrayify(tx.data);
-  const encoded = ethers.utils.solidityPack(
-    ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
-    [tx.operation, tx.to, tx.value, data.length, data],
-  );
-  return encoded.slice(2);
-};
-
-export const encodeMultiSend = (txs) => {
-  return '0x' + txs.map((tx) => encodeMetaTransaction(tx)).join('');
-};
-
-// npx hardhat upgrade-multisig --network mainnet --assistant AssistantV2 --controller BabControllerV11 --distributor RewardsDistributorV11 --strategy StrategyV14 --garden GardenV15
+// npx hardhat upgrade-multisig --network mainnet --manifest upgrades/v11.json --plan upgrades/v11.md
+// HARDHAT_DEPLOY_FORK=mainnet npx hardhat upgrade-multisig --network hardhat --manifest upgrades/v11.json --simulate
 task('upgrade-multisig')
-  .addOptionalParam('controller')
-  .addOptionalParam('distributor')
-  .addOptionalParam('garden')
-  .addOptionalParam('adminGarden')
-  .addOptionalParam('strategyGarden')
-  .addOptionalParam('emergencyGarden')
-  .addOptionalParam('strategy')
-  .addOptionalParam('heart')
-  .addOptionalParam('assistant')
-  .addOptionalParam('swapper')
-  .addOptionalParam('oracle')
-  .addOptionalParam('buy')
-  .addOptionalParam('borrow')
-  .addOptionalParam('liquidity')
-  .addOptionalParam('deposit')
-  .addOptionalParam('lend')
-  .addOptionalParam('custom')
-  .addOptionalParam('tradeCurve')
-  .addOptionalParam('tradeUniV3')
-  .addOptionalParam('tradeSynth')
-  .addOptionalParam('tradeUniV2')
-  .addOptionalParam('identifier')
-  .addOptionalParam('gardenViewer')
-  .addOptionalParam('heartViewer')
-  .addOptionalParam('strategyViewer')
-  .addFlag('calldata')
-  .setAction(
-    async (
-      args,
-      { network, tenderly, getTenderlyContract, upgradesDeployer, getContract, ethers, getGasPrice, deployments },
-      runSuper,
-    ) => {
-      const {
-        controller,
-        distributor,
-        garden,
-        adminGarden,
-        strategyGarden,
-        emergencyGarden,
-        strategy,
-        assistant,
-        heart,
-        swapper,
-        oracle,
-        buy,
-        liquidity,
-        deposit,
-        lend,
-        custom,
-        borrow,
-        tradeCurve,
-        tradeUniV3,
-        tradeSynth,
-        tradeUniV2,
-        identifier,
-        gardenViewer,
-        heartViewer,
-        strategyViewer,
-        calldata,
-      } = args;
-
-      const adminGardenModule = !!adminGarden ? await deployments.get(adminGarden) : undefined;
-      const adminGardenModuleContract = !!adminGarden
-        ? await ethers.getContractAt(adminGarden, adminGardenModule.address)
-        : undefined;
-
-      const emergencyGardenModule = !!emergencyGarden ? await deployments.get(emergencyGarden) : undefined;
-      const emergencyGardenModuleContract = !!emergencyGarden
-        ? await ethers.getContractAt(emergencyGarden, emergencyGardenModule.address)
-        : undefined;
-
-      const strategyGardenModule = !!strategyGarden ? await deployments.get(strategyGarden) : undefined;
-      const strategyGardenModuleContract = !!strategyGarden
-        ? await ethers.getContractAt(strategyGarden, strategyGardenModule.address)
-        : undefined;
-
-      const gardenViewerModule = !!gardenViewer ? await deployments.get(gardenViewer) : undefined;
-      const gardenViewerContract = !!gardenViewer
-        ? await ethers.getContractAt(gardenViewer, gardenViewerModule.address)
-        : undefined;
-
-      const strategyViewerModule = !!strategyViewer ? await deployments.get(strategyViewer) : undefined;
-      const strategyViewerContract = !!strategyViewer
-        ? await ethers.getContractAt(strategyViewer, strategyViewerModule.address)
-        : undefined;
-
-      const heartViewerModule = !!heartViewer ? await deployments.get(heartViewer) : undefined;
-      const heartViewerContract = !!heartViewer
-        ? await ethers.getContractAt(heartViewer, heartViewerModule.address)
-        : undefined;
-
-      const multiSendTxData = encodeMultiSend(
-        [
-          !!controller
-            ? {
-                // BabController
-                operation: 0, // call
-                to: PROXY_ADMIN,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function upgrade(address proxy, address implementation)',
-                ]).encodeFunctionData('upgrade', [CONTROLLER_PROXY, (await deployments.get(controller)).address]),
-              }
-            : undefined,
-          !!distributor
-            ? {
-                // RewardsDistributor
-                operation: 0, // call
-                to: PROXY_ADMIN,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function upgrade(address proxy, address implementation)',
-                ]).encodeFunctionData('upgrade', [DISTRIBUTOR_PROXY, (await deployments.get(distributor)).address]),
-              }
-            : undefined,
-          !!garden
-            ? {
-                // Garden
-                operation: 0, // call
-                to: GARDEN_BEACON,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function upgradeTo(address implementation)',
-                ]).encodeFunctionData('upgradeTo', [(await deployments.get(garden)).address]),
-              }
-            : undefined,
-          !!adminGarden
-            ? {
-                // AdminGardenModule
-                operation: 0, // call
-                to: VTABLE_BEACON,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateVTable(tuple(address implementation, bytes4[] selectors)[] modules)',
-                ]).encodeFunctionData('updateVTable', [
-                  [
-                    [
-                      adminGardenModule.address,
-                      Object.keys(adminGardenModuleContract.interface.functions).map((func) =>
-                        adminGardenModuleContract.interface.getSighash(func),
-                      ),
-                    ],
-                  ],
-                ]),
-              }
-            : undefined,
-          !!emergencyGarden
-            ? {
-                // emergencyGardenModule
-                operation: 0, // call
-                to: VTABLE_BEACON,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateVTable(tuple(address implementation, bytes4[] selectors)[] modules)',
-                ]).encodeFunctionData('updateVTable', [
-                  [
-                    [
-                      emergencyGardenModule.address,
-                      Object.keys(emergencyGardenModuleContract.interface.functions).map((func) =>
-                        emergencyGardenModuleContract.interface.getSighash(func),
-                      ),
-                    ],
-                  ],
-                ]),
-              }
-            : undefined,
-          !!strategyGarden
-            ? {
-                // StrategyGardenModule
-                operation: 0, // call
-                to: VTABLE_BEACON,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateVTable(tuple(address implementation, bytes4[] selectors)[] modules)',
-                ]).encodeFunctionData('updateVTable', [
-                  [
-                    [
-                      strategyGardenModule.address,
-                      Object.keys(strategyGardenModuleContract.interface.functions).map((func) =>
-                        strategyGardenModuleContract.interface.getSighash(func),
-                      ),
-                    ],
-                  ],
-                ]),
-              }
-            : undefined,
-          !!strategy
-            ? {
-                // Strategy
-                operation: 0, // call
-                to: STRATEGY_BEACON,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function upgradeTo(address implementation)',
-                ]).encodeFunctionData('upgradeTo', [(await deployments.get(strategy)).address]),
-              }
-            : undefined,
-          !!heart
-            ? {
-                // HEART
-                operation: 0, // call
-                to: PROXY_ADMIN,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function upgrade(address proxy, address implementation)',
-                ]).encodeFunctionData('upgrade', [HEART_PROXY, (await deployments.get(heart)).address]),
-              }
-            : undefined,
-          !!assistant
-            ? {
-                // Assistant
-                operation: 0, // call
-                to: PROXY_ADMIN,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function upgrade(address proxy, address implementation)',
-                ]).encodeFunctionData('upgrade', [ASSISTANT_PROXY, (await deployments.get(assistant)).address]),
-              }
-            : undefined,
-          !!swapper
-            ? {
-                // MasterSwapper
-                operation: 0, // call
-                to: CONTROLLER_PROXY,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function setMasterSwapper(address _newDefaultMasterSwapper)',
-                ]).encodeFunctionData('setMasterSwapper', [(await deployments.get(swapper)).address]),
-              }
-            : undefined,
-          !!custom
-            ? {
-                // Custom Operation
-                operation: 0, // call
-                to: CONTROLLER_PROXY,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function setOperation(uint8 _kind, address _operation)',
-                ]).encodeFunctionData('setOperation', [5, (await deployments.get(custom)).address]),
-              }
-            : undefined,
-          !!borrow
-            ? {
-                // Borrow Operation
-                operation: 0, // call
-                to: CONTROLLER_PROXY,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function setOperation(uint8 _kind, address _operation)',
-                ]).encodeFunctionData('setOperation', [4, (await deployments.get(borrow)).address]),
-              }
-            : undefined,
-          !!lend
-            ? {
-                // Lend Operation
-                operation: 0, // call
-                to: CONTROLLER_PROXY,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function setOperation(uint8 _kind, address _operation)',
-                ]).encodeFunctionData('setOperation', [3, (await deployments.get(lend)).address]),
-              }
-            : undefined,
-          !!deposit
-            ? {
-                // Deposit Operation
-                operation: 0, // call
-                to: CONTROLLER_PROXY,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function setOperation(uint8 _kind, address _operation)',
-                ]).encodeFunctionData('setOperation', [2, (await deployments.get(deposit)).address]),
-              }
-            : undefined,
-          !!liquidity
-            ? {
-                // Liquidity Operation
-                operation: 0, // call
-                to: CONTROLLER_PROXY,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function setOperation(uint8 _kind, address _operation)',
-                ]).encodeFunctionData('setOperation', [1, (await deployments.get(liquidity)).address]),
-              }
-            : undefined,
-          !!buy
-            ? {
-                // Buy Operation
-                operation: 0, // call
-                to: CONTROLLER_PROXY,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function setOperation(uint8 _kind, address _operation)',
-                ]).encodeFunctionData('setOperation', [0, (await deployments.get(buy)).address]),
-              }
-            : undefined,
-          !!oracle
-            ? {
-                // PriceOracle
-                operation: 0, // call
-                to: CONTROLLER_PROXY,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function editPriceOracle(address _priceOracle)',
-                ]).encodeFunctionData('editPriceOracle', [(await deployments.get(oracle)).address]),
-              }
-            : undefined,
-          !!tradeUniV2
-            ? {
-                // UniV2 Trade
-                operation: 0, // call
-                to: MASTER_SWAPPER,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateTradeAddress(uint256 _index, address _newAddress)',
-                ]).encodeFunctionData('updateTradeAddress', [3, (await deployments.get(tradeUniV2)).address]),
-              }
-            : undefined,
-          !!tradeSynth
-            ? {
-                // Synthetix Trade
-                operation: 0, // call
-                to: MASTER_SWAPPER,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateTradeAddress(uint256 _index, address _newAddress)',
-                ]).encodeFunctionData('updateTradeAddress', [2, (await deployments.get(tradeSynth)).address]),
-              }
-            : undefined,
-          !!tradeUniV3
-            ? {
-                // UniV3 Trade
-                operation: 0, // call
-                to: MASTER_SWAPPER,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateTradeAddress(uint256 _index, address _newAddress)',
-                ]).encodeFunctionData('updateTradeAddress', [1, (await deployments.get(tradeUniV3)).address]),
-              }
-            : undefined,
-          !!tradeCurve
-            ? {
-                // Curve Trade
-                operation: 0, // call
-                to: MASTER_SWAPPER,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateTradeAddress(uint256 _index, address _newAddress)',
-                ]).encodeFunctionData('updateTradeAddress', [0, (await deployments.get(tradeCurve)).address]),
-              }
-            : undefined,
-          !!identifier
-            ? {
-                // Curve Trade
-                operation: 0, // call
-                to: PRICE_ORACLE,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateTokenIdentifier(address _tokenIdentifier)',
-                ]).encodeFunctionData('updateTokenIdentifier', [(await deployments.get(identifier)).address]),
-              }
-            : undefined,
-          !!gardenViewer
-            ? {
-                // GardenViewerModule
-                operation: 0, // call
-                to: VIEWER,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateVTable(tuple(address implementation, bytes4[] selectors)[] modules)',
-                ]).encodeFunctionData('updateVTable', [
-                  [
-                    [
-                      gardenViewerModule.address,
-                      Object.keys(gardenViewerContract.interface.functions).map((func) =>
-                        gardenViewerContract.interface.getSighash(func),
-                      ),
-                    ],
-                  ],
-                ]),
-              }
-            : undefined,
-          !!strategyViewer
-            ? {
-                // StrategyViewerModule
-                operation: 0, // call
-                to: VIEWER,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateVTable(tuple(address implementation, bytes4[] selectors)[] modules)',
-                ]).encodeFunctionData('updateVTable', [
-                  [
-                    [
-                      strategyViewerModule.address,
-                      Object.keys(strategyViewerContract.interface.functions).map((func) =>
-                        strategyViewerContract.interface.getSighash(func),
-                      ),
-                    ],
-                  ],
-                ]),
-              }
-            : undefined,
-          !!heartViewer
-            ? {
-                // HeartViewerModule
-                operation: 0, // call
-                to: VIEWER,
-                value: '0',
-                data: new ethers.utils.Interface([
-                  'function updateVTable(tuple(address implementation, bytes4[] selectors)[] modules)',
-                ]).encodeFunctionData('updateVTable', [
-                  [
-                    [
-                      heartViewerModule.address,
-                      Object.keys(heartViewerContract.interface.functions).map((func) =>
-                        heartViewerContract.interface.getSighash(func),
-                      ),
-                    ],
-                  ],
-                ]),
-              }
-            : undefined,
-        ].filter((o) => !!o),
-      );
-      console.log(`Data for MultiSend ${multiSendTxData}`);
-
-      if (calldata) {
-        return;
+  .addParam('manifest', 'JSON file listing the upgrades')
+  .addOptionalParam('plan', 'File to write the readable plan to')
+  .addFlag('calldata', 'Only print the MultiSend data without creating the proposal')
+  .addFlag(
+    'simulate',
+    'Rehearse the upgrade on a mainnet fork through the Safe and only propose it if every check passes',
+  )
+  .addOptionalParam('forkBlock', 'Block to fork mainnet at when simulating. Defaults to the latest block')
+  .setAction(async (args, hre, runSuper) => {
+    const { manifest: file, plan, calldata, simulate, forkBlock } = args;
+
+    const manifest = await loadManifest(file);
+
+    for (const [vtable, modules] of Object.entries(manifest.modules || {})) {
+      const report = await checkVTableUpgrade(hre, vtable, modules);
+      printVTableReport(report);
+      if (hasVTableErrors(report)) {
+        throw new Error(`Modules of the ${vtable} VTable break its routing. The proposal is not created`);
       }
-
-      const client = new AdminClient({ apiKey: API_KEY, apiSecret: API_SECRET });
-      await client.createProposal({
-        contract: { address: MULTI_SEND, network: 'mainnet' }, // Gnosis Multi Send
-        title: 'Upgrade Babylon Protocol',
-        description: `Upgrades
-        ${!!controller ? 'BabController,' : ''}
-        ${!!assistant ? 'Assistant,' : ''}
-        ${!!distributor ? 'RewardsDistributor,' : ''}
-        ${!!garden ? 'Garden,' : ''}
-        ${!!adminGarden ? 'adminGarden,' : ''}
-        ${!!emergencyGarden ? 'emergencyGarden,' : ''}
-        ${!!strategyGarden ? 'strategyGarden,' : ''}
-        ${!!strategy ? 'Strategy,' : ''}
-        ${!!swapper ? 'Swapper,' : ''}
-        ${!!heart ? 'Heart,' : ''}
-        ${!!lend ? 'LendOperation,' : ''}
-        ${!!custom ? 'CustomOperation,' : ''}
-        ${!!borrow ? 'BorrowOperation,' : ''}
-        ${!!deposit ? 'DepositOperation,' : ''}
-        ${!!buy ? 'BuyOperation,' : ''}
-        ${!!liquidity ? 'LiquidityOperation,' : ''}
-        ${!!tradeCurve ? 'TradeCurve,' : ''}
-        ${!!tradeUniV3 ? 'TradeUniV3,' : ''}
-        ${!!tradeSynth ? 'TradeSynth,' : ''}
-        ${!!tradeUniV2 ? 'TradeUniV2,' : ''}
-        ${!!oracle ? 'PriceOracle' : ''}`,
-        type: 'custom',
-        functionInterface: { name: 'multiSend', inputs: [{ type: 'bytes', name: 'transactions' }] },
-        functionInputs: [multiSendTxData],
-        via: MULTI_SIG_FOUNDATION, // Multisig address
-        viaType: 'Gnosis Safe',
-        metadata: { operationType: 'delegateCall' }, // Issue a delegatecall instead of a regular call
-      });
-
-      console.log('Done ✅');
-    },
-  );
+    }
+
+    let steps;
+    let multiSendTxData;
+    if (simulate) {
+      let checks;
+      ({ steps, multiSendTxData, checks } = await simulateUpgrade(hre, {
+        manifest,
+        forkBlock: forkBlock !== undefined ? +forkBlock : undefined,
+      }));
+      printSimulation(checks);
+      if (checks.some(({ passed }) => !passed)) {
+        throw new Error(`Simulation failed for ${file}. The proposal is not created`);
+      }
+    } else {
+      steps = await compileManifest(hre, manifest);
+      multiSendTxData = encodeMultiSend(steps);
+    }
+    if (steps.length === 0) {
+      throw new Error(`Manifest ${file} has nothing to upgrade`);
+    }
+
+    const content = renderPlan(manifest, steps, multiSendTxData);
+    if (plan) {
+      await fs.outputFile(plan, content);
+      console.log(`Plan written to ${plan}`);
+    } else {
+      console.log(content);
+    }
+
+    if (calldata) {
+      return;
+    }
+
+    const multiSend = await resolveAddress(hre, 'MultiSend', { network: 'mainnet' });
+    const multiSig = await resolveAddress(hre, 'MultiSig', { network: 'mainnet' });
+    const client = new AdminClient({ apiKey: API_KEY, apiSecret: API_SECRET });
+    await client.createProposal({
+      contract: { address: multiSend, network: 'mainnet' }, // Gnosis Multi Send
+      title: manifest.title || 'Upgrade Babylon Protocol',
+      description: [manifest.description, ...steps.map((step) => step.description)].filter((o) => !!o).join('\n'),
+      type: 'custom',
+      functionInterface: { name: 'multiSend', inputs: [{ type: 'bytes', name: 'transactions' }] },
+      functionInputs: [multiSendTxData],
+      via: multiSig, // Multisig address
+      viaType: 'Gnosis Safe',
+      metadata: { operationType: 'delegateCall' }, // Issue a delegatecall instead of a regular call
+    });
+
+    console.log('Done ✅');
+  });
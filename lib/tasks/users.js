@@ -1,33 +1,20 @@
-const chalk = require('chalk');
-const axios = require('axios');
 const { task } = require('hardhat/config');
-const { sleep, from, eth, formatNumber } = require('lib/helpers');
-const { getUsers } = require('lib/web3');
+const { addReportParams, renderReport } = require('../report');
+const { getUsers, getUsersRows, printUsers } = require('../scripts/users');
 
-task('users').setAction(async (args, { getContract, ethers, getGasPrice }, runSuper) => {
-  const [deployer, owner] = await ethers.getSigners();
-
-  const babController = await getContract('BabController', 'BabControllerProxy', deployer);
-  const gardens = await babController.getGardens();
-
-  const usersPerGarden = {};
-  let users = [];
-  for (const garden of gardens) {
-    const gardenContract = await ethers.getContractAt('IGarden', garden);
-    const strategies = await gardenContract.getStrategies();
-
-    const gardenUsers = [
-      ...new Set(
-        (await getUsers(garden)).map((holder) => {
-          return holder.address;
-        }),
-      ),
-    ];
-    users = [...users, ...gardenUsers];
-    usersPerGarden[garden] = gardenUsers;
-    console.log(`${await gardenContract.name()} ${garden}`);
-    console.log('users', gardenUsers);
-  }
-  console.log('Total Users', users.length);
-  console.log('Total Unique Users', new Set(users).size);
-});
+// npx hardhat users --network mainnet --block 14000000 --since 13800000 --format csv --out users.csv
+addReportParams(task('users'))
+  .addOptionalParam('block', 'Block to check the balances at. Defaults to the latest block')
+  .addOptionalParam('since', 'Depositors are new if they joined after this block. Defaults to 30 days before --block')
+  .addOptionalParam('from', 'First block to scan Transfer events from. Defaults to the controller deployment')
+  .addOptionalParam('step', 'Number of blocks scanned per request', '2000')
+  .setAction(async (args, hre, runSuper) => {
+    const { block, since, from, step } = args;
+    const data = await getUsers(hre, {
+      block: block !== undefined ? +block : undefined,
+      since: since !== undefined ? +since : undefined,
+      fromBlock: from !== undefined ? +from : undefined,
+      step: +step,
+    });
+    await renderReport(args, { data, ...getUsersRows(data), print: printUsers });
+  });
@@ -1,10 +1,16 @@
 const { task } = require('hardhat/config');
+const { resolveAddress } = require('../address-book');
 
-task('vesting').setAction(async (args, { getContract, ethers, getGasPrice }, runSuper) => {
+task('vesting').setAction(async (args, hre, runSuper) => {
+  const { ethers } = hre;
   const signers = await ethers.getSigners();
   const signer = signers[0];
-  const timelock = await ethers.getContractAt('TimeLockRegistry', '0x009efacc05539b5d41c1bac30e01832726a3ca3c', signer);
-  const bablToken = await ethers.getContractAt('BABLToken', '0xF4Dc48D260C93ad6a96c5Ce563E70CA578987c74', signer);
+  const timelock = await ethers.getContractAt(
+    'TimeLockRegistry',
+    await resolveAddress(hre, 'TimeLockRegistry'),
+    signer,
+  );
+  const bablToken = await ethers.getContractAt('BABLToken', await resolveAddress(hre, 'BABLToken'), signer);
   const allocations = await timelock.getRegistrations();
   const team = [];
   const investors = [];
@@ -0,0 +1,34 @@
+const { task } = require('hardhat/config');
+const { signVote, saveVote, resolveVotes } = require('../scripts/votes');
+
+// npx hardhat votes:cast --network localhost --account 3 --strategy 0x... --amount 1000000000000000000 --store votes.json
+task('votes:cast')
+  .addParam('strategy', 'Strategy to vote on')
+  .addParam('amount', 'Votes in garden tokens, negative to vote against')
+  .addOptionalParam('account', 'Index of the signer voting', '0')
+  .addOptionalParam('store', 'JSON file storing the signed votes', 'votes.json')
+  .setAction(async (args, { ethers }, runSuper) => {
+    const { strategy, amount, account, store } = args;
+    const signers = await ethers.getSigners();
+
+    const vote = await signVote(signers[account], strategy, amount);
+    await saveVote(store, vote);
+
+    console.log(`Vote of ${vote.voter} on ${strategy} saved to ${store}`);
+  });
+
+// npx hardhat votes:resolve --network mainnet --source https://example.com/votes --account 0
+task('votes:resolve')
+  .addOptionalParam('source', 'JSON file or HTTP endpoint with the signed votes', 'votes.json')
+  .addOptionalParam('account', 'Index of the signer acting as keeper', '0')
+  .addOptionalParam('fee', 'Keeper fee in the garden reserve asset', '0')
+  .addFlag('dryRun', 'Only print the tally of each strategy')
+  .setAction(async (args, hre, runSuper) => {
+    const { source, account, fee, dryRun } = args;
+    const signers = await hre.ethers.getSigners();
+    const keeper = signers[account];
+
+    console.log('keeper', keeper.address);
+
+    await resolveVotes(hre, { keeper, source, fee, dryRun });
+  });
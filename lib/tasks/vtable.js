@@ -0,0 +1,23 @@
+const { task } = require('hardhat/config');
+const { ROUTERS, checkVTableUpgrade, hasVTableErrors, printVTableReport } = require('../vtable');
+
+// npx hardhat vtable:check --network mainnet --vtable garden --modules AdminGardenModule,StrategyGardenModule
+task('vtable:check')
+  .addParam('vtable', `VTable to check: ${Object.keys(ROUTERS).join(', ')}`)
+  .addParam('modules', 'Comma separated deployment names of the modules to swap in')
+  .addOptionalParam('from', 'First block to read the VTable updates from. Defaults to the VTable deployment')
+  .addOptionalParam('step', 'Number of blocks scanned per request', '2000')
+  .setAction(async (args, hre, runSuper) => {
+    const { vtable, modules, from, step } = args;
+    if (!ROUTERS[vtable]) {
+      throw new Error(`Unknown VTable ${vtable}. Use one of ${Object.keys(ROUTERS).join(', ')}`);
+    }
+    const report = await checkVTableUpgrade(hre, vtable, modules.split(','), {
+      fromBlock: from !== undefined ? +from : undefined,
+      step: +step,
+    });
+    printVTableReport(report);
+    if (hasVTableErrors(report)) {
+      throw new Error(`Modules of the ${vtable} VTable break its routing`);
+    }
+  });
@@ -0,0 +1,286 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { getSigs } = require('./web3');
+const { GARDEN_MODULES, validateUpgrade, validateGardenModule } = require('./storage-layout');
+const { resolveAddress, getImplementation } = require('./address-book');
+
+// Proxies upgraded through the ProxyAdmin
+const PROXIES = ['BabController', 'RewardsDistributor', 'Heart', 'Assistant'];
+
+// Beacons upgraded with `upgradeTo`
+const BEACONS = {
+  Garden: 'GardenBeacon',
+  Strategy: 'StrategyBeacon',
+};
+
+// VTables whose modules are swapped with `updateVTable`
+const VTABLES = {
+  garden: 'VTableBeacon',
+  viewer: 'Viewer',
+};
+
+// Kinds of `BabController.setOperation`
+const OPERATION_KINDS = {
+  buy: 0,
+  liquidity: 1,
+  deposit: 2,
+  lend: 3,
+  borrow: 4,
+  custom: 5,
+};
+
+// Indexes of `MasterSwapper.updateTradeAddress`
+const TRADE_INDEXES = {
+  curve: 0,
+  univ3: 1,
+  synthetix: 2,
+  univ2: 3,
+  heart: 4,
+  paladin: 5,
+};
+
+const MANIFEST_SECTIONS = [
+  'title',
+  'description',
+  'proxies',
+  'beacons',
+  'modules',
+  'operations',
+  'masterSwapper',
+  'trades',
+  'priceOracle',
+  'tokenIdentifier',
+];
+
+const ABIS = {
+  upgrade: 'function upgrade(address proxy, address implementation)',
+  upgradeTo: 'function upgradeTo(address implementation)',
+  updateVTable: 'function updateVTable(tuple(address implementation, bytes4[] selectors)[] modules)',
+  setOperation: 'function setOperation(uint8 _kind, address _operation)',
+  setMasterSwapper: 'function setMasterSwapper(address _newDefaultMasterSwapper)',
+  editPriceOracle: 'function editPriceOracle(address _priceOracle)',
+  updateTradeAddress: 'function updateTradeAddress(uint256 _index, address _newAddress)',
+  updateTokenIdentifier: 'function updateTokenIdentifier(address _tokenIdentifier)',
+};
+
+/// Encodes the transaction as packed bytes of:
+/// - `operation` as a `uint8` with `0` for a `call` or `1` for a `delegatecall` (=> 1 byte),
+/// - `to` as an `address` (=> 20 bytes),
+/// - `value` as a `uint256` (=> 32 bytes),
+/// -  length of `data` as a `uint256` (=> 32 bytes),
+/// - `data` as `bytes`.
+const encodeMetaTransaction = (tx) => {
+  const data = ethers.utils.arrayify(tx.data);
+  const encoded = ethers.utils.solidityPack(
+    ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+    [tx.operation, tx.to, tx.value, data.length, data],
+  );
+  return encoded.slice(2);
+};
+
+const encodeMultiSend = (txs) => {
+  return '0x' + txs.map((tx) => encodeMetaTransaction(tx)).join('');
+};
+
+function checkKeys(section, object, allowed) {
+  for (const key of Object.keys(object || {})) {
+    if (!allowed.includes(key)) {
+      throw new Error(`Manifest ${section}: "${key}" not supported. Use one of ${allowed.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Loads and validates an upgrade manifest, JSON or YAML by the extension of the file. Every section is optional.
+ * Values are deployment names.
+ * @example
+ * {
+ *   "title": "Upgrade Babylon Protocol",
+ *   "proxies": { "BabController": "BabControllerV11", "RewardsDistributor": "RewardsDistributorV11" },
+ *   "beacons": { "Garden": "GardenV15", "Strategy": "StrategyV14" },
+ *   "modules": { "garden": ["AdminGardenModule"], "viewer": ["GardenViewer"] },
+ *   "operations": { "buy": "BuyOperation" },
+ *   "masterSwapper": "MasterSwapper",
+ *   "trades": { "curve": "CurveTradeIntegration" },
+ *   "priceOracle": "PriceOracle",
+ *   "tokenIdentifier": "TokenIdentifier"
+ * }
+ */
+async function loadManifest(file) {
+  const manifest = ['.yml', '.yaml'].includes(path.extname(file))
+    ? yaml.safeLoad(await fs.readFile(file, 'utf8'))
+    : await fs.readJson(file);
+  checkKeys('section', manifest, MANIFEST_SECTIONS);
+  checkKeys('proxies', manifest.proxies, PROXIES);
+  checkKeys('beacons', manifest.beacons, Object.keys(BEACONS));
+  checkKeys('modules', manifest.modules, Object.keys(VTABLES));
+  checkKeys('operations', manifest.operations, Object.keys(OPERATION_KINDS));
+  checkKeys('trades', manifest.trades, Object.keys(TRADE_INDEXES));
+  return manifest;
+}
+
+/**
+ * Name of the deployment with a storage layout at `address`, e.g., the implementation currently behind a proxy
+ */
+async function getDeploymentName({ deployments }, address) {
+  const [name] =
+    Object.entries(await deployments.all()).find(
+      ([, deployment]) => deployment.storageLayout && deployment.address.toLowerCase() === address.toLowerCase(),
+    ) || [];
+  if (!name) {
+    throw new Error(`No deployment with a storage layout at ${address}`);
+  }
+  return name;
+}
+
+/**
+ * Compiles a manifest into the list of calls sent by the multisig through MultiSend.
+ * Targets are resolved at runtime from the address book, the controller and the deployments. Calls on the MasterSwapper and the
+ * PriceOracle go to the new ones when the manifest also replaces them.
+ * Every step has a human readable `description` along with the MultiSend transaction fields. Implementations of
+ * proxies and beacons are checked against the storage layout of the deployed ones, and garden modules against the one
+ * of `BaseGardenModule`, before being swapped.
+ */
+async function compileManifest(hre, manifest) {
+  const { deployments, ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  const babController = await ethers.getContractAt(
+    'BabController',
+    await resolveAddress(hre, 'BabController'),
+    deployer,
+  );
+  const proxyAdmin = await resolveAddress(hre, 'ProxyAdmin');
+
+  const steps = [];
+  const resolve = async (name) => (await deployments.get(name)).address;
+  const addStep = (description, to, method, args) =>
+    steps.push({
+      description,
+      operation: 0, // call
+      to,
+      value: '0',
+      method,
+      args,
+      data: new ethers.utils.Interface([ABIS[method]]).encodeFunctionData(method, args),
+    });
+
+  for (const [name, implementation] of Object.entries(manifest.proxies || {})) {
+    const proxy = await resolveAddress(hre, name);
+    await validateUpgrade(
+      hre,
+      name,
+      await getDeploymentName(hre, await getImplementation(hre, name, proxy)),
+      implementation,
+    );
+    addStep(`Upgrade ${name} proxy ${proxy} to ${implementation}`, proxyAdmin, 'upgrade', [
+      proxy,
+      await resolve(implementation),
+    ]);
+  }
+
+  for (const [name, implementation] of Object.entries(manifest.beacons || {})) {
+    const beacon = await resolveAddress(hre, BEACONS[name]);
+    await validateUpgrade(
+      hre,
+      name,
+      await getDeploymentName(hre, await getImplementation(hre, BEACONS[name], beacon)),
+      implementation,
+    );
+    addStep(`Upgrade ${name} beacon to ${implementation}`, beacon, 'upgradeTo', [await resolve(implementation)]);
+  }
+
+  for (const [vtable, modules] of Object.entries(manifest.modules || {})) {
+    for (const name of [].concat(modules)) {
+      if (vtable === 'garden' && GARDEN_MODULES.includes(name)) {
+        await validateGardenModule(hre, name);
+      }
+      const address = await resolve(name);
+      const selectors = getSigs(await ethers.getContractAt(name, address));
+      addStep(
+        `Swap ${vtable} VTable module ${name} (${selectors.length} selectors)`,
+        await resolveAddress(hre, VTABLES[vtable]),
+        'updateVTable',
+        [[[address, selectors]]],
+      );
+    }
+  }
+
+  for (const [kind, operation] of Object.entries(manifest.operations || {})) {
+    addStep(`Set ${kind} operation to ${operation}`, babController.address, 'setOperation', [
+      OPERATION_KINDS[kind],
+      await resolve(operation),
+    ]);
+  }
+
+  let masterSwapper = await babController.masterSwapper();
+  if (manifest.masterSwapper) {
+    masterSwapper = await resolve(manifest.masterSwapper);
+    addStep(`Set MasterSwapper to ${manifest.masterSwapper}`, babController.address, 'setMasterSwapper', [
+      masterSwapper,
+    ]);
+  }
+
+  for (const [trade, integration] of Object.entries(manifest.trades || {})) {
+    addStep(
+      `Set ${trade} trade of MasterSwapper ${masterSwapper} to ${integration}`,
+      masterSwapper,
+      'updateTradeAddress',
+      [TRADE_INDEXES[trade], await resolve(integration)],
+    );
+  }
+
+  let priceOracle = await babController.priceOracle();
+  if (manifest.priceOracle) {
+    priceOracle = await resolve(manifest.priceOracle);
+    addStep(`Set PriceOracle to ${manifest.priceOracle}`, babController.address, 'editPriceOracle', [priceOracle]);
+  }
+
+  if (manifest.tokenIdentifier) {
+    addStep(
+      `Set TokenIdentifier of PriceOracle ${priceOracle} to ${manifest.tokenIdentifier}`,
+      priceOracle,
+      'updateTokenIdentifier',
+      [await resolve(manifest.tokenIdentifier)],
+    );
+  }
+
+  return steps;
+}
+
+/**
+ * Renders the compiled steps as a markdown plan to review before signing
+ */
+function renderPlan(manifest, steps, multiSendTxData) {
+  const formatArg = (arg) => (Array.isArray(arg) ? `[${arg.map(formatArg).join(', ')}]` : String(arg));
+  return [
+    `# ${manifest.title || 'Upgrade Babylon Protocol'}`,
+    '',
+    ...(manifest.description ? [manifest.description, ''] : []),
+    ...steps.flatMap((step, i) => [
+      `${i + 1}. ${step.description}`,
+      `   - to: ${step.to}`,
+      `   - call: ${step.method}(${step.args.map(formatArg).join(', ')})`,
+    ]),
+    '',
+    '## MultiSend data',
+    '',
+    '```',
+    multiSendTxData,
+    '```',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  PROXIES,
+  BEACONS,
+  VTABLES,
+  OPERATION_KINDS,
+  TRADE_INDEXES,
+  encodeMultiSend,
+  loadManifest,
+  compileManifest,
+  renderPlan,
+};
@@ -0,0 +1,252 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { eth } = require('./helpers');
+const { ADDRESS_ZERO, IMPLEMENTATION_SLOT } = require('./constants.js');
+const addresses = require('./addresses');
+const { impersonateAddress, resetFork } = require('./rpc');
+const { getSigs } = require('./web3');
+const { resolveAddress } = require('./address-book');
+const {
+  BEACONS,
+  VTABLES,
+  OPERATION_KINDS,
+  TRADE_INDEXES,
+  encodeMultiSend,
+  compileManifest,
+} = require('./upgrade-manifest');
+
+// Storage of VTableProxy: struct { address _owner; mapping(bytes4 => address) _delegates; }
+const VTABLE_PROXY_SLOT = '0x13f1d5ea37b1d7aca82fcc2879c3bddc731555698dfc87ad6057b416547bc657';
+
+const TRADE_GETTERS = {
+  curve: 'curve',
+  univ3: 'univ3',
+  synthetix: 'synthetix',
+  univ2: 'univ2',
+  heart: 'heartTradeIntegration',
+  paladin: 'paladinTradeIntegration',
+};
+
+const SAFE_ABI = [
+  'function getOwners() view returns (address[])',
+  'function changeThreshold(uint256 _threshold)',
+  'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)',
+];
+const MULTI_SEND_ABI = ['function multiSend(bytes transactions)'];
+
+/**
+ * Storage slot holding the delegate of `selector` in the `_delegates` mapping of a VTableProxy
+ */
+function getVTableProxySlot(selector) {
+  const { hexZeroPad, keccak256, defaultAbiCoder, hexConcat } = ethers.utils;
+  // bytes4 keys are left aligned
+  const key = hexConcat([selector, hexZeroPad('0x', 28)]);
+  const mappingSlot = ethers.BigNumber.from(VTABLE_PROXY_SLOT).add(1);
+  return keccak256(hexConcat([key, defaultAbiCoder.encode(['uint256'], [mappingSlot])]));
+}
+
+function toAddress(word) {
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(word, 12));
+}
+
+async function getGardensNAV({ ethers }, babController, valuer) {
+  const navs = {};
+  for (const garden of await babController.getGardens()) {
+    const gardenContract = await ethers.getContractAt('IGarden', garden);
+    navs[garden] = (await valuer.calculateGardenValuation(garden, addresses.tokens.DAI))
+      .mul(await gardenContract.totalSupply())
+      .div(eth());
+  }
+  return navs;
+}
+
+/**
+ * Sends the MultiSend data as a delegatecall of the Safe. The Safe threshold is lowered to one and the first owner
+ * signs with a pre-validated signature, i.e., `r` is the owner, `s` is empty and `v` is 1.
+ */
+async function execThroughSafe(hre, multiSendTxData) {
+  const { ethers, network } = hre;
+  const multiSig = await resolveAddress(hre, 'MultiSig');
+  const multiSend = await resolveAddress(hre, 'MultiSend');
+  const balance = ethers.utils.hexStripZeros(eth(100).toHexString());
+  const safeSigner = await impersonateAddress(multiSig);
+  await network.provider.send('hardhat_setBalance', [multiSig, balance]);
+  const safe = new ethers.Contract(multiSig, SAFE_ABI, safeSigner);
+  await (await safe.changeThreshold(1)).wait();
+
+  const [owner] = await safe.getOwners();
+  const ownerSigner = await impersonateAddress(owner);
+  await network.provider.send('hardhat_setBalance', [owner, balance]);
+
+  const data = new ethers.utils.Interface(MULTI_SEND_ABI).encodeFunctionData('multiSend', [multiSendTxData]);
+  const signature = ethers.utils.hexConcat([
+    ethers.utils.hexZeroPad(owner, 32),
+    ethers.utils.hexZeroPad('0x', 32),
+    '0x01',
+  ]);
+  const args = [multiSend, 0, data, 1 /* delegatecall */, 0, 0, 0, ADDRESS_ZERO, ADDRESS_ZERO, signature];
+
+  const success = await safe.connect(ownerSigner).callStatic.execTransaction(...args);
+  if (success) {
+    await (await safe.connect(ownerSigner).execTransaction(...args)).wait();
+  }
+  return success;
+}
+
+/**
+ * Checks the protocol once the MultiSend batch of the manifest ran: the NAV of every garden moved by at most
+ * `navTolerance` DAI from `navsBefore` and the proxies, beacons, VTables, operations, MasterSwapper trades and
+ * PriceOracle point to their new contracts.
+ * Returns the list of checks, each with its `name`, whether it `passed` and its `details`.
+ */
+async function checkUpgrade(hre, { manifest, steps, babController, valuer, navsBefore, navTolerance = eth() }) {
+  const { deployments, ethers } = hre;
+  const checks = [];
+  const check = (name, passed, details) => checks.push({ name, passed, details });
+
+  const resolve = async (name) => (await deployments.get(name)).address;
+  const hasCode = async (address) => (await ethers.provider.getCode(address)) !== '0x';
+
+  const navsAfter = await getGardensNAV(hre, babController, valuer);
+  for (const [garden, before] of Object.entries(navsBefore)) {
+    const after = navsAfter[garden];
+    check(
+      `NAV of garden ${garden}`,
+      after.sub(before).abs().lte(navTolerance),
+      `${ethers.utils.formatEther(before)} DAI -> ${ethers.utils.formatEther(after)} DAI`,
+    );
+  }
+
+  for (const step of steps.filter(({ method }) => method === 'upgrade')) {
+    const [proxy, implementation] = step.args;
+    const current = toAddress(await ethers.provider.getStorageAt(proxy, IMPLEMENTATION_SLOT));
+    check(`Implementation of proxy ${proxy}`, current === implementation, current);
+  }
+
+  for (const [name, implementation] of Object.entries(manifest.beacons || {})) {
+    const beacon = await ethers.getContractAt(
+      ['function implementation() view returns (address)'],
+      await resolveAddress(hre, BEACONS[name]),
+    );
+    const current = await beacon.implementation();
+    check(`Implementation of ${name} beacon`, current === (await resolve(implementation)), current);
+  }
+
+  for (const [vtable, modules] of Object.entries(manifest.modules || {})) {
+    const table = await resolveAddress(hre, VTABLES[vtable]);
+    const vtableBeacon = await ethers.getContractAt(['function delegates(bytes4) view returns (address)'], table);
+    for (const name of [].concat(modules)) {
+      const implementation = await resolve(name);
+      const selectors = getSigs(await ethers.getContractAt(name, implementation));
+      const unresolved = [];
+      for (const selector of selectors) {
+        const delegate =
+          vtable === 'viewer'
+            ? toAddress(await ethers.provider.getStorageAt(table, getVTableProxySlot(selector)))
+            : await vtableBeacon.delegates(selector);
+        if (delegate !== implementation) {
+          unresolved.push(selector);
+        }
+      }
+      check(
+        `Selectors of ${name} in ${vtable} VTable`,
+        unresolved.length === 0,
+        unresolved.length === 0 ? `${selectors.length} selectors` : `Not resolved: ${unresolved.join(', ')}`,
+      );
+    }
+  }
+
+  const operations = await babController.getOperations();
+  for (const [kind, operation] of Object.entries(manifest.operations || {})) {
+    const current = operations[OPERATION_KINDS[kind]];
+    const enabled = await babController.enabledOperations(OPERATION_KINDS[kind]);
+    check(
+      `Operation ${kind}`,
+      current === (await resolve(operation)) && enabled === current && (await hasCode(current)),
+      current,
+    );
+  }
+
+  const masterSwapperAddress = await babController.masterSwapper();
+  if (manifest.masterSwapper) {
+    check(
+      'MasterSwapper',
+      masterSwapperAddress === (await resolve(manifest.masterSwapper)) && (await hasCode(masterSwapperAddress)),
+      masterSwapperAddress,
+    );
+  }
+  const masterSwapper = await ethers.getContractAt('MasterSwapper', masterSwapperAddress);
+  for (const [trade, integration] of Object.entries(manifest.trades || {})) {
+    const current = await masterSwapper[TRADE_GETTERS[trade]]();
+    check(
+      `MasterSwapper ${trade} trade (index ${TRADE_INDEXES[trade]})`,
+      current === (await resolve(integration)),
+      current,
+    );
+  }
+
+  if (manifest.priceOracle) {
+    const current = await babController.priceOracle();
+    check('PriceOracle', current === (await resolve(manifest.priceOracle)), current);
+  }
+
+  return checks;
+}
+
+/**
+ * Rehearses a manifest on a mainnet fork before it is proposed. The fork is reset at `forkBlock`, the MultiSend
+ * batch runs through the Safe and the state of the protocol is checked afterwards.
+ * Returns the compiled `steps` and `multiSendTxData` along with the `checks`, each with its `name`, whether it
+ * `passed` and its `details`.
+ */
+async function simulateUpgrade(hre, { manifest, forkBlock, navTolerance = eth() }) {
+  const { ethers, network, config } = hre;
+  if (network.name !== 'hardhat') {
+    throw new Error('Simulations run on the hardhat network. Use --network hardhat with HARDHAT_DEPLOY_FORK=mainnet');
+  }
+  await resetFork(config.networks.mainnet.url, forkBlock);
+
+  const steps = await compileManifest(hre, manifest);
+  const multiSendTxData = encodeMultiSend(steps);
+
+  const [deployer] = await ethers.getSigners();
+  const babController = await ethers.getContractAt(
+    'BabController',
+    await resolveAddress(hre, 'BabController'),
+    deployer,
+  );
+  const valuer = await ethers.getContractAt('IGardenValuer', await babController.gardenValuer());
+  const navsBefore = await getGardensNAV(hre, babController, valuer);
+
+  const checks = [];
+  const check = (name, passed, details) => checks.push({ name, passed, details });
+
+  const success = await execThroughSafe(hre, multiSendTxData);
+  check('MultiSend through the Safe', success, `${steps.length} steps`);
+  if (!success) {
+    return { steps, multiSendTxData, checks };
+  }
+
+  checks.push(...(await checkUpgrade(hre, { manifest, steps, babController, valuer, navsBefore, navTolerance })));
+
+  return { steps, multiSendTxData, checks };
+}
+
+function printSimulation(checks) {
+  console.log('Simulation');
+  for (const { name, passed, details } of checks) {
+    console.log(`  ${passed ? chalk.green('✔ PASS') : chalk.red('✘ FAIL')} ${name}${details ? ` (${details})` : ''}`);
+  }
+  const failed = checks.filter(({ passed }) => !passed).length;
+  console.log(
+    failed ? chalk.red(`${failed} of ${checks.length} checks failed`) : chalk.green(`${checks.length} checks passed`),
+  );
+}
+
+module.exports = {
+  VTABLE_PROXY_SLOT,
+  getVTableProxySlot,
+  checkUpgrade,
+  simulateUpgrade,
+  printSimulation,
+};
@@ -0,0 +1,190 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { ADDRESS_ZERO } = require('./constants.js');
+const { getSigs } = require('./web3');
+
+const VTABLE_UPDATE_TOPIC = ethers.utils.id('VTableUpdate(bytes4,address,address)');
+const DEFAULT_STEP = 2000;
+
+// Routing tables along with the interface their modules implement and the contract forwarding to them
+const ROUTERS = {
+  garden: { deployments: ['VTableBeacon', 'GardenVTableBeacon'], interface: 'IGarden', proxy: 'Garden' },
+  viewer: { deployments: ['Viewer'], interface: 'IViewer', proxy: 'VTableProxy' },
+};
+
+async function getRouter({ deployments }, vtable) {
+  for (const name of ROUTERS[vtable].deployments) {
+    const deployment = await deployments.getOrNull(name);
+    if (deployment) {
+      return deployment;
+    }
+  }
+  throw new Error(`No deployment of the ${vtable} VTable`);
+}
+
+/**
+ * Rebuilds the selector routing of a VTable from its `VTableUpdate` events.
+ * Returns the implementation of every routed selector.
+ */
+async function getRouting(hre, vtable, { fromBlock, block, step = DEFAULT_STEP } = {}) {
+  const { provider } = hre.ethers;
+  const router = await getRouter(hre, vtable);
+  block = block !== undefined ? block : await provider.getBlockNumber();
+  if (fromBlock === undefined) {
+    fromBlock = router.receipt ? router.receipt.blockNumber : 0;
+  }
+
+  const routing = {};
+  for (let chunkStart = fromBlock; chunkStart <= block; chunkStart += step) {
+    const logs = await provider.getLogs({
+      address: router.address,
+      topics: [VTABLE_UPDATE_TOPIC],
+      fromBlock: chunkStart,
+      toBlock: Math.min(chunkStart + step - 1, block),
+    });
+    for (const log of logs) {
+      const selector = ethers.utils.hexDataSlice(log.topics[1], 0, 4);
+      const [, implementation] = ethers.utils.defaultAbiCoder.decode(['address', 'address'], log.data);
+      if (implementation === ADDRESS_ZERO) {
+        delete routing[selector];
+      } else {
+        routing[selector] = implementation;
+      }
+    }
+  }
+  return routing;
+}
+
+/**
+ * Names the deployed contracts by address with their contract name, e.g., `AdminGardenModule` for every version of
+ * the module. Deployments without metadata keep their deployment name.
+ */
+async function getContractNames({ deployments }) {
+  const names = {};
+  for (const [name, deployment] of Object.entries(await deployments.all())) {
+    let contractName = name;
+    if (deployment.metadata) {
+      const { compilationTarget } = JSON.parse(deployment.metadata).settings;
+      contractName = Object.values(compilationTarget)[0] || name;
+    }
+    names[deployment.address.toLowerCase()] = contractName;
+  }
+  return names;
+}
+
+/**
+ * Compares the current routing of a VTable with a proposed set of modules.
+ * - `collisions`: selectors declared by several proposed modules
+ * - `hijacked`: selectors routed to another contract that a proposed module takes over
+ * - `orphaned`: selectors left on a previous version of a proposed module since the new version dropped them
+ * - `missing`: functions of the interface neither the proxy nor any module implements once the modules are swapped
+ * @param {object} routing - Implementation by selector as returned by `getRouting`
+ * @param {object[]} modules - Proposed `{name, address, selectors}` modules
+ * @param {object} names - Contract name by lower-cased address
+ * @param {object} required - Signature by selector of the functions the VTable has to implement
+ * @param {string[]} native - Selectors implemented by the proxy itself which are not checked
+ */
+function checkVTable({ routing, modules, names = {}, required = {}, native = [] }) {
+  const nameOf = (address) => names[address.toLowerCase()] || address;
+  const proposed = {};
+  const collisions = [];
+  for (const definition of modules) {
+    // Calls to functions of the proxy never reach the modules, e.g., the ERC20 functions every garden module inherits
+    for (const selector of definition.selectors.filter((o) => !native.includes(o))) {
+      if (proposed[selector] && proposed[selector].name !== definition.name) {
+        const collision = collisions.find((o) => o.selector === selector);
+        if (collision) {
+          collision.modules.push(definition.name);
+        } else {
+          collisions.push({ selector, modules: [proposed[selector].name, definition.name] });
+        }
+      }
+      proposed[selector] = proposed[selector] || definition;
+    }
+  }
+
+  const hijacked = [];
+  for (const [selector, definition] of Object.entries(proposed)) {
+    const current = routing[selector];
+    if (current && current !== definition.address && nameOf(current) !== definition.name) {
+      hijacked.push({ selector, from: nameOf(current), to: definition.name });
+    }
+  }
+
+  const orphaned = [];
+  for (const [selector, implementation] of Object.entries(routing).filter(([o]) => !native.includes(o))) {
+    const definition = modules.find(({ name }) => name === nameOf(implementation));
+    if (!proposed[selector] && definition && definition.address !== implementation) {
+      orphaned.push({ selector, module: definition.name, implementation });
+    }
+  }
+
+  const missing = Object.entries(required)
+    .filter(([selector]) => !proposed[selector] && !routing[selector] && !native.includes(selector))
+    .map(([selector, signature]) => ({ selector, signature }));
+
+  return { collisions, hijacked, orphaned, missing };
+}
+
+/**
+ * Checks swapping `moduleNames` into a VTable with the routing read on chain.
+ * Modules are resolved from the deployments.
+ */
+async function checkVTableUpgrade(hre, vtable, moduleNames, options) {
+  const { deployments, artifacts, ethers } = hre;
+  const { interface: interfaceName, proxy } = ROUTERS[vtable];
+
+  const modules = [];
+  for (const name of [].concat(moduleNames)) {
+    const { address } = await deployments.get(name);
+    modules.push({ name, address, selectors: getSigs(await ethers.getContractAt(name, address)) });
+  }
+
+  const iface = new ethers.utils.Interface((await artifacts.readArtifact(interfaceName)).abi);
+  const required = Object.fromEntries(Object.keys(iface.functions).map((fn) => [iface.getSighash(fn), fn]));
+  const proxyInterface = new ethers.utils.Interface((await artifacts.readArtifact(proxy)).abi);
+  const native = Object.keys(proxyInterface.functions).map((fn) => proxyInterface.getSighash(fn));
+
+  return {
+    vtable,
+    ...checkVTable({
+      routing: await getRouting(hre, vtable, options),
+      modules,
+      names: await getContractNames(hre),
+      required,
+      native,
+    }),
+  };
+}
+
+// Collisions and unimplemented functions break the VTable. Hijacked and orphaned selectors can be on purpose.
+const hasVTableErrors = ({ collisions, missing }) => collisions.length > 0 || missing.length > 0;
+
+function printVTableReport({ vtable, collisions, hijacked, orphaned, missing }) {
+  console.log(`${vtable} VTable`);
+  for (const { selector, modules } of collisions) {
+    console.log(chalk.red(`  Collision ${selector} declared by ${modules.join(', ')}`));
+  }
+  for (const { selector, signature } of missing) {
+    console.log(chalk.red(`  Missing ${signature} (${selector})`));
+  }
+  for (const { selector, from, to } of hijacked) {
+    console.log(chalk.yellow(`  Hijacked ${selector} from ${from} by ${to}`));
+  }
+  for (const { selector, module: name, implementation } of orphaned) {
+    console.log(chalk.yellow(`  Orphaned ${selector} left on ${name} ${implementation}`));
+  }
+  if (collisions.length + missing.length + hijacked.length + orphaned.length === 0) {
+    console.log(chalk.green('  No issues'));
+  }
+}
+
+module.exports = {
+  ROUTERS,
+  getRouting,
+  getContractNames,
+  checkVTable,
+  checkVTableUpgrade,
+  hasVTableErrors,
+  printVTableReport,
+};
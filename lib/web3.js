@@ -1,23 +1,27 @@
-const { sleep, from, eth, formatNumber } = require('lib/helpers');
-const axios = require('axios');
+const { from, eth, formatNumber } = require('lib/helpers');
 
-const ETHPLORER = process.env.ETHPLORER || '';
+export function getSigs(contract) {
+  return Object.keys(contract.interface.functions).map((func) => contract.interface.getSighash(func));
+}
 
-export async function getUsers(garden) {
-  let data;
-  while (!data) {
-    try {
-      ({ data } = await axios.get(
-        `https://api.ethplorer.io/getTopTokenHolders/${garden}?apiKey=${ETHPLORER}&limit=1000`,
-      ));
-    } catch (e) {
-      console.log('failed to fetch data from API');
-      await sleep(1000);
+/**
+ * Returns the number of the first block mined at or after the timestamp
+ * @param {object} provider - ethers provider
+ * @param {number} timestamp - Unix timestamp in seconds
+ */
+export async function getBlockByTimestamp(provider, timestamp) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  if ((await provider.getBlock(high)).timestamp < timestamp) {
+    return high;
+  }
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await provider.getBlock(mid)).timestamp < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
     }
   }
-  return data.holders;
-}
-
-export function getSigs(contract) {
-  return Object.keys(contract.interface.functions).map((func) => contract.interface.getSighash(func));
+  return low;
 }
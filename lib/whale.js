@@ -1,9 +1,6 @@
 const { impersonateAddress } = require('./rpc');
-const { getERC20, parse, from, eth } = require('../test/utils/test-helpers');
 const addresses = require('./addresses');
 
-const ETH = addresses.tokens.ETH;
-
 /**
  * Gets the whale address of a given asset
  * @param {string} address - Address of the ERC20 asset
@@ -40,6 +37,7 @@ async function getWhaleSigner(token) {
   return await impersonateAddress(TOKEN_WHALE_MAP[token]);
 }
 
+// Fallback of `lib/funding` for the tokens whose balance slot is not found
 const TOKEN_WHALE_MAP = {
   [addresses.tokens.ETH]: '0x00000000219ab540356cBB839Cbe05303d7705Fa',
   [addresses.tokens.WETH]: '0x2fEb1512183545f48f6b9C5b4EbfCaF49CfCa6F3',
@@ -52,78 +50,8 @@ const TOKEN_WHALE_MAP = {
   [addresses.tokens.AAVE]: '0x4da27a545c0c5b758a6ba100e3a049001de870f5',
 };
 
-const TOKEN_AMOUNT_MAP = {
-  [addresses.tokens.ETH]: eth(100),
-  [addresses.tokens.WETH]: eth(100),
-  [addresses.tokens.BABL]: eth(20000),
-  [addresses.tokens.AAVE]: eth(100),
-  [addresses.tokens.DAI]: eth(1e6),
-  [addresses.tokens.FEI]: eth(1e6),
-  [addresses.tokens.FRAX]: eth(1e5),
-  [addresses.tokens.USDC]: from(1e6 * 1e6),
-  [addresses.tokens.WBTC]: from(10e8),
-};
-
-async function fund(accounts, { tokens, amounts } = {}) {
-  const { ethers } = require('hardhat');
-
-  tokens = tokens || [
-    addresses.tokens.ETH,
-    addresses.tokens.WETH,
-    addresses.tokens.DAI,
-    addresses.tokens.USDC,
-    addresses.tokens.WBTC,
-    addresses.tokens.BABL,
-    addresses.tokens.FEI,
-    addresses.tokens.FRAX,
-    addresses.tokens.AAVE,
-  ];
-  amounts = amounts || {};
-  const tokenContracts = {};
-  const whaleSigners = {};
-
-  for (const account of accounts) {
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-      if (!whaleSigners[token]) {
-        whaleSigners[token] = await impersonateAddress(TOKEN_WHALE_MAP[token]);
-      }
-      if (token !== ETH) {
-        if (!tokenContracts[token]) {
-          tokenContracts[token] = await getERC20(token);
-        }
-        await tokenContracts[token]
-          .connect(whaleSigners[token])
-          .transfer(account, amounts[i] ? amounts[i] : TOKEN_AMOUNT_MAP[token], {
-            gasPrice: 0,
-          });
-      } else {
-        await whaleSigners[token].sendTransaction({
-          to: account,
-          value: amounts[i] ? amounts[i] : TOKEN_AMOUNT_MAP[token],
-        });
-      }
-    }
-  }
-}
-
-async function createWallets(number, fundOpts = {}) {
-  const wallets = [];
-  for (let i = 0; i < number; i++) {
-    wallets.push(ethers.Wallet.createRandom().connect(ethers.provider));
-  }
-  if (fund) {
-    await fund(
-      wallets.map((o) => o.address),
-      fundOpts,
-    );
-  }
-  return wallets;
-}
-
 module.exports = {
+  TOKEN_WHALE_MAP,
   getAssetWhale,
   getWhaleSigner,
-  fund,
-  createWallets,
 };
@@ -6,7 +6,6 @@ const { ONE_DAY_IN_SECONDS, ADDRESS_ZERO } = require('lib/constants');
 const addresses = require('lib/addresses');
 const { impersonateAddress } = require('lib/rpc');
 const { takeSnapshot, restoreSnapshot } = require('lib/rpc');
-const { getUsers } = require('lib/web3');
 const { eth } = require('lib/helpers');
 const { getContracts, deployFixture } = require('lib/deploy');
 const { ONE_YEAR_IN_SECONDS } = require('../../lib/constants');
@@ -2,7 +2,7 @@ const { deployments } = require('hardhat');
 const { GARDEN_PARAMS, BABL_GARDEN_PARAMS } = require('lib/constants.js');
 const addresses = require('lib/addresses');
 const { impersonateAddress } = require('lib/rpc');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const { createStrategy } = require('./StrategyHelper.js');
 const { getERC20, getContract, eth } = require('utils/test-helpers');
 
@@ -2,7 +2,18 @@ const { ethers } = require('hardhat');
 
 const addresses = require('lib/addresses');
 const { impersonateAddress } = require('lib/rpc');
-const { fund, getWhaleSigner } = require('lib/whale');
+const { fund } = require('lib/funding');
+const { getWhaleSigner } = require('lib/whale');
+const {
+  getDepositSig,
+  getDepositSigHash,
+  getWithdrawSig,
+  getWithdrawSigHash,
+  getRewardsSigHash,
+  getRewardsSig,
+  getStakeRewardsSigHash,
+  getStakeRewardsSig,
+} = require('lib/signatures');
 
 const {
   ADDRESS_ZERO,
@@ -239,89 +250,8 @@ async function transferFunds(address) {
   }
 }
 
-function getDepositSigHash(garden, amountIn, minAmountOut, nonce, maxFee, to, referrer) {
-  const DEPOSIT_BY_SIG_TYPEHASH = ethers.utils.keccak256(
-    ethers.utils.toUtf8Bytes(
-      'DepositBySig(uint256 _amountIn,uint256 _minAmountOut,uint256 _nonce,uint256 _maxFee,address _to,address _referrer)',
-    ),
-  );
-
-  let payload = ethers.utils.defaultAbiCoder.encode(
-    ['bytes32', 'address', 'uint256', 'uint256', 'uint256', 'uint256', 'address', 'address'],
-    [DEPOSIT_BY_SIG_TYPEHASH, garden, amountIn, minAmountOut, nonce, maxFee, to, referrer],
-  );
-
-  return ethers.utils.keccak256(payload);
-}
-
-async function getDepositSig(garden, signer, amountIn, minAmountOut, nonce, maxFee, to, referrer) {
-  let payloadHash = getDepositSigHash(garden, amountIn, minAmountOut, nonce, maxFee, to, referrer);
-
-  return await signer.signMessage(ethers.utils.arrayify(payloadHash));
-}
-
-function getWithdrawSigHash(garden, amountIn, minAmountOut, nonce, maxFee, withPenalty) {
-  const WITHDRAW_BY_SIG_TYPEHASH = ethers.utils.keccak256(
-    ethers.utils.toUtf8Bytes(
-      'WithdrawBySig(uint256 _amountIn,uint256 _minAmountOut,uint256,_nonce,uint256 _maxFee,uint256 _withPenalty)',
-    ),
-  );
-
-  let payload = ethers.utils.defaultAbiCoder.encode(
-    ['bytes32', 'address', 'uint256', 'uint256', 'uint256', 'uint256', 'bool'],
-    [WITHDRAW_BY_SIG_TYPEHASH, garden, amountIn, minAmountOut, nonce, maxFee, withPenalty],
-  );
-
-  return ethers.utils.keccak256(payload);
-}
-
-async function getWithdrawSig(garden, signer, amountIn, minAmountOut, nonce, maxFee, withPenalty) {
-  let payloadHash = getWithdrawSigHash(garden, amountIn, minAmountOut, nonce, maxFee, withPenalty);
-
-  return await signer.signMessage(ethers.utils.arrayify(payloadHash));
-}
-
-function getRewardsSigHash(garden, babl, profits, nonce, maxFee) {
-  const REWARDS_BY_SIG_TYPEHASH = ethers.utils.keccak256(
-    ethers.utils.toUtf8Bytes('RewardsBySig(uint256 _babl,uint256 _profits,uint256 _nonce,uint256 _maxFee)'),
-  );
-
-  let payload = ethers.utils.defaultAbiCoder.encode(
-    ['bytes32', 'address', 'uint256', 'uint256', 'uint256', 'uint256'],
-    [REWARDS_BY_SIG_TYPEHASH, garden, babl, profits, nonce, maxFee],
-  );
-
-  return ethers.utils.keccak256(payload);
-}
-
-async function getRewardsSig(garden, signer, babl, profits, nonce, maxFee) {
-  let payloadHash = getRewardsSigHash(garden, babl, profits, nonce, maxFee);
-
-  return await signer.signMessage(ethers.utils.arrayify(payloadHash));
-}
-
-function getStakeRewardsSigHash(garden, babl, profits, minAmountOut, nonce, nonceHeart, maxFee, to) {
-  const REWARDS_BY_SIG_TYPEHASH = ethers.utils.keccak256(
-    ethers.utils.toUtf8Bytes(
-      'StakeRewardsBySig(uint256 _babl,uint256 _profits,uint256 _minAmountOut,uint256 _nonce,uint256 _nonceHeart,uint256 _maxFee,address _to)',
-    ),
-  );
-
-  let payload = ethers.utils.defaultAbiCoder.encode(
-    ['bytes32', 'address', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256', 'address'],
-    [REWARDS_BY_SIG_TYPEHASH, garden, babl, profits, minAmountOut, nonce, nonceHeart, maxFee, to],
-  );
-
-  return ethers.utils.keccak256(payload);
-}
-
-async function getStakeRewardsSig(garden, signer, babl, profits, minAmountOut, nonce, nonceHeart, maxFee, to) {
-  let payloadHash = getStakeRewardsSigHash(garden, babl, profits, minAmountOut, nonce, nonceHeart, maxFee, to);
-
-  return await signer.signMessage(ethers.utils.arrayify(payloadHash));
-}
-
 module.exports = {
+  CONTRIBUTORS_MAP,
   createGarden,
   depositFunds,
   transferFunds,
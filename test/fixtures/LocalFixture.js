@@ -0,0 +1,80 @@
+const { deployments } = require('hardhat');
+const { GARDEN_PARAMS } = require('lib/constants.js');
+const { LOCAL_TOKENS } = require('lib/local');
+const { getContract, eth } = require('utils/test-helpers');
+
+// Units of every local token minted to the signers
+const SIGNER_UNITS = 1000;
+
+/**
+ * Protocol of the local profile on the hardhat network without a fork. Signers hold every local token and signer1
+ * owns a public WETH garden.
+ */
+async function setUpLocalFixture({ deployments, ethers }) {
+  const [deployer, keeper, owner, signer1, signer2, signer3] = await ethers.getSigners();
+
+  await deployments.fixture(['Local']);
+
+  const babController = await getContract('BabController', 'BabControllerProxy');
+  const mardukGate = await getContract('MardukGate');
+  const priceOracle = await getContract('PriceOracleMock');
+  const masterSwapper = await getContract('MasterSwapperMock');
+  const uniswapV2TradeIntegration = await getContract('UniswapV2TradeIntegration');
+  const aaveLendIntegration = await getContract('AaveLendIntegration');
+
+  const tokens = {};
+  for (const [symbol, { address, decimals }] of Object.entries(LOCAL_TOKENS)) {
+    tokens[symbol] = await ethers.getContractAt('LocalERC20Mock', address);
+    for (const signer of [signer1, signer2, signer3]) {
+      await tokens[symbol].mint(signer.address, ethers.utils.parseUnits(String(SIGNER_UNITS), decimals));
+    }
+  }
+
+  await mardukGate.connect(deployer).setCreatorPermissions(signer1.address, true, { gasPrice: 0 });
+  await babController
+    .connect(signer1)
+    .createGarden(
+      tokens.WETH.address,
+      'Local ETH Garden',
+      'LETH',
+      'http...',
+      0,
+      GARDEN_PARAMS,
+      eth('1'),
+      [true, true, true],
+      [0, 0, 0],
+      {
+        value: eth('1'),
+      },
+    );
+  const gardens = await babController.getGardens();
+  const garden1 = await ethers.getContractAt('IGarden', gardens[gardens.length - 1]);
+
+  return {
+    babController,
+    mardukGate,
+    priceOracle,
+    masterSwapper,
+    uniswapV2TradeIntegration,
+    aaveLendIntegration,
+    garden1,
+
+    deployer,
+    keeper,
+    owner,
+    signer1,
+    signer2,
+    signer3,
+
+    ...tokens,
+  };
+}
+
+let fixture;
+
+module.exports = {
+  setupLocalTests: () => {
+    fixture = fixture || deployments.createFixture(setUpLocalFixture);
+    return fixture;
+  },
+};
@@ -0,0 +1,26 @@
+const scenarioRunner = require('lib/scenario-runner');
+const { CONTRIBUTORS_MAP, createGarden } = require('./GardenHelper.js');
+const { createStrategy, executeStrategy, finalizeStrategy, strategyParamsToArray } = require('./StrategyHelper.js');
+const { setupTests } = require('./GardenFixture.js');
+const { setupLocalTests } = require('./LocalFixture.js');
+
+// Fixtures the scenarios of lib/scenario-runner.js run on
+const SCENARIO_FIXTURES = {
+  setupTests,
+  setupLocalTests,
+  CONTRIBUTORS_MAP,
+  createGarden,
+  createStrategy,
+  executeStrategy,
+  finalizeStrategy,
+  strategyParamsToArray,
+};
+
+async function runScenario(hre, scenario) {
+  return await scenarioRunner.runScenario(hre, scenario, SCENARIO_FIXTURES);
+}
+
+module.exports = {
+  SCENARIO_FIXTURES,
+  runScenario,
+};
@@ -7,7 +7,7 @@ const { createStrategy, executeStrategy, getStrategy } = require('fixtures/Strat
 const { createGarden } = require('fixtures/GardenHelper');
 const { eth } = require('utils/test-helpers');
 const { ethers } = require('hardhat');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 
 describe('BabController', function () {
   let aaveBorrowIntegration;
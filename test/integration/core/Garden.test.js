@@ -2,7 +2,7 @@ const { expect } = require('chai');
 const { ethers } = require('hardhat');
 
 const addresses = require('lib/addresses');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const {
   GARDENS,
   PROFIT_STRATEGIST_SHARE,
@@ -1,5 +1,5 @@
 const { expect } = require('chai');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const { eth } = require('lib/helpers');
 const { setCode } = require('lib/rpc');
 const addresses = require('lib/addresses');
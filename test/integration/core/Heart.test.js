@@ -7,7 +7,7 @@ const { impersonateAddress } = require('lib/rpc');
 const { ADDRESS_ZERO } = require('lib/constants');
 const { getDepositSig } = require('fixtures/GardenHelper');
 
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 
 describe('Heart', function () {
   let heartGarden;
@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const hre = require('hardhat');
+
+const { ADDRESS_ZERO } = require('lib/constants.js');
+const {
+  createJsonLinesStore,
+  indexEvents,
+  getDeposits,
+  getWithdrawals,
+  getStrategyLifecycle,
+  getKeeperFees,
+} = require('lib/indexer');
+const { eth } = require('utils/test-helpers');
+const { getStrategy, executeStrategy } = require('fixtures/StrategyHelper');
+
+const { setupTests } = require('fixtures/GardenFixture');
+
+describe('Indexer', function () {
+  let signer1;
+  let signer3;
+  let garden1;
+  let store;
+  let dir;
+  let fromBlock;
+
+  beforeEach(async () => {
+    ({ signer1, signer3, garden1 } = await setupTests()());
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'indexer-'));
+    store = createJsonLinesStore(dir);
+    fromBlock = (await hre.ethers.provider.getBlockNumber()) + 1;
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('indexes deposits and withdrawals of a garden', async function () {
+    await garden1.connect(signer3).deposit(eth(), 1, signer3.getAddress(), ADDRESS_ZERO, { value: eth() });
+    await garden1.connect(signer3).withdraw(eth(0.5), 1, signer3.getAddress(), false, ADDRESS_ZERO, { gasPrice: 0 });
+
+    await indexEvents(hre, { store, fromBlock, log: false });
+    const events = await store.getEvents();
+
+    const [deposit] = getDeposits(events, { garden: garden1.address });
+    expect(deposit.args._to).to.equal(signer3.address);
+    expect(deposit.args.reserveTokenQuantity).to.equal(eth().toString());
+
+    const [withdrawal] = getWithdrawals(events, { garden: garden1.address });
+    expect(withdrawal.args._from).to.equal(signer3.address);
+    expect(withdrawal.args.reserveTokenQuantity).to.equal(eth(0.5).toString());
+  });
+
+  it('indexes strategy transitions and keeper fees', async function () {
+    const strategy = await getStrategy({ garden: garden1, state: 'vote' });
+    await executeStrategy(strategy, { fee: eth(0.01) });
+
+    await indexEvents(hre, { store, fromBlock, log: false });
+    const events = await store.getEvents();
+
+    expect(getStrategyLifecycle(events, { strategy: strategy.address }).map((o) => o.event)).to.deep.equal([
+      'AddStrategy',
+      'StrategyVoted',
+      'StrategyExecuted',
+    ]);
+    const [fee] = getKeeperFees(events, { garden: garden1.address });
+    expect(fee.address).to.equal(strategy.address);
+    expect(fee.args._fee).to.equal(eth(0.01).toString());
+  });
+
+  it('indexes the transitions of deleted candidates', async function () {
+    const strategy = await getStrategy({ garden: garden1, state: 'vote' });
+    await strategy.connect(signer1).deleteCandidateStrategy();
+
+    await indexEvents(hre, { store, fromBlock, log: false });
+    const events = await store.getEvents();
+
+    expect(getStrategyLifecycle(events, { strategy: strategy.address }).map((o) => o.event)).to.deep.equal([
+      'AddStrategy',
+      'StrategyVoted',
+      'StrategyDeleted',
+    ]);
+  });
+
+  it('resumes from the last indexed block', async function () {
+    await garden1.connect(signer3).deposit(eth(), 1, signer3.getAddress(), ADDRESS_ZERO, { value: eth() });
+    await indexEvents(hre, { store, fromBlock, log: false });
+    const lastBlock = await store.getLastBlock();
+
+    await garden1.connect(signer3).deposit(eth(), 1, signer3.getAddress(), ADDRESS_ZERO, { value: eth() });
+    const { fromBlock: resumedFrom } = await indexEvents(hre, { store, fromBlock, log: false });
+
+    expect(resumedFrom).to.equal(lastBlock + 1);
+    expect(getDeposits(await store.getEvents(), { garden: garden1.address })).to.have.lengthOf(2);
+  });
+});
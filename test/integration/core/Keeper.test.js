@@ -2,7 +2,7 @@ const { expect } = require('chai');
 const { ethers } = require('hardhat');
 const addresses = require('lib/addresses');
 const { ONE_DAY_IN_SECONDS, STRATEGY_EXECUTE_MAP } = require('lib/constants.js');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const { increaseTime, getERC20, from, eth, pick } = require('utils/test-helpers');
 const { createGarden } = require('fixtures/GardenHelper');
 
@@ -1,7 +1,8 @@
 const { expect } = require('chai');
 const { ethers, deployments } = require('hardhat');
 const { deploy } = deployments;
-const { fund, getWhaleSigner } = require('lib/whale');
+const { fund } = require('lib/funding');
+const { getWhaleSigner } = require('lib/whale');
 const addresses = require('lib/addresses');
 const { setupTests } = require('fixtures/GardenFixture');
 const { ONE_DAY_IN_SECONDS } = require('lib/constants.js');
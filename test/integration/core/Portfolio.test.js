@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { ADDRESS_ZERO } = require('lib/constants.js');
+const { getPortfolio } = require('lib/scripts/portfolio');
+const { eth } = require('utils/test-helpers');
+
+const { setupTests } = require('fixtures/GardenFixture');
+
+describe('user:portfolio', function () {
+  let signer3;
+  let garden1;
+
+  beforeEach(async () => {
+    ({ signer3, garden1 } = await setupTests()());
+  });
+
+  it('reports the position of a depositor', async function () {
+    await garden1.connect(signer3).deposit(eth(), 1, signer3.getAddress(), ADDRESS_ZERO, { value: eth() });
+
+    const { gardens } = await getPortfolio(hre, signer3.address);
+    const position = gardens.find((garden) => garden.address === garden1.address);
+
+    expect(position.shares).to.equal(await garden1.balanceOf(signer3.address));
+    expect(position.costBasis).to.equal(eth());
+    expect(position.value).to.be.closeTo(eth(), eth(0.01));
+    expect(position.pnl).to.equal(position.value.sub(eth()));
+    expect(position.locked).to.equal(true);
+  });
+
+  it('reports no gardens for an address without garden tokens', async function () {
+    const { gardens } = await getPortfolio(hre, ADDRESS_ZERO.replace(/0$/, '1'));
+    expect(gardens).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const axios = require('axios');
+
+const addresses = require('lib/addresses');
+const { ADDRESS_ZERO } = require('lib/constants.js');
+const { getDepositSig } = require('lib/signatures');
+const { createRelayer, createServer, RELAY_STATUS } = require('lib/relayer');
+const { getERC20, eth } = require('utils/test-helpers');
+
+const { setupTests } = require('fixtures/GardenFixture');
+
+describe('Relayer', function () {
+  let keeper;
+  let signer1;
+  let signer3;
+  let garden1;
+  let weth;
+  let relayer;
+  let server;
+  let url;
+
+  beforeEach(async () => {
+    ({ keeper, signer1, signer3, garden1 } = await setupTests()());
+    weth = await getERC20(addresses.tokens.WETH);
+
+    relayer = createRelayer(hre, { keeper });
+    server = createServer(relayer);
+    await new Promise((resolve) => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}/relay`;
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  async function getDepositPayload(signer, { amountIn = eth(), maxFee = eth(0.1), nonce, sigSigner = signer } = {}) {
+    const [, , , , , , , contributorNonce] = await garden1.getContributor(signer.address);
+    nonce = nonce === undefined ? contributorNonce : nonce;
+    const minAmountOut = amountIn.div(2);
+    const signature = await getDepositSig(
+      garden1.address,
+      sigSigner,
+      amountIn,
+      minAmountOut,
+      nonce,
+      maxFee,
+      signer.address,
+      ADDRESS_ZERO,
+    );
+    return {
+      type: 'deposit',
+      garden: garden1.address,
+      signer: signer.address,
+      amountIn: amountIn.toString(),
+      minAmountOut: minAmountOut.toString(),
+      nonce: nonce.toString(),
+      maxFee: maxFee.toString(),
+      to: signer.address,
+      referrer: ADDRESS_ZERO,
+      signature,
+    };
+  }
+
+  async function post(payload) {
+    return await axios.post(url, payload, { validateStatus: () => true });
+  }
+
+  describe('deposit', function () {
+    it('queues, submits and confirms a signed deposit', async function () {
+      await weth.connect(signer3).approve(garden1.address, eth(), { gasPrice: 0 });
+
+      const sharesBefore = await garden1.balanceOf(signer3.address);
+      const keeperBalanceBefore = await weth.balanceOf(keeper.address);
+
+      const { status, data } = await post(await getDepositPayload(signer3));
+      expect(status).to.eq(202);
+      expect(data.status).to.eq(RELAY_STATUS.QUEUED);
+
+      await relayer.processBatch();
+
+      const { data: request } = await axios.get(`${url}/${data.id}`);
+      expect(request.status).to.eq(RELAY_STATUS.CONFIRMED);
+      expect(request.hash).to.not.eq(undefined);
+
+      expect(await garden1.balanceOf(signer3.address)).to.be.gt(sharesBefore);
+      expect((await weth.balanceOf(keeper.address)).sub(keeperBalanceBefore)).to.eq(request.fee);
+    });
+
+    it('returns the same request when a payload is submitted twice', async function () {
+      await weth.connect(signer3).approve(garden1.address, eth(), { gasPrice: 0 });
+      const payload = await getDepositPayload(signer3);
+
+      const { data: first } = await post(payload);
+      const { data: second } = await post(payload);
+
+      expect(second.id).to.eq(first.id);
+    });
+
+    it('rejects an invalid nonce', async function () {
+      await weth.connect(signer3).approve(garden1.address, eth(), { gasPrice: 0 });
+
+      const { status, data } = await post(await getDepositPayload(signer3, { nonce: 100 }));
+
+      expect(status).to.eq(400);
+      expect(data.error).to.match(/Invalid nonce/);
+    });
+
+    it('rejects a signature of another signer', async function () {
+      await weth.connect(signer3).approve(garden1.address, eth(), { gasPrice: 0 });
+
+      const { status, data } = await post(await getDepositPayload(signer3, { sigSigner: signer1 }));
+
+      expect(status).to.eq(400);
+      expect(data.error).to.eq('Invalid signature');
+    });
+
+    it('rejects a deposit without allowance', async function () {
+      await weth.connect(signer3).approve(garden1.address, 0, { gasPrice: 0 });
+
+      const { status, data } = await post(await getDepositPayload(signer3));
+
+      expect(status).to.eq(400);
+      expect(data.error).to.eq('Insufficient reserve asset allowance');
+    });
+
+    it('rejects a max fee below the relay cost', async function () {
+      await weth.connect(signer3).approve(garden1.address, eth(), { gasPrice: 0 });
+
+      const { status, data } = await post(await getDepositPayload(signer3, { maxFee: 1 }));
+
+      expect(status).to.eq(400);
+      expect(data.error).to.match(/below relay cost/);
+    });
+  });
+
+  it('returns 404 for unknown requests', async function () {
+    const { status } = await axios.get(`${url}/0x1234`, { validateStatus: () => true });
+
+    expect(status).to.eq(404);
+  });
+});
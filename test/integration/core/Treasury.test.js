@@ -1,6 +1,6 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const addresses = require('lib/addresses');
 const { setupTests } = require('fixtures/GardenFixture');
 const { pick, skipIfFast, getERC20, from, eth } = require('utils/test-helpers');
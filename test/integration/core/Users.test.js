@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { ADDRESS_ZERO } = require('lib/constants.js');
+const { getUsers } = require('lib/scripts/users');
+const { eth } = require('utils/test-helpers');
+
+const { setupTests } = require('fixtures/GardenFixture');
+
+describe('users', function () {
+  let signer1;
+  let signer3;
+  let garden1;
+  let since;
+
+  beforeEach(async () => {
+    ({ signer1, signer3, garden1 } = await setupTests()());
+    since = (await hre.ethers.provider.getBlockNumber()) + 1;
+  });
+
+  it('reports new, active and exited depositors from Transfer events', async function () {
+    await garden1.connect(signer3).deposit(eth(), 1, signer3.getAddress(), ADDRESS_ZERO, { value: eth() });
+    await garden1
+      .connect(signer3)
+      .withdraw(await garden1.balanceOf(signer3.address), 1, signer3.getAddress(), false, ADDRESS_ZERO);
+
+    const { gardens, uniqueUsers } = await getUsers(hre, { since });
+    const { users, newUsers, exitedUsers } = gardens.find((garden) => garden.address === garden1.address);
+
+    const creator = users.find((user) => user.address === signer1.address);
+    expect(creator.active).to.equal(true);
+    expect(creator.isNew).to.equal(false);
+
+    const exited = users.find((user) => user.address === signer3.address);
+    expect(exited.active).to.equal(false);
+    expect(exited.isNew).to.equal(true);
+    expect(newUsers).to.equal(1);
+    expect(exitedUsers).to.equal(1);
+    expect(uniqueUsers).to.be.gte(2);
+  });
+});
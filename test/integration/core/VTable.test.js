@@ -0,0 +1,36 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { getRouting, checkVTableUpgrade } = require('lib/vtable');
+
+const { setupTests } = require('fixtures/GardenFixture');
+
+describe('vtable', function () {
+  beforeEach(async () => {
+    await setupTests()();
+  });
+
+  it('rebuilds the routing of the garden VTable', async function () {
+    const routing = await getRouting(hre, 'garden');
+    const { address } = await hre.deployments.get('AdminGardenModule');
+    expect(Object.values(routing)).to.include(address);
+  });
+
+  it('routes every IGarden function to the garden or its modules', async function () {
+    const report = await checkVTableUpgrade(hre, 'garden', [
+      'AdminGardenModule',
+      'StrategyGardenModule',
+      'EmergencyGardenModule',
+    ]);
+    expect(report.collisions).to.deep.equal([]);
+    expect(report.hijacked).to.deep.equal([]);
+    expect(report.orphaned).to.deep.equal([]);
+    expect(report.missing).to.deep.equal([]);
+  });
+
+  it('routes every IViewer function to the viewer modules', async function () {
+    const report = await checkVTableUpgrade(hre, 'viewer', ['GardenViewer', 'HeartViewer', 'StrategyViewer']);
+    expect(report.collisions).to.deep.equal([]);
+    expect(report.missing).to.deep.equal([]);
+  });
+});
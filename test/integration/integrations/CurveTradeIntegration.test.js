@@ -2,7 +2,7 @@ const { expect } = require('chai');
 const { ethers } = require('hardhat');
 const { STRATEGY_EXECUTE_MAP } = require('lib/constants.js');
 const { pick, getERC20, eth, skipIfFast } = require('utils/test-helpers');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const { setupTests } = require('fixtures/GardenFixture');
 const { getStrategy, executeStrategy, finalizeStrategy } = require('fixtures/StrategyHelper');
 const { createGarden } = require('fixtures/GardenHelper');
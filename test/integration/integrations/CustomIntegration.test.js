@@ -6,7 +6,7 @@ const { setupTests } = require('fixtures/GardenFixture');
 const { createStrategy, executeStrategy, finalizeStrategy } = require('fixtures/StrategyHelper');
 const { createGarden, transferFunds, depositFunds } = require('fixtures/GardenHelper');
 const { getERC20, pick, increaseTime } = require('utils/test-helpers');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 // const addresses = require('lib/addresses');
 
 describe('CustomIntegration', function () {
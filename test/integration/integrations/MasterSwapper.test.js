@@ -3,7 +3,7 @@ const { ethers } = require('hardhat');
 
 const { STRATEGY_EXECUTE_MAP } = require('lib/constants.js');
 const { getERC20, eth, pick } = require('utils/test-helpers');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const { setupTests } = require('fixtures/GardenFixture');
 const { getStrategy, executeStrategy, finalizeStrategy } = require('fixtures/StrategyHelper');
 const { createGarden } = require('fixtures/GardenHelper');
@@ -6,6 +6,7 @@ const { setupTests } = require('fixtures/GardenFixture');
 const addresses = require('lib/addresses');
 const { STRATEGY_EXECUTE_MAP, GARDENS, ADDRESS_ZERO } = require('lib/constants');
 const { getERC20, eth, pick, increaseTime, skipIfFast } = require('utils/test-helpers');
+const { skipInvariants } = require('utils/invariants');
 
 skipIfFast('StakewiseIntegrationTest', function () {
   let stakewiseIntegration;
@@ -88,6 +89,8 @@ skipIfFast('StakewiseIntegrationTest', function () {
           expect(newBalance).to.be.lt(eth().div(100));
           expect(await rETH2.balanceOf(strategyContract.address)).to.be.lte(eth().div(50)); // leaves quantities below 0.02
           expect(await reserveContract.balanceOf(garden.address)).to.be.gt(beforeBalance);
+          // The rETH2 left in the finalized strategy is above the dust of the invariants
+          skipInvariants('finalizedCapital');
         });
       });
     });
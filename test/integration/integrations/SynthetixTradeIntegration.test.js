@@ -3,7 +3,7 @@ const { ethers } = require('hardhat');
 const { increaseTime, getERC20, eth, pick, skipIfFast } = require('utils/test-helpers');
 
 const { STRATEGY_EXECUTE_MAP } = require('lib/constants.js');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const { setupTests } = require('fixtures/GardenFixture');
 const { getStrategy, executeStrategy } = require('fixtures/StrategyHelper');
 const { createGarden } = require('fixtures/GardenHelper');
@@ -1,7 +1,7 @@
 const { expect } = require('chai');
 const { deployments } = require('hardhat');
 const { deploy } = deployments;
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const { ONE_DAY_IN_SECONDS, GARDEN_PARAMS_STABLE, USDC_GARDEN_PARAMS, STRATEGY_EXECUTE_MAP } = require('lib/constants');
 const {
   pick,
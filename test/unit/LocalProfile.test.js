@@ -0,0 +1,119 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const { setupLocalTests } = require('fixtures/LocalFixture');
+const { createStrategy, executeStrategy, finalizeStrategy, getStrategyState } = require('fixtures/StrategyHelper');
+const { eth, from } = require('utils/test-helpers');
+const { mochaHooks, skipInvariants } = require('utils/invariants');
+
+describe('Local profile', function () {
+  let priceOracle;
+  let uniswapV2TradeIntegration;
+  let aaveLendIntegration;
+  let garden1;
+  let signer1;
+  let signer2;
+  let signer3;
+  let WETH;
+  let DAI;
+  let USDC;
+
+  beforeEach(async () => {
+    ({
+      priceOracle,
+      uniswapV2TradeIntegration,
+      aaveLendIntegration,
+      garden1,
+      signer1,
+      signer2,
+      signer3,
+      WETH,
+      DAI,
+      USDC,
+    } = await setupLocalTests()());
+  });
+
+  describe('price oracle', function () {
+    it('prices assets from their USD feeds', async function () {
+      expect(await priceOracle.getPrice(WETH.address, DAI.address)).to.equal(eth(2000));
+      expect(await priceOracle.getPrice(DAI.address, WETH.address)).to.equal(eth(0.0005));
+      expect(await priceOracle.getPrice(USDC.address, DAI.address)).to.equal(eth(1));
+      expect(await priceOracle.getPriceNAV(WETH.address, WETH.address)).to.equal(eth(1));
+    });
+  });
+
+  describe('strategies', function () {
+    it('buys, holds and sells DAI through the AMM', async function () {
+      const strategy = await createStrategy(
+        'buy',
+        'vote',
+        [signer1, signer2, signer3],
+        uniswapV2TradeIntegration.address,
+        garden1,
+        undefined,
+        [DAI.address, 0],
+      );
+      await executeStrategy(strategy, { amount: eth(1) });
+      expect(await DAI.balanceOf(strategy.address)).to.be.closeTo(eth(2000), eth(20));
+
+      await finalizeStrategy(strategy);
+      const { active, finalized } = await getStrategyState(strategy);
+      expect(active).to.equal(false);
+      expect(finalized).to.equal(true);
+      expect(await DAI.balanceOf(strategy.address)).to.equal(0);
+      expect(await strategy.capitalReturned()).to.be.closeTo(eth(1), eth(0.02));
+    });
+
+    it('lends DAI to the lending pool and redeems it', async function () {
+      const strategy = await createStrategy(
+        'lend',
+        'vote',
+        [signer1, signer2, signer3],
+        aaveLendIntegration.address,
+        garden1,
+        undefined,
+        [DAI.address, 0],
+      );
+      await executeStrategy(strategy, { amount: eth(1) });
+      const aDAI = await ethers.getContractAt(
+        'LocalERC20Mock',
+        await aaveLendIntegration.getInvestmentToken(DAI.address),
+      );
+      expect(await aDAI.balanceOf(strategy.address)).to.be.closeTo(eth(2000), eth(20));
+      expect(await strategy.getNAV()).to.be.closeTo(eth(1), eth(0.02));
+
+      await finalizeStrategy(strategy);
+      expect(await aDAI.balanceOf(strategy.address)).to.equal(from(0));
+      expect(await strategy.capitalReturned()).to.be.closeTo(eth(1), eth(0.02));
+    });
+  });
+
+  describe('invariants', function () {
+    it('fails a test leaving capital in a finalized strategy', async function () {
+      if (process.env.INVARIANTS === 'false') {
+        this.skip();
+      }
+      const strategy = await createStrategy(
+        'buy',
+        'vote',
+        [signer1, signer2, signer3],
+        uniswapV2TradeIntegration.address,
+        garden1,
+        undefined,
+        [DAI.address, 0],
+      );
+      await executeStrategy(strategy, { amount: eth(1) });
+      await finalizeStrategy(strategy);
+      await WETH.connect(signer1).transfer(strategy.address, eth(1));
+
+      // Runs the root hook as mocha does once this test passes
+      let error;
+      await mochaHooks.afterEach.call({ currentTest: { state: 'passed' }, test: { error: (e) => (error = e) } });
+      expect(error.message).to.contain(
+        `finalizedCapital (finalized strategies hold no capital) of garden Local ETH Garden ${garden1.address}: ` +
+          `finalized strategy ${strategy.address}`,
+      );
+      skipInvariants('finalizedCapital');
+    });
+  });
+});
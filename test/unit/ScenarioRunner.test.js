@@ -0,0 +1,22 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { isLocal } = require('lib/local');
+const { getScenarioFiles, loadScenario } = require('lib/scenario');
+const { runScenario } = require('fixtures/ScenarioRunner');
+
+describe('Scenarios', function () {
+  for (const file of getScenarioFiles()) {
+    it(`runs ${file.split('/').pop()}`, async function () {
+      const scenario = await loadScenario(file);
+      if (isLocal(hre) !== (scenario.network === 'local')) {
+        this.skip();
+      }
+      const { passed, steps } = await runScenario(hre, scenario);
+      const failures = steps
+        .filter(({ status }) => status === 'failed')
+        .map(({ step, action, error }) => `${step}. ${action}: ${error}`);
+      expect(passed, failures.join('\n')).to.equal(true);
+    });
+  }
+});
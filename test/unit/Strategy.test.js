@@ -1,7 +1,7 @@
 const { expect } = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const { ethers } = require('hardhat');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 
 require('chai').use(chaiAsPromised);
 
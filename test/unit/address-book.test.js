@@ -0,0 +1,40 @@
+const path = require('path');
+const { expect } = require('chai');
+
+const { resolveAddress } = require('lib/address-book');
+
+describe('address book', function () {
+  const local = {
+    GardenVTableBeacon: { address: '0x' + '11'.repeat(20) },
+  };
+  const hre = {
+    network: { name: 'hardhat' },
+    config: { paths: { deployments: path.join(__dirname, '..', '..', 'deployments', 'artifacts') } },
+    deployments: { getOrNull: async (name) => local[name] || null },
+  };
+
+  it('resolves the deployments of another network', async function () {
+    expect(await resolveAddress(hre, 'Heart', { network: 'mainnet' })).to.equal(
+      '0x51e6775b7bE2eA1d20cA02cFEeB04453366e72C8',
+    );
+  });
+
+  it('resolves the deployments of the current network', async function () {
+    expect(await resolveAddress(hre, 'VTableBeacon', { network: 'hardhat' })).to.equal('0x' + '11'.repeat(20));
+  });
+
+  it('resolves the contracts which are not deployed by the protocol', async function () {
+    expect(await resolveAddress(hre, 'MultiSend', { network: 'mainnet' })).to.equal(
+      '0x8D29bE29923b68abfDD21e541b9374737B49cdAD',
+    );
+  });
+
+  it('fails on unknown entries', async function () {
+    try {
+      await resolveAddress(hre, 'MultiSend', { network: 'hardhat' });
+      expect.fail('MultiSend resolved on hardhat');
+    } catch (e) {
+      expect(e.message).to.equal('Address book of hardhat has no MultiSend');
+    }
+  });
+});
@@ -0,0 +1,45 @@
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { loadBip, getProposal, getStorageWrites } = require('lib/bip');
+
+describe('bip', function () {
+  const word = (value) => ethers.utils.hexZeroPad(value, 32).slice(2);
+  const address = (byte) => '0x' + byte.repeat(20);
+
+  it('loads the BIPs written as a list of calls', async function () {
+    const bip = await loadBip(path.join(__dirname, '..', '..', 'bips', 'BIP3.json'));
+    expect(bip.description).to.equal('BIP3');
+    expect(bip.calls).to.have.lengthOf(3);
+  });
+
+  it('computes the proposal id of the governor', function () {
+    const calls = [{ target: address('11'), calldata: '0x82e012b1' }];
+    const { id, descriptionHash } = getProposal({ calls, description: 'BIP' });
+    const hash = ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(
+        ['address[]', 'uint256[]', 'bytes[]', 'bytes32'],
+        [[address('11')], [0], ['0x82e012b1'], ethers.utils.id('BIP')],
+      ),
+    );
+    expect(descriptionHash).to.equal(ethers.utils.id('BIP'));
+    expect(id.toHexString()).to.equal(hash);
+  });
+
+  it('follows the storage of calls and delegate calls', function () {
+    const structLogs = [
+      { depth: 1, op: 'SSTORE', stack: [word('0x01'), word('0x02')] },
+      { depth: 1, op: 'CALL', stack: [word(address('22')), word('0x00')] },
+      { depth: 2, op: 'SSTORE', stack: [word('0x05'), word('0x03')] },
+      { depth: 2, op: 'DELEGATECALL', stack: [word(address('33')), word('0x00')] },
+      { depth: 3, op: 'SSTORE', stack: [word('0x06'), word('0x04')] },
+      { depth: 2, op: 'STOP', stack: [] },
+      { depth: 1, op: 'SSTORE', stack: [word('0x07'), word('0x02')] },
+    ];
+    expect(getStorageWrites(address('11'), structLogs)).to.deep.equal({
+      [address('11')]: [ethers.utils.hexZeroPad('0x02', 32)],
+      [address('22')]: [ethers.utils.hexZeroPad('0x03', 32), ethers.utils.hexZeroPad('0x04', 32)],
+    });
+  });
+});
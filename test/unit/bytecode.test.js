@@ -0,0 +1,36 @@
+const { expect } = require('chai');
+
+const { STATUS, stripMetadata, compareBytecode, diffAbi } = require('lib/scripts/bytecode');
+
+describe('bytecode', function () {
+  // ipfs hash and solc version encoded by solc 0.7.6
+  const metadata = (hash) => `a264697066735822${hash.repeat(34)}64736f6c63430007060033`;
+  const logic = '6080604052348015600f57600080fd5b50';
+  const immutable = '11'.repeat(32);
+
+  it('strips the CBOR metadata', function () {
+    expect(stripMetadata(`0x${logic}${metadata('aa')}`)).to.deep.equal({
+      code: `0x${logic}`,
+      metadata: `0x${metadata('aa')}`,
+    });
+    expect(stripMetadata(`0x${logic}`).code).to.equal(`0x${logic}`);
+  });
+
+  it('masks immutables and tells metadata from logic changes', function () {
+    const references = [{ start: logic.length / 2, length: 32 }];
+    const compiled = `0x${logic}${'00'.repeat(32)}${metadata('aa')}`;
+    expect(compareBytecode(`0x${logic}${immutable}${metadata('aa')}`, compiled, references)).to.equal(STATUS.identical);
+    expect(compareBytecode(`0x${logic}${immutable}${metadata('bb')}`, compiled, references)).to.equal(STATUS.metadata);
+    expect(compareBytecode(`0x${logic}00${immutable}${metadata('aa')}`, compiled, references)).to.equal(STATUS.logic);
+    expect(compareBytecode('0x', compiled, references)).to.equal(STATUS.missing);
+  });
+
+  it('diffs functions of two ABIs', function () {
+    expect(
+      diffAbi(
+        ['function deposit(uint256)', 'function name() view returns (string)', 'function pause()'],
+        ['function deposit(uint256) returns (uint256)', 'function name() view returns (string)', 'function stop()'],
+      ),
+    ).to.deep.equal({ added: ['stop()'], removed: ['pause()'], changed: ['deposit(uint256)'] });
+  });
+});
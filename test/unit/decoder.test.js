@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { encodeMultiSend } = require('lib/upgrade-manifest');
+const { parseMultiSend, parseCalls, createDecoder, formatActions } = require('lib/decoder');
+
+describe('decoder', function () {
+  const vtable = '0x' + '11'.repeat(20);
+  const gardenModule = '0x' + '22'.repeat(20);
+  const proxyAdmin = '0x' + '33'.repeat(20);
+  const proxy = '0x' + '44'.repeat(20);
+  const abis = [
+    ['function updateVTable(tuple(address implementation, bytes4[] selectors)[] modules)', 'function pause()'],
+    [
+      'function upgradeAndCall(address proxy, address implementation, bytes data)',
+      'function initialize(uint256 _value)',
+    ],
+  ];
+  const labels = { [vtable]: 'VTableBeacon', [gardenModule]: 'AdminGardenModule' };
+  const iface = new ethers.utils.Interface(abis.flat());
+
+  it('parses the MultiSend data it encodes', function () {
+    const txs = [
+      { operation: 0, to: ethers.utils.getAddress(vtable), value: '0', data: '0x12345678' },
+      { operation: 1, to: ethers.utils.getAddress(proxy), value: '5', data: '0x' },
+    ];
+    expect(parseMultiSend(encodeMultiSend(txs))).to.deep.equal(txs);
+  });
+
+  it('parses BIP calls', function () {
+    expect(parseCalls([{ target: vtable, calldata: '0x82e012b1' }])).to.deep.equal([
+      { operation: 0, to: ethers.utils.getAddress(vtable), value: '0', data: '0x82e012b1' },
+    ]);
+  });
+
+  it('decodes nested calls and VTable modules', function () {
+    const { decodeCall } = createDecoder({ abis, labels });
+    const multiSend = encodeMultiSend([
+      {
+        operation: 0,
+        to: vtable,
+        value: '0',
+        data: iface.encodeFunctionData('updateVTable', [[[gardenModule, [iface.getSighash('pause')]]]]),
+      },
+      {
+        operation: 0,
+        to: proxyAdmin,
+        value: '0',
+        data: iface.encodeFunctionData('upgradeAndCall', [
+          proxy,
+          gardenModule,
+          iface.encodeFunctionData('initialize', [7]),
+        ]),
+      },
+    ]);
+    const data = new ethers.utils.Interface(['function multiSend(bytes transactions)']).encodeFunctionData(
+      'multiSend',
+      [multiSend],
+    );
+
+    const [action] = parseCalls(data).map(decodeCall);
+    expect(action.calls.map(({ name }) => name)).to.deep.equal(['updateVTable', 'upgradeAndCall']);
+    expect(action.calls[0].label).to.equal('VTableBeacon');
+    expect(action.calls[0].args[0].value).to.equal(
+      `[{ implementation: ${ethers.utils.getAddress(gardenModule)} (AdminGardenModule), selectors: [${iface.getSighash(
+        'pause',
+      )} (pause)] }]`,
+    );
+    expect(action.calls[1].calls[0].to).to.equal(ethers.utils.getAddress(proxy));
+    expect(action.calls[1].calls[0].args).to.deep.equal([{ name: '_value', type: 'uint256', value: '7' }]);
+
+    const lines = formatActions([action]);
+    expect(lines[0]).to.equal('1. MultiSend');
+    expect(lines).to.contain('        1.2.1. unknown ' + ethers.utils.getAddress(proxy));
+  });
+
+  it('flags unknown functions', function () {
+    const { decodeCall } = createDecoder({ abis, labels });
+    const [line, call] = formatActions([decodeCall({ operation: 0, to: vtable, value: '0', data: '0xdeadbeef' })]);
+    expect(line).to.equal(`1. VTableBeacon ${vtable}`);
+    expect(call.trim()).to.equal('unknown function 0xdeadbeef');
+  });
+});
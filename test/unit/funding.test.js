@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { getBalanceKey, findBalanceSlot, fundToken } = require('lib/funding');
+
+describe('funding', function () {
+  const account = ethers.utils.getAddress('0x' + '11'.repeat(20));
+  const erc20 = new ethers.utils.Interface(['function balanceOf(address) view returns (uint256)']);
+
+  // Token keeping its balances in a mapping at `slot`
+  function fork({ slot, vyper }) {
+    const storage = {};
+    const read = (key) => storage[ethers.BigNumber.from(key).toHexString()] || ethers.constants.HashZero;
+    const provider = {
+      getStorageAt: async (token, key) => read(key),
+      call: async ({ data }) => {
+        const [holder] = erc20.decodeFunctionData('balanceOf', data);
+        return read(getBalanceKey(holder, { slot, vyper }));
+      },
+    };
+    const network = {
+      provider: {
+        send: async (method, [, key, value]) => {
+          expect(method).to.equal('hardhat_setStorageAt');
+          storage[ethers.BigNumber.from(key).toHexString()] = value;
+        },
+      },
+    };
+    return { hre: { ethers: { provider }, network }, provider };
+  }
+
+  it('finds the balance mapping of solidity tokens', async function () {
+    const { hre } = fork({ slot: 9 });
+    expect(await findBalanceSlot(hre, '0x' + 'aa'.repeat(20))).to.deep.equal({ slot: 9, vyper: false });
+  });
+
+  it('finds the balance mapping of vyper tokens', async function () {
+    const { hre } = fork({ slot: 3, vyper: true });
+    expect(await findBalanceSlot(hre, '0x' + 'bb'.repeat(20))).to.deep.equal({ slot: 3, vyper: true });
+  });
+
+  it('adds to the balance and restores the probed slots', async function () {
+    const { hre, provider } = fork({ slot: 2 });
+    const token = '0x' + 'cc'.repeat(20);
+    await fundToken(hre, token, account, 100);
+    await fundToken(hre, token, account, 50);
+    const balance = await provider.call({ to: token, data: erc20.encodeFunctionData('balanceOf', [account]) });
+    expect(ethers.BigNumber.from(balance).toNumber()).to.equal(150);
+    const probed = getBalanceKey('0x000000000000000000000000000000000000ba1a', { slot: 2 });
+    expect(await provider.getStorageAt(token, probed)).to.equal(ethers.constants.HashZero);
+  });
+});
@@ -0,0 +1,51 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { getGardensRows } = require('lib/scripts/gardens');
+
+describe('gardens', function () {
+  const eth = (value) => ethers.utils.parseEther(String(value));
+  const garden = (address, strategies) => ({
+    address,
+    name: `Garden ${address}`,
+    creator: '0x0000000000000000000000000000000000000009',
+    reserveAsset: '0x0000000000000000000000000000000000000008',
+    nav: eth(10),
+    strategies,
+  });
+  const strategy = {
+    address: '0x0000000000000000000000000000000000000003',
+    name: 'Long ETH',
+    capitalAllocated: eth(1),
+    maxCapitalRequested: eth(5),
+    maxAllocationPercentage: eth(0.5),
+    finalized: false,
+  };
+
+  it('lists a row per strategy and a row per garden without strategies', function () {
+    const { columns, rows } = getGardensRows({
+      gardens: [
+        garden('0x0000000000000000000000000000000000000001', [strategy]),
+        garden('0x0000000000000000000000000000000000000002', []),
+      ],
+    });
+    expect(rows.map((row) => [row.garden, row.strategy])).to.deep.equal([
+      ['0x0000000000000000000000000000000000000001', strategy.address],
+      ['0x0000000000000000000000000000000000000002', undefined],
+    ]);
+    expect(rows[0]).to.include({
+      nav: '10.0',
+      capitalAllocated: '1.0',
+      maxAllocationPercentage: '50.0',
+      name: 'Long ETH',
+    });
+    expect(rows[1]).to.deep.equal({
+      garden: '0x0000000000000000000000000000000000000002',
+      gardenName: 'Garden 0x0000000000000000000000000000000000000002',
+      creator: '0x0000000000000000000000000000000000000009',
+      reserveAsset: '0x0000000000000000000000000000000000000008',
+      nav: '10.0',
+    });
+    expect(columns).to.include.members(Object.keys(rows[1]));
+  });
+});
@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { getFees } = require('lib/gas-price');
+
+describe('gas price', function () {
+  const gwei = (value) => ethers.utils.parseUnits(String(value), 'gwei');
+  const hex = (value) => gwei(value).toHexString();
+  const feeHistory = ({ baseFeePerGas, reward }) => ({
+    provider: {
+      send: async (method) => {
+        expect(method).to.equal('eth_feeHistory');
+        return { baseFeePerGas: baseFeePerGas.map(hex), reward: reward.map((fee) => [hex(fee)]) };
+      },
+    },
+  });
+  const failing = { provider: { send: async () => Promise.reject(new Error('method not found')) } };
+
+  it('estimates the fees from the fee history', async function () {
+    const fees = await getFees(feeHistory({ baseFeePerGas: [10, 20, 30], reward: [3, 1, 2] }), {
+      providers: ['feeHistory'],
+    });
+    expect(fees).to.deep.equal({ maxFeePerGas: gwei(62), maxPriorityFeePerGas: gwei(2) });
+  });
+
+  it('caps the fees at the max fee of the network', async function () {
+    const fees = await getFees(feeHistory({ baseFeePerGas: [400], reward: [50] }), {
+      providers: ['feeHistory'],
+      maxFeePerGas: 40,
+    });
+    expect(fees).to.deep.equal({ maxFeePerGas: gwei(40), maxPriorityFeePerGas: gwei(40) });
+  });
+
+  it('falls back to the next provider', async function () {
+    const state = {};
+    const gasPricing = { providers: ['feeHistory', 'cap'], maxFeePerGas: 100, maxPriorityFeePerGas: 2 };
+    expect(await getFees(failing, gasPricing, state)).to.deep.equal({
+      maxFeePerGas: gwei(100),
+      maxPriorityFeePerGas: gwei(2),
+    });
+    expect(state.source).to.equal('cap');
+  });
+
+  it('fails when no provider answers', async function () {
+    try {
+      await getFees(failing, { providers: ['feeHistory'] });
+      expect.fail('getFees did not fail');
+    } catch (e) {
+      expect(e.message).to.equal('No gas price provider answered among feeHistory');
+    }
+  });
+
+  it('rejects unknown providers', async function () {
+    try {
+      await getFees(failing, { providers: ['gasnow'] });
+      expect.fail('getFees did not fail');
+    } catch (e) {
+      expect(e.message).to.match(/^Unknown gas price provider gasnow/);
+    }
+  });
+});
@@ -0,0 +1,170 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const addresses = require('lib/addresses');
+const {
+  FEE_DESTINATIONS,
+  signGardenVote,
+  tallyGardenVotes,
+  getBablMinAmountOut,
+  getPumpPlan,
+} = require('lib/scripts/heart');
+
+describe('heart', function () {
+  const { from } = ethers.BigNumber;
+  const eth = (value) => ethers.utils.parseEther(String(value));
+  const [alice, bob, carol] = [1, 2, 3].map((i) => new ethers.Wallet(ethers.utils.hexZeroPad(i, 32)));
+  const [gardenA, gardenB, gardenC] = ['0xa', '0xb', '0xc'].map((id) =>
+    ethers.utils.getAddress(ethers.utils.hexZeroPad(id, 20)),
+  );
+  const notGarden = ethers.utils.hexZeroPad('0xbad', 20);
+  const controller = { isGarden: async (garden) => garden !== notGarden };
+  const heartGarden = (power) => ({ getVotingPower: async (voter) => eth(power[voter] || 0) });
+  const vote = (signer, garden, amount) => signGardenVote(signer, garden, eth(amount));
+  // 1 WETH buys 100 BABL
+  const priceOracle = {
+    getPrice: async (assetOne, assetTwo) => {
+      expect([assetOne, assetTwo]).to.deep.equal([addresses.tokens.WETH, addresses.tokens.BABL]);
+      return eth(100);
+    },
+  };
+  const hre = { ethers };
+
+  describe('getBablMinAmountOut', function () {
+    const cases = [
+      [1, 0, 100],
+      [1, 0.05, 95],
+      [2.5, 0.01, 247.5],
+      [0, 0.05, 0],
+    ];
+    for (const [weth, slippage, minAmountOut] of cases) {
+      it(`quotes ${minAmountOut} BABL for ${weth} WETH at ${slippage * 100}% slippage`, async function () {
+        expect(await getBablMinAmountOut({ priceOracle }, eth(weth), eth(slippage))).to.deep.equal(eth(minAmountOut));
+      });
+    }
+  });
+
+  describe('tallyGardenVotes', function () {
+    it('splits the weights by votes with the rounding dust to the most voted garden', async function () {
+      const votes = [await vote(alice, gardenA, 1), await vote(alice, gardenB, 1), await vote(bob, gardenC, 1)];
+      const power = { [alice.address]: 2, [bob.address]: 1 };
+      const tally = await tallyGardenVotes(hre, { controller, heartGarden: heartGarden(power), votes });
+      expect(tally.total).to.deep.equal(eth(3));
+      expect(tally.gardens).to.have.length(3);
+      expect(tally.weights).to.deep.equal([from('333333333333333334'), from('333333333333333333'), eth(1).div(3)]);
+      expect(tally.weights.reduce((total, weight) => total.add(weight))).to.deep.equal(eth(1));
+    });
+
+    it('orders the gardens by votes', async function () {
+      const votes = [await vote(alice, gardenA, 1), await vote(bob, gardenB, 3)];
+      const power = { [alice.address]: 1, [bob.address]: 3 };
+      const tally = await tallyGardenVotes(hre, { controller, heartGarden: heartGarden(power), votes });
+      expect(tally.gardens).to.deep.equal([gardenB, gardenA]);
+      expect(tally.weights).to.deep.equal([eth(0.75), eth(0.25)]);
+    });
+
+    it('drops every vote of a voter above its voting power', async function () {
+      const overspent = [await vote(alice, gardenA, 2), await vote(alice, gardenB, 2)];
+      const votes = [...overspent, await vote(bob, gardenC, 1)];
+      const power = { [alice.address]: 3, [bob.address]: 1 };
+      const tally = await tallyGardenVotes(hre, { controller, heartGarden: heartGarden(power), votes });
+      expect(tally.gardens).to.deep.equal([gardenC]);
+      expect(tally.weights).to.deep.equal([eth(1)]);
+      expect(tally.rejected.map(({ vote, reason }) => [vote, reason])).to.deep.equal(
+        overspent.map((o) => [o, 'voting power 3.0 below votes']),
+      );
+    });
+
+    it('rejects invalid signatures and unknown gardens', async function () {
+      const forged = { ...(await vote(alice, gardenA, 1)), voter: bob.address };
+      const unknown = await vote(carol, notGarden, 1);
+      const power = { [alice.address]: 1, [bob.address]: 1, [carol.address]: 1 };
+      const tally = await tallyGardenVotes(hre, {
+        controller,
+        heartGarden: heartGarden(power),
+        votes: [forged, unknown],
+      });
+      expect(tally.gardens).to.deep.equal([]);
+      expect(tally.weights).to.deep.equal([]);
+      expect(tally.rejected).to.deep.equal([
+        { vote: forged, reason: 'invalid signature' },
+        { vote: unknown, reason: 'not a garden' },
+      ]);
+    });
+  });
+
+  describe('getPumpPlan', function () {
+    let dir;
+
+    beforeEach(async function () {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heart-'));
+    });
+
+    afterEach(async function () {
+      await fs.remove(dir);
+    });
+
+    function getHre({ wethBalance, votedGardens = [], gardenWeights = [] }) {
+      // Treasury 10%, buyback 40%, liquidity 10%, gardens 30%, Fuse 10%, Shield 0%
+      const feeWeights = [0.1, 0.4, 0.1, 0.3, 0.1, 0].map(eth);
+      const heart = { address: ethers.utils.hexZeroPad('0x4ea7', 20), tradeSlippage: async () => eth(0.01) };
+      const contracts = {
+        BabController: {
+          ...controller,
+          heart: async () => heart.address,
+          priceOracle: async () => ethers.utils.hexZeroPad('0x0c1e', 20),
+          getReserveAssets: async () => [addresses.tokens.WETH],
+        },
+        IViewer: {
+          getAllHeartDetails: async () => [
+            [ethers.utils.hexZeroPad('0x6a4d', 20)],
+            [],
+            feeWeights,
+            votedGardens,
+            gardenWeights,
+            [eth(1000), eth(500)],
+            [from(0), from(0)],
+          ],
+        },
+      };
+      const byInterface = {
+        IHeart: heart,
+        IPriceOracle: priceOracle,
+        IGarden: heartGarden({ [alice.address]: 3, [bob.address]: 1 }),
+        '@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20': { balanceOf: async () => eth(wethBalance) },
+      };
+      return {
+        getContract: async (name) => contracts[name],
+        ethers: { ...ethers, getContractAt: async (name) => byInterface[name] },
+      };
+    }
+
+    it('invests the garden share of the fees by the weights of the votes', async function () {
+      const source = path.join(dir, 'votes.json');
+      await fs.outputJson(source, [await vote(alice, gardenA, 3), await vote(bob, gardenB, 1)]);
+      const plan = await getPumpPlan(getHre({ wethBalance: 10 }), { source, slippage: eth(0.05) });
+      expect(plan.split.map(({ name, amount }) => [name, amount])).to.deep.equal(
+        FEE_DESTINATIONS.map((name, i) => [name, eth([1, 4, 1, 3, 1, 0][i])]),
+      );
+      expect(plan.gardens).to.deep.equal([gardenA, gardenB]);
+      expect(plan.weights).to.deep.equal([eth(0.75), eth(0.25)]);
+      expect(plan.investments.map(({ amount }) => amount)).to.deep.equal([eth(2.25), eth(0.75)]);
+      // 4 WETH of buyback at 100 BABL per WETH minus 5%
+      expect(plan.bablMinAmountOut).to.deep.equal(eth(380));
+      expect(plan.weeklyReward).to.deep.equal(eth(500));
+    });
+
+    it('keeps the current garden weights without valid votes', async function () {
+      const source = path.join(dir, 'votes.json');
+      const plan = await getPumpPlan(getHre({ wethBalance: 10, votedGardens: [gardenC], gardenWeights: [eth(1)] }), {
+        source,
+        slippage: eth(0.05),
+      });
+      expect(plan.gardens).to.deep.equal([gardenC]);
+      expect(plan.investments.map(({ amount }) => amount)).to.deep.equal([eth(3)]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { getSources } = require('lib/indexer');
+
+describe('indexer', function () {
+  const address = (n) => ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20));
+  const addStrategy = 'event AddStrategy(address indexed _strategy, string _name, uint256 _expectedReturn)';
+  const topic = new ethers.utils.Interface([addStrategy]).getEventTopic('AddStrategy');
+  const garden = address(10);
+
+  describe('getSources', function () {
+    // Garden 10 lists strategy 11 as active and 12 as finalized, 13 and 14 are deleted candidates
+    const logs = [
+      { address: garden, topics: [topic, ethers.utils.hexZeroPad(address(11), 32)], blockNumber: 5 },
+      { address: garden, topics: [topic, ethers.utils.hexZeroPad(address(13), 32)], blockNumber: 6 },
+      { address: garden, topics: [topic, ethers.utils.hexZeroPad(address(14), 32)], blockNumber: 12 },
+    ];
+    let requests;
+    const hre = {
+      artifacts: { readArtifact: async () => ({ abi: new ethers.utils.Interface([addStrategy]).fragments }) },
+      getContract: async () => ({
+        address: address(1),
+        heart: async () => address(2),
+        rewardsDistributor: async () => ethers.constants.AddressZero,
+        getGardens: async () => [garden],
+      }),
+      ethers: {
+        ...ethers,
+        getSigners: async () => [{}],
+        getContractAt: async () => ({
+          getStrategies: async () => [address(11)],
+          getFinalizedStrategies: async () => [address(12)],
+        }),
+        provider: {
+          send: async (method, [filter]) => {
+            requests.push(filter);
+            const [fromBlock, toBlock] = [filter.fromBlock, filter.toBlock].map((block) => parseInt(block, 16));
+            return logs.filter(
+              (log) =>
+                filter.address.includes(log.address) &&
+                filter.topics[0] === log.topics[0] &&
+                log.blockNumber >= fromBlock &&
+                log.blockNumber <= toBlock,
+            );
+          },
+        },
+      },
+    };
+    const describeSources = (sources) => sources.map(({ kind, address, garden }) => [kind, address, garden]);
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    it('lists the strategies known by the gardens without a range', async function () {
+      expect(describeSources(await getSources(hre))).to.deep.equal([
+        ['BabController', address(1), undefined],
+        ['Heart', address(2), undefined],
+        ['Garden', garden, undefined],
+        ['Strategy', address(11), garden],
+        ['Strategy', address(12), garden],
+      ]);
+      expect(requests).to.deep.equal([]);
+    });
+
+    it('adds the strategies created in the range', async function () {
+      const sources = await getSources(hre, { fromBlock: 4, toBlock: 10, step: 4 });
+      expect(describeSources(sources).slice(3)).to.deep.equal([
+        ['Strategy', address(11), garden],
+        ['Strategy', address(12), garden],
+        ['Strategy', address(13), garden],
+      ]);
+      expect(requests.map(({ fromBlock, toBlock }) => [fromBlock, toBlock])).to.deep.equal([
+        ['0x4', '0x7'],
+        ['0x8', '0xa'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { isClose, checkGardenInvariants, checkInvariants, formatInvariantFailures } = require('lib/invariants');
+const { mochaHooks } = require('utils/invariants');
+
+describe('invariants', function () {
+  const eth = (value) => ethers.utils.parseEther(String(value));
+  const usdc = (value) => ethers.utils.parseUnits(String(value), 6);
+
+  const state = {
+    address: '0x0000000000000000000000000000000000000001',
+    name: 'Garden',
+    decimals: 18,
+    reserveBalance: eth(3),
+    rewardsSetAside: eth(0.5),
+    keeperDebt: eth(0.5),
+    supply: eth(4),
+    // 3 + 1 + 2 - 0.5 - 0.5 = 5 = 1.25 x 4
+    strategies: [
+      { address: '0x0000000000000000000000000000000000000002', nav: eth(1) },
+      { address: '0x0000000000000000000000000000000000000003', nav: eth(2) },
+    ],
+    finalizedStrategies: [
+      { address: '0x0000000000000000000000000000000000000004', nav: eth(0), reserveBalance: ethers.BigNumber.from(1) },
+    ],
+    valuation: eth(1.25),
+    contributorPrincipal: eth(4),
+    viewerPrincipal: eth(4.02),
+  };
+
+  describe('isClose', function () {
+    it('compares within a relative tolerance', async function () {
+      expect(isClose(eth(100), eth(101), '0.01')).to.equal(true);
+      expect(isClose(eth(100), eth(102), '0.01')).to.equal(false);
+      expect(isClose(eth(0), ethers.BigNumber.from(1000), '0')).to.equal(true);
+    });
+  });
+
+  describe('checkGardenInvariants', function () {
+    it('passes a consistent garden', async function () {
+      expect(checkGardenInvariants(state)).to.deep.equal([]);
+    });
+
+    it('reports the numbers of a broken valuation', async function () {
+      const [failure, ...others] = checkGardenInvariants({ ...state, valuation: eth(1.2) });
+      expect(others).to.deep.equal([]);
+      expect(failure.invariant).to.equal('valuation');
+      expect(failure.garden).to.equal(`Garden ${state.address}`);
+      expect(failure.message).to.equal(
+        'reserve balance 3.0 + strategy NAVs 3.0 - rewards set aside 0.5 - keeper debt 0.5 = 5.0 but ' +
+          'GardenValuer valuation 1.2 x supply 4.0 = 4.8',
+      );
+    });
+
+    it('normalizes the valuation of reserve assets with less decimals', async function () {
+      const usdcState = {
+        ...state,
+        decimals: 6,
+        reserveBalance: usdc(3),
+        rewardsSetAside: usdc(0.5),
+        keeperDebt: usdc(0.5),
+        strategies: [{ address: state.strategies[0].address, nav: usdc(3) }],
+        finalizedStrategies: [],
+        contributorPrincipal: usdc(4),
+        viewerPrincipal: usdc(4),
+      };
+      expect(checkGardenInvariants(usdcState)).to.deep.equal([]);
+    });
+
+    it('reports principals out of tolerance', async function () {
+      const failures = checkGardenInvariants({ ...state, viewerPrincipal: eth(4.1) });
+      expect(failures.map(({ invariant }) => invariant)).to.deep.equal(['principal']);
+      expect(failures[0].message).to.equal('sum of contributor principals 4.0 but Viewer.getGardenPrincipal 4.1');
+      expect(
+        checkGardenInvariants({ ...state, viewerPrincipal: eth(4.1) }, { tolerances: { principal: '0.03' } }),
+      ).to.deep.equal([]);
+    });
+
+    it('reports rewards set aside above the reserve balance', async function () {
+      const failures = checkGardenInvariants(
+        { ...state, reserveBalance: eth(0.4), strategies: [{ address: state.strategies[0].address, nav: eth(5.6) }] },
+        { skip: ['principal'] },
+      );
+      expect(failures.map(({ invariant }) => invariant)).to.deep.equal(['rewardsSetAside']);
+      expect(failures[0].message).to.equal('reserveAssetRewardsSetAside 0.5 above reserve balance 0.4');
+    });
+
+    it('reports finalized strategies holding capital', async function () {
+      const strategy = { address: '0x0000000000000000000000000000000000000005', nav: eth(0.2), reserveBalance: eth(0) };
+      const failures = checkGardenInvariants({ ...state, finalizedStrategies: [strategy] });
+      expect(failures.map(({ invariant }) => invariant)).to.deep.equal(['finalizedCapital']);
+      expect(failures[0].message).to.equal(
+        `finalized strategy ${strategy.address} holds a NAV of 0.2 and a reserve balance of 0.0`,
+      );
+    });
+
+    it('reports a reverting valuer along with the other invariants', async function () {
+      const failures = checkGardenInvariants({
+        ...state,
+        reserveBalance: eth(0.4),
+        valuation: undefined,
+        valuationError: 'SafeMath: subtraction overflow',
+      });
+      expect(failures.map(({ invariant }) => invariant)).to.deep.equal(['valuation', 'rewardsSetAside']);
+      expect(failures[0].message).to.equal(
+        'GardenValuer.calculateGardenValuation reverts: SafeMath: subtraction overflow',
+      );
+    });
+
+    it('skips invariants', async function () {
+      expect(checkGardenInvariants({ ...state, valuation: eth(1) }, { skip: ['valuation'] })).to.deep.equal([]);
+      expect(checkGardenInvariants({ ...state, valuation: undefined, viewerPrincipal: undefined })).to.deep.equal([]);
+    });
+  });
+
+  describe('checkInvariants', function () {
+    const [GARDEN, BROKEN_GARDEN, STRATEGY, BROKEN_STRATEGY, RESERVE, VALUER] = [1, 2, 3, 4, 5, 6].map((i) =>
+      ethers.utils.hexZeroPad(ethers.utils.hexlify(i), 20),
+    );
+
+    const getGarden = (strategies) => ({
+      name: async () => 'Garden',
+      reserveAsset: async () => RESERVE,
+      getStrategies: async () => strategies,
+      getFinalizedStrategies: async () => [],
+      filters: { GardenDeposit: () => ({}) },
+      queryFilter: async () => [],
+      reserveAssetRewardsSetAside: async () => eth(1),
+      keeperDebt: async () => eth(0),
+      totalSupply: async () => eth(1),
+    });
+    const contracts = {
+      [GARDEN]: getGarden([STRATEGY]),
+      [BROKEN_GARDEN]: getGarden([BROKEN_STRATEGY]),
+      [STRATEGY]: { getNAV: async () => eth(0) },
+      [BROKEN_STRATEGY]: {
+        getNAV: async () => {
+          throw new Error('Price not found');
+        },
+      },
+      [RESERVE]: { decimals: async () => 18, balanceOf: async () => eth(0.5) },
+      [VALUER]: {
+        calculateGardenValuation: async () => {
+          throw new Error('SafeMath: subtraction overflow');
+        },
+      },
+    };
+    const hre = {
+      network: { config: {} },
+      deployments: { getOrNull: async (name) => (name === 'GardenValuer' ? { address: VALUER } : null) },
+      ethers: { getContractAt: async (name, address) => contracts[address] },
+    };
+    const controller = { getGardens: async () => [BROKEN_GARDEN, GARDEN] };
+
+    it('reports the gardens and the valuations that cannot be read and checks the others', async function () {
+      const failures = await checkInvariants(hre, controller);
+      expect(failures).to.deep.equal([
+        { invariant: 'readable', garden: BROKEN_GARDEN, message: 'Price not found' },
+        {
+          invariant: 'valuation',
+          garden: `Garden ${GARDEN}`,
+          message: 'GardenValuer.calculateGardenValuation reverts: SafeMath: subtraction overflow',
+        },
+        {
+          invariant: 'rewardsSetAside',
+          garden: `Garden ${GARDEN}`,
+          message: 'reserveAssetRewardsSetAside 1.0 above reserve balance 0.5',
+        },
+      ]);
+    });
+
+    it('skips the gardens that cannot be read', async function () {
+      const failures = await checkInvariants(hre, controller, { skip: ['readable', 'valuation'] });
+      expect(failures.map(({ invariant }) => invariant)).to.deep.equal(['rewardsSetAside']);
+    });
+  });
+
+  describe('root hook', function () {
+    it('runs after every test', async function () {
+      let suite = this.test.parent;
+      while (!suite.root) {
+        suite = suite.parent;
+      }
+      expect(suite.getHooks('afterEach').map(({ fn }) => fn)).to.include(mochaHooks.afterEach);
+    });
+  });
+
+  describe('formatInvariantFailures', function () {
+    it('names the invariants and gardens', async function () {
+      const failures = checkGardenInvariants({ ...state, valuation: eth(1.2), viewerPrincipal: eth(5) });
+      expect(formatInvariantFailures(failures).split('\n')).to.deep.equal([
+        '2 protocol invariants broken:',
+        `  valuation (reserve balance + strategy NAVs - rewards set aside - keeper debt = GardenValuer valuation x ` +
+          `supply) of garden Garden ${state.address}: ${failures[0].message}`,
+        `  principal (sum of contributor principals = Viewer.getGardenPrincipal) of garden Garden ${state.address}: ` +
+          failures[1].message,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const addresses = require('lib/addresses');
+const { KEEPER_ACTIONS, MAX_CANDIDATE_PERIOD, getDueAction, getKeeperFee } = require('lib/scripts/keeper');
+
+describe('keeper', function () {
+  const { from } = ethers.BigNumber;
+  const eth = (value) => ethers.utils.parseEther(String(value));
+  const DAY = 86400;
+  const now = 100 * DAY;
+
+  describe('getDueAction', function () {
+    const candidate = {
+      now,
+      active: false,
+      finalized: false,
+      executedAt: from(0),
+      enteredAt: from(now - DAY),
+      enteredCooldownAt: from(0),
+      duration: from(30 * DAY),
+      cooldownPeriod: from(DAY),
+    };
+    const voted = { ...candidate, active: true, enteredCooldownAt: from(now - 2 * DAY) };
+    const executed = { ...voted, executedAt: from(now - 10 * DAY) };
+    const cases = [
+      ['a recent candidate', candidate, undefined],
+      ['a candidate at the end of its candidate period', { enteredAt: from(now).sub(MAX_CANDIDATE_PERIOD) }, undefined],
+      ['a candidate past its candidate period', { enteredAt: from(now).sub(MAX_CANDIDATE_PERIOD).sub(1) }, 'EXPIRE'],
+      ['a voted strategy in cooldown', { ...voted, enteredCooldownAt: from(now - DAY + 1) }, undefined],
+      ['a voted strategy at the end of its cooldown', { ...voted, enteredCooldownAt: from(now - DAY) }, 'EXECUTE'],
+      ['a voted strategy past its cooldown', voted, 'EXECUTE'],
+      ['an active strategy without cooldown', { ...voted, enteredCooldownAt: from(0) }, undefined],
+      ['an executed strategy before its duration', executed, undefined],
+      ['an executed strategy at the end of its duration', { ...executed, executedAt: from(now - 30 * DAY) }, undefined],
+      ['an executed strategy past its duration', { ...executed, executedAt: from(now - 30 * DAY - 1) }, 'FINALIZE'],
+      ['a finalized strategy', { ...executed, executedAt: from(now - 60 * DAY), finalized: true }, undefined],
+    ];
+
+    for (const [title, state, action] of cases) {
+      it(`${action ? `${KEEPER_ACTIONS[action]}s` : 'skips'} ${title}`, async function () {
+        expect(getDueAction({ ...candidate, ...state })).to.equal(action && KEEPER_ACTIONS[action]);
+      });
+    }
+  });
+
+  describe('getKeeperFee', function () {
+    const gas = from(500000);
+    const gasPrice = ethers.utils.parseUnits('100', 'gwei');
+    // 500k gas at 100 gwei
+    const cost = eth(0.05);
+    const hre = (decimals) => ({ ethers: { getContractAt: async () => ({ decimals: async () => decimals }) } });
+    const keeper = { estimateGas: async () => gas };
+    const priceOracle = {
+      getPrice: async (assetOne, assetTwo) => {
+        expect([assetOne, assetTwo]).to.deep.equal([addresses.tokens.WETH, addresses.tokens.USDC]);
+        return eth(2000);
+      },
+    };
+    const strategy = (maxGasFeePercentage) => ({
+      maxGasFeePercentage: async () => eth(maxGasFeePercentage),
+      populateTransaction: {
+        executeStrategy: async () => ({}),
+        finalizeStrategy: async () => ({}),
+        expireStrategy: async () => ({}),
+      },
+    });
+    const cases = [
+      ['charges the gas cost below the cap', 'EXECUTE', 'WETH', 18, eth(10), 0.01, cost, eth(0.1)],
+      [
+        'caps the fee at maxGasFeePercentage of the capital',
+        'FINALIZE',
+        'WETH',
+        18,
+        eth(2),
+        0.01,
+        eth(0.02),
+        eth(0.02),
+      ],
+      ['charges no fee without capital', 'EXPIRE', 'WETH', 18, from(0), 0.01, from(0), from(0)],
+      ['converts the cost into the reserve asset', 'EXECUTE', 'USDC', 6, from(10000e6), 0.05, from(100e6), from(500e6)],
+      ['caps the fee in the reserve asset', 'FINALIZE', 'USDC', 6, from(1000e6), 0.05, from(50e6), from(50e6)],
+    ];
+
+    for (const [title, action, symbol, decimals, capital, maxGasFeePercentage, fee, maxFee] of cases) {
+      it(`${title} (${KEEPER_ACTIONS[action]}, ${symbol})`, async function () {
+        const planned = {
+          action: KEEPER_ACTIONS[action],
+          strategy: strategy(maxGasFeePercentage),
+          reserveAsset: addresses.tokens[symbol],
+          capital,
+        };
+        const estimate = await getKeeperFee(hre(decimals), { priceOracle, keeper, gasPrice }, planned);
+        expect(estimate.gas).to.deep.equal(gas);
+        expect(estimate.fee).to.deep.equal(fee);
+        expect(estimate.maxFee).to.deep.equal(maxFee);
+      });
+    }
+
+    it('estimates as another keeper', async function () {
+      const from = '0x0000000000000000000000000000000000000007';
+      let estimatedFrom;
+      const provider = {
+        estimateGas: async (tx) => {
+          estimatedFrom = tx.from;
+          return gas;
+        },
+      };
+      const estimate = await getKeeperFee(
+        { ethers: { ...hre(18).ethers, provider } },
+        {
+          priceOracle,
+          keeper: { estimateGas: () => expect.fail('estimated as the signer') },
+          gasPrice,
+          estimateAs: from,
+        },
+        {
+          action: KEEPER_ACTIONS.FINALIZE,
+          strategy: strategy(0.01),
+          reserveAsset: addresses.tokens.WETH,
+          capital: eth(10),
+        },
+      );
+      expect(estimatedFrom).to.equal(from);
+      expect(estimate.fee).to.deep.equal(cost);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { getRoleHolders } = require('lib/scripts/ownership');
+
+describe('ownership', function () {
+  const topic = (signature) => ethers.utils.id(signature);
+  const word = (value) => ethers.utils.hexZeroPad(value, 32);
+  const account = (byte) => ethers.utils.getAddress('0x' + byte.repeat(20));
+  const role = ethers.utils.id('PROPOSER_ROLE');
+  const log = (event, holder) => ({ topics: [topic(`${event}(bytes32,address,address)`), role, word(holder)] });
+
+  it('rebuilds the role holders from the grants and revocations', async function () {
+    const logs = [
+      log('RoleGranted', account('11')),
+      log('RoleGranted', account('22')),
+      log('RoleRevoked', account('11')),
+    ];
+    const requests = [];
+    const provider = {
+      getBlockNumber: async () => 150,
+      getLogs: async (filter) => {
+        requests.push([filter.fromBlock, filter.toBlock]);
+        return filter.fromBlock === 100 ? logs : [];
+      },
+    };
+    const holders = await getRoleHolders(
+      { ethers: { provider } },
+      { address: account('33'), receipt: { blockNumber: 100 } },
+      { step: 30 },
+    );
+    expect(holders).to.deep.equal({ [role]: [account('22')] });
+    expect(requests).to.deep.equal([
+      [100, 129],
+      [130, 150],
+    ]);
+  });
+});
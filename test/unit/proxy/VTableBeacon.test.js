@@ -2,7 +2,7 @@ const { expect } = require('chai');
 const { ethers } = require('hardhat');
 
 const { ADDRESS_ZERO } = require('lib/constants');
-const { fund } = require('lib/whale');
+const { fund } = require('lib/funding');
 const addresses = require('lib/addresses');
 const { setupTests } = require('fixtures/GardenFixture');
 const {
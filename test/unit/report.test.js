@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+
+const { toJson, toCsv, toTable, renderReport } = require('lib/report');
+
+describe('report', function () {
+  const columns = ['name', 'amount', 'note'];
+  const rows = [
+    { note: 'plain', amount: ethers.BigNumber.from('1000000000000000000'), name: 'Garden' },
+    { name: 'Say "hi", then\nleave', amount: '2.5', extra: 'ignored' },
+  ];
+
+  describe('toCsv', function () {
+    it('writes the cells in the order of the columns', function () {
+      expect(toCsv({ columns, rows: rows.slice(0, 1) }).split('\n')).to.deep.equal([
+        'name,amount,note',
+        'Garden,1000000000000000000,plain',
+      ]);
+    });
+
+    it('escapes quotes, commas and line breaks and leaves missing cells empty', function () {
+      expect(toCsv({ columns, rows: rows.slice(1) })).to.equal('name,amount,note\n"Say ""hi"", then\nleave",2.5,');
+    });
+  });
+
+  describe('toTable', function () {
+    it('pads the columns to their widest cell', function () {
+      expect(toTable({ columns, rows: [rows[0], { name: 'G', amount: '1' }] }).split('\n')).to.deep.equal([
+        'name    amount               note',
+        '------  -------------------  -----',
+        'Garden  1000000000000000000  plain',
+        'G       1',
+      ]);
+    });
+  });
+
+  describe('renderReport', function () {
+    let dir;
+    const report = { data: { rows }, columns, rows: rows.slice(0, 1), print: () => 'printed' };
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    it('prints the text report without a format nor an output file', async function () {
+      expect(await renderReport({}, report)).to.equal('printed');
+    });
+
+    it('takes the format from the extension of the output file', async function () {
+      const out = path.join(dir, 'report.csv');
+      await renderReport({ out }, report);
+      expect(await fs.readFile(out, 'utf8')).to.equal('name,amount,note\nGarden,1000000000000000000,plain\n');
+    });
+
+    it('writes BigNumbers of the json report as integers', async function () {
+      const out = path.join(dir, 'report.txt');
+      await renderReport({ format: 'json', out }, report);
+      expect(JSON.parse(await fs.readFile(out, 'utf8')).rows[0].amount).to.equal('1000000000000000000');
+      expect(toJson({ amount: ethers.BigNumber.from(5) })).to.equal('{\n  "amount": "5"\n}');
+    });
+
+    it('rejects unknown formats', async function () {
+      let error;
+      try {
+        await renderReport({ out: path.join(dir, 'report.xml') }, report);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Report format: "xml" not supported');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const fs = require('fs-extra');
+const { expect } = require('chai');
+
+const { getCacheKey, createRpcCache, startRpcCacheServer } = require('lib/rpc-cache');
+
+describe('rpc cache', function () {
+  const block = 14852897;
+  const getCode = { jsonrpc: '2.0', id: 7, method: 'eth_getCode', params: ['0xAB', '0xe2a1a1'] };
+  let dir;
+  let servers;
+
+  beforeEach(async function () {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rpc-cache-'));
+    servers = [];
+  });
+
+  afterEach(async function () {
+    servers.forEach((server) => server.close());
+    await fs.remove(dir);
+  });
+
+  async function serve(cache) {
+    const server = await startRpcCacheServer(cache, { port: 0 });
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  it('keys calls regardless of the case of their params', function () {
+    expect(getCacheKey(getCode)).to.equal(getCacheKey({ ...getCode, params: ['0xab', '0xE2A1A1'] }));
+  });
+
+  it('replays cached calls and reports misses', async function () {
+    const file = path.join(dir, 'upstream.json');
+    await fs.outputJson(file, { block, entries: { [getCacheKey(getCode)]: '0x6080' } });
+    const cache = createRpcCache({ file, block });
+    const url = await serve(cache);
+
+    const { data } = await axios.post(url, [getCode, { ...getCode, id: 8, method: 'eth_getBalance' }]);
+    expect(data[0]).to.deep.equal({ jsonrpc: '2.0', id: 7, result: '0x6080' });
+    expect(data[1].error.message).to.equal(`RPC cache of block ${block} has no eth_getBalance ["0xab","0xe2a1a1"]`);
+    expect(cache.getStats().misses).to.deep.equal({ 'eth_getBalance ["0xab","0xe2a1a1"]': 1 });
+  });
+
+  it('records the misses from the upstream node', async function () {
+    const upstreamFile = path.join(dir, 'upstream.json');
+    await fs.outputJson(upstreamFile, { block, entries: { [getCacheKey(getCode)]: '0x6080' } });
+    const upstream = await serve(createRpcCache({ file: upstreamFile, block }));
+    const file = path.join(dir, `${block}.json`);
+    const cache = createRpcCache({ url: upstream, file, block, mode: 'record' });
+
+    expect((await cache.handle(getCode)).result).to.equal('0x6080');
+    expect((await cache.handle({ ...getCode, method: 'eth_getBalance' })).error.code).to.equal(-32001);
+    cache.save();
+    expect(await fs.readJson(file)).to.deep.equal({ block, entries: { [getCacheKey(getCode)]: '0x6080' } });
+  });
+
+  it('refuses a cache of another block', async function () {
+    const file = path.join(dir, 'other.json');
+    await fs.outputJson(file, { block: 1, entries: {} });
+    expect(() => createRpcCache({ file, block })).to.throw(`RPC cache ${file} was recorded at block 1, not ${block}`);
+  });
+});
@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+
+const {
+  getScenarioFiles,
+  validateScenario,
+  loadScenario,
+  checkExpectation,
+  describeExpectation,
+} = require('lib/scenario');
+
+describe('scenario', function () {
+  const scenario = {
+    name: 'Buy DAI',
+    network: 'local',
+    gardens: { eth: { reserveAsset: 'WETH', depositors: [{ from: 'signer2', amount: '1' }] } },
+    steps: [
+      {
+        createStrategy: {
+          id: 'long',
+          garden: 'eth',
+          operations: [{ kind: 'buy', integration: 'UniswapV2TradeIntegration', asset: 'DAI' }],
+        },
+      },
+      { vote: { strategy: 'long', voters: ['signer2'] } },
+      { execute: { strategy: 'long', amount: '1' } },
+      { priceShock: { asset: 'DAI', change: -0.1 } },
+      { expect: { metric: 'nav', strategy: 'long', min: '0.8' } },
+    ],
+  };
+
+  function getError(value) {
+    try {
+      validateScenario(value);
+    } catch (e) {
+      return e.message;
+    }
+    expect.fail('The scenario is valid');
+  }
+
+  describe('validateScenario', function () {
+    it('accepts a valid scenario', async function () {
+      expect(validateScenario(scenario)).to.equal(scenario);
+    });
+
+    it('reports every error of a scenario', async function () {
+      const error = getError({
+        ...scenario,
+        gardens: { eth: { reserveAsset: 'WETH', depositors: [{ from: 'alice', amount: '1' }] } },
+        steps: [
+          { vote: { strategy: 'long', voters: ['signer2'] } },
+          { execute: { strategy: 'long' }, finalize: { strategy: 'long' } },
+          { withdraw: { garden: 'eth' } },
+          { deposit: { garden: 'btc', from: 'bob', amount: '1' } },
+        ],
+      });
+      expect(error).to.match(/^Invalid scenario Buy DAI: /);
+      expect(error).to.include('garden eth has an unknown depositor alice');
+      expect(error).to.include('step 0 (vote) uses strategy long before its creation');
+      expect(error).to.include('step 1 must have one action');
+      expect(error).to.include('step 2 must have one action');
+      expect(error).to.include('step 3 (deposit) has an unknown account bob');
+      expect(error).to.include('step 3 (deposit) uses an unknown garden btc');
+    });
+
+    it('reports missing fields', async function () {
+      const error = getError({
+        name: 'Empty',
+        network: 'mainnet',
+        gardens: {},
+        steps: [{ execute: { strategy: 'long' } }],
+      });
+      expect(error).to.include('network must be one of local, fork');
+      expect(error).to.include('no gardens');
+      expect(error).to.include('step 0 (execute) misses amount');
+    });
+
+    it('restricts price shocks to the local network', async function () {
+      expect(getError({ ...scenario, network: 'fork' })).to.include('step 3 (priceShock) needs the local network');
+    });
+
+    it('checks the metric and the bounds of expectations', async function () {
+      const error = getError({
+        ...scenario,
+        steps: [
+          ...scenario.steps,
+          { expect: { metric: 'apy', strategy: 'long', min: '0' } },
+          { expect: { metric: 'keeperFees', strategy: 'long', min: '0' } },
+          { expect: { metric: 'nav', strategy: 'long' } },
+        ],
+      });
+      expect(error).to.include('step 5 has an unknown metric apy');
+      expect(error).to.include('step 6 (keeperFees) needs a garden');
+      expect(error).to.include('step 7 (nav) needs min, max or equals');
+    });
+  });
+
+  describe('loadScenario', function () {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scenario-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    it('loads a JSON scenario', async function () {
+      const file = path.join(dir, 'scenario.json');
+      await fs.writeJson(file, scenario);
+      expect(await loadScenario(file)).to.deep.equal(scenario);
+    });
+
+    it('loads a YAML scenario', async function () {
+      for (const extension of ['yml', 'yaml']) {
+        const file = path.join(dir, `scenario.${extension}`);
+        await fs.writeFile(file, yaml.safeDump(scenario));
+        expect(await loadScenario(file)).to.deep.equal(scenario);
+      }
+    });
+
+    it('validates a YAML scenario', async function () {
+      const file = path.join(dir, 'scenario.yml');
+      await fs.writeFile(file, yaml.safeDump({ ...scenario, steps: [{ execute: { strategy: 'long' } }] }));
+      let error;
+      try {
+        await loadScenario(file);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include('step 0 (execute) uses strategy long before its creation');
+    });
+
+    it('lists the JSON and YAML scenarios of a directory', async function () {
+      for (const file of ['b.yml', 'a.json', 'c.yaml', 'README.md']) {
+        await fs.writeFile(path.join(dir, file), '');
+      }
+      expect(getScenarioFiles(dir)).to.deep.equal(['a.json', 'b.yml', 'c.yaml'].map((file) => path.join(dir, file)));
+    });
+  });
+
+  describe('checkExpectation', function () {
+    const value = ethers.utils.parseUnits('1.5', 6);
+
+    it('passes within bounds', async function () {
+      expect(checkExpectation(value, { min: '1', max: '2' }, 6)).to.deep.equal([]);
+      expect(checkExpectation(value, { equals: '1.49', tolerance: '0.01' }, 6)).to.deep.equal([]);
+      expect(checkExpectation(value, { equals: '1.5' }, 6)).to.deep.equal([]);
+    });
+
+    it('fails out of bounds', async function () {
+      expect(checkExpectation(value, { min: '1.6', max: '1.4' }, 6)).to.deep.equal(['below 1.6', 'above 1.4']);
+      expect(checkExpectation(value, { equals: '1.4', tolerance: '0.05' }, 6)).to.deep.equal(['not 1.4 ± 0.05']);
+    });
+  });
+
+  describe('describeExpectation', function () {
+    it('describes the bounds', async function () {
+      expect(describeExpectation({ min: '1', max: '2' })).to.equal('>= 1 and <= 2');
+      expect(describeExpectation({ max: '2' })).to.equal('<= 2');
+      expect(describeExpectation({ equals: '1', tolerance: '0.1' })).to.equal('1 ± 0.1');
+    });
+  });
+
+  describe('shipped scenarios', function () {
+    for (const file of getScenarioFiles()) {
+      it(`${file.split('/').pop()} is valid`, async function () {
+        await loadScenario(file);
+      });
+    }
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const { ADDRESS_ZERO } = require('lib/constants');
+const {
+  TYPES,
+  TYPEHASHES,
+  getDigest,
+  recoverSigner,
+  isValidSignatureNow,
+  getDepositSig,
+  getDepositSigHash,
+  getWithdrawSig,
+  getWithdrawSigHash,
+  getRewardsSig,
+  getRewardsSigHash,
+  getStakeRewardsSig,
+  getStakeRewardsSigHash,
+} = require('lib/signatures');
+const { from, eth } = require('utils/test-helpers');
+
+function getContractTypes(path) {
+  const source = fs.readFileSync(path, 'utf8');
+  const regex = /_TYPEHASH\s*=\s*keccak256\(\s*'([^']+)'\s*\)/g;
+  const types = {};
+  let match;
+  while ((match = regex.exec(source))) {
+    types[match[1].split('(')[0]] = match[1];
+  }
+  return types;
+}
+
+describe('signatures', function () {
+  let signer1;
+  let signer2;
+  let garden;
+
+  const SIGS = [
+    {
+      name: 'DepositBySig',
+      sign: (signer) => getDepositSig(garden, signer, eth(), eth(), 0, 0, signer.address, ADDRESS_ZERO),
+      hash: (signer) => getDepositSigHash(garden, eth(), eth(), 0, 0, signer.address, ADDRESS_ZERO),
+    },
+    {
+      name: 'WithdrawBySig',
+      sign: (signer) => getWithdrawSig(garden, signer, eth(), eth(), 1, 0, false),
+      hash: () => getWithdrawSigHash(garden, eth(), eth(), 1, 0, false),
+    },
+    {
+      name: 'RewardsBySig',
+      sign: (signer) => getRewardsSig(garden, signer, eth(), from(1e6), 2, 1),
+      hash: () => getRewardsSigHash(garden, eth(), from(1e6), 2, 1),
+    },
+    {
+      name: 'StakeRewardsBySig',
+      sign: (signer) => getStakeRewardsSig(garden, signer, eth(), 0, eth(), 2, 3, 1, signer.address),
+      hash: (signer) => getStakeRewardsSigHash(garden, eth(), 0, eth(), 2, 3, 1, signer.address),
+    },
+  ];
+
+  beforeEach(async () => {
+    [, , , signer1, signer2] = await ethers.getSigners();
+    garden = ethers.Wallet.createRandom().address;
+  });
+
+  describe('typehashes', function () {
+    it('match the ones hashed by Garden', async function () {
+      const types = getContractTypes('./contracts/gardens/Garden.sol');
+
+      for (const { name } of SIGS) {
+        expect(types[name]).to.eq(TYPES[name]);
+        expect(TYPEHASHES[name]).to.eq(ethers.utils.keccak256(ethers.utils.toUtf8Bytes(types[name])));
+      }
+    });
+
+    it('match the garden vote hashed by Heart', async function () {
+      const types = getContractTypes('./contracts/Heart.sol');
+
+      expect(types.GardenVote).to.eq(TYPES.GardenVote);
+    });
+  });
+
+  SIGS.forEach(({ name, sign, hash }) => {
+    describe(name, function () {
+      it('recovers the EOA signer', async function () {
+        const sig = await sign(signer1);
+
+        expect(recoverSigner(hash(signer1), sig)).to.eq(signer1.address);
+        expect(await isValidSignatureNow(ethers.provider, signer1.address, hash(signer1), sig)).to.eq(true);
+      });
+
+      it('rejects a signature of another EOA', async function () {
+        const sig = await sign(signer2);
+
+        expect(await isValidSignatureNow(ethers.provider, signer1.address, hash(signer1), sig)).to.eq(false);
+      });
+
+      it('is valid for an ERC-1271 wallet owned by the signer', async function () {
+        const walletFactory = await ethers.getContractFactory('ERC1271WalletMock');
+        const wallet = await walletFactory.deploy(signer1.address);
+        const sig = await sign(signer1);
+
+        expect(await wallet.isValidSignature(getDigest(hash(signer1)), sig)).to.eq('0x1626ba7e');
+        expect(await isValidSignatureNow(ethers.provider, wallet.address, hash(signer1), sig)).to.eq(true);
+
+        const otherSig = await sign(signer2);
+        expect(await isValidSignatureNow(ethers.provider, wallet.address, hash(signer1), otherSig)).to.eq(false);
+      });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+
+const { describeType, compareStorageLayouts, validateUpgrade } = require('lib/storage-layout');
+
+describe('storage layout', function () {
+  const types = {
+    t_address: { encoding: 'inplace', label: 'address', numberOfBytes: '20' },
+    t_bool: { encoding: 'inplace', label: 'bool', numberOfBytes: '1' },
+    t_uint256: { encoding: 'inplace', label: 'uint256', numberOfBytes: '32' },
+    't_array(t_uint256)10_storage': {
+      base: 't_uint256',
+      encoding: 'inplace',
+      label: 'uint256[10]',
+      numberOfBytes: '320',
+    },
+    't_mapping(t_address,t_struct(Contributor)100_storage)': {
+      encoding: 'mapping',
+      key: 't_address',
+      label: 'mapping(address => struct GardenV33.Contributor)',
+      numberOfBytes: '32',
+      value: 't_struct(Contributor)100_storage',
+    },
+    't_struct(Contributor)100_storage': {
+      encoding: 'inplace',
+      label: 'struct GardenV33.Contributor',
+      members: [{ label: 'lastDepositAt', offset: 0, slot: '0', type: 't_uint256' }],
+      numberOfBytes: '32',
+    },
+  };
+  const variable = (label, slot, type, offset = 0) => ({ label, slot: String(slot), offset, type });
+  const layout = (...storage) => ({ storage, types });
+
+  const original = layout(
+    variable('controller', 0, 't_address'),
+    variable('active', 0, 't_bool', 20),
+    variable('principal', 1, 't_uint256'),
+    variable('__gap', 2, 't_array(t_uint256)10_storage'),
+    variable('contributors', 12, 't_mapping(t_address,t_struct(Contributor)100_storage)'),
+  );
+
+  it('describes types without AST ids and contract names', function () {
+    expect(describeType(types, 't_mapping(t_address,t_struct(Contributor)100_storage)')).to.equal(
+      'mapping(address => struct Contributor { uint256 lastDepositAt })',
+    );
+  });
+
+  it('accepts renamed and appended variables and variables taking the place of a gap', function () {
+    const updated = layout(
+      ...original.storage.slice(0, 2),
+      variable('totalPrincipal', 1, 't_uint256'),
+      variable('signer', 2, 't_address'),
+      {
+        ...original.storage[4],
+        type: 't_mapping(t_address,t_struct(Contributor)200_storage)',
+      },
+    );
+    updated.types = {
+      ...types,
+      't_mapping(t_address,t_struct(Contributor)200_storage)': {
+        ...types['t_mapping(t_address,t_struct(Contributor)100_storage)'],
+        label: 'mapping(address => struct Garden.Contributor)',
+        value: 't_struct(Contributor)200_storage',
+      },
+      't_struct(Contributor)200_storage': {
+        ...types['t_struct(Contributor)100_storage'],
+        label: 'struct Garden.Contributor',
+      },
+    };
+    updated.storage.push(variable('userLock', 13, 't_uint256'));
+    expect(compareStorageLayouts(original, updated)).to.deep.equal([]);
+  });
+
+  it('rejects reordered, retyped and removed variables', function () {
+    const updated = layout(
+      variable('controller', 0, 't_address'),
+      variable('active', 1, 't_bool'),
+      variable('__gap', 3, 't_array(t_uint256)10_storage'),
+      variable('contributors', 12, 't_uint256'),
+    );
+    expect(compareStorageLayouts(original, updated)).to.deep.equal([
+      'active moved from slot 0 offset 20 to slot 1 offset 0',
+      'principal at slot 1 offset 0 was replaced by active',
+      'contributors at slot 12 offset 0 changed from mapping(address => struct Contributor { uint256 lastDepositAt }) to uint256',
+    ]);
+  });
+
+  it('rejects variables added by a module', function () {
+    const updated = layout(...original.storage, variable('moduleOnly', 13, 't_uint256'));
+    expect(compareStorageLayouts(original, updated)).to.deep.equal([]);
+    expect(compareStorageLayouts(original, updated, { allowAppend: false })).to.deep.equal([
+      'moduleOnly at slot 13 offset 0 is not part of the shared storage',
+    ]);
+  });
+
+  it('refuses to upgrade contracts whose storage is not checked', async function () {
+    let error;
+    try {
+      await validateUpgrade({}, 'AssistantProxy', 'Assistant', 'AssistantV2');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/^Storage layout of AssistantProxy cannot be checked before an upgrade/);
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { getTvl, getHistoryBlocks, getTvlHistoryRows } = require('lib/scripts/tvl');
+
+// One block every 10 seconds from timestamp 1000
+const BLOCK_TIME = 10;
+const provider = {
+  getBlockNumber: async () => 100000,
+  getBlock: async (block) => ({ number: block, timestamp: 1000 + block * BLOCK_TIME }),
+};
+
+describe('tvl:history', function () {
+  it('steps by blocks and always includes the last block', async function () {
+    const blocks = await getHistoryBlocks(provider, { start: '100', end: '350', step: '100' });
+    expect(blocks).to.deep.equal([100, 200, 300, 350]);
+  });
+
+  it('steps by days', async function () {
+    const blocksPerDay = 86400 / BLOCK_TIME;
+    const blocks = await getHistoryBlocks(provider, { start: '0', end: `${blocksPerDay * 2}`, step: '1d' });
+    expect(blocks).to.deep.equal([0, blocksPerDay, blocksPerDay * 2]);
+  });
+
+  it('resolves dates to blocks', async function () {
+    const [block] = await getHistoryBlocks(provider, { start: new Date(2000 * 1000).toISOString(), step: '1d' });
+    expect(block).to.equal(100);
+  });
+
+  it('rejects invalid steps', async function () {
+    let error;
+    try {
+      await getHistoryBlocks(provider, { start: '0', step: '1w' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('Invalid step: "1w"');
+  });
+
+  it('prices blocks with the oracle and valuer wired in the controller at the block', async function () {
+    const eth = (value) => ethers.utils.parseEther(String(value));
+    const garden = '0x000000000000000000000000000000000000a4de';
+    const wiredAt = (blockTag) => (blockTag < 200 ? 'old' : 'new');
+    const calls = [];
+    const babController = {
+      getGardens: async () => [garden],
+      priceOracle: async ({ blockTag }) => `${wiredAt(blockTag)}Oracle`,
+      gardenValuer: async ({ blockTag }) => `${wiredAt(blockTag)}Valuer`,
+    };
+    const gardenContract = {
+      reserveAsset: async () => 'WETH',
+      getStrategies: async () => [],
+      totalSupply: async () => eth(10),
+      absoluteReturns: async () => eth(0),
+      reserveAssetRewardsSetAside: async () => eth(0),
+      totalKeeperFees: async () => eth(0),
+      name: async () => 'Garden',
+    };
+    // The new contracts did not exist at the old blocks
+    const contract = (address) => ({
+      getPrice: async (assetOne, assetTwo, { blockTag }) => {
+        calls.push([address, 'getPrice', blockTag]);
+        return eth(2000);
+      },
+      calculateGardenValuation: async (gardenAddress, quoteAsset, { blockTag }) => {
+        calls.push([address, 'calculateGardenValuation', blockTag]);
+        return eth(address === 'oldValuer' ? 2000 : 3000);
+      },
+    });
+    const contracts = {
+      [garden]: gardenContract,
+      WETH: { address: 'WETH', decimals: async () => 18 },
+      oldOracle: contract('oldOracle'),
+      newOracle: contract('newOracle'),
+      oldValuer: contract('oldValuer'),
+      newValuer: contract('newValuer'),
+    };
+    contracts.oldOracle.connect = () => contracts.oldOracle;
+    contracts.newOracle.connect = () => contracts.newOracle;
+    const hre = {
+      getContract: async (name) => (name === 'BabController' ? babController : { address: 'Viewer' }),
+      ethers: {
+        getSigners: async () => [],
+        provider: { getCode: async () => '0x' },
+        getContractAt: async (name, address) => contracts[address],
+      },
+    };
+
+    const { tvl } = await getTvl(hre, { blockTag: 100 });
+    expect(tvl).to.deep.equal(eth(20000));
+    expect(calls).to.deep.equal([
+      ['oldOracle', 'getPrice', 100],
+      ['oldValuer', 'calculateGardenValuation', 100],
+    ]);
+  });
+
+  it('prices the principal and the returns of reserve assets with less decimals in DAI', async function () {
+    const eth = (value) => ethers.utils.parseEther(String(value));
+    const usdc = (value) => ethers.utils.parseUnits(String(value), 6);
+    const garden = '0x000000000000000000000000000000000000a4de';
+    const gardenContract = {
+      reserveAsset: async () => 'USDC',
+      getStrategies: async () => [],
+      totalSupply: async () => eth(0),
+      absoluteReturns: async () => usdc(100),
+      reserveAssetRewardsSetAside: async () => usdc(10),
+      totalKeeperFees: async () => usdc(1),
+      name: async () => 'USDC Garden',
+    };
+    const contracts = {
+      [garden]: gardenContract,
+      USDC: { address: 'USDC', decimals: async () => 6 },
+      Oracle: { connect: () => contracts.Oracle, getPrice: async () => eth(1) },
+      Valuer: { calculateGardenValuation: async () => eth(1) },
+    };
+    const hre = {
+      getContract: async (name) =>
+        name === 'BabController'
+          ? { getGardens: async () => [garden], priceOracle: async () => 'Oracle', gardenValuer: async () => 'Valuer' }
+          : { address: 'Viewer', getGardenPrincipal: async () => usdc(1000) },
+      ethers: {
+        getSigners: async () => [],
+        provider: { getCode: async () => '0x6080' },
+        getContractAt: async (name, address) => contracts[address],
+      },
+    };
+
+    const { gardens, tvl, wealthCreated } = await getTvl(hre, { blockTag: 100 });
+    expect(gardens[0].principal).to.deep.equal(eth(1000));
+    expect(gardens[0].absoluteReturns).to.deep.equal(eth(100));
+    const { rows } = getTvlHistoryRows({ points: [{ block: 100, timestamp: 0, gardens, tvl, wealthCreated }] });
+    expect(rows[1]).to.include({
+      principal: '1000.0',
+      absoluteReturns: '100.0',
+      totalKeeperFees: '1.0',
+      wealthCreated: '109.0',
+    });
+  });
+});
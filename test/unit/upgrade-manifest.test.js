@@ -0,0 +1,172 @@
+const { expect } = require('chai');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ethers } = require('ethers');
+
+const { encodeMultiSend, loadManifest, compileManifest, renderPlan } = require('lib/upgrade-manifest');
+
+describe('upgrade manifest', function () {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  async function writeManifest(manifest) {
+    const file = path.join(dir, 'manifest.json');
+    await fs.writeJson(file, manifest);
+    return file;
+  }
+
+  it('loads a valid manifest', async function () {
+    const manifest = { proxies: { BabController: 'BabControllerV11' }, operations: { buy: 'BuyOperation' } };
+    expect(await loadManifest(await writeManifest(manifest))).to.deep.equal(manifest);
+  });
+
+  it('loads a YAML manifest', async function () {
+    const file = path.join(dir, 'manifest.yml');
+    await fs.writeFile(
+      file,
+      [
+        'title: Upgrade',
+        'proxies:',
+        '  BabController: BabControllerV11',
+        'modules:',
+        '  garden: [AdminGardenModule]',
+      ].join('\n'),
+    );
+    expect(await loadManifest(file)).to.deep.equal({
+      title: 'Upgrade',
+      proxies: { BabController: 'BabControllerV11' },
+      modules: { garden: ['AdminGardenModule'] },
+    });
+  });
+
+  it('rejects unknown targets', async function () {
+    for (const manifest of [{ proxy: {} }, { beacons: { Heart: 'HeartV2' } }, { trades: { balancer: 'Balancer' } }]) {
+      let error;
+      try {
+        await loadManifest(await writeManifest(manifest));
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/^Manifest \w+: ".+" not supported/);
+    }
+  });
+
+  describe('compileManifest', function () {
+    const address = (n) => ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20));
+    const layout = (...labels) => ({
+      storage: labels.map((label, slot) => ({ label, slot: String(slot), offset: 0, type: 't_address' })),
+      types: { t_address: { encoding: 'inplace', label: 'address', numberOfBytes: '20' } },
+    });
+    const deployed = {
+      BabControllerProxy: { address: address(1) },
+      ProxyAdmin: { address: address(2) },
+      GardenBeacon: { address: address(3) },
+      BabControllerV1: { address: address(4), storageLayout: layout('priceOracle') },
+      GardenV1: { address: address(5), storageLayout: layout('controller') },
+      BabControllerV2: { address: address(6) },
+      GardenV2: { address: address(7) },
+    };
+
+    // Hardhat runtime with the V1 implementations behind the BabController proxy and the Garden beacon
+    function fakeHre(compiled) {
+      return {
+        network: { name: 'hardhat' },
+        deployments: {
+          all: async () => deployed,
+          get: async (name) => deployed[name],
+          getOrNull: async (name) => deployed[name] || null,
+        },
+        artifacts: {
+          readArtifact: async (name) => ({ sourceName: `${name}.sol`, contractName: name }),
+          getBuildInfo: async (fullName) => {
+            const [sourceName, contractName] = fullName.split(':');
+            return {
+              output: { contracts: { [sourceName]: { [contractName]: { storageLayout: compiled[contractName] } } } },
+            };
+          },
+        },
+        ethers: {
+          ...ethers,
+          getSigners: async () => [{}],
+          getContractAt: async (name, contractAddress) => ({
+            address: contractAddress,
+            masterSwapper: async () => address(8),
+            priceOracle: async () => address(9),
+          }),
+          provider: { getStorageAt: async () => ethers.utils.hexZeroPad(address(4), 32) },
+          Contract: function (contractAddress) {
+            return { implementation: async () => contractAddress === address(3) && address(5) };
+          },
+        },
+      };
+    }
+
+    it('upgrades proxies and beacons keeping the storage of the deployed implementations', async function () {
+      const hre = fakeHre({ BabControllerV2: layout('priceOracle', 'heart'), GardenV2: layout('controller') });
+      const steps = await compileManifest(hre, {
+        proxies: { BabController: 'BabControllerV2' },
+        beacons: { Garden: 'GardenV2' },
+      });
+      expect(steps.map(({ description }) => description)).to.deep.equal([
+        `Upgrade BabController proxy ${address(1)} to BabControllerV2`,
+        'Upgrade Garden beacon to GardenV2',
+      ]);
+      expect(steps[1].args).to.deep.equal([address(7)]);
+    });
+
+    it('rejects proxy and beacon upgrades breaking the storage of the deployed implementations', async function () {
+      for (const [manifest, compiled, message] of [
+        [
+          { proxies: { BabController: 'BabControllerV2' } },
+          { BabControllerV2: layout('heart', 'priceOracle') },
+          'BabControllerV2 upgrading BabControllerV1',
+        ],
+        [
+          { beacons: { Garden: 'GardenV2' } },
+          { GardenV2: layout('owner', 'controller') },
+          'GardenV2 upgrading GardenV1',
+        ],
+      ]) {
+        let error;
+        try {
+          await compileManifest(fakeHre(compiled), manifest);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.contain(`Storage layout of ${message} is not compatible`);
+      }
+    });
+  });
+
+  it('encodes MultiSend transactions', async function () {
+    const to = '0x' + '11'.repeat(20);
+    const data = '0x12345678';
+    expect(encodeMultiSend([{ operation: 0, to, value: '0', data }])).to.equal(
+      ethers.utils.solidityPack(['uint8', 'address', 'uint256', 'uint256', 'bytes'], [0, to, 0, 4, data]),
+    );
+  });
+
+  it('renders a readable plan', function () {
+    const steps = [
+      {
+        description: 'Set buy operation to BuyOperation',
+        to: '0x' + '22'.repeat(20),
+        method: 'setOperation',
+        args: [0, '0x' + '33'.repeat(20)],
+      },
+    ];
+    const plan = renderPlan({ title: 'Upgrade' }, steps, '0xdata');
+    expect(plan).to.contain('# Upgrade');
+    expect(plan).to.contain('1. Set buy operation to BuyOperation');
+    expect(plan).to.contain(`call: setOperation(0, 0x${'33'.repeat(20)})`);
+    expect(plan).to.contain('0xdata');
+  });
+});
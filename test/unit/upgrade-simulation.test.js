@@ -0,0 +1,119 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { VTABLE_PROXY_SLOT, getVTableProxySlot, checkUpgrade } = require('lib/upgrade-simulation');
+const { IMPLEMENTATION_SLOT } = require('lib/constants.js');
+const { eth } = require('lib/helpers');
+
+const GARDEN = '0x0000000000000000000000000000000000000001';
+const PROXY = '0x0000000000000000000000000000000000000002';
+const IMPLEMENTATION = '0x0000000000000000000000000000000000000003';
+const MODULE = '0x0000000000000000000000000000000000000004';
+const VTABLE = '0x0000000000000000000000000000000000000005';
+
+const MODULE_INTERFACE = new ethers.utils.Interface(['function setPublicRights()', 'function updateCreators()']);
+
+// Hardhat environment reading the state of `chain`
+function getHre(chain) {
+  const deployments = { AdminGardenModule: MODULE, VTableBeacon: VTABLE };
+  return {
+    network: { name: 'hardhat' },
+    deployments: {
+      get: async (name) => ({ address: deployments[name] }),
+      getOrNull: async (name) => (deployments[name] ? { address: deployments[name] } : null),
+    },
+    ethers: {
+      ...ethers,
+      provider: {
+        getCode: async () => '0x00',
+        getStorageAt: async (address, slot) => chain.storage[`${address}:${slot}`] || ethers.constants.HashZero,
+      },
+      getContractAt: async (nameOrAbi, address) => {
+        if (nameOrAbi === 'IGarden') {
+          return { totalSupply: async () => eth(100) };
+        }
+        if (nameOrAbi === 'AdminGardenModule') {
+          return { interface: MODULE_INTERFACE };
+        }
+        if (address === VTABLE) {
+          return { delegates: async (selector) => chain.delegates[selector] || ethers.constants.AddressZero };
+        }
+        return {};
+      },
+    },
+  };
+}
+
+const babController = {
+  getGardens: async () => [GARDEN],
+  getOperations: async () => [],
+  masterSwapper: async () => ethers.constants.AddressZero,
+};
+
+const getValuer = (pricePerShare) => ({ calculateGardenValuation: async () => pricePerShare });
+
+const toWord = (address) => ethers.utils.hexZeroPad(address, 32);
+
+describe('upgrade simulation', function () {
+  it('computes the storage slot of a VTableProxy delegate', async function () {
+    const selector = '0x12345678';
+    const slot = ethers.utils.solidityKeccak256(
+      ['bytes32', 'uint256'],
+      [`${selector}${'0'.repeat(56)}`, ethers.BigNumber.from(VTABLE_PROXY_SLOT).add(1)],
+    );
+    expect(getVTableProxySlot(selector)).to.equal(slot);
+  });
+
+  describe('checks', function () {
+    const chain = { storage: {}, delegates: {} };
+    const check = async (options) =>
+      await checkUpgrade(getHre(chain), {
+        manifest: {},
+        steps: [],
+        babController,
+        valuer: getValuer(eth()),
+        navsBefore: { [GARDEN]: eth(100) },
+        ...options,
+      });
+
+    it('passes a NAV within the tolerance', async function () {
+      const checks = await check({ valuer: getValuer(eth(1.005)) });
+      expect(checks).to.deep.equal([
+        { name: `NAV of garden ${GARDEN}`, passed: true, details: '100.0 DAI -> 100.5 DAI' },
+      ]);
+    });
+
+    it('fails a NAV out of the tolerance', async function () {
+      const checks = await check({ valuer: getValuer(eth(1.005)), navTolerance: eth(0.1) });
+      expect(checks).to.deep.equal([
+        { name: `NAV of garden ${GARDEN}`, passed: false, details: '100.0 DAI -> 100.5 DAI' },
+      ]);
+    });
+
+    it('fails a proxy pointing to another implementation', async function () {
+      chain.storage[`${PROXY}:${IMPLEMENTATION_SLOT}`] = toWord(MODULE);
+      const checks = await check({ steps: [{ method: 'upgrade', args: [PROXY, IMPLEMENTATION] }] });
+      expect(checks[1]).to.deep.equal({ name: `Implementation of proxy ${PROXY}`, passed: false, details: MODULE });
+
+      chain.storage[`${PROXY}:${IMPLEMENTATION_SLOT}`] = toWord(IMPLEMENTATION);
+      const [, { passed }] = await check({ steps: [{ method: 'upgrade', args: [PROXY, IMPLEMENTATION] }] });
+      expect(passed).to.equal(true);
+    });
+
+    it('fails a selector of a module missing in the VTable', async function () {
+      const [resolved, missing] = Object.keys(MODULE_INTERFACE.functions).map((f) => MODULE_INTERFACE.getSighash(f));
+      chain.delegates[resolved] = MODULE;
+      const checks = await check({ manifest: { modules: { garden: ['AdminGardenModule'] } } });
+      expect(checks[1]).to.deep.equal({
+        name: 'Selectors of AdminGardenModule in garden VTable',
+        passed: false,
+        details: `Not resolved: ${missing}`,
+      });
+
+      chain.delegates[missing] = MODULE;
+      const [, { passed, details }] = await check({ manifest: { modules: { garden: ['AdminGardenModule'] } } });
+      expect(passed).to.equal(true);
+      expect(details).to.equal('2 selectors');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { signVote, tallyVotes } = require('lib/scripts/votes');
+
+describe('votes', function () {
+  const { from } = ethers.BigNumber;
+  const eth = (value) => ethers.utils.parseEther(String(value));
+  const strategy = {
+    address: '0x0000000000000000000000000000000000005707',
+    garden: async () => '0x000000000000000000000000000000000000a4de',
+    // Entered at block 5
+    enteredAt: async () => from(500),
+  };
+  const [alice, bob, carol] = [1, 2, 3].map((i) => new ethers.Wallet(ethers.utils.hexZeroPad(i, 32)));
+
+  // Voting power and supply at the block of the strategy creation, and today
+  function getHre({ minVotesQuorum = eth(0.5), minVoters = 1, power = {}, powerNow = {} } = {}) {
+    const atBlock = (blockTag, then, now) => {
+      expect(blockTag).to.be.oneOf([5, undefined]);
+      return blockTag === 5 ? then : now;
+    };
+    const garden = {
+      getVotingPower: async (voter, { blockTag } = {}) =>
+        eth(atBlock(blockTag, power[voter] || 0, powerNow[voter] || power[voter] || 0)),
+      totalSupply: async ({ blockTag } = {}) => eth(atBlock(blockTag, 100, 1000)),
+      minVotesQuorum: async () => minVotesQuorum,
+      minVoters: async () => from(minVoters),
+    };
+    const provider = {
+      getBlockNumber: async () => 10,
+      getBlock: async (number) => ({ timestamp: number * 100 }),
+    };
+    return { ethers: { provider, getContractAt: async () => garden } };
+  }
+
+  const vote = (signer, amount, target = strategy.address) => signVote(signer, target, eth(amount));
+
+  it('passes when the quorum is met', async function () {
+    const votes = [await vote(alice, 30), await vote(bob, 25)];
+    const tally = await tallyVotes(getHre({ power: { [alice.address]: 40, [bob.address]: 30 } }), strategy, votes);
+    expect(tally.blockTag).to.equal(5);
+    expect(tally.voters).to.deep.equal([alice.address, bob.address]);
+    expect(tally.amounts).to.deep.equal([eth(30), eth(25)]);
+    expect(tally.totalPositiveVotes).to.deep.equal(eth(55));
+    expect(tally.quorum).to.deep.equal(eth(50));
+    expect(tally.rejected).to.deep.equal([]);
+    expect(tally.passed).to.equal(true);
+  });
+
+  it('fails when the quorum is not met', async function () {
+    const votes = [await vote(alice, 30), await vote(bob, 19)];
+    const tally = await tallyVotes(getHre({ power: { [alice.address]: 40, [bob.address]: 30 } }), strategy, votes);
+    expect(tally.totalPositiveVotes).to.deep.equal(eth(49));
+    expect(tally.passed).to.equal(false);
+  });
+
+  it('fails when more voters are against', async function () {
+    const votes = [await vote(alice, 60), await vote(bob, -70)];
+    const tally = await tallyVotes(getHre({ power: { [alice.address]: 60, [bob.address]: 70 } }), strategy, votes);
+    expect(tally.totalPositiveVotes).to.deep.equal(eth(60));
+    expect(tally.totalNegativeVotes).to.deep.equal(eth(70));
+    expect(tally.passed).to.equal(false);
+  });
+
+  it('fails with too few voters', async function () {
+    const votes = [await vote(alice, 60)];
+    const hre = getHre({ minVoters: 2, power: { [alice.address]: 60 } });
+    const tally = await tallyVotes(hre, strategy, votes);
+    expect(tally.minVoters).to.deep.equal(from(2));
+    expect(tally.passed).to.equal(false);
+  });
+
+  it('weighs votes with the voting power and supply at the block of the strategy creation', async function () {
+    const votes = [await vote(alice, 30), await vote(bob, 30)];
+    // Alice bought her voting power after the strategy was created
+    const hre = getHre({ power: { [bob.address]: 40 }, powerNow: { [alice.address]: 500, [bob.address]: 500 } });
+    const tally = await tallyVotes(hre, strategy, votes);
+    expect(tally.voters).to.deep.equal([bob.address]);
+    expect(tally.rejected).to.deep.equal([{ vote: votes[0], reason: 'voting power 0.0 below vote' }]);
+    expect(tally.quorum).to.deep.equal(eth(50));
+    expect(tally.passed).to.equal(false);
+  });
+
+  it('rejects invalid signatures', async function () {
+    const forged = { ...(await vote(alice, 60)), voter: bob.address };
+    const malformed = { ...(await vote(carol, 60)), signature: '0x1234' };
+    const tampered = { ...(await vote(carol, 1)), amount: eth(60).toString() };
+    const hre = getHre({ power: { [alice.address]: 60, [bob.address]: 60, [carol.address]: 60 } });
+    const tally = await tallyVotes(hre, strategy, [forged, malformed, tampered]);
+    expect(tally.voters).to.deep.equal([]);
+    expect(tally.rejected).to.deep.equal([
+      { vote: forged, reason: 'invalid signature' },
+      { vote: malformed, reason: 'malformed signature' },
+      { vote: tampered, reason: 'invalid signature' },
+    ]);
+    expect(tally.passed).to.equal(false);
+  });
+
+  it('keeps the last vote of a voter on the strategy', async function () {
+    const other = '0x0000000000000000000000000000000000000bad';
+    const votes = [await vote(alice, -10), await vote(alice, 60), await vote(bob, 40, other)];
+    const tally = await tallyVotes(getHre({ power: { [alice.address]: 60, [bob.address]: 40 } }), strategy, votes);
+    expect(tally.voters).to.deep.equal([alice.address]);
+    expect(tally.amounts).to.deep.equal([eth(60)]);
+    expect(tally.passed).to.equal(true);
+  });
+});
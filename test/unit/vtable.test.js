@@ -0,0 +1,49 @@
+const { expect } = require('chai');
+
+const { checkVTable } = require('lib/vtable');
+
+describe('vtable', function () {
+  const address = (byte) => '0x' + byte.repeat(20);
+  const names = {
+    [address('11')]: 'AdminGardenModule',
+    [address('12')]: 'AdminGardenModule',
+    [address('21')]: 'StrategyGardenModule',
+  };
+  const routing = {
+    '0x00000001': address('11'),
+    '0x00000002': address('11'),
+    '0x00000003': address('21'),
+  };
+
+  it('accepts a new version of a module', function () {
+    const modules = [{ name: 'AdminGardenModule', address: address('12'), selectors: ['0x00000001', '0x00000002'] }];
+    expect(checkVTable({ routing, modules, names, required: { '0x00000003': 'addStrategy()' } })).to.deep.equal({
+      collisions: [],
+      hijacked: [],
+      orphaned: [],
+      missing: [],
+    });
+  });
+
+  it('skips the functions of the proxy', function () {
+    const modules = [
+      { name: 'AdminGardenModule', address: address('12'), selectors: ['0x00000001', '0x00000002', '0x00000009'] },
+      { name: 'StrategyGardenModule', address: address('22'), selectors: ['0x00000003', '0x00000009'] },
+    ];
+    expect(checkVTable({ routing, modules, names, native: ['0x00000009'] }).collisions).to.deep.equal([]);
+  });
+
+  it('reports collisions, hijacked, orphaned and missing selectors', function () {
+    const modules = [
+      { name: 'AdminGardenModule', address: address('12'), selectors: ['0x00000001', '0x00000003'] },
+      { name: 'EmergencyGardenModule', address: address('31'), selectors: ['0x00000001'] },
+    ];
+    const required = { '0x00000004': 'deposit()', '0x00000005': 'name()' };
+    expect(checkVTable({ routing, modules, names, required, native: ['0x00000005'] })).to.deep.equal({
+      collisions: [{ selector: '0x00000001', modules: ['AdminGardenModule', 'EmergencyGardenModule'] }],
+      hijacked: [{ selector: '0x00000003', from: 'StrategyGardenModule', to: 'AdminGardenModule' }],
+      orphaned: [{ selector: '0x00000002', module: 'AdminGardenModule', implementation: address('11') }],
+      missing: [{ selector: '0x00000004', signature: 'deposit()' }],
+    });
+  });
+});
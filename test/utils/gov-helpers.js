@@ -6,14 +6,10 @@ const { from, eth, parse } = require('lib/helpers');
 const { increaseTime, increaseBlock, voteType, proposalState } = require('utils/test-helpers');
 
 const { impersonateAddress } = require('lib/rpc');
+const { VOTERS } = require('lib/bip');
 
 export async function getVoters() {
-  return [
-    await impersonateAddress('0x3E7c4E57A1dc4dD4bBE81bEFBe3E437f69619DaB'), // 20K
-    await impersonateAddress('0x06601571AA9D3E8f5f7CDd5b993192618964bAB5'), // 15K
-    await impersonateAddress('0x83f4622A18e38bE297e089fB055Dd5123bb0b279'), // Team 24K
-    await impersonateAddress('0x232775eAD28F0C0c750A097bA77302E7d84efd3B'), // Team 17K
-  ];
+  return await Promise.all(VOTERS.map((voter) => impersonateAddress(voter)));
 }
 
 // period and delay is in blocks
@@ -0,0 +1,48 @@
+const { checkInvariants, formatInvariantFailures } = require('lib/invariants');
+
+let skipped;
+
+/**
+ * Skips the invariants of the current test, all of them without `invariants`. Meant for tests that break them on
+ * purpose, e.g., sending tokens to a finalized strategy.
+ */
+function skipInvariants(...invariants) {
+  skipped = invariants.length > 0 ? invariants : true;
+}
+
+/**
+ * Root hook checking the invariants of lib/invariants.js after every passing test, on every garden of the protocol
+ * deployed by the fixture. Tests without fixture are not checked. `INVARIANTS=false` disables the hook.
+ */
+const mochaHooks = {
+  async afterEach() {
+    const skip = skipped;
+    skipped = undefined;
+    if (process.env.INVARIANTS === 'false' || skip === true || this.currentTest.state !== 'passed') {
+      return;
+    }
+    // Pure unit tests do not load hardhat
+    const hre = require('hardhat');
+    const deployment = await hre.deployments.getOrNull('BabControllerProxy');
+    if (!deployment || (await hre.ethers.provider.getCode(deployment.address)) === '0x') {
+      return;
+    }
+    // Fails the test instead of the hook, which would skip the tests left in the suite
+    let failures;
+    try {
+      const controller = await hre.ethers.getContractAt('BabController', deployment.address);
+      failures = await checkInvariants(hre, controller, { skip: skip || [] });
+    } catch (e) {
+      this.test.error(new Error(`Protocol invariants not checked: ${e.message}`));
+      return;
+    }
+    if (failures.length > 0) {
+      this.test.error(new Error(formatInvariantFailures(failures)));
+    }
+  },
+};
+
+module.exports = {
+  mochaHooks,
+  skipInvariants,
+};